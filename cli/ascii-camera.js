@@ -0,0 +1,326 @@
+// ASCII Camera command-line converter
+// Runs the same conversion as the web app on image files or frame directories:
+//   node cli/ascii-camera.js [options] <image|directory>...
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const AsciiCore = require('../js/ascii-core.js');
+const { DecodeError, decodeImage } = require('./decoders.js');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.ppm', '.pgm', '.pbm', '.pnm'];
+const FORMAT_EXTENSIONS = { txt: '.txt', ansi: '.ans', html: '.html' };
+
+const ARG_OPTIONS = {
+    style: { type: 'string', short: 's', default: 'detailed' },
+    resolution: { type: 'string', short: 'r', default: 'medium' },
+    width: { type: 'string', short: 'W' },
+    height: { type: 'string', short: 'H' },
+    aspect: { type: 'string', short: 'a' },
+    fit: { type: 'string', default: 'crop' },
+    color: { type: 'string', short: 'c', default: 'mono' },
+    brightness: { type: 'string', default: '0' },
+    contrast: { type: 'string', default: '0' },
+    gamma: { type: 'string', default: '1' },
+    levels: { type: 'string', default: 'none' },
+    dither: { type: 'string', default: 'none' },
+    format: { type: 'string', short: 'f' },
+    output: { type: 'string', short: 'o' },
+    stream: { type: 'boolean', default: false },
+    fps: { type: 'string', default: '10' },
+    loop: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const HELP = `Usage: node cli/ascii-camera.js [options] <image|directory>...
+
+Converts PNG, JPEG and PPM/PGM/PBM images to ASCII art. A directory is
+read as a frame sequence, in file name order.
+
+Options:
+  -s, --style <name>        ${AsciiCore.STYLES.join(', ')}
+                            (default: detailed)
+  -r, --resolution <name>   ${Object.keys(AsciiCore.RESOLUTIONS).join(', ')} (default: medium)
+  -W, --width <cols>        Output columns (overrides --resolution, needs --height)
+  -H, --height <rows>       Output rows
+  -a, --aspect <ratio>      Character height/width ratio (default: ${AsciiCore.DEFAULT_CHARACTER_ASPECT})
+      --fit <mode>          How an image fills a --width/--height grid of another
+                            shape: ${AsciiCore.FIT_MODES.join(', ')} (default: crop)
+  -c, --color <mode>        ${AsciiCore.COLOR_MODES.join(', ')} (default: mono)
+      --brightness <n>      -100 to 100 (default: 0)
+      --contrast <n>        -100 to 100 (default: 0)
+      --gamma <n>           0.1 to 3 (default: 1)
+      --levels <mode>       ${AsciiCore.LEVELS_MODES.join(', ')} (default: none)
+      --dither <method>     ${AsciiCore.DITHER_METHODS.join(', ')} (default: none)
+  -f, --format <format>     txt, ansi or html (default: from --output, else txt)
+  -o, --output <path>       Output file, or directory for several inputs
+                            (default: standard output)
+      --stream              Play the frames to standard output as ANSI
+      --fps <n>             Frame rate for --stream (default: 10)
+      --loop                Repeat the sequence with --stream until interrupted
+  -h, --help                Show this help
+`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function parseOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, allowPositionals: true, options: ARG_OPTIONS });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    
+    if (values.help) {
+        return { help: true };
+    }
+    
+    if (!AsciiCore.STYLES.includes(values.style)) {
+        throw new UsageError(`Unknown style "${values.style}"`);
+    }
+    if (!AsciiCore.RESOLUTIONS[values.resolution]) {
+        throw new UsageError(`Unknown resolution "${values.resolution}"`);
+    }
+    if (!AsciiCore.FIT_MODES.includes(values.fit)) {
+        throw new UsageError(`Unknown fit mode "${values.fit}"`);
+    }
+    if (!AsciiCore.COLOR_MODES.includes(values.color)) {
+        throw new UsageError(`Unknown color mode "${values.color}"`);
+    }
+    
+    const width = values.width ? parseInt(values.width, 10) : 0;
+    const height = values.height ? parseInt(values.height, 10) : 0;
+    if ((values.width || values.height) && !(width > 0 && height > 0)) {
+        throw new UsageError('--width and --height must both be positive integers');
+    }
+    
+    const aspect = values.aspect ? parseFloat(values.aspect) : AsciiCore.DEFAULT_CHARACTER_ASPECT;
+    if (!(aspect > 0)) {
+        throw new UsageError('--aspect must be a positive number');
+    }
+    
+    const tone = {
+        brightness: parseFloat(values.brightness),
+        contrast: parseFloat(values.contrast),
+        gamma: parseFloat(values.gamma),
+        levels: values.levels
+    };
+    if (!(Math.abs(tone.brightness) <= 100) || !(Math.abs(tone.contrast) <= 100)) {
+        throw new UsageError('--brightness and --contrast must be between -100 and 100');
+    }
+    if (!(tone.gamma >= 0.1 && tone.gamma <= 3)) {
+        throw new UsageError('--gamma must be between 0.1 and 3');
+    }
+    if (!AsciiCore.LEVELS_MODES.includes(values.levels)) {
+        throw new UsageError(`Unknown levels mode "${values.levels}"`);
+    }
+    if (!AsciiCore.DITHER_METHODS.includes(values.dither)) {
+        throw new UsageError(`Unknown dither method "${values.dither}"`);
+    }
+    
+    const fps = parseFloat(values.fps);
+    if (!(fps > 0)) {
+        throw new UsageError('--fps must be a positive number');
+    }
+    
+    let format = values.format;
+    if (!format && values.output) {
+        const extension = path.extname(values.output).toLowerCase();
+        format = Object.keys(FORMAT_EXTENSIONS).find(key => FORMAT_EXTENSIONS[key] === extension);
+    }
+    format = values.stream ? 'ansi' : format || 'txt';
+    if (!FORMAT_EXTENSIONS[format]) {
+        throw new UsageError(`Unknown format "${format}"`);
+    }
+    
+    if (positionals.length === 0) {
+        throw new UsageError('No input files given');
+    }
+    
+    return {
+        inputs: positionals,
+        convert: {
+            charset: values.style,
+            resolution: values.resolution,
+            width,
+            height,
+            characterAspect: aspect,
+            fit: values.fit,
+            colorMode: values.color,
+            tone,
+            dither: values.dither
+        },
+        format,
+        output: values.output,
+        stream: values.stream,
+        fps,
+        loop: values.loop
+    };
+}
+
+// Expand directories into their image files, in natural name order
+function collectInputs(inputs) {
+    const files = [];
+    
+    for (const input of inputs) {
+        const stat = fs.statSync(input);
+        if (stat.isDirectory()) {
+            const entries = fs.readdirSync(input)
+                .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+            files.push(...entries.map(name => path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+    
+    if (files.length === 0) {
+        throw new UsageError('No images found in the given inputs');
+    }
+    return files;
+}
+
+// Composite transparent pixels over black, the same background as the page
+function flattenAlpha(data) {
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        if (alpha < 255) {
+            data[i] = data[i] * alpha / 255;
+            data[i + 1] = data[i + 1] * alpha / 255;
+            data[i + 2] = data[i + 2] * alpha / 255;
+            data[i + 3] = 255;
+        }
+    }
+    return data;
+}
+
+// Decoded RGBA pixels of an image file, flattened for conversion
+function readImage(file) {
+    const buffer = fs.readFileSync(file);
+    let image;
+    try {
+        image = decodeImage(buffer);
+    } catch (error) {
+        // Name the file, so a bad frame in a directory of them can be found
+        if (error instanceof DecodeError) {
+            throw new DecodeError(`${file}: ${error.message}`);
+        }
+        throw error;
+    }
+    flattenAlpha(image.data);
+    return image;
+}
+
+function convertFile(file, convertOptions) {
+    const image = readImage(file);
+    return AsciiCore.convert(image.data, image.width, image.height, convertOptions);
+}
+
+function render(frame, format, title) {
+    if (format === 'ansi') {
+        return AsciiCore.toAnsi(frame);
+    }
+    if (format === 'html') {
+        return AsciiCore.toHtmlDocument(frame, title);
+    }
+    return frame.text;
+}
+
+function writeOutputs(files, options) {
+    const { output, format } = options;
+    const toDirectory = output && (files.length > 1 || output.endsWith(path.sep) ||
+        (fs.existsSync(output) && fs.statSync(output).isDirectory()));
+    
+    if (toDirectory) {
+        fs.mkdirSync(output, { recursive: true });
+    }
+    
+    const rendered = [];
+    for (const file of files) {
+        const frame = convertFile(file, options.convert);
+        const content = render(frame, format, path.basename(file));
+        
+        if (toDirectory) {
+            const name = path.basename(file, path.extname(file)) + FORMAT_EXTENSIONS[format];
+            fs.writeFileSync(path.join(output, name), content);
+        } else {
+            rendered.push(content);
+        }
+    }
+    
+    if (!toDirectory) {
+        const content = rendered.join(format === 'html' ? '' : '\n');
+        if (output) {
+            fs.writeFileSync(output, content);
+        } else {
+            process.stdout.write(content);
+        }
+    }
+}
+
+// Redraw ANSI frames in place at a fixed rate
+async function streamFrames(files, options) {
+    const out = process.stdout;
+    const interval = 1000 / options.fps;
+    // Frames end on their last row, so step below it for the shell prompt
+    const restoreCursor = () => out.write('\x1b[0m\x1b[?25h\n');
+    
+    process.on('SIGINT', () => {
+        restoreCursor();
+        process.exit(130);
+    });
+    
+    out.write('\x1b[?25l\x1b[2J');
+    try {
+        do {
+            for (const file of files) {
+                const started = Date.now();
+                const frame = convertFile(file, options.convert);
+                // No newline after the last row, or a full-height frame scrolls
+                out.write('\x1b[H' + AsciiCore.toAnsi(frame).replace(/\n$/, ''));
+                
+                const wait = interval - (Date.now() - started);
+                if (wait > 0) {
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+            }
+        } while (options.loop);
+    } finally {
+        restoreCursor();
+    }
+}
+
+async function main(argv) {
+    const options = parseOptions(argv);
+    if (options.help) {
+        process.stdout.write(HELP);
+        return;
+    }
+    
+    const files = collectInputs(options.inputs);
+    if (options.stream) {
+        await streamFrames(files, options);
+    } else {
+        writeOutputs(files, options);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        process.stderr.write(`ascii-camera: ${error.message}\n`);
+        if (error instanceof UsageError) {
+            process.stderr.write('Run with --help for usage.\n');
+        }
+        process.exit(1);
+    });
+}
+
+module.exports = { UsageError, parseOptions, collectInputs, readImage, convertFile, render, main };
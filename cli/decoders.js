@@ -0,0 +1,807 @@
+// Image decoders for the command-line tools
+// Pure Node (zlib only): PNG, baseline JPEG and the Netpbm family (PBM/PGM/PPM).
+// Every decoder returns { width, height, data } with data as RGBA bytes.
+'use strict';
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const FORMAT_NAMES = { png: 'PNG', jpeg: 'JPEG', pnm: 'PPM/PGM/PBM' };
+
+class DecodeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DecodeError';
+    }
+}
+
+function detectFormat(buffer) {
+    if (buffer.length >= 8 && PNG_SIGNATURE.every((byte, i) => buffer[i] === byte)) {
+        return 'png';
+    }
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'jpeg';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0x50 && buffer[1] >= 0x31 && buffer[1] <= 0x36) {
+        return 'pnm';
+    }
+    return null;
+}
+
+function decodeImage(buffer) {
+    const format = detectFormat(buffer);
+    try {
+        switch (format) {
+            case 'png':
+                return decodePng(buffer);
+            case 'jpeg':
+                return decodeJpeg(buffer);
+            case 'pnm':
+                return decodePnm(buffer);
+            default:
+                throw new DecodeError('Unsupported image format (expected PNG, JPEG or PPM/PGM/PBM)');
+        }
+    } catch (error) {
+        // A cut-off file makes the decoders read past the end of the buffer
+        if (error instanceof RangeError) {
+            throw new DecodeError(`Truncated or corrupt ${FORMAT_NAMES[format]} data`);
+        }
+        throw error;
+    }
+}
+
+// PNG
+
+function decodePng(buffer) {
+    let offset = 8;
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+    
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+        
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+    
+    if (!header) {
+        throw new DecodeError('PNG is missing its IHDR chunk');
+    }
+    
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+    if (!channels) {
+        throw new DecodeError(`Unsupported PNG color type ${header.colorType}`);
+    }
+    if (header.colorType === 3 && !palette) {
+        throw new DecodeError('Indexed PNG is missing its palette');
+    }
+    
+    let raw;
+    try {
+        raw = zlib.inflateSync(Buffer.concat(idat));
+    } catch (error) {
+        throw new DecodeError('Truncated or corrupt PNG data');
+    }
+    const { width, height, bitDepth } = header;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    
+    // Adam7 passes: [startX, startY, stepX, stepY]
+    const passes = header.interlace ?
+        [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]] :
+        [[0, 0, 1, 1]];
+    
+    let position = 0;
+    
+    for (const [startX, startY, stepX, stepY] of passes) {
+        const passWidth = Math.ceil((width - startX) / stepX);
+        const passHeight = Math.ceil((height - startY) / stepY);
+        if (passWidth <= 0 || passHeight <= 0) {
+            continue;
+        }
+        
+        const stride = Math.ceil(passWidth * bitsPerPixel / 8);
+        let previous = new Uint8Array(stride);
+        
+        for (let row = 0; row < passHeight; row++) {
+            const filter = raw[position];
+            const line = Uint8Array.from(raw.subarray(position + 1, position + 1 + stride));
+            position += stride + 1;
+            unfilterPngLine(filter, line, previous, bytesPerPixel);
+            
+            const y = startY + row * stepY;
+            for (let column = 0; column < passWidth; column++) {
+                const x = startX + column * stepX;
+                writePngPixel(data, (y * width + x) * 4, line, column, header, channels, palette, transparency);
+            }
+            previous = line;
+        }
+    }
+    
+    return { width, height, data };
+}
+
+function unfilterPngLine(filter, line, previous, bytesPerPixel) {
+    for (let i = 0; i < line.length; i++) {
+        const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+        const up = previous[i];
+        const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+        
+        switch (filter) {
+            case 0:
+                break;
+            case 1:
+                line[i] = (line[i] + left) & 0xff;
+                break;
+            case 2:
+                line[i] = (line[i] + up) & 0xff;
+                break;
+            case 3:
+                line[i] = (line[i] + ((left + up) >> 1)) & 0xff;
+                break;
+            case 4: {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                const predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                line[i] = (line[i] + predictor) & 0xff;
+                break;
+            }
+            default:
+                throw new DecodeError(`Invalid PNG filter type ${filter}`);
+        }
+    }
+}
+
+function writePngPixel(data, out, line, column, header, channels, palette, transparency) {
+    const { bitDepth, colorType } = header;
+    
+    // Read one sample, scaled to 0-255 (palette indices are left unscaled)
+    const sample = (channel) => {
+        if (bitDepth === 8) {
+            return line[column * channels + channel];
+        }
+        if (bitDepth === 16) {
+            return line[(column * channels + channel) * 2];
+        }
+        const bitOffset = (column * channels + channel) * bitDepth;
+        const value = (line[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & ((1 << bitDepth) - 1);
+        return colorType === 3 ? value : Math.round(value * 255 / ((1 << bitDepth) - 1));
+    };
+    
+    switch (colorType) {
+        case 0: {
+            const gray = sample(0);
+            data[out] = data[out + 1] = data[out + 2] = gray;
+            data[out + 3] = 255;
+            break;
+        }
+        case 2:
+            data[out] = sample(0);
+            data[out + 1] = sample(1);
+            data[out + 2] = sample(2);
+            data[out + 3] = 255;
+            break;
+        case 3: {
+            const index = sample(0);
+            data[out] = palette[index * 3];
+            data[out + 1] = palette[index * 3 + 1];
+            data[out + 2] = palette[index * 3 + 2];
+            data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            break;
+        }
+        case 4: {
+            const gray = sample(0);
+            data[out] = data[out + 1] = data[out + 2] = gray;
+            data[out + 3] = sample(1);
+            break;
+        }
+        case 6:
+            data[out] = sample(0);
+            data[out + 1] = sample(1);
+            data[out + 2] = sample(2);
+            data[out + 3] = sample(3);
+            break;
+    }
+}
+
+// Netpbm (P1-P6)
+
+function decodePnm(buffer) {
+    const type = buffer[1] - 0x30;
+    let offset = 2;
+    
+    // Header fields are whitespace separated; '#' starts a comment
+    const readToken = () => {
+        while (offset < buffer.length) {
+            const byte = buffer[offset];
+            if (byte === 0x23) {
+                while (offset < buffer.length && buffer[offset] !== 0x0a) {
+                    offset++;
+                }
+            } else if (byte <= 0x20) {
+                offset++;
+            } else {
+                break;
+            }
+        }
+        const start = offset;
+        while (offset < buffer.length && buffer[offset] > 0x20) {
+            offset++;
+        }
+        return buffer.toString('ascii', start, offset);
+    };
+    
+    const width = parseInt(readToken(), 10);
+    const height = parseInt(readToken(), 10);
+    const maxValue = type === 1 || type === 4 ? 1 : parseInt(readToken(), 10);
+    
+    if (!(width > 0) || !(height > 0) || !(maxValue > 0)) {
+        throw new DecodeError('Malformed PPM/PGM/PBM header');
+    }
+    
+    const channels = type === 3 || type === 6 ? 3 : 1;
+    const count = width * height * channels;
+    const samples = new Array(count);
+    
+    if (type <= 3) {
+        // Plain (ASCII) formats
+        for (let i = 0; i < count; i++) {
+            if (type === 1) {
+                // PBM samples may be packed without whitespace
+                while (offset < buffer.length && buffer[offset] !== 0x30 && buffer[offset] !== 0x31) {
+                    offset++;
+                }
+                samples[i] = buffer[offset++] - 0x30;
+            } else {
+                samples[i] = parseInt(readToken(), 10);
+            }
+        }
+    } else {
+        // Binary formats: a single whitespace byte separates header and raster
+        offset++;
+        if (type === 4) {
+            const rowBytes = Math.ceil(width / 8);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    samples[y * width + x] = (buffer[offset + y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+                }
+            }
+        } else {
+            const wide = maxValue > 255;
+            for (let i = 0; i < count; i++) {
+                samples[i] = wide ? buffer.readUInt16BE(offset + i * 2) : buffer[offset + i];
+            }
+        }
+    }
+    
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        let r, g, b;
+        if (type === 1 || type === 4) {
+            // PBM: 1 is black
+            r = g = b = samples[i] ? 0 : 255;
+        } else if (channels === 1) {
+            r = g = b = Math.round(samples[i] * 255 / maxValue);
+        } else {
+            r = Math.round(samples[i * 3] * 255 / maxValue);
+            g = Math.round(samples[i * 3 + 1] * 255 / maxValue);
+            b = Math.round(samples[i * 3 + 2] * 255 / maxValue);
+        }
+        data[i * 4] = r;
+        data[i * 4 + 1] = g;
+        data[i * 4 + 2] = b;
+        data[i * 4 + 3] = 255;
+    }
+    
+    return { width, height, data };
+}
+
+// Total bytes of the binary PPM/PGM/PBM frame at the start of the buffer,
+// or 0 while its header is still incomplete
+function pnmFrameLength(buffer) {
+    if (buffer.length < 2) return 0;
+    if (buffer[0] !== 0x50 || buffer[1] < 0x34 || buffer[1] > 0x36) {
+        throw new DecodeError('Expected a stream of binary PPM, PGM or PBM frames');
+    }
+    
+    const type = buffer[1] - 0x30;
+    const values = [];
+    let offset = 2;
+    while (values.length < (type === 4 ? 2 : 3)) {
+        while (offset < buffer.length && (buffer[offset] <= 0x20 || buffer[offset] === 0x23)) {
+            if (buffer[offset] === 0x23) {
+                const end = buffer.indexOf(0x0a, offset);
+                if (end < 0) return 0;
+                offset = end + 1;
+            } else {
+                offset++;
+            }
+        }
+        const start = offset;
+        while (offset < buffer.length && buffer[offset] > 0x20) {
+            offset++;
+        }
+        // The token (or the whitespace byte after the header) may still be on its way
+        if (offset >= buffer.length) return 0;
+        values.push(parseInt(buffer.toString('ascii', start, offset), 10));
+    }
+    
+    const [width, height, maxValue = 1] = values;
+    if (!(width > 0) || !(height > 0) || !(maxValue > 0 && maxValue < 65536)) {
+        throw new DecodeError('Malformed PPM/PGM/PBM header');
+    }
+    const rowBytes = type === 4 ?
+        Math.ceil(width / 8) :
+        width * (type === 6 ? 3 : 1) * (maxValue > 255 ? 2 : 1);
+    return offset + 1 + rowBytes * height;
+}
+
+// Decoded images from a stream of binary PPM/PGM/PBM frames, one after
+// another, such as the output of ffmpeg -f image2pipe -c:v ppm
+async function* readPnmFrames(stream) {
+    let chunks = [];
+    let size = 0;
+    let frameLength = 0;
+    
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+        size += chunk.length;
+        
+        // Chunks are only joined once a whole frame is there
+        while (size > 0) {
+            if (!frameLength) {
+                chunks = [Buffer.concat(chunks)];
+                frameLength = pnmFrameLength(chunks[0]);
+                if (!frameLength) break;
+            }
+            if (size < frameLength) break;
+            
+            const data = Buffer.concat(chunks);
+            const rest = data.subarray(frameLength);
+            const frame = data.subarray(0, frameLength);
+            chunks = rest.length ? [rest] : [];
+            size = rest.length;
+            frameLength = 0;
+            yield decodePnm(frame);
+        }
+    }
+}
+
+// JPEG (baseline and extended sequential, Huffman coded)
+
+const ZIGZAG = [
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// cos((2x + 1) * u * PI / 16) scaled by C(u), for the separable IDCT
+const IDCT_TABLE = (() => {
+    const table = new Float32Array(64);
+    for (let x = 0; x < 8; x++) {
+        for (let u = 0; u < 8; u++) {
+            const scale = u === 0 ? Math.SQRT1_2 : 1;
+            table[x * 8 + u] = scale * Math.cos((2 * x + 1) * u * Math.PI / 16);
+        }
+    }
+    return table;
+})();
+
+function buildHuffmanTable(counts, symbols) {
+    // Canonical codes: maxCode/valueOffset per code length
+    const maxCode = new Int32Array(18).fill(-1);
+    const valueOffset = new Int32Array(18);
+    let code = 0;
+    let k = 0;
+    
+    for (let length = 1; length <= 16; length++) {
+        valueOffset[length] = k - code;
+        code += counts[length - 1];
+        k += counts[length - 1];
+        maxCode[length] = counts[length - 1] ? code - 1 : -1;
+        code <<= 1;
+    }
+    
+    return { maxCode, valueOffset, symbols };
+}
+
+class JpegBitReader {
+    constructor(data, offset) {
+        this.data = data;
+        this.offset = offset;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+    
+    readBit() {
+        if (this.bitCount === 0) {
+            let byte = 0;
+            if (this.offset < this.data.length) {
+                byte = this.data[this.offset];
+                if (byte === 0xff) {
+                    const next = this.data[this.offset + 1];
+                    if (next === 0x00) {
+                        // Stuffed zero byte
+                        this.offset += 2;
+                    } else {
+                        // A marker: feed zeros without consuming it
+                        byte = 0;
+                    }
+                } else {
+                    this.offset++;
+                }
+            }
+            this.bitBuffer = byte;
+            this.bitCount = 8;
+        }
+        this.bitCount--;
+        return (this.bitBuffer >> this.bitCount) & 1;
+    }
+    
+    receive(length) {
+        let value = 0;
+        for (let i = 0; i < length; i++) {
+            value = (value << 1) | this.readBit();
+        }
+        return value;
+    }
+    
+    receiveExtend(length) {
+        if (length === 0) {
+            return 0;
+        }
+        const value = this.receive(length);
+        return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+    }
+    
+    decodeHuffman(table) {
+        let code = 0;
+        for (let length = 1; length <= 16; length++) {
+            code = (code << 1) | this.readBit();
+            if (code <= table.maxCode[length]) {
+                return table.symbols[table.valueOffset[length] + code];
+            }
+        }
+        throw new DecodeError('Corrupt JPEG Huffman data');
+    }
+    
+    // Skip to just past the next RSTn marker
+    restart() {
+        this.bitCount = 0;
+        while (this.offset < this.data.length - 1) {
+            if (this.data[this.offset] === 0xff && this.data[this.offset + 1] >= 0xd0 && this.data[this.offset + 1] <= 0xd7) {
+                this.offset += 2;
+                return;
+            }
+            this.offset++;
+        }
+    }
+}
+
+function decodeJpeg(buffer) {
+    const quantTables = [];
+    const huffmanTables = { dc: [], ac: [] };
+    let frame = null;
+    let restartInterval = 0;
+    let adobeTransform = null;
+    let offset = 2;
+    
+    while (offset < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            offset++;
+            continue;
+        }
+        const marker = buffer[offset + 1];
+        offset += 2;
+        
+        if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+            if (marker === 0xff) {
+                offset--;
+            }
+            continue;
+        }
+        if (marker === 0xd9) {
+            break;
+        }
+        
+        const length = buffer.readUInt16BE(offset);
+        const segment = buffer.subarray(offset + 2, offset + length);
+        offset += length;
+        
+        if (marker === 0xdb) {
+            // DQT
+            let p = 0;
+            while (p < segment.length) {
+                const precision = segment[p] >> 4;
+                const id = segment[p] & 15;
+                const table = new Int32Array(64);
+                p++;
+                for (let i = 0; i < 64; i++) {
+                    table[i] = precision ? segment.readUInt16BE(p + i * 2) : segment[p + i];
+                }
+                p += precision ? 128 : 64;
+                quantTables[id] = table;
+            }
+        } else if (marker === 0xc4) {
+            // DHT
+            let p = 0;
+            while (p < segment.length) {
+                const tableClass = segment[p] >> 4;
+                const id = segment[p] & 15;
+                const counts = segment.subarray(p + 1, p + 17);
+                const total = counts.reduce((sum, count) => sum + count, 0);
+                const symbols = segment.subarray(p + 17, p + 17 + total);
+                p += 17 + total;
+                (tableClass ? huffmanTables.ac : huffmanTables.dc)[id] = buildHuffmanTable(counts, symbols);
+            }
+        } else if (marker === 0xc0 || marker === 0xc1) {
+            // SOF0 / SOF1
+            if (segment[0] !== 8) {
+                throw new DecodeError(`Unsupported JPEG precision ${segment[0]}-bit`);
+            }
+            frame = {
+                height: segment.readUInt16BE(1),
+                width: segment.readUInt16BE(3),
+                components: []
+            };
+            for (let i = 0; i < segment[5]; i++) {
+                const p = 6 + i * 3;
+                frame.components.push({
+                    id: segment[p],
+                    h: segment[p + 1] >> 4,
+                    v: segment[p + 1] & 15,
+                    quantId: segment[p + 2]
+                });
+            }
+            prepareJpegFrame(frame);
+        } else if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            throw new DecodeError('Progressive, lossless and arithmetic-coded JPEGs are not supported');
+        } else if (marker === 0xdd) {
+            // DRI
+            restartInterval = segment.readUInt16BE(0);
+        } else if (marker === 0xee) {
+            // APP14 (Adobe): color transform flag
+            if (segment.toString('ascii', 0, 5) === 'Adobe') {
+                adobeTransform = segment[11];
+            }
+        } else if (marker === 0xda) {
+            // SOS
+            if (!frame) {
+                throw new DecodeError('JPEG scan before frame header');
+            }
+            const scanComponents = [];
+            for (let i = 0; i < segment[0]; i++) {
+                const component = frame.components.find(c => c.id === segment[1 + i * 2]);
+                const tables = segment[2 + i * 2];
+                component.dcTable = huffmanTables.dc[tables >> 4];
+                component.acTable = huffmanTables.ac[tables & 15];
+                scanComponents.push(component);
+            }
+            offset = decodeJpegScan(buffer, offset, frame, scanComponents, quantTables, restartInterval);
+        }
+    }
+    
+    if (!frame) {
+        throw new DecodeError('JPEG has no frame header');
+    }
+    
+    return buildJpegImage(frame, adobeTransform);
+}
+
+function prepareJpegFrame(frame) {
+    frame.maxH = Math.max(...frame.components.map(c => c.h));
+    frame.maxV = Math.max(...frame.components.map(c => c.v));
+    frame.mcusX = Math.ceil(frame.width / (8 * frame.maxH));
+    frame.mcusY = Math.ceil(frame.height / (8 * frame.maxV));
+    
+    for (const component of frame.components) {
+        component.blocksPerLine = frame.mcusX * component.h;
+        component.blocksPerColumn = frame.mcusY * component.v;
+        component.pixels = new Uint8ClampedArray(component.blocksPerLine * 8 * component.blocksPerColumn * 8);
+    }
+}
+
+function decodeJpegScan(buffer, offset, frame, components, quantTables, restartInterval) {
+    const reader = new JpegBitReader(buffer, offset);
+    const coefficients = new Float32Array(64);
+    const single = components.length === 1;
+    
+    // A single-component scan is not interleaved: its blocks cover only the
+    // component's own (subsampled) size, in plain raster order
+    const totalUnits = single ?
+        Math.ceil(Math.ceil(frame.width * components[0].h / frame.maxH) / 8) *
+            Math.ceil(Math.ceil(frame.height * components[0].v / frame.maxV) / 8) :
+        frame.mcusX * frame.mcusY;
+    const singleBlocksPerLine = single ?
+        Math.ceil(Math.ceil(frame.width * components[0].h / frame.maxH) / 8) : 0;
+    
+    components.forEach(component => {
+        component.prediction = 0;
+    });
+    
+    const decodeBlock = (component, blockRow, blockColumn) => {
+        const quant = quantTables[component.quantId];
+        coefficients.fill(0);
+        
+        const dcLength = reader.decodeHuffman(component.dcTable);
+        component.prediction += reader.receiveExtend(dcLength);
+        coefficients[0] = component.prediction * quant[0];
+        
+        for (let k = 1; k < 64;) {
+            const rs = reader.decodeHuffman(component.acTable);
+            const size = rs & 15;
+            const run = rs >> 4;
+            if (size === 0) {
+                if (run !== 15) {
+                    break;
+                }
+                k += 16;
+                continue;
+            }
+            k += run;
+            if (k > 63) {
+                break;
+            }
+            coefficients[ZIGZAG[k]] = reader.receiveExtend(size) * quant[k];
+            k++;
+        }
+        
+        inverseDct(coefficients, component, blockRow, blockColumn);
+    };
+    
+    for (let unit = 0; unit < totalUnits; unit++) {
+        if (restartInterval && unit > 0 && unit % restartInterval === 0) {
+            reader.restart();
+            components.forEach(component => {
+                component.prediction = 0;
+            });
+        }
+        
+        if (single) {
+            const component = components[0];
+            decodeBlock(component, Math.floor(unit / singleBlocksPerLine), unit % singleBlocksPerLine);
+        } else {
+            const mcuRow = Math.floor(unit / frame.mcusX);
+            const mcuColumn = unit % frame.mcusX;
+            for (const component of components) {
+                for (let v = 0; v < component.v; v++) {
+                    for (let h = 0; h < component.h; h++) {
+                        decodeBlock(component, mcuRow * component.v + v, mcuColumn * component.h + h);
+                    }
+                }
+            }
+        }
+    }
+    
+    // Continue from the next marker after the entropy-coded data
+    let position = reader.offset;
+    while (position < buffer.length - 1) {
+        if (buffer[position] === 0xff && buffer[position + 1] !== 0x00 &&
+            !(buffer[position + 1] >= 0xd0 && buffer[position + 1] <= 0xd7)) {
+            break;
+        }
+        position++;
+    }
+    return position;
+}
+
+function inverseDct(coefficients, component, blockRow, blockColumn) {
+    const temp = new Float32Array(64);
+    
+    // Rows then columns
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            let sum = 0;
+            for (let u = 0; u < 8; u++) {
+                sum += IDCT_TABLE[x * 8 + u] * coefficients[y * 8 + u];
+            }
+            temp[y * 8 + x] = sum / 2;
+        }
+    }
+    
+    const stride = component.blocksPerLine * 8;
+    for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+            let sum = 0;
+            for (let v = 0; v < 8; v++) {
+                sum += IDCT_TABLE[y * 8 + v] * temp[v * 8 + x];
+            }
+            const row = blockRow * 8 + y;
+            const column = blockColumn * 8 + x;
+            component.pixels[row * stride + column] = Math.round(sum / 2 + 128);
+        }
+    }
+}
+
+function buildJpegImage(frame, adobeTransform) {
+    const { width, height, components, maxH, maxV } = frame;
+    const data = new Uint8ClampedArray(width * height * 4);
+    
+    // Nearest-neighbour upsampling of subsampled components
+    const sample = (component, x, y) => {
+        const cx = Math.floor(x * component.h / maxH);
+        const cy = Math.floor(y * component.v / maxV);
+        return component.pixels[cy * component.blocksPerLine * 8 + cx];
+    };
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            
+            if (components.length === 1) {
+                data[out] = data[out + 1] = data[out + 2] = sample(components[0], x, y);
+            } else if (components.length === 3) {
+                const c0 = sample(components[0], x, y);
+                const c1 = sample(components[1], x, y);
+                const c2 = sample(components[2], x, y);
+                if (adobeTransform === 0) {
+                    // Plain RGB
+                    data[out] = c0;
+                    data[out + 1] = c1;
+                    data[out + 2] = c2;
+                } else {
+                    data[out] = c0 + 1.402 * (c2 - 128);
+                    data[out + 1] = c0 - 0.344136 * (c1 - 128) - 0.714136 * (c2 - 128);
+                    data[out + 2] = c0 + 1.772 * (c1 - 128);
+                }
+            } else if (components.length === 4) {
+                // Adobe CMYK/YCCK, stored inverted
+                let c = sample(components[0], x, y);
+                let m = sample(components[1], x, y);
+                let ye = sample(components[2], x, y);
+                const k = sample(components[3], x, y);
+                if (adobeTransform === 2) {
+                    // YCCK: the YCC part converts back to inverted CMY
+                    const luma = c;
+                    const cb = m;
+                    c = luma + 1.402 * (ye - 128);
+                    m = luma - 0.344136 * (cb - 128) - 0.714136 * (ye - 128);
+                    ye = luma + 1.772 * (cb - 128);
+                }
+                data[out] = c * k / 255;
+                data[out + 1] = m * k / 255;
+                data[out + 2] = ye * k / 255;
+            } else {
+                throw new DecodeError(`Unsupported JPEG component count ${components.length}`);
+            }
+            data[out + 3] = 255;
+        }
+    }
+    
+    return { width, height, data };
+}
+
+module.exports = {
+    DecodeError,
+    detectFormat,
+    decodeImage,
+    decodePng,
+    decodePnm,
+    pnmFrameLength,
+    readPnmFrames,
+    decodeJpeg
+};
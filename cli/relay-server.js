@@ -0,0 +1,481 @@
+// ASCII Camera live relay
+// The page's Broadcast mode sends its frames here and any number of viewers
+// watch them. Pure Node, nothing leaves the machine unless --host says so:
+//   node cli/relay-server.js [--port 8080] [--host 127.0.0.1] [--telnet-port 2323]
+// It also serves the app itself, so http://localhost:8080/ is the camera page
+// and http://localhost:8080/viewer.html the viewer.
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const AsciiStream = require('../js/stream-protocol.js');
+const { acceptUpgrade } = require('./websocket.js');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const MAX_BUFFERED = 1024 * 1024; // Bytes queued for a viewer before its frames are skipped
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+// Terminal setup and teardown: reset colors, hide or show the cursor
+const ANSI_START = '\x1b[0m\x1b[?25l\x1b[2J\x1b[H';
+const ANSI_END = '\x1b[0m\x1b[?25h\r\n';
+
+const ARG_OPTIONS = {
+    port: { type: 'string', short: 'p', default: '8080' },
+    host: { type: 'string', default: '127.0.0.1' },
+    'telnet-port': { type: 'string', default: '2323' },
+    'allow-origin': { type: 'string', multiple: true, default: [] },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const HELP = `Usage: node cli/relay-server.js [options]
+
+Relays the live ASCII feed from the page's Broadcast mode to viewers.
+
+Options:
+  -p, --port <n>            HTTP and WebSocket port (default: 8080)
+      --host <address>      Address to listen on (default: 127.0.0.1;
+                            0.0.0.0 shares the feed on your network)
+      --telnet-port <n>     Raw ANSI over TCP for telnet or nc, 0 to turn
+                            it off (default: 2323)
+      --allow-origin <url>  Also take broadcasts from pages on this site,
+                            e.g. http://localhost:5500 (repeatable)
+  -h, --help                Show this help
+
+Endpoints:
+  ws://<host>:<port>/broadcast   Where the page's Broadcast mode connects; pages
+                                 from other sites are refused
+  ws://<host>:<port>/view        Frame messages, used by viewer.html
+  ws://<host>:<port>/ansi        ANSI text, e.g. websocat ws://localhost:8080/ansi
+  http://<host>:<port>/ansi      The same as one long response, e.g. curl -N
+  http://<host>:<port>/status    Whether a broadcast is live, and the viewer count
+  <host>:<telnet-port>           The same over raw TCP, e.g. telnet localhost 2323
+`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function parsePort(value, name) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError(`--${name} must be a port number from 0 to 65535`);
+    }
+    return port;
+}
+
+function parseOrigin(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new UsageError(`--allow-origin must be a URL such as http://localhost:5500, not "${value}"`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new UsageError(`--allow-origin must be an http or https URL, not "${value}"`);
+    }
+    return url.origin;
+}
+
+function parseOptions(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: ARG_OPTIONS }));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    
+    if (values.help) {
+        return { help: true };
+    }
+    
+    return {
+        port: parsePort(values.port, 'port'),
+        host: values.host,
+        telnetPort: parsePort(values['telnet-port'], 'telnet-port'),
+        allowedOrigins: values['allow-origin'].map(parseOrigin)
+    };
+}
+
+// Fans one broadcast out to every viewer. The relay keeps the current grid,
+// so a viewer that joins mid-stream starts from a full frame, and a viewer
+// that falls behind skips frames and then gets a full redraw.
+class Relay {
+    constructor() {
+        this.state = AsciiStream.createStreamState();
+        this.broadcaster = null;
+        this.viewers = new Set();
+    }
+    
+    statusMessage() {
+        return JSON.stringify({ type: 'status', live: this.broadcaster !== null, viewers: this.viewers.size });
+    }
+    
+    sendStatus() {
+        const status = this.statusMessage();
+        if (this.broadcaster) {
+            this.broadcaster.send(status);
+        }
+        for (const viewer of this.viewers) {
+            if (viewer.format === 'json') {
+                viewer.send(status);
+            }
+        }
+    }
+    
+    // Only one broadcast at a time; a second one is turned away
+    addBroadcaster(connection) {
+        if (this.broadcaster) {
+            connection.close(4001, 'Another broadcast is already live on this relay');
+            return;
+        }
+        
+        this.broadcaster = connection;
+        this.state = AsciiStream.createStreamState();
+        connection.on('message', data => this.receive(data));
+        connection.on('close', () => {
+            if (this.broadcaster === connection) {
+                this.broadcaster = null;
+                this.sendStatus();
+            }
+        });
+        this.sendStatus();
+    }
+    
+    receive(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        
+        // A malformed message must not take the relay down
+        let changed;
+        try {
+            changed = AsciiStream.applyMessage(this.state, message);
+        } catch (error) {
+            changed = null;
+        }
+        if (!changed) {
+            // Out of step with the broadcaster: ask it to start over
+            this.broadcaster.send(JSON.stringify({ type: 'keyframe' }));
+            return;
+        }
+        this.publish(message.keyframe, changed);
+    }
+    
+    // viewer: { format: 'json' or 'ansi', send(text), buffered(), end() }
+    addViewer(viewer) {
+        viewer.stale = false;
+        this.viewers.add(viewer);
+        
+        if (viewer.format === 'ansi') {
+            viewer.send(ANSI_START);
+        }
+        if (AsciiStream.hasFrame(this.state)) {
+            viewer.send(this.fullFrame(viewer.format));
+        } else if (viewer.format === 'ansi') {
+            viewer.send('Waiting for a broadcast...\r\n');
+        }
+        this.sendStatus();
+    }
+    
+    removeViewer(viewer) {
+        if (this.viewers.delete(viewer)) {
+            this.sendStatus();
+        }
+    }
+    
+    fullFrame(format) {
+        if (format === 'json') {
+            return JSON.stringify(AsciiStream.snapshotMessage(this.state));
+        }
+        const rows = this.state.rows.map((row, y) => y);
+        return '\x1b[2J' + AsciiStream.toAnsiUpdate(this.state, rows);
+    }
+    
+    // Only the changed rows, re-sent from the checked grid rather than as
+    // the broadcaster wrote them
+    changedRows(format, changed) {
+        if (format === 'json') {
+            return JSON.stringify({
+                type: 'frame',
+                seq: this.state.seq,
+                keyframe: false,
+                rows: changed.map(y => [y, this.state.rows[y]])
+            });
+        }
+        return AsciiStream.toAnsiUpdate(this.state, changed);
+    }
+    
+    publish(keyframe, changed) {
+        // Each update is built once and shared by every viewer of that format
+        const updates = {};
+        const update = (format) => {
+            if (!updates[format]) {
+                updates[format] = keyframe ? this.fullFrame(format) : this.changedRows(format, changed);
+            }
+            return updates[format];
+        };
+        
+        for (const viewer of this.viewers) {
+            if (viewer.buffered() > MAX_BUFFERED) {
+                viewer.stale = true;
+            } else if (viewer.stale) {
+                viewer.stale = false;
+                viewer.send(this.fullFrame(viewer.format));
+            } else {
+                viewer.send(update(viewer.format));
+            }
+        }
+    }
+    
+    close() {
+        for (const viewer of this.viewers) {
+            if (viewer.format === 'ansi') {
+                viewer.send(ANSI_END);
+            }
+            viewer.end();
+        }
+        this.viewers.clear();
+        if (this.broadcaster) {
+            this.broadcaster.close(1001, 'Relay shutting down');
+        }
+    }
+}
+
+function webSocketViewer(relay, connection, format) {
+    const viewer = {
+        format,
+        send: text => connection.send(text),
+        buffered: () => connection.bufferedAmount,
+        end: () => connection.close(1001, 'Relay shutting down')
+    };
+    connection.on('close', () => relay.removeViewer(viewer));
+    relay.addViewer(viewer);
+}
+
+// Plain ANSI to anything that writes like a socket; whatever the client
+// sends (telnet negotiation, keystrokes) is ignored
+function streamViewer(relay, stream) {
+    const viewer = {
+        format: 'ansi',
+        send: text => stream.write(text),
+        buffered: () => stream.writableLength,
+        end: () => stream.end()
+    };
+    stream.on('close', () => relay.removeViewer(viewer));
+    stream.on('error', () => relay.removeViewer(viewer));
+    relay.addViewer(viewer);
+}
+
+function sendText(response, status, text, type = 'text/plain; charset=utf-8') {
+    response.writeHead(status, { 'Content-Type': type, 'Content-Length': Buffer.byteLength(text) });
+    response.end(text);
+}
+
+// Files of the app itself, with nothing outside the repository or hidden
+function serveFile(pathname, response) {
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        sendText(response, 400, 'Bad request\n');
+        return;
+    }
+    
+    const file = path.join(APP_ROOT, path.normalize(relative));
+    const type = CONTENT_TYPES[path.extname(file).toLowerCase()];
+    const hidden = relative.split('/').some(part => part.startsWith('.'));
+    if (!file.startsWith(APP_ROOT + path.sep) || hidden || !type) {
+        sendText(response, 404, 'Not found\n');
+        return;
+    }
+    
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            sendText(response, 404, 'Not found\n');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+        response.end(content);
+    });
+}
+
+function handleRequest(relay, request, response) {
+    if (request.method !== 'GET') {
+        sendText(response, 405, 'Method not allowed\n');
+        return;
+    }
+    
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname === '/status') {
+        sendText(response, 200, relay.statusMessage(), 'application/json');
+    } else if (pathname === '/ansi') {
+        response.writeHead(200, {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        streamViewer(relay, response);
+    } else {
+        serveFile(pathname, response);
+    }
+}
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Browsers let any page open a WebSocket to any address, so without this
+// a site the user happens to visit could take over the broadcast. Pages
+// the relay serves itself and --allow-origin sites may broadcast; clients
+// that send no Origin (websocat, scripts) are not browsers and may too.
+function originAllowed(request, allowedOrigins) {
+    const origin = request.headers.origin;
+    if (origin === undefined) return true;
+    
+    let page;
+    let relay;
+    try {
+        page = new URL(origin);
+        relay = new URL(`http://${request.headers.host}`);
+    } catch (error) {
+        return false;
+    }
+    if (allowedOrigins.includes(page.origin)) return true;
+    if (page.protocol !== 'http:' && page.protocol !== 'https:') return false;
+    
+    // localhost and 127.0.0.1 are the same machine, whichever the page used
+    const sameHost = page.hostname === relay.hostname ||
+        (LOOPBACK_HOSTS.includes(page.hostname) && LOOPBACK_HOSTS.includes(relay.hostname));
+    return sameHost && page.port === relay.port;
+}
+
+function handleUpgrade(relay, request, socket, head, allowedOrigins) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const routes = {
+        '/broadcast': connection => relay.addBroadcaster(connection),
+        '/view': connection => webSocketViewer(relay, connection, 'json'),
+        '/ansi': connection => webSocketViewer(relay, connection, 'ansi')
+    };
+    
+    if (!routes[pathname]) {
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+        return;
+    }
+    if (pathname === '/broadcast' && !originAllowed(request, allowedOrigins)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        return;
+    }
+    const connection = acceptUpgrade(request, socket, head);
+    if (connection) {
+        routes[pathname](connection);
+    }
+}
+
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve(server.address().port);
+        });
+    });
+}
+
+// Starts the HTTP/WebSocket server and, unless telnetPort is 0, the raw TCP
+// one. Port 0 for the HTTP server picks a free port; the ports actually used
+// are in the result.
+async function startRelay({ port = 8080, host = '127.0.0.1', telnetPort = 2323, allowedOrigins = [] } = {}) {
+    const relay = new Relay();
+    const sockets = new Set();
+    const track = (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    };
+    
+    const httpServer = http.createServer((request, response) => handleRequest(relay, request, response));
+    httpServer.on('upgrade', (request, socket, head) => handleUpgrade(relay, request, socket, head, allowedOrigins));
+    httpServer.on('connection', track);
+    const httpPort = await listen(httpServer, port, host);
+    
+    let telnetServer = null;
+    let telnetAddress = null;
+    if (telnetPort) {
+        telnetServer = net.createServer(socket => {
+            socket.setNoDelay(true);
+            streamViewer(relay, socket);
+        });
+        telnetServer.on('connection', track);
+        try {
+            telnetAddress = await listen(telnetServer, telnetPort, host);
+        } catch (error) {
+            httpServer.close();
+            throw error;
+        }
+    }
+    
+    const close = () => {
+        relay.close();
+        const closed = [httpServer, telnetServer].filter(Boolean)
+            .map(server => new Promise(resolve => server.close(resolve)));
+        // Give the goodbye frames a moment, then drop whoever is left
+        setTimeout(() => sockets.forEach(socket => socket.destroy()), 200).unref();
+        return Promise.all(closed);
+    };
+    
+    return { relay, port: httpPort, telnetPort: telnetAddress, close };
+}
+
+async function main(argv) {
+    const options = parseOptions(argv);
+    if (options.help) {
+        process.stdout.write(HELP);
+        return;
+    }
+    
+    const server = await startRelay(options);
+    const origin = `${options.host.includes(':') ? `[${options.host}]` : options.host}:${server.port}`;
+    process.stdout.write([
+        `ASCII Camera relay on http://${origin}/`,
+        `  Broadcast from  http://${origin}/ (Relay: ws://${origin})`,
+        `  Watch at        http://${origin}/viewer.html`,
+        `  Terminal        websocat ws://${origin}/ansi  or  curl -N http://${origin}/ansi`,
+        server.telnetPort ? `  Telnet          telnet ${options.host} ${server.telnetPort}` : null,
+        ''
+    ].filter(line => line !== null).join('\n'));
+    
+    const shutdown = () => {
+        server.close().then(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        process.stderr.write(`relay-server: ${error.message}\n`);
+        if (error instanceof UsageError) {
+            process.stderr.write('Run with --help for usage.\n');
+        }
+        process.exit(1);
+    });
+}
+
+module.exports = { Relay, parseOptions, startRelay, main };
@@ -0,0 +1,469 @@
+// ASCII Camera in the terminal
+// Converts a live source with the page's styles and redraws it in place,
+// sized to the terminal:
+//   node cli/terminal-camera.js [options] [<image|directory|->...]
+// With no input it plays a built-in test pattern. "-" reads binary PPM/PGM
+// frames from standard input, so a webcam can be piped in through ffmpeg.
+'use strict';
+
+const fs = require('fs');
+const tty = require('tty');
+const { parseArgs } = require('util');
+
+const AsciiCore = require('../js/ascii-core.js');
+const { UsageError, collectInputs, readImage } = require('./ascii-camera.js');
+const { readPnmFrames } = require('./decoders.js');
+
+// 'fit' fills the terminal; the presets cap the width at their column count
+const RESOLUTIONS = ['fit', ...Object.keys(AsciiCore.RESOLUTIONS).filter(name => name !== 'native')];
+
+// Alternate screen and hidden cursor while running, restored on exit
+const SCREEN_START = '\x1b[?1049h\x1b[?25l\x1b[2J';
+const SCREEN_END = '\x1b[0m\x1b[?25h\x1b[?1049l';
+
+const HELP_KEYS = 's/S style  r/R size  c color  space pause  h help  q quit';
+
+const ARG_OPTIONS = {
+    style: { type: 'string', short: 's', default: 'detailed' },
+    resolution: { type: 'string', short: 'r', default: 'fit' },
+    color: { type: 'string', short: 'c', default: 'mono' },
+    aspect: { type: 'string', short: 'a' },
+    dither: { type: 'string', default: 'none' },
+    fps: { type: 'string', default: '15' },
+    loop: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const HELP = `Usage: node cli/terminal-camera.js [options] [<image|directory|->...]
+
+Shows a source as live ASCII art in the terminal, redrawn in place and
+resized with the window. Inputs are PNG, JPEG and PPM/PGM/PBM files or a
+directory of frames. "-" reads binary PPM/PGM frames from standard input:
+  
+  ffmpeg -loglevel error -f v4l2 -i /dev/video0 -f image2pipe -c:v ppm - |
+    node cli/terminal-camera.js -c 256 -
+
+With no input, a test pattern stands in for the camera.
+
+Options:
+  -s, --style <name>        ${AsciiCore.STYLES.join(', ')}
+                            (default: detailed)
+  -r, --resolution <name>   ${RESOLUTIONS.join(', ')} (default: fit)
+  -c, --color <mode>        ${AsciiCore.COLOR_MODES.join(', ')} (default: mono)
+  -a, --aspect <ratio>      Character height/width ratio (default: ${AsciiCore.DEFAULT_CHARACTER_ASPECT})
+      --dither <method>     ${AsciiCore.DITHER_METHODS.join(', ')} (default: none)
+      --fps <n>             Frame rate for files and the test pattern (default: 15)
+      --loop                Repeat a file sequence until you quit
+  -h, --help                Show this help
+
+Keys: ${HELP_KEYS}
+`;
+
+function parseOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, allowPositionals: true, options: ARG_OPTIONS });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    
+    if (values.help) {
+        return { help: true };
+    }
+    
+    if (!AsciiCore.STYLES.includes(values.style)) {
+        throw new UsageError(`Unknown style "${values.style}"`);
+    }
+    if (!RESOLUTIONS.includes(values.resolution)) {
+        throw new UsageError(`Unknown resolution "${values.resolution}"`);
+    }
+    if (!AsciiCore.COLOR_MODES.includes(values.color)) {
+        throw new UsageError(`Unknown color mode "${values.color}"`);
+    }
+    if (!AsciiCore.DITHER_METHODS.includes(values.dither)) {
+        throw new UsageError(`Unknown dither method "${values.dither}"`);
+    }
+    
+    const aspect = values.aspect ? parseFloat(values.aspect) : AsciiCore.DEFAULT_CHARACTER_ASPECT;
+    if (!(aspect > 0)) {
+        throw new UsageError('--aspect must be a positive number');
+    }
+    const fps = parseFloat(values.fps);
+    if (!(fps > 0)) {
+        throw new UsageError('--fps must be a positive number');
+    }
+    if (positionals.includes('-') && positionals.length > 1) {
+        throw new UsageError('"-" cannot be combined with other inputs');
+    }
+    
+    return {
+        inputs: positionals,
+        charset: values.style,
+        resolution: values.resolution,
+        colorMode: values.color,
+        characterAspect: aspect,
+        dither: values.dither,
+        fps,
+        loop: values.loop
+    };
+}
+
+// Largest grid within maxWidth × maxHeight cells that shows the source
+// undistorted. A cell is characterAspect times taller than it is wide, so
+// it takes that many columns per row to keep the source's shape.
+function fitGrid(maxWidth, maxHeight, sourceWidth, sourceHeight, characterAspect) {
+    const columnsPerRow = sourceWidth / sourceHeight * characterAspect;
+    let width = maxWidth;
+    let height = Math.round(width / columnsPerRow);
+    if (height > maxHeight) {
+        height = maxHeight;
+        width = Math.round(height * columnsPerRow);
+    }
+    return {
+        width: Math.max(1, Math.min(maxWidth, width)),
+        height: Math.max(1, Math.min(maxHeight, height))
+    };
+}
+
+// The stand-in source: a drifting color field with a bouncing ball and a
+// row of gray bars, so every style and color mode has something to show
+function testPatternFrame(time, width = 320, height = 180) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const barTop = Math.round(height * 0.8);
+    const radius = height / 6;
+    const ballX = radius + (width - 2 * radius) * (0.5 + 0.5 * Math.sin(time * 1.3));
+    const ballY = radius + (barTop - 2 * radius) * (1 - Math.abs(Math.sin(time * 2.1)));
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const dx = (x - ballX) / radius;
+            const dy = (y - ballY) / radius;
+            const distance = dx * dx + dy * dy;
+            
+            if (y >= barTop) {
+                const gray = Math.floor(x / width * 8) * 255 / 7;
+                data[i] = data[i + 1] = data[i + 2] = gray;
+            } else if (distance < 1) {
+                // Lit from the top left
+                const light = 0.35 + 0.65 * Math.max(0, Math.sqrt(1 - distance) - (dx + dy) * 0.3);
+                data[i] = 255 * light;
+                data[i + 1] = 230 * light;
+                data[i + 2] = 120 * light;
+            } else {
+                data[i] = 70 + 60 * Math.sin(x / 37 + time);
+                data[i + 1] = 70 + 60 * Math.sin(y / 23 + time * 1.7);
+                data[i + 2] = 90 + 70 * Math.sin((x + y) / 51 - time * 0.8);
+            }
+            data[i + 3] = 255;
+        }
+    }
+    
+    return { width, height, data };
+}
+
+async function* testPattern() {
+    const started = Date.now();
+    while (true) {
+        yield testPatternFrame((Date.now() - started) / 1000);
+    }
+}
+
+function* fileSequence(files, loop) {
+    do {
+        for (const file of files) {
+            yield readImage(file);
+        }
+    } while (loop);
+}
+
+// frames is an (async) iterable of RGBA images; paced sources are played at
+// --fps, the others as fast as they arrive
+function createSource(options, stdin = process.stdin) {
+    if (options.inputs.length === 0) {
+        return { frames: testPattern(), paced: true };
+    }
+    if (options.inputs[0] === '-') {
+        return { frames: readPnmFrames(stdin), paced: false };
+    }
+    return { frames: fileSequence(collectInputs(options.inputs), options.loop), paced: true };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class TerminalCamera {
+    constructor(options, output = process.stdout) {
+        this.output = output;
+        this.settings = {
+            charset: options.charset,
+            resolution: options.resolution,
+            colorMode: options.colorMode
+        };
+        this.characterAspect = options.characterAspect;
+        this.dither = options.dither;
+        this.fps = options.fps;
+        
+        this.image = null; // Last source image, redrawn when a setting changes
+        this.grid = null; // Grid size on screen, to clear leftovers when it changes
+        this.frameTimes = [];
+        this.paused = false;
+        this.ended = false;
+        this.showHelp = false;
+        this.stopped = false;
+        this.screenActive = false;
+        this.wake = null;
+        this.onStop = () => {};
+    }
+    
+    terminalSize() {
+        return { columns: this.output.columns || 80, rows: this.output.rows || 24 };
+    }
+    
+    // The bottom row is kept for the status line
+    gridSize(image) {
+        const { columns, rows } = this.terminalSize();
+        const resolution = this.settings.resolution;
+        const maxWidth = resolution === 'fit' ? columns : Math.min(columns, AsciiCore.RESOLUTIONS[resolution].width);
+        return fitGrid(maxWidth, Math.max(1, rows - 1), image.width, image.height, this.characterAspect);
+    }
+    
+    // fitGrid already matches the source's shape, so the whole image is
+    // scaled to the grid without a crop
+    convert(image, grid) {
+        const options = {
+            charset: this.settings.charset,
+            colorMode: this.settings.colorMode,
+            dither: this.dither
+        };
+        const sampling = AsciiCore.getSampling(options.charset, options);
+        const pixels = AsciiCore.resample(image.data, image.width, image.height,
+            { sx: 0, sy: 0, sWidth: image.width, sHeight: image.height },
+            grid.width * sampling.x, grid.height * sampling.y);
+        return AsciiCore.convertPixels(pixels, grid.width, grid.height, options);
+    }
+    
+    statusLine(grid) {
+        const { charset, resolution, colorMode } = this.settings;
+        const state = this.ended ? 'end of input' : this.paused ? 'paused' : `${this.frameTimes.length} fps`;
+        const text = this.showHelp ?
+            HELP_KEYS :
+            `${charset} · ${resolution} ${grid.width}×${grid.height} · ${colorMode} · ${state} · h help`;
+        return ' ' + text.slice(0, Math.max(0, this.terminalSize().columns - 2));
+    }
+    
+    draw() {
+        if (!this.image || this.stopped) return;
+        
+        const grid = this.gridSize(this.image);
+        const frame = this.convert(this.image, grid);
+        let screen = '';
+        if (!this.grid || this.grid.width !== grid.width || this.grid.height !== grid.height) {
+            screen += '\x1b[0m\x1b[2J';
+        }
+        this.grid = grid;
+        
+        // Raw mode may leave output post-processing off, so rows end with an
+        // explicit carriage return
+        screen += '\x1b[H' + AsciiCore.toAnsi(frame).replace(/\n/g, '\x1b[K\r\n');
+        screen += `\x1b[${this.terminalSize().rows};1H\x1b[0m\x1b[7m${this.statusLine(grid)}\x1b[K\x1b[0m`;
+        this.output.write(screen);
+    }
+    
+    // Frames shown in the last second
+    countFrame() {
+        const now = Date.now();
+        this.frameTimes.push(now);
+        while (this.frameTimes[0] <= now - 1000) {
+            this.frameTimes.shift();
+        }
+    }
+    
+    cycle(setting, values, step) {
+        const index = values.indexOf(this.settings[setting]);
+        this.settings[setting] = values[(index + step + values.length) % values.length];
+    }
+    
+    // Keyboard input in raw mode; escape sequences (arrow keys and the like)
+    // are ignored, a lone Escape quits
+    handleInput(data) {
+        if (data.startsWith('\x1b')) {
+            if (data === '\x1b') {
+                this.stop();
+            }
+            return;
+        }
+        for (const key of data) {
+            this.handleKey(key);
+        }
+    }
+    
+    handleKey(key) {
+        switch (key) {
+            case 's':
+            case 'S':
+                this.cycle('charset', AsciiCore.STYLES, key === 's' ? 1 : -1);
+                break;
+            case 'r':
+            case 'R':
+                this.cycle('resolution', RESOLUTIONS, key === 'r' ? 1 : -1);
+                break;
+            case 'c':
+            case 'C':
+                this.cycle('colorMode', AsciiCore.COLOR_MODES, key === 'c' ? 1 : -1);
+                break;
+            case ' ':
+                this.paused = !this.paused;
+                this.wakeUp();
+                break;
+            case 'h':
+            case '?':
+                this.showHelp = !this.showHelp;
+                break;
+            case 'q':
+            case 'Q':
+            case '\x03': // Ctrl+C
+                this.stop();
+                return;
+            default:
+                return;
+        }
+        this.draw();
+    }
+    
+    // Called on SIGWINCH (the output's 'resize' event)
+    resize() {
+        this.grid = null;
+        this.draw();
+    }
+    
+    waitForWake() {
+        return new Promise(resolve => {
+            this.wake = resolve;
+        });
+    }
+    
+    wakeUp() {
+        const wake = this.wake;
+        this.wake = null;
+        if (wake) {
+            wake();
+        }
+    }
+    
+    // Plays the source until it ends or the user quits. With holdAtEnd the
+    // last frame stays up (and can still be restyled) until the user quits.
+    async run(source, holdAtEnd = true) {
+        const interval = 1000 / this.fps;
+        const onResize = () => this.resize();
+        this.output.on('resize', onResize);
+        this.output.write(SCREEN_START);
+        this.screenActive = true;
+        
+        try {
+            for await (const image of source.frames) {
+                if (this.stopped) break;
+                
+                const started = Date.now();
+                this.image = image;
+                this.countFrame();
+                this.draw();
+                
+                if (source.paced) {
+                    await sleep(interval - (Date.now() - started));
+                }
+                while (this.paused && !this.stopped) {
+                    await this.waitForWake();
+                }
+                if (this.stopped) break;
+            }
+            
+            this.ended = true;
+            this.draw();
+            while (holdAtEnd && !this.stopped) {
+                await this.waitForWake();
+            }
+        } finally {
+            this.output.off('resize', onResize);
+            this.restoreScreen();
+        }
+    }
+    
+    restoreScreen() {
+        if (!this.screenActive) return;
+        this.screenActive = false;
+        this.output.write(SCREEN_END);
+    }
+    
+    // Quit from a key or a signal. onStop runs even while the source is
+    // still waiting for its next frame.
+    stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        this.restoreScreen();
+        this.wakeUp();
+        this.onStop();
+    }
+}
+
+// Keys come from the terminal itself when standard input carries frames
+function openKeyboard(stdinIsSource) {
+    if (!stdinIsSource && process.stdin.isTTY) {
+        return process.stdin;
+    }
+    try {
+        return new tty.ReadStream(fs.openSync('/dev/tty', 'r'));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function main(argv) {
+    const options = parseOptions(argv);
+    if (options.help) {
+        process.stdout.write(HELP);
+        return;
+    }
+    
+    const source = createSource(options);
+    const camera = new TerminalCamera(options);
+    const keyboard = openKeyboard(options.inputs[0] === '-');
+    
+    const closeKeyboard = () => {
+        if (keyboard) {
+            keyboard.setRawMode(false);
+            keyboard.destroy();
+        }
+    };
+    
+    if (keyboard) {
+        keyboard.setRawMode(true);
+        keyboard.setEncoding('utf8');
+        keyboard.on('data', data => camera.handleInput(data));
+    }
+    camera.onStop = () => {
+        // Exit right away rather than wait for a stream's next frame
+        closeKeyboard();
+        process.exit(0);
+    };
+    process.on('SIGINT', () => camera.stop());
+    process.on('SIGTERM', () => camera.stop());
+    
+    try {
+        await camera.run(source, keyboard !== null);
+    } finally {
+        closeKeyboard();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        process.stderr.write(`terminal-camera: ${error.message}\n`);
+        if (error instanceof UsageError) {
+            process.stderr.write('Run with --help for usage.\n');
+        }
+        process.exit(1);
+    });
+}
+
+module.exports = { RESOLUTIONS, parseOptions, fitGrid, testPatternFrame, createSource, TerminalCamera, main };
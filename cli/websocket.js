@@ -0,0 +1,239 @@
+// Minimal WebSocket server connections (RFC 6455) for the relay
+// Pure Node: the opening handshake, text and binary messages, fragmentation,
+// ping/pong and the closing handshake. No extensions or subprotocols.
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+const CLOSE_TIMEOUT = 3000; // ms to wait for the peer's close frame
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+// A protocol violation; code is the close code sent to the peer
+class WebSocketError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'WebSocketError';
+        this.code = code;
+    }
+}
+
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+// Server frames are never masked
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// Emits 'message' (a string for text, a Buffer for binary) and 'close'
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, head) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // { opcode, parts, size } while a message is split
+        this.closing = false;
+        this.closed = false;
+        
+        socket.setNoDelay(true);
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => socket.destroy());
+        
+        if (head && head.length) {
+            this.receive(head);
+        }
+    }
+    
+    // Bytes queued but not yet handed to the OS, like the browser's property
+    get bufferedAmount() {
+        return this.socket.writableLength;
+    }
+    
+    send(data) {
+        if (this.closing) return;
+        const text = typeof data === 'string';
+        this.socket.write(encodeFrame(text ? OPCODES.text : OPCODES.binary, text ? Buffer.from(data) : data));
+    }
+    
+    close(code = 1000, reason = '') {
+        if (this.closing) return;
+        this.closing = true;
+        
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.write(encodeFrame(OPCODES.close, payload));
+        setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT).unref();
+    }
+    
+    receive(data) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, data]) : data;
+        try {
+            let frame;
+            while (!this.closed && (frame = this.readFrame())) {
+                this.handleFrame(frame);
+            }
+        } catch (error) {
+            if (!(error instanceof WebSocketError)) throw error;
+            this.buffer = Buffer.alloc(0);
+            this.close(error.code, error.message);
+            this.socket.end();
+        }
+    }
+    
+    // The next complete frame in the buffer, or null until more data arrives
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        
+        if (buffer[0] & 0x70) {
+            throw new WebSocketError(1002, 'Reserved bits set');
+        }
+        if (!(buffer[1] & 0x80)) {
+            throw new WebSocketError(1002, 'Client frames must be masked');
+        }
+        
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const bigLength = buffer.readBigUInt64BE(2);
+            length = bigLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(bigLength);
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            throw new WebSocketError(1009, 'Message too big');
+        }
+        if (buffer.length < offset + 4 + length) return null;
+        
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i & 3];
+        }
+        this.buffer = buffer.subarray(offset + 4 + length);
+        
+        return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload };
+    }
+    
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode >= OPCODES.close && (!fin || payload.length > 125)) {
+            throw new WebSocketError(1002, 'Invalid control frame');
+        }
+        
+        switch (opcode) {
+            case OPCODES.ping:
+                if (!this.closing) {
+                    this.socket.write(encodeFrame(OPCODES.pong, payload));
+                }
+                return;
+            case OPCODES.pong:
+                return;
+            case OPCODES.close:
+                // Echo the status code back, then hang up
+                if (!this.closing) {
+                    this.closing = true;
+                    this.socket.write(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+                }
+                this.socket.end();
+                return;
+            case OPCODES.text:
+            case OPCODES.binary:
+                if (this.fragments) {
+                    throw new WebSocketError(1002, 'Expected a continuation frame');
+                }
+                if (fin) {
+                    this.emitMessage(opcode, payload);
+                } else {
+                    this.fragments = { opcode, parts: [payload], size: payload.length };
+                }
+                return;
+            case OPCODES.continuation: {
+                const fragments = this.fragments;
+                if (!fragments) {
+                    throw new WebSocketError(1002, 'Unexpected continuation frame');
+                }
+                fragments.parts.push(payload);
+                fragments.size += payload.length;
+                if (fragments.size > MAX_MESSAGE_SIZE) {
+                    throw new WebSocketError(1009, 'Message too big');
+                }
+                if (fin) {
+                    this.fragments = null;
+                    this.emitMessage(fragments.opcode, Buffer.concat(fragments.parts));
+                }
+                return;
+            }
+            default:
+                throw new WebSocketError(1002, `Unknown opcode ${opcode}`);
+        }
+    }
+    
+    emitMessage(opcode, payload) {
+        if (this.closing) return;
+        this.emit('message', opcode === OPCODES.text ? payload.toString('utf8') : payload);
+    }
+    
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.closing = true;
+        this.emit('close');
+    }
+}
+
+// Complete the handshake for an HTTP 'upgrade' event. Returns the
+// connection, or null after refusing a request that isn't a WebSocket.
+function acceptUpgrade(request, socket, head) {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = (request.headers.upgrade || '').toLowerCase();
+    
+    if (upgrade !== 'websocket' || !key || request.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '',
+        ''
+    ].join('\r\n'));
+    return new WebSocketConnection(socket, head);
+}
+
+module.exports = { OPCODES, WebSocketError, WebSocketConnection, acceptKey, acceptUpgrade };
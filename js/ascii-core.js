@@ -0,0 +1,1267 @@
+// ASCII Camera conversion core
+// DOM-free: works on raw RGBA pixel buffers so it can run in the page,
+// in Web Workers (importScripts) and in Node (require).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AsciiCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+    
+    // ASCII Character Sets
+    const CHARSETS = {
+        simple: '@%#*+=-:. ',
+        detailed: '$@B%8&WM#*oahkbdpqwmZO0QLCJUYXzcvunxrjft/\\|()1{}[]?-_+~<>i!lI;:,"^`\'. ',
+        blocks: '█▓▒░ ',
+        inverse: ' .:-=+*#%@',
+        binary: '01',
+    };
+    
+    // Resolution presets as column counts. The row count follows from the
+    // source aspect ratio and the character aspect ratio.
+    const RESOLUTIONS = {
+        'ultra-low': { width: 40 },
+        'low': { width: 60 },
+        'medium': { width: 100 },
+        'high': { width: 140 },
+        'ultra': { width: 180 },
+        'native': { width: 0 }   // One column per 8 source pixels
+    };
+    
+    const DEFAULT_CHARACTER_ASPECT = 2.0; // ASCII characters are about 2x taller than wide
+    const MAX_NATIVE_WIDTH = 240; // Maximum characters width for performance
+    const MAX_CUSTOM_SIZE = 500; // Largest explicit grid side, in characters
+    
+    // How the source is placed in a grid of another shape: crop fills the
+    // grid and cuts off the overflow, letterbox shows all of the source with
+    // blank margins, stretch fills the grid and distorts the picture
+    const FIT_MODES = ['crop', 'letterbox', 'stretch'];
+    
+    // Standard xterm colors for the 16-color mode (0-7 normal, 8-15 bright)
+    const ANSI16_PALETTE = [
+        [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+        [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+        [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+        [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+    ];
+    
+    // Channel levels of the xterm 6×6×6 color cube (indices 16-231)
+    const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+    
+    const COLOR_MODES = ['mono', 'truecolor', '256', '16'];
+    
+    // Tone mapping applied to luminance before character mapping
+    const DEFAULT_TONE = {
+        brightness: 0,  // -100..100
+        contrast: 0,    // -100..100
+        gamma: 1,       // 0.1..3, above 1 lifts shadows
+        levels: 'none'  // none, auto or equalize
+    };
+    const LEVELS_MODES = ['none', 'auto', 'equalize'];
+    const DITHER_METHODS = ['none', 'floyd-steinberg', 'atkinson', 'bayer'];
+    
+    // Error diffusion kernels as [dx, dy, weight]
+    const DIFFUSION_KERNELS = {
+        'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+        // Atkinson only spreads 6/8 of the error, which keeps contrast high
+        'atkinson': [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+    };
+    
+    const BAYER_4X4 = [
+        [0, 8, 2, 10],
+        [12, 4, 14, 6],
+        [3, 11, 1, 9],
+        [15, 7, 13, 5]
+    ];
+    
+    function resolveCharset(charset) {
+        if (!charset) {
+            return CHARSETS.detailed;
+        }
+        return CHARSETS[charset] || (charset.length > 1 ? charset : CHARSETS.detailed);
+    }
+    
+    // User-defined ramps, shared as JSON:
+    // { version: 1, charsets: [{ name, chars, font, autoSort }] }
+    const CHARSET_FILE_VERSION = 1;
+    const MAX_CUSTOM_GLYPHS = 256;
+    
+    // Validated copy of a custom charset; glyphs are deduplicated in order.
+    // Throws with a readable message when the definition can't be used.
+    function normalizeCustomCharset(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Charset must be an object');
+        }
+        
+        const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+        if (!name) {
+            throw new Error('Charset needs a name');
+        }
+        if (typeof definition.chars !== 'string') {
+            throw new Error(`Charset "${name}" has no characters`);
+        }
+        
+        const glyphs = [...new Set(Array.from(definition.chars))].filter(char => !/[\u0000-\u001f\u007f]/.test(char));
+        if (glyphs.length < 2) {
+            throw new Error(`Charset "${name}" needs at least two different characters`);
+        }
+        if (glyphs.length > MAX_CUSTOM_GLYPHS) {
+            throw new Error(`Charset "${name}" has more than ${MAX_CUSTOM_GLYPHS} characters`);
+        }
+        
+        return {
+            name,
+            chars: glyphs.join(''),
+            font: typeof definition.font === 'string' && definition.font ? definition.font : 'monospace',
+            autoSort: definition.autoSort !== false
+        };
+    }
+    
+    function parseCharsetFile(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Charset file is not valid JSON');
+        }
+        
+        if (!file || !Array.isArray(file.charsets)) {
+            throw new Error('Charset file has no "charsets" list');
+        }
+        if (file.version > CHARSET_FILE_VERSION) {
+            throw new Error(`Charset file version ${file.version} is newer than this app supports`);
+        }
+        return file.charsets.map(normalizeCustomCharset);
+    }
+    
+    function toCharsetFile(charsets) {
+        return JSON.stringify({
+            version: CHARSET_FILE_VERSION,
+            charsets: charsets.map(normalizeCustomCharset)
+        }, null, 2) + '\n';
+    }
+    
+    // Output grid size for a resolution preset (or explicit width/height).
+    // Characters are characterAspect times taller than wide, so a source of
+    // aspect ratio A needs A × characterAspect columns per row to keep its shape.
+    function calculateTargetDimensions(options = {}) {
+        const {
+            resolution = 'medium',
+            sourceWidth = 0,
+            sourceHeight = 0,
+            characterAspect = DEFAULT_CHARACTER_ASPECT
+        } = options;
+        
+        if (options.width && options.height) {
+            return { width: Math.max(1, Math.round(options.width)), height: Math.max(1, Math.round(options.height)) };
+        }
+        
+        const aspectRatio = sourceWidth && sourceHeight ? sourceWidth / sourceHeight : 16 / 9;
+        const width = resolution === 'native' ?
+            Math.min(sourceWidth / 8, MAX_NATIVE_WIDTH) :
+            (RESOLUTIONS[resolution] || RESOLUTIONS.medium).width;
+        
+        return {
+            width: Math.max(1, Math.round(width)),
+            height: Math.max(1, Math.round(width / (aspectRatio * characterAspect)))
+        };
+    }
+    
+    // Where the source goes in a grid of width × height characters: the
+    // source region to sample (crop) and the part of the grid it covers
+    // (dest, in characters). See FIT_MODES.
+    function calculatePlacement(sourceWidth, sourceHeight, width, height, options = {}) {
+        const { fit = 'crop', characterAspect = DEFAULT_CHARACTER_ASPECT } = options;
+        const full = { sx: 0, sy: 0, sWidth: sourceWidth, sHeight: sourceHeight };
+        const grid = { dx: 0, dy: 0, dWidth: width, dHeight: height };
+        
+        // Shape of the grid as displayed, in character widths
+        const displayHeight = height * characterAspect;
+        
+        if (fit === 'stretch') {
+            return { crop: full, dest: grid };
+        }
+        if (fit !== 'letterbox') {
+            return { crop: calculateCrop(sourceWidth, sourceHeight, width, displayHeight), dest: grid };
+        }
+        
+        const scale = Math.min(width / sourceWidth, displayHeight / sourceHeight);
+        const dWidth = sourceWidth * scale;
+        const dHeight = sourceHeight * scale / characterAspect;
+        return {
+            crop: full,
+            dest: { dx: (width - dWidth) / 2, dy: (height - dHeight) / 2, dWidth, dHeight }
+        };
+    }
+    
+    // Center crop of the source that matches the target aspect ratio
+    function calculateCrop(sourceWidth, sourceHeight, targetWidth, targetHeight) {
+        const sourceAspect = sourceWidth / sourceHeight;
+        const targetAspect = targetWidth / targetHeight;
+        
+        let sx, sy, sWidth, sHeight;
+        
+        if (sourceAspect > targetAspect) {
+            // Source is wider - crop sides
+            sHeight = sourceHeight;
+            sWidth = sHeight * targetAspect;
+            sx = (sourceWidth - sWidth) / 2;
+            sy = 0;
+        } else {
+            // Source is taller - crop top/bottom
+            sWidth = sourceWidth;
+            sHeight = sWidth / targetAspect;
+            sx = 0;
+            sy = (sourceHeight - sHeight) / 2;
+        }
+        
+        return { sx, sy, sWidth, sHeight };
+    }
+    
+    // Nearest-neighbour scale of a cropped RGBA region, the same sampling as
+    // drawImage with imageSmoothingEnabled = false. dest is the rectangle of
+    // the output it fills (all of it by default); the rest is opaque black.
+    function resample(data, sourceWidth, sourceHeight, crop, targetWidth, targetHeight, dest = null) {
+        const { dx, dy, dWidth, dHeight } = dest || { dx: 0, dy: 0, dWidth: targetWidth, dHeight: targetHeight };
+        const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+        const scaleX = crop.sWidth / dWidth;
+        const scaleY = crop.sHeight / dHeight;
+        
+        for (let y = 0; y < targetHeight; y++) {
+            const sourceY = Math.min(sourceHeight - 1, Math.floor(crop.sy + (y + 0.5 - dy) * scaleY));
+            for (let x = 0; x < targetWidth; x++) {
+                const sourceX = Math.min(sourceWidth - 1, Math.floor(crop.sx + (x + 0.5 - dx) * scaleX));
+                const to = (y * targetWidth + x) * 4;
+                if (x + 0.5 < dx || x + 0.5 >= dx + dWidth || y + 0.5 < dy || y + 0.5 >= dy + dHeight) {
+                    output[to + 3] = 255;
+                    continue;
+                }
+                const from = (sourceY * sourceWidth + sourceX) * 4;
+                output[to] = data[from];
+                output[to + 1] = data[from + 1];
+                output[to + 2] = data[from + 2];
+                output[to + 3] = data[from + 3];
+            }
+        }
+        
+        return output;
+    }
+    
+    function quantizeTo256(r, g, b) {
+        // Nearest point of the 6×6×6 cube
+        const toLevel = (v) => v < 48 ? 0 : v < 115 ? 1 : Math.floor((v - 35) / 40);
+        const ri = toLevel(r);
+        const gi = toLevel(g);
+        const bi = toLevel(b);
+        const cr = CUBE_LEVELS[ri];
+        const cg = CUBE_LEVELS[gi];
+        const cb = CUBE_LEVELS[bi];
+        
+        // Nearest step of the 24-step grayscale ramp (indices 232-255)
+        const average = (r + g + b) / 3;
+        const grayIndex = Math.min(23, Math.max(0, Math.round((average - 8) / 10)));
+        const gray = 8 + grayIndex * 10;
+        
+        const cubeDistance = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+        const grayDistance = (r - gray) ** 2 + (g - gray) ** 2 + (b - gray) ** 2;
+        
+        if (grayDistance < cubeDistance) {
+            return { r: gray, g: gray, b: gray, code: 232 + grayIndex };
+        }
+        return { r: cr, g: cg, b: cb, code: 16 + 36 * ri + 6 * gi + bi };
+    }
+    
+    function quantizeTo16(r, g, b) {
+        let best = 0;
+        let bestDistance = Infinity;
+        
+        ANSI16_PALETTE.forEach(([pr, pg, pb], index) => {
+            const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = index;
+            }
+        });
+        
+        const [pr, pg, pb] = ANSI16_PALETTE[best];
+        return { r: pr, g: pg, b: pb, code: best };
+    }
+    
+    function quantizeColor(r, g, b, mode) {
+        if (mode === '256') {
+            return quantizeTo256(r, g, b);
+        }
+        if (mode === '16') {
+            return quantizeTo16(r, g, b);
+        }
+        return { r, g, b, code: null };
+    }
+    
+    // Perceptual luminance (0-255) of each RGBA pixel
+    function computeLuminance(data, width, height) {
+        const luminance = new Float64Array(width * height);
+        for (let i = 0; i < luminance.length; i++) {
+            luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+        return luminance;
+    }
+    
+    // Levels first (normalize the input range), then brightness, contrast
+    // and gamma. Works in place and returns the array.
+    function applyTone(luminance, tone = {}) {
+        const { brightness, contrast, gamma, levels } = { ...DEFAULT_TONE, ...tone };
+        
+        if (levels === 'auto') {
+            autoLevels(luminance);
+        } else if (levels === 'equalize') {
+            equalizeHistogram(luminance);
+        }
+        
+        if (brightness === 0 && contrast === 0 && gamma === 1) {
+            return luminance;
+        }
+        
+        const offset = brightness * 2.55;
+        const c = contrast * 2.55;
+        const factor = (259 * (c + 255)) / (255 * (259 - c));
+        
+        for (let i = 0; i < luminance.length; i++) {
+            let value = factor * (luminance[i] + offset - 128) + 128;
+            value = Math.min(255, Math.max(0, value));
+            if (gamma !== 1) {
+                value = 255 * Math.pow(value / 255, 1 / gamma);
+            }
+            luminance[i] = value;
+        }
+        
+        return luminance;
+    }
+    
+    // Stretch the 1st-99th percentile range to the full 0-255 range
+    function autoLevels(luminance) {
+        const histogram = buildHistogram(luminance);
+        const clip = luminance.length * 0.01;
+        
+        let low = 0;
+        for (let count = 0; low < 255 && count + histogram[low] <= clip; low++) {
+            count += histogram[low];
+        }
+        let high = 255;
+        for (let count = 0; high > 0 && count + histogram[high] <= clip; high--) {
+            count += histogram[high];
+        }
+        if (high <= low) {
+            return luminance;
+        }
+        
+        for (let i = 0; i < luminance.length; i++) {
+            luminance[i] = Math.min(255, Math.max(0, (luminance[i] - low) * 255 / (high - low)));
+        }
+        return luminance;
+    }
+    
+    function equalizeHistogram(luminance) {
+        const histogram = buildHistogram(luminance);
+        const cdf = new Float64Array(256);
+        let total = 0;
+        for (let i = 0; i < 256; i++) {
+            total += histogram[i];
+            cdf[i] = total;
+        }
+        
+        const cdfMin = cdf.find(value => value > 0);
+        const range = luminance.length - cdfMin;
+        if (range <= 0) {
+            return luminance;
+        }
+        
+        for (let i = 0; i < luminance.length; i++) {
+            const bin = Math.min(255, Math.round(luminance[i]));
+            luminance[i] = (cdf[bin] - cdfMin) * 255 / range;
+        }
+        return luminance;
+    }
+    
+    function buildHistogram(luminance) {
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < luminance.length; i++) {
+            histogram[Math.min(255, Math.max(0, Math.round(luminance[i])))]++;
+        }
+        return histogram;
+    }
+    
+    // Luminance to ramp positions (0..levels-1). Without dithering this is the
+    // plain floor(brightness / 255 * (levels - 1)); the dithered variants round
+    // to the nearest level and spread or pattern the remainder.
+    function mapToRamp(luminance, width, height, levels, dither = 'none') {
+        const indices = new Uint16Array(width * height);
+        const maxLevel = levels - 1;
+        
+        if (dither === 'bayer') {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = y * width + x;
+                    const threshold = (BAYER_4X4[y & 3][x & 3] + 0.5) / 16 - 0.5;
+                    const level = Math.round(luminance[i] / 255 * maxLevel + threshold);
+                    indices[i] = Math.min(maxLevel, Math.max(0, level));
+                }
+            }
+            return indices;
+        }
+        
+        const kernel = DIFFUSION_KERNELS[dither];
+        if (!kernel) {
+            for (let i = 0; i < indices.length; i++) {
+                indices[i] = Math.floor((luminance[i] / 255) * maxLevel);
+            }
+            return indices;
+        }
+        
+        // Error diffusion in ramp units, on a copy so the input stays intact
+        const values = Float64Array.from(luminance, value => value / 255 * maxLevel);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const level = Math.min(maxLevel, Math.max(0, Math.round(values[i])));
+                const error = values[i] - level;
+                indices[i] = level;
+                
+                for (const [dx, dy, weight] of kernel) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx >= 0 && nx < width && ny < height) {
+                        values[ny * width + nx] += error * weight;
+                    }
+                }
+            }
+        }
+        return indices;
+    }
+    
+    // Box-average a sub-sampled buffer down to one RGBA pixel per cell
+    function averageCells(data, width, height, sampling) {
+        const { x: sx, y: sy } = sampling;
+        const stride = width * sx;
+        const cells = new Uint8ClampedArray(width * height * 4);
+        const count = sx * sy;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let dy = 0; dy < sy; dy++) {
+                    for (let dx = 0; dx < sx; dx++) {
+                        const index = ((y * sy + dy) * stride + x * sx + dx) * 4;
+                        r += data[index];
+                        g += data[index + 1];
+                        b += data[index + 2];
+                    }
+                }
+                const cell = (y * width + x) * 4;
+                cells[cell] = r / count;
+                cells[cell + 1] = g / count;
+                cells[cell + 2] = b / count;
+                cells[cell + 3] = 255;
+            }
+        }
+        
+        return cells;
+    }
+    
+    // Edge-aware style: Sobel on a 2×2-per-cell grid, directional glyphs where
+    // the gradient is strong and a light ramp everywhere else
+    const EDGE_FILL = ' .:;+*%#@';
+    const DEFAULT_EDGE_THRESHOLD = 100;
+    
+    function renderEdges(data, width, height, sampling, options) {
+        const { x: sx, y: sy } = sampling;
+        const gridWidth = width * sx;
+        const gridHeight = height * sy;
+        const luminance = applyTone(computeLuminance(data, gridWidth, gridHeight), options.tone);
+        const threshold = options.edgeThreshold || DEFAULT_EDGE_THRESHOLD;
+        const samples = sx * sy;
+        
+        const at = (x, y) => luminance[
+            Math.min(gridHeight - 1, Math.max(0, y)) * gridWidth + Math.min(gridWidth - 1, Math.max(0, x))
+        ];
+        
+        // Per cell: gradient magnitude, edge angle, brightness and whether
+        // the horizontal edge sits low in the cell
+        const magnitudes = new Float64Array(width * height);
+        const angles = new Float64Array(width * height);
+        const brightness = new Float64Array(width * height);
+        const lowEdges = new Uint8Array(width * height);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // Structure tensor of the cell's Sobel gradients; unlike a plain
+                // gradient sum it does not cancel out across thin lines
+                let sxx = 0, syy = 0, sxy = 0, sum = 0;
+                let topEnergy = 0, bottomEnergy = 0;
+                
+                for (let dy = 0; dy < sy; dy++) {
+                    for (let dx = 0; dx < sx; dx++) {
+                        const px = x * sx + dx;
+                        const py = y * sy + dy;
+                        const gx = (at(px + 1, py - 1) + 2 * at(px + 1, py) + at(px + 1, py + 1)) -
+                            (at(px - 1, py - 1) + 2 * at(px - 1, py) + at(px - 1, py + 1));
+                        const gy = (at(px - 1, py + 1) + 2 * at(px, py + 1) + at(px + 1, py + 1)) -
+                            (at(px - 1, py - 1) + 2 * at(px, py - 1) + at(px + 1, py - 1));
+                        
+                        sxx += gx * gx;
+                        syy += gy * gy;
+                        sxy += gx * gy;
+                        sum += at(px, py);
+                        if (dy < sy / 2) {
+                            topEnergy += gy * gy;
+                        } else {
+                            bottomEnergy += gy * gy;
+                        }
+                    }
+                }
+                
+                // Gradient orientation, then the edge runs perpendicular to it
+                // (angles in degrees with y pointing down)
+                const cell = y * width + x;
+                const gradientAngle = 0.5 * Math.atan2(2 * sxy, sxx - syy) * 180 / Math.PI;
+                magnitudes[cell] = Math.sqrt((sxx + syy) / samples);
+                angles[cell] = (gradientAngle + 90 + 180) % 180;
+                brightness[cell] = sum / samples;
+                lowEdges[cell] = bottomEnergy > topEnergy * 1.5 ? 1 : 0;
+            }
+        }
+        
+        const magnitudeAt = (x, y) => x >= 0 && x < width && y >= 0 && y < height ? magnitudes[y * width + x] : 0;
+        
+        const rows = [];
+        for (let y = 0; y < height; y++) {
+            let line = '';
+            for (let x = 0; x < width; x++) {
+                const cell = y * width + x;
+                const angle = angles[cell];
+                
+                // Across-edge neighbours, for non-maximum suppression
+                let nx = 0, ny = 0;
+                if (angle < 22.5 || angle >= 157.5) {
+                    ny = 1;
+                } else if (angle < 67.5) {
+                    nx = 1;
+                    ny = -1;
+                } else if (angle < 112.5) {
+                    nx = 1;
+                } else {
+                    nx = 1;
+                    ny = 1;
+                }
+                
+                const magnitude = magnitudes[cell];
+                const isEdge = magnitude >= threshold &&
+                    magnitude >= magnitudeAt(x + nx, y + ny) &&
+                    magnitude > magnitudeAt(x - nx, y - ny);
+                
+                if (!isEdge) {
+                    line += EDGE_FILL[Math.floor((brightness[cell] / 255) * (EDGE_FILL.length - 1))];
+                } else if (ny === 1 && nx === 0) {
+                    // Horizontal: sit on the baseline when the edge is low in the cell
+                    line += lowEdges[cell] ? '_' : '-';
+                } else if (ny === -1) {
+                    line += '\\';
+                } else if (ny === 0) {
+                    line += '|';
+                } else {
+                    line += '/';
+                }
+            }
+            rows.push(line);
+        }
+        
+        return rows;
+    }
+    
+    // Shape matching: each cell's sub-pixel pattern is compared against glyph
+    // bitmaps, on both overall density and shape. The page rasterizes the
+    // display font into an atlas (options.glyphAtlas); this built-in 5×8 atlas
+    // is the fallback for Node and workers. '#' marks ink.
+    const SHAPE_GRID = { cols: 5, rows: 8 };
+    
+    const BUILTIN_GLYPHS = {
+        ' ': ['.....', '.....', '.....', '.....', '.....', '.....', '.....', '.....'],
+        '.': ['.....', '.....', '.....', '.....', '.....', '.....', '..#..', '.....'],
+        ',': ['.....', '.....', '.....', '.....', '.....', '..#..', '..#..', '.#...'],
+        ':': ['.....', '.....', '..#..', '.....', '.....', '..#..', '.....', '.....'],
+        ';': ['.....', '.....', '..#..', '.....', '.....', '..#..', '..#..', '.#...'],
+        '\'': ['..#..', '..#..', '.....', '.....', '.....', '.....', '.....', '.....'],
+        '"': ['.#.#.', '.#.#.', '.....', '.....', '.....', '.....', '.....', '.....'],
+        '`': ['.#...', '..#..', '.....', '.....', '.....', '.....', '.....', '.....'],
+        '-': ['.....', '.....', '.....', '.###.', '.....', '.....', '.....', '.....'],
+        '_': ['.....', '.....', '.....', '.....', '.....', '.....', '.....', '#####'],
+        '=': ['.....', '.....', '#####', '.....', '#####', '.....', '.....', '.....'],
+        '+': ['.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....', '.....'],
+        '|': ['..#..', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+        '/': ['....#', '....#', '...#.', '..#..', '..#..', '.#...', '#....', '#....'],
+        '(': ['...#.', '..#..', '.#...', '.#...', '.#...', '.#...', '..#..', '...#.'],
+        '<': ['.....', '...#.', '..#..', '.#...', '..#..', '...#.', '.....', '.....'],
+        '[': ['.###.', '.#...', '.#...', '.#...', '.#...', '.#...', '.###.', '.....'],
+        '^': ['..#..', '.#.#.', '#...#', '.....', '.....', '.....', '.....', '.....'],
+        'v': ['.....', '.....', '#...#', '#...#', '.#.#.', '.#.#.', '..#..', '.....'],
+        'o': ['.....', '.....', '.###.', '#...#', '#...#', '#...#', '.###.', '.....'],
+        'O': ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.', '.....'],
+        '*': ['.....', '..#..', '#.#.#', '.###.', '#.#.#', '..#..', '.....', '.....'],
+        '#': ['.#.#.', '.#.#.', '#####', '.#.#.', '#####', '.#.#.', '.#.#.', '.....'],
+        '@': ['.###.', '#...#', '#.###', '#.#.#', '#.###', '#....', '.###.', '.....'],
+        'L': ['#....', '#....', '#....', '#....', '#....', '#....', '#####', '.....'],
+        'T': ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..', '.....'],
+        'J': ['....#', '....#', '....#', '....#', '....#', '#...#', '.###.', '.....'],
+        '7': ['#####', '....#', '...#.', '..#..', '..#..', '..#..', '..#..', '.....'],
+        'X': ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#', '.....'],
+        'Y': ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..', '.....'],
+        'H': ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#', '.....'],
+        'M': ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#', '.....'],
+        'W': ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '##.##', '#...#', '.....']
+    };
+    
+    // Mirror images of some of the glyphs above
+    const MIRRORED_GLYPHS = { '\\': '/', ')': '(', '>': '<', ']': '[' };
+    
+    const BUILTIN_ATLAS = (() => {
+        const rowsByChar = { ...BUILTIN_GLYPHS };
+        Object.entries(MIRRORED_GLYPHS).forEach(([char, source]) => {
+            rowsByChar[char] = BUILTIN_GLYPHS[source].map(row => row.split('').reverse().join(''));
+        });
+        
+        return {
+            cols: SHAPE_GRID.cols,
+            rows: SHAPE_GRID.rows,
+            glyphs: Object.entries(rowsByChar).map(([char, rows]) => ({
+                char,
+                bitmap: Float32Array.from(rows.join(''), pixel => pixel === '#' ? 1 : 0)
+            }))
+        };
+    })();
+    
+    // Shape weight against density: flat cells are matched on density alone,
+    // textured cells mostly on the correlation of their pattern with the glyph
+    const SHAPE_WEIGHT = 0.25;
+    const SHAPE_CONTRAST = 0.2;
+    
+    function describeGlyphs(atlas) {
+        const size = atlas.cols * atlas.rows;
+        const stats = atlas.glyphs.map(({ bitmap }) => {
+            const mean = bitmap.reduce((sum, value) => sum + value, 0) / size;
+            const variance = bitmap.reduce((sum, value) => sum + (value - mean) ** 2, 0) / size;
+            return { mean, deviation: Math.sqrt(variance) };
+        });
+        
+        // The densest glyph stands for full brightness
+        const maxMean = Math.max(...stats.map(stat => stat.mean)) || 1;
+        stats.forEach(stat => {
+            stat.density = stat.mean / maxMean;
+        });
+        return stats;
+    }
+    
+    function renderShapes(data, width, height, sampling, options) {
+        const atlas = options.glyphAtlas || BUILTIN_ATLAS;
+        const { x: sx, y: sy } = sampling;
+        const gridWidth = width * sx;
+        const luminance = applyTone(computeLuminance(data, gridWidth, height * sy), options.tone);
+        const size = sx * sy;
+        const stats = describeGlyphs(atlas);
+        const pattern = new Float64Array(size);
+        
+        const rows = [];
+        for (let y = 0; y < height; y++) {
+            let line = '';
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let dy = 0; dy < sy; dy++) {
+                    for (let dx = 0; dx < sx; dx++) {
+                        const value = luminance[(y * sy + dy) * gridWidth + x * sx + dx] / 255;
+                        pattern[dy * sx + dx] = value;
+                        sum += value;
+                    }
+                }
+                const mean = sum / size;
+                let variance = 0;
+                for (let i = 0; i < size; i++) {
+                    variance += (pattern[i] - mean) ** 2;
+                }
+                const deviation = Math.sqrt(variance / size);
+                const shapeWeight = SHAPE_WEIGHT * Math.min(1, deviation / SHAPE_CONTRAST);
+                
+                let best = 0;
+                let bestScore = Infinity;
+                for (let g = 0; g < atlas.glyphs.length; g++) {
+                    const bitmap = atlas.glyphs[g].bitmap;
+                    const stat = stats[g];
+                    
+                    let correlation = 0;
+                    if (shapeWeight > 0 && stat.deviation > 0) {
+                        let dot = 0;
+                        for (let i = 0; i < size; i++) {
+                            dot += pattern[i] * bitmap[i];
+                        }
+                        correlation = (dot / size - mean * stat.mean) / (deviation * stat.deviation);
+                    }
+                    
+                    const score = (mean - stat.density) ** 2 + shapeWeight * (1 - correlation);
+                    if (score < bestScore) {
+                        bestScore = score;
+                        best = g;
+                    }
+                }
+                line += atlas.glyphs[best].char;
+            }
+            rows.push(line);
+        }
+        
+        return rows;
+    }
+    
+    // Packed styles: every character is a small grid of on/off samples.
+    // Glyph lookups take a bitmask with bit i set when sample i (row-major
+    // within the cell) is on.
+    const HALF_BLOCK_CHARS = ' ▀▄█';
+    const QUADRANT_CHARS = ' ▘▝▀▖▌▞▛▗▚▐▜▄▙▟█';
+    // Braille numbers dots down the left column, then the right, with the
+    // bottom row added later as dots 7 and 8
+    const BRAILLE_DOTS = [0x01, 0x08, 0x02, 0x10, 0x04, 0x20, 0x40, 0x80];
+    
+    function brailleGlyph(bits) {
+        let code = 0x2800;
+        for (let i = 0; i < 8; i++) {
+            if (bits & (1 << i)) {
+                code |= BRAILLE_DOTS[i];
+            }
+        }
+        return String.fromCharCode(code);
+    }
+    
+    // Sextants live at U+1FB00 in pattern order, minus the empty and full
+    // cells and the two half columns that already exist as ▌ and ▐
+    function sextantGlyph(bits) {
+        if (bits === 0) return ' ';
+        if (bits === 63) return '█';
+        if (bits === 21) return '▌';
+        if (bits === 42) return '▐';
+        return String.fromCodePoint(0x1fb00 + bits - 1 - (bits > 21 ? 1 : 0) - (bits > 42 ? 1 : 0));
+    }
+    
+    // Global on/off decision per sample; without dithering this is a plain
+    // threshold at mid-gray
+    function binarize(luminance, width, height, dither) {
+        if (DIFFUSION_KERNELS[dither] || dither === 'bayer') {
+            return mapToRamp(luminance, width, height, 2, dither);
+        }
+        return Uint8Array.from(luminance, value => value >= 128 ? 1 : 0);
+    }
+    
+    // Shared renderer for the packed styles. In mono every sample is lit by
+    // the global threshold. With color, block styles split each cell at its
+    // own mean brightness into a foreground and a background color (so the
+    // pattern shows local detail); braille has no background and colors the
+    // lit dots only.
+    function renderPacked(data, width, height, sampling, options, glyph, twoColor) {
+        const { x: sx, y: sy } = sampling;
+        const gridWidth = width * sx;
+        const gridHeight = height * sy;
+        const count = sx * sy;
+        const colored = Boolean(options.colorMode) && options.colorMode !== 'mono';
+        const split = colored && twoColor;
+        
+        const luminance = applyTone(computeLuminance(data, gridWidth, gridHeight), options.tone);
+        const lit = split ? null : binarize(luminance, gridWidth, gridHeight, options.dither);
+        const colors = colored ? new Uint8ClampedArray(width * height * 3) : null;
+        const backgrounds = split ? new Uint8ClampedArray(width * height * 3) : null;
+        
+        // Running r, g, b, count for the lit and unlit samples of a cell
+        const sums = new Float64Array(8);
+        const rows = [];
+        
+        for (let y = 0; y < height; y++) {
+            let line = '';
+            for (let x = 0; x < width; x++) {
+                let mean = 0;
+                if (split) {
+                    for (let dy = 0; dy < sy; dy++) {
+                        for (let dx = 0; dx < sx; dx++) {
+                            mean += luminance[(y * sy + dy) * gridWidth + x * sx + dx];
+                        }
+                    }
+                    mean /= count;
+                }
+                
+                let bits = 0;
+                sums.fill(0);
+                for (let dy = 0; dy < sy; dy++) {
+                    for (let dx = 0; dx < sx; dx++) {
+                        const sample = (y * sy + dy) * gridWidth + x * sx + dx;
+                        const on = split ? luminance[sample] > mean : lit[sample] === 1;
+                        if (on) {
+                            bits |= 1 << (dy * sx + dx);
+                        }
+                        if (colored) {
+                            const offset = on ? 0 : 4;
+                            sums[offset] += data[sample * 4];
+                            sums[offset + 1] += data[sample * 4 + 1];
+                            sums[offset + 2] += data[sample * 4 + 2];
+                            sums[offset + 3]++;
+                        }
+                    }
+                }
+                
+                const cell = (y * width + x) * 3;
+                if (split) {
+                    // A flat cell has nothing above its mean: fill it with one color
+                    if (bits === 0) {
+                        bits = (1 << count) - 1;
+                        sums.copyWithin(0, 4, 8);
+                    }
+                    const background = sums[7] ? 4 : 0;
+                    backgrounds[cell] = sums[background] / sums[background + 3];
+                    backgrounds[cell + 1] = sums[background + 1] / sums[background + 3];
+                    backgrounds[cell + 2] = sums[background + 2] / sums[background + 3];
+                }
+                if (colored) {
+                    // Cells without lit samples still get the cell average
+                    const r = sums[3] ? sums[0] / sums[3] : (sums[0] + sums[4]) / count;
+                    const g = sums[3] ? sums[1] / sums[3] : (sums[1] + sums[5]) / count;
+                    const b = sums[3] ? sums[2] / sums[3] : (sums[2] + sums[6]) / count;
+                    colors[cell] = r;
+                    colors[cell + 1] = g;
+                    colors[cell + 2] = b;
+                }
+                
+                line += glyph(bits);
+            }
+            rows.push(line);
+        }
+        
+        return { rows, colors, backgrounds };
+    }
+    
+    // Styles with their own renderer instead of a brightness ramp. sampling()
+    // is the number of source pixels per cell (x × y) the renderer reads;
+    // packed renderers turn each of those pixels into part of the glyph.
+    // A renderer returns rows of text, or { rows, colors, backgrounds } when
+    // it picks its own per-cell RGB.
+    const RENDERERS = {
+        edges: {
+            sampling: () => ({ x: 2, y: 2 }),
+            render: renderEdges
+        },
+        shapes: {
+            sampling: (options) => {
+                const atlas = options.glyphAtlas || BUILTIN_ATLAS;
+                return { x: atlas.cols, y: atlas.rows };
+            },
+            render: renderShapes
+        },
+        braille: {
+            packed: true,
+            sampling: () => ({ x: 2, y: 4 }),
+            render: (data, width, height, sampling, options) =>
+                renderPacked(data, width, height, sampling, options, brailleGlyph, false)
+        },
+        halfblocks: {
+            packed: true,
+            sampling: () => ({ x: 1, y: 2 }),
+            render: (data, width, height, sampling, options) =>
+                renderPacked(data, width, height, sampling, options, bits => HALF_BLOCK_CHARS[bits], true)
+        },
+        quadrants: {
+            packed: true,
+            sampling: () => ({ x: 2, y: 2 }),
+            render: (data, width, height, sampling, options) =>
+                renderPacked(data, width, height, sampling, options, bits => QUADRANT_CHARS[bits], true)
+        },
+        sextants: {
+            packed: true,
+            sampling: () => ({ x: 2, y: 3 }),
+            render: (data, width, height, sampling, options) =>
+                renderPacked(data, width, height, sampling, options, sextantGlyph, true)
+        }
+    };
+    
+    const STYLES = [...Object.keys(CHARSETS), ...Object.keys(RENDERERS)];
+    
+    // Add a style at run time (see js/plugins.js): a ramp string like the
+    // CHARSETS, or a renderer like the RENDERERS
+    function registerStyle(id, style) {
+        if (STYLES.includes(id)) {
+            throw new Error(`Style "${id}" already exists`);
+        }
+        if (typeof style === 'string') {
+            CHARSETS[id] = style;
+        } else {
+            RENDERERS[id] = style;
+        }
+        STYLES.push(id);
+    }
+    
+    function unregisterStyle(id) {
+        if (!STYLES.includes(id)) return;
+        delete CHARSETS[id];
+        delete RENDERERS[id];
+        STYLES.splice(STYLES.indexOf(id), 1);
+    }
+    
+    function getSampling(style, options = {}) {
+        const renderer = RENDERERS[style];
+        return renderer ? renderer.sampling(options) : { x: 1, y: 1 };
+    }
+    
+    function rampRows(data, width, height, options) {
+        // Split by code point so custom ramps may use any Unicode glyph
+        const chars = Array.from(resolveCharset(options.charset));
+        
+        // Tone mapping and dithering run on luminance before the ramp lookup
+        const luminance = applyTone(computeLuminance(data, width, height), options.tone);
+        const rampIndices = mapToRamp(luminance, width, height, chars.length, options.dither);
+        
+        const rows = [];
+        for (let y = 0; y < height; y++) {
+            let line = '';
+            for (let x = 0; x < width; x++) {
+                line += chars[rampIndices[y * width + x]];
+            }
+            rows.push(line);
+        }
+        return rows;
+    }
+    
+    // Map an already-scaled RGBA buffer to characters. The buffer holds
+    // getSampling(style) pixels per cell: one for the ramp styles, more for
+    // renderer styles. Options: charset (style name or custom ramp),
+    // colorMode, tone (see DEFAULT_TONE), dither and glyphAtlas.
+    // Returns a frame: { text, width, height, colorMode, colors, codes,
+    // backgrounds, backgroundCodes }. Backgrounds are only set by the packed
+    // block styles in color.
+    function convertPixels(data, width, height, options = {}) {
+        const colorMode = options.colorMode || 'mono';
+        const renderer = RENDERERS[options.charset];
+        const sampling = getSampling(options.charset, options);
+        
+        const rendered = renderer ?
+            renderer.render(data, width, height, sampling, options) :
+            rampRows(data, width, height, options);
+        const rows = Array.isArray(rendered) ? rendered : rendered.rows;
+        
+        // Per-cell RGB (and palette index for quantized modes) when color is on
+        let colors = null;
+        let codes = null;
+        let backgrounds = null;
+        let backgroundCodes = null;
+        
+        if (colorMode !== 'mono') {
+            let source = rendered.colors;
+            if (!source) {
+                const cells = sampling.x * sampling.y > 1 ? averageCells(data, width, height, sampling) : data;
+                source = new Uint8ClampedArray(width * height * 3);
+                for (let cell = 0; cell < width * height; cell++) {
+                    source[cell * 3] = cells[cell * 4];
+                    source[cell * 3 + 1] = cells[cell * 4 + 1];
+                    source[cell * 3 + 2] = cells[cell * 4 + 2];
+                }
+            }
+            ({ colors, codes } = quantizeCells(source, colorMode));
+            if (rendered.backgrounds) {
+                ({ colors: backgrounds, codes: backgroundCodes } = quantizeCells(rendered.backgrounds, colorMode));
+            }
+        }
+        
+        return {
+            text: rows.map(line => line + '\n').join(''),
+            width,
+            height,
+            colorMode,
+            colors,
+            codes,
+            backgrounds,
+            backgroundCodes
+        };
+    }
+    
+    // Quantize packed per-cell RGB in place, with palette indices for the
+    // 256 and 16 color modes
+    function quantizeCells(colors, colorMode) {
+        const cellCount = colors.length / 3;
+        const codes = colorMode === '256' || colorMode === '16' ? new Uint8Array(cellCount) : null;
+        
+        for (let cell = 0; cell < cellCount; cell++) {
+            const color = quantizeColor(colors[cell * 3], colors[cell * 3 + 1], colors[cell * 3 + 2], colorMode);
+            colors[cell * 3] = color.r;
+            colors[cell * 3 + 1] = color.g;
+            colors[cell * 3 + 2] = color.b;
+            if (codes) {
+                codes[cell] = color.code;
+            }
+        }
+        
+        return { colors, codes };
+    }
+    
+    // Everything needed to scale a source frame for convertPixels: the grid
+    // size in cells, the source crop, the pixel size to scale it to and the
+    // part of that pixel buffer the source fills (dest, see FIT_MODES)
+    function planFrame(sourceWidth, sourceHeight, options = {}) {
+        const { width, height } = calculateTargetDimensions({
+            ...options,
+            sourceWidth,
+            sourceHeight
+        });
+        const sampling = getSampling(options.charset, options);
+        const { crop, dest } = calculatePlacement(sourceWidth, sourceHeight, width, height, options);
+        
+        return {
+            width,
+            height,
+            crop,
+            dest: {
+                dx: Math.round(dest.dx * sampling.x),
+                dy: Math.round(dest.dy * sampling.y),
+                dWidth: Math.round(dest.dWidth * sampling.x),
+                dHeight: Math.round(dest.dHeight * sampling.y)
+            },
+            pixelWidth: width * sampling.x,
+            pixelHeight: height * sampling.y
+        };
+    }
+    
+    // Blank the letterbox margins of a converted frame: every cell that the
+    // planned dest does not reach becomes a black space. Works in place.
+    function clearMargins(frame, plan) {
+        const { dx, dy, dWidth, dHeight } = plan.dest;
+        const cellWidth = plan.pixelWidth / plan.width;
+        const cellHeight = plan.pixelHeight / plan.height;
+        const outside = (x, y) => (x + 1) * cellWidth <= dx || x * cellWidth >= dx + dWidth ||
+            (y + 1) * cellHeight <= dy || y * cellHeight >= dy + dHeight;
+        
+        if (!outside(0, 0) && !outside(frame.width - 1, frame.height - 1)) {
+            return frame;
+        }
+        
+        const black = quantizeColor(0, 0, 0, frame.colorMode);
+        const clear = (colors, codes, cell) => {
+            if (!colors) return;
+            colors.fill(0, cell * 3, cell * 3 + 3);
+            if (codes) {
+                codes[cell] = black.code;
+            }
+        };
+        
+        const rows = frameRows(frame).map((chars, y) => chars.map((char, x) => {
+            if (!outside(x, y)) return char;
+            const cell = y * frame.width + x;
+            clear(frame.colors, frame.codes, cell);
+            clear(frame.backgrounds, frame.backgroundCodes, cell);
+            return ' ';
+        }).join(''));
+        frame.text = rows.map(line => line + '\n').join('');
+        return frame;
+    }
+    
+    // Full pipeline from a source RGBA buffer of any size: pick the grid
+    // size, place the source (crop by default), resample and convert
+    function convert(data, sourceWidth, sourceHeight, options = {}) {
+        const plan = planFrame(sourceWidth, sourceHeight, options);
+        const pixels = resample(data, sourceWidth, sourceHeight, plan.crop, plan.pixelWidth, plan.pixelHeight, plan.dest);
+        
+        return clearMargins(convertPixels(pixels, plan.width, plan.height, options), plan);
+    }
+    
+    // Frame text as rows of characters. Sextants sit outside the BMP, so
+    // split by code point rather than by UTF-16 index.
+    function frameRows(frame) {
+        return frame.text.split('\n').slice(0, frame.height).map(line => Array.from(line));
+    }
+    
+    function cellColor(colors, cell) {
+        return colors ? [colors[cell * 3], colors[cell * 3 + 1], colors[cell * 3 + 2]] : null;
+    }
+    
+    // Frame as rows of { char, color, background } cells; the colors are
+    // [r, g, b] or null
+    function toCellGrid(frame) {
+        return frameRows(frame).map((chars, y) => chars.map((char, x) => {
+            const cell = y * frame.width + x;
+            return {
+                char,
+                color: cellColor(frame.colors, cell),
+                background: cellColor(frame.backgrounds, cell)
+            };
+        }));
+    }
+    
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    function rgbToHex(r, g, b) {
+        return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+    }
+    
+    // Colored spans for a <pre>; neighbouring cells of the same color share one span
+    function toColorHtml(frame) {
+        const rows = frameRows(frame);
+        let html = '';
+        
+        for (let y = 0; y < frame.height; y++) {
+            const chars = rows[y];
+            let run = '';
+            let runStyle = null;
+            
+            for (let x = 0; x < frame.width; x++) {
+                const index = (y * frame.width + x) * 3;
+                let style = 'color:' + rgbToHex(frame.colors[index], frame.colors[index + 1], frame.colors[index + 2]);
+                if (frame.backgrounds) {
+                    style += ';background:' +
+                        rgbToHex(frame.backgrounds[index], frame.backgrounds[index + 1], frame.backgrounds[index + 2]);
+                }
+                
+                if (style !== runStyle && run) {
+                    html += `<span style="${runStyle}">${escapeHtml(run)}</span>`;
+                    run = '';
+                }
+                runStyle = style;
+                run += chars[x];
+            }
+            
+            if (run) {
+                html += `<span style="${runStyle}">${escapeHtml(run)}</span>`;
+            }
+            html += '\n';
+        }
+        
+        return html;
+    }
+    
+    // SGR escape for one cell color; background selects the 48/40/100 codes
+    function ansiColor(frame, cell, background) {
+        const colors = background ? frame.backgrounds : frame.colors;
+        const codes = background ? frame.backgroundCodes : frame.codes;
+        
+        if (frame.colorMode === '256') {
+            return `\x1b[${background ? 48 : 38};5;${codes[cell]}m`;
+        }
+        if (frame.colorMode === '16') {
+            const code = codes[cell];
+            const base = code < 8 ? (background ? 40 : 30) : (background ? 100 : 90) - 8;
+            return `\x1b[${base + code}m`;
+        }
+        const index = cell * 3;
+        return `\x1b[${background ? 48 : 38};2;${colors[index]};${colors[index + 1]};${colors[index + 2]}m`;
+    }
+    
+    function toAnsi(frame) {
+        if (!frame.colors) {
+            return frame.text;
+        }
+        
+        const rows = frameRows(frame);
+        let ansi = '';
+        
+        for (let y = 0; y < frame.height; y++) {
+            const chars = rows[y];
+            let lastEscape = null;
+            
+            for (let x = 0; x < frame.width; x++) {
+                const cell = y * frame.width + x;
+                let escape = ansiColor(frame, cell, false);
+                if (frame.backgrounds) {
+                    escape += ansiColor(frame, cell, true);
+                }
+                
+                // Only emit an escape when the color actually changes
+                if (escape !== lastEscape) {
+                    ansi += escape;
+                    lastEscape = escape;
+                }
+                ansi += chars[x];
+            }
+            ansi += '\x1b[0m\n';
+        }
+        
+        return ansi;
+    }
+    
+    function toHtmlDocument(frame, title = 'ASCII Camera Capture') {
+        const body = frame.colors ? toColorHtml(frame) : escapeHtml(frame.text);
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { margin: 0; padding: 20px; background: #000; }
+        pre {
+            font-family: 'Courier New', monospace;
+            font-size: 8px;
+            line-height: 0.85;
+            letter-spacing: 0.3px;
+            color: #00ff00;
+            margin: 0;
+        }
+    </style>
+</head>
+<body>
+<pre>${body}</pre>
+</body>
+</html>
+`;
+    }
+    
+    return {
+        CHARSETS,
+        RESOLUTIONS,
+        DEFAULT_CHARACTER_ASPECT,
+        MAX_NATIVE_WIDTH,
+        MAX_CUSTOM_SIZE,
+        FIT_MODES,
+        ANSI16_PALETTE,
+        CUBE_LEVELS,
+        COLOR_MODES,
+        DEFAULT_TONE,
+        LEVELS_MODES,
+        DITHER_METHODS,
+        STYLES,
+        SHAPE_GRID,
+        QUADRANT_CHARS,
+        CHARSET_FILE_VERSION,
+        registerStyle,
+        unregisterStyle,
+        resolveCharset,
+        normalizeCustomCharset,
+        parseCharsetFile,
+        toCharsetFile,
+        calculateTargetDimensions,
+        calculatePlacement,
+        calculateCrop,
+        resample,
+        quantizeTo256,
+        quantizeTo16,
+        quantizeColor,
+        computeLuminance,
+        applyTone,
+        mapToRamp,
+        averageCells,
+        getSampling,
+        convertPixels,
+        frameRows,
+        planFrame,
+        clearMargins,
+        convert,
+        toCellGrid,
+        escapeHtml,
+        rgbToHex,
+        toColorHtml,
+        toAnsi,
+        toHtmlDocument
+    };
+});
@@ -0,0 +1,391 @@
+// Editing captured frames: a grid of cells that tools draw on, with undo
+// A grid is a frame taken apart into one character per cell, plus the
+// frame's per-cell colors (see convertPixels in js/ascii-core.js). The
+// tools change a grid in place; toFrame puts it back together, so an edited
+// frame saves, copies and prints like any other. DOM-free.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ascii-core.js'));
+    } else {
+        root.AsciiEditor = factory(root.AsciiCore);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AsciiCore) {
+    'use strict';
+    
+    const EDITOR_TOOLS = ['draw', 'line', 'rectangle', 'fill', 'text', 'select'];
+    
+    // Undo steps kept per capture
+    const HISTORY_LIMIT = 100;
+    
+    const COLOR_LAYERS = [['colors', 'codes'], ['backgrounds', 'backgroundCodes']];
+    
+    function copyArray(array) {
+        return array ? array.slice() : null;
+    }
+    
+    function fromFrame(frame) {
+        const chars = [];
+        AsciiCore.frameRows(frame).forEach(row => {
+            for (let x = 0; x < frame.width; x++) {
+                chars.push(row[x] === undefined ? ' ' : row[x]);
+            }
+        });
+        
+        return {
+            width: frame.width,
+            height: frame.height,
+            colorMode: frame.colorMode || 'mono',
+            chars,
+            colors: copyArray(frame.colors),
+            codes: copyArray(frame.codes),
+            backgrounds: copyArray(frame.backgrounds),
+            backgroundCodes: copyArray(frame.backgroundCodes)
+        };
+    }
+    
+    function cloneGrid(grid) {
+        return {
+            ...grid,
+            chars: grid.chars.slice(),
+            colors: copyArray(grid.colors),
+            codes: copyArray(grid.codes),
+            backgrounds: copyArray(grid.backgrounds),
+            backgroundCodes: copyArray(grid.backgroundCodes)
+        };
+    }
+    
+    function gridRows(grid) {
+        const rows = [];
+        for (let y = 0; y < grid.height; y++) {
+            rows.push(grid.chars.slice(y * grid.width, (y + 1) * grid.width).join(''));
+        }
+        return rows;
+    }
+    
+    function toFrame(grid) {
+        return {
+            text: gridRows(grid).map(row => row + '\n').join(''),
+            width: grid.width,
+            height: grid.height,
+            colorMode: grid.colorMode,
+            colors: copyArray(grid.colors),
+            codes: copyArray(grid.codes),
+            backgrounds: copyArray(grid.backgrounds),
+            backgroundCodes: copyArray(grid.backgroundCodes)
+        };
+    }
+    
+    // Text of a grid or copied region, one line per row
+    function toText(grid) {
+        return gridRows(grid).join('\n');
+    }
+    
+    function inside(grid, x, y) {
+        return x >= 0 && y >= 0 && x < grid.width && y < grid.height;
+    }
+    
+    function clampPoint(grid, x, y) {
+        return {
+            x: Math.min(grid.width - 1, Math.max(0, x)),
+            y: Math.min(grid.height - 1, Math.max(0, y))
+        };
+    }
+    
+    // The cells between two corners, both included, as { x, y, width, height }
+    function normalizeRect(a, b) {
+        const x = Math.min(a.x, b.x);
+        const y = Math.min(a.y, b.y);
+        return { x, y, width: Math.abs(a.x - b.x) + 1, height: Math.abs(a.y - b.y) + 1 };
+    }
+    
+    function inRect(rect, x, y) {
+        return Boolean(rect) && x >= rect.x && y >= rect.y && x < rect.x + rect.width && y < rect.y + rect.height;
+    }
+    
+    // What the tools put in a cell: one character and, in color frames, an
+    // optional "#rrggbb" foreground quantized to the frame's color mode.
+    // Without a color, cells keep the color they had.
+    function createBrush(grid, char, hex) {
+        const glyph = Array.from(char || '')[0] || ' ';
+        let color = null;
+        if (grid.colors && /^#[0-9a-f]{6}$/i.test(hex || '')) {
+            const value = parseInt(hex.slice(1), 16);
+            color = AsciiCore.quantizeColor(value >> 16, (value >> 8) & 255, value & 255, grid.colorMode);
+        }
+        return { char: glyph, color };
+    }
+    
+    function paintCell(grid, x, y, brush) {
+        if (!inside(grid, x, y)) return;
+        const cell = y * grid.width + x;
+        grid.chars[cell] = brush.char;
+        if (brush.color && grid.colors) {
+            grid.colors[cell * 3] = brush.color.r;
+            grid.colors[cell * 3 + 1] = brush.color.g;
+            grid.colors[cell * 3 + 2] = brush.color.b;
+            if (grid.codes) {
+                grid.codes[cell] = brush.color.code;
+            }
+        }
+    }
+    
+    function paintPoints(grid, points, brush) {
+        points.forEach(point => paintCell(grid, point.x, point.y, brush));
+    }
+    
+    // Cells of a straight line from one cell to another (Bresenham)
+    function linePoints(from, to) {
+        const points = [];
+        const dx = Math.abs(to.x - from.x);
+        const dy = -Math.abs(to.y - from.y);
+        const stepX = from.x < to.x ? 1 : -1;
+        const stepY = from.y < to.y ? 1 : -1;
+        let { x, y } = from;
+        let error = dx + dy;
+        
+        for (;;) {
+            points.push({ x, y });
+            if (x === to.x && y === to.y) break;
+            const double = 2 * error;
+            if (double >= dy) {
+                error += dy;
+                x += stepX;
+            }
+            if (double <= dx) {
+                error += dx;
+                y += stepY;
+            }
+        }
+        return points;
+    }
+    
+    // Cells of the outline of a rectangle
+    function rectPoints(rect) {
+        const points = [];
+        const right = rect.x + rect.width - 1;
+        const bottom = rect.y + rect.height - 1;
+        for (let x = rect.x; x <= right; x++) {
+            points.push({ x, y: rect.y });
+            if (bottom !== rect.y) points.push({ x, y: bottom });
+        }
+        for (let y = rect.y + 1; y < bottom; y++) {
+            points.push({ x: rect.x, y });
+            if (right !== rect.x) points.push({ x: right, y });
+        }
+        return points;
+    }
+    
+    // Paint the area of the same character around a cell, up, down, left and
+    // right. Returns the number of cells painted.
+    function floodFill(grid, x, y, brush) {
+        if (!inside(grid, x, y)) return 0;
+        const target = grid.chars[y * grid.width + x];
+        const visited = new Uint8Array(grid.width * grid.height);
+        const stack = [[x, y]];
+        let count = 0;
+        
+        while (stack.length) {
+            const [cx, cy] = stack.pop();
+            if (!inside(grid, cx, cy)) continue;
+            const cell = cy * grid.width + cx;
+            if (visited[cell] || grid.chars[cell] !== target) continue;
+            visited[cell] = 1;
+            paintCell(grid, cx, cy, brush);
+            count++;
+            stack.push([cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]);
+        }
+        return count;
+    }
+    
+    // Type text from a cell onwards; a line break goes back to the starting
+    // column on the next row. Characters past the right edge are dropped.
+    // Returns the cell after the last character.
+    function writeText(grid, x, y, text, brush) {
+        let column = x;
+        let row = y;
+        Array.from(text).forEach(char => {
+            if (char === '\n') {
+                column = x;
+                row++;
+                return;
+            }
+            paintCell(grid, column, row, { ...brush, char });
+            column++;
+        });
+        return { x: column, y: row };
+    }
+    
+    // A copy of the cells inside a rectangle, clipped to the grid, as a grid
+    // of its own
+    function copyRegion(grid, rect) {
+        const left = Math.max(0, rect.x);
+        const top = Math.max(0, rect.y);
+        const width = Math.min(grid.width, rect.x + rect.width) - left;
+        const height = Math.min(grid.height, rect.y + rect.height) - top;
+        if (width <= 0 || height <= 0) return null;
+        
+        const region = {
+            width,
+            height,
+            colorMode: grid.colorMode,
+            chars: [],
+            colors: null,
+            codes: null,
+            backgrounds: null,
+            backgroundCodes: null
+        };
+        COLOR_LAYERS.forEach(([colors, codes]) => {
+            if (grid[colors]) region[colors] = new Uint8ClampedArray(width * height * 3);
+            if (grid[codes]) region[codes] = new Uint8Array(width * height);
+        });
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const from = (top + y) * grid.width + left + x;
+                const to = y * width + x;
+                region.chars.push(grid.chars[from]);
+                COLOR_LAYERS.forEach(([colors, codes]) => {
+                    if (region[colors]) region[colors].set(grid[colors].subarray(from * 3, from * 3 + 3), to * 3);
+                    if (region[codes]) region[codes][to] = grid[codes][from];
+                });
+            }
+        }
+        return region;
+    }
+    
+    // Put a copied region with its top left corner at a cell. Colors come
+    // along when both have them in the same color mode; the part outside
+    // the grid is dropped.
+    function pasteRegion(grid, region, x, y) {
+        const sameColors = region.colorMode === grid.colorMode;
+        for (let row = 0; row < region.height; row++) {
+            for (let column = 0; column < region.width; column++) {
+                if (!inside(grid, x + column, y + row)) continue;
+                const from = row * region.width + column;
+                const to = (y + row) * grid.width + x + column;
+                grid.chars[to] = region.chars[from];
+                if (!sameColors) continue;
+                COLOR_LAYERS.forEach(([colors, codes]) => {
+                    if (grid[colors] && region[colors]) grid[colors].set(region[colors].subarray(from * 3, from * 3 + 3), to * 3);
+                    if (grid[codes] && region[codes]) grid[codes][to] = region[codes][from];
+                });
+            }
+        }
+    }
+    
+    // Blank the cells inside a rectangle with the brush, e.g. a space
+    function clearRegion(grid, rect, brush) {
+        for (let y = rect.y; y < rect.y + rect.height; y++) {
+            for (let x = rect.x; x < rect.x + rect.width; x++) {
+                paintCell(grid, x, y, brush);
+            }
+        }
+    }
+    
+    // A new grid of just the cells inside a rectangle
+    function cropGrid(grid, rect) {
+        return copyRegion(grid, rect);
+    }
+    
+    // The grid as <pre> markup, like AsciiCore.toColorHtml, with a class on
+    // cells from classAt(x, y) (the cursor, a selection) and neighbouring
+    // cells of the same color and class sharing one span
+    function toHtml(grid, classAt = () => '') {
+        let html = '';
+        
+        for (let y = 0; y < grid.height; y++) {
+            let run = '';
+            let runKey = null;
+            let runOpen = '';
+            const flush = () => {
+                if (!run) return;
+                html += runOpen ? `${runOpen}${AsciiCore.escapeHtml(run)}</span>` : AsciiCore.escapeHtml(run);
+                run = '';
+            };
+            
+            for (let x = 0; x < grid.width; x++) {
+                const cell = y * grid.width + x;
+                const index = cell * 3;
+                let style = '';
+                if (grid.colors) {
+                    style = 'color:' + AsciiCore.rgbToHex(grid.colors[index], grid.colors[index + 1], grid.colors[index + 2]);
+                }
+                if (grid.backgrounds) {
+                    style += ';background:' + AsciiCore.rgbToHex(grid.backgrounds[index], grid.backgrounds[index + 1], grid.backgrounds[index + 2]);
+                }
+                const className = classAt(x, y) || '';
+                const key = style + '|' + className;
+                
+                if (key !== runKey) {
+                    flush();
+                    runKey = key;
+                    const attributes = (className ? ` class="${className}"` : '') + (style ? ` style="${style}"` : '');
+                    runOpen = attributes ? `<span${attributes}>` : '';
+                }
+                run += grid.chars[cell];
+            }
+            flush();
+            html += '\n';
+        }
+        
+        return html;
+    }
+    
+    // Undo and redo keep whole copies of the grid: captures are small, and
+    // a crop changes the size anyway
+    function createHistory(limit = HISTORY_LIMIT) {
+        return { limit, past: [], future: [] };
+    }
+    
+    // Remember the grid before a change; a new change drops what was undone
+    function record(history, grid) {
+        history.past.push(cloneGrid(grid));
+        if (history.past.length > history.limit) {
+            history.past.shift();
+        }
+        history.future = [];
+    }
+    
+    // The grid to show instead of the current one, or null when there is
+    // nothing to undo (redo)
+    function undo(history, grid) {
+        if (!history.past.length) return null;
+        history.future.push(cloneGrid(grid));
+        return history.past.pop();
+    }
+    
+    function redo(history, grid) {
+        if (!history.future.length) return null;
+        history.past.push(cloneGrid(grid));
+        return history.future.pop();
+    }
+    
+    return {
+        EDITOR_TOOLS,
+        HISTORY_LIMIT,
+        fromFrame,
+        cloneGrid,
+        toFrame,
+        toText,
+        inside,
+        clampPoint,
+        normalizeRect,
+        inRect,
+        createBrush,
+        paintCell,
+        paintPoints,
+        linePoints,
+        rectPoints,
+        floodFill,
+        writeText,
+        copyRegion,
+        pasteRegion,
+        clearRegion,
+        cropGrid,
+        toHtml,
+        createHistory,
+        record,
+        undo,
+        redo
+    };
+});
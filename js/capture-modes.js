@@ -0,0 +1,103 @@
+// Automatic capture modes: self-timer, burst, time-lapse and motion trigger
+// Settings validation for the modes, and the motion detector: consecutive
+// frames are shrunk to a small grayscale sample, and the share of samples
+// whose brightness changed decides whether something moved. DOM-free.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AsciiCaptureModes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+    
+    const CAPTURE_MODES = ['timer', 'burst', 'timelapse', 'motion'];
+    const TIMER_DELAYS = [3, 5, 10]; // Seconds
+    
+    const DEFAULT_CAPTURE_OPTIONS = {
+        mode: 'timer',
+        delay: 3,
+        burstCount: 5,
+        burstInterval: 500, // ms between burst frames
+        lapseInterval: 10, // Seconds between time-lapse frames
+        sensitivity: 50, // 1-100
+        cooldown: 5 // Seconds after a motion capture before the next one
+    };
+    
+    // Longest side of the motion sample, in pixels
+    const MOTION_SAMPLE_SIZE = 64;
+    
+    // Brightness change (0-255) below which a sample counts as sensor noise
+    const MOTION_NOISE = 24;
+    
+    function normalizeCaptureOptions(options = {}) {
+        const defaults = DEFAULT_CAPTURE_OPTIONS;
+        const pick = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+        const integer = (value, min, max, fallback) => {
+            const parsed = Math.round(Number(value));
+            return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+        };
+        
+        return {
+            mode: pick(options.mode, CAPTURE_MODES, defaults.mode),
+            delay: pick(Number(options.delay), TIMER_DELAYS, defaults.delay),
+            burstCount: integer(options.burstCount, 2, 50, defaults.burstCount),
+            burstInterval: integer(options.burstInterval, 100, 5000, defaults.burstInterval),
+            lapseInterval: integer(options.lapseInterval, 1, 3600, defaults.lapseInterval),
+            sensitivity: integer(options.sensitivity, 1, 100, defaults.sensitivity),
+            cooldown: integer(options.cooldown, 1, 600, defaults.cooldown)
+        };
+    }
+    
+    // Size of the motion sample for a source, keeping its shape
+    function motionSampleSize(sourceWidth, sourceHeight) {
+        const scale = MOTION_SAMPLE_SIZE / Math.max(sourceWidth, sourceHeight, 1);
+        return {
+            width: Math.max(1, Math.round(sourceWidth * scale)),
+            height: Math.max(1, Math.round(sourceHeight * scale))
+        };
+    }
+    
+    // One brightness byte per pixel of a small RGBA buffer
+    function grayscale(pixels) {
+        const gray = new Uint8Array(pixels.length / 4);
+        for (let i = 0; i < gray.length; i++) {
+            const p = i * 4;
+            gray[i] = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+        }
+        return gray;
+    }
+    
+    // Share of samples (0-1) that changed by more than the noise level; 0
+    // when there is nothing to compare with
+    function motionAmount(previous, current) {
+        if (!previous || previous.length !== current.length || current.length === 0) return 0;
+        
+        let changed = 0;
+        for (let i = 0; i < current.length; i++) {
+            if (Math.abs(current[i] - previous[i]) > MOTION_NOISE) {
+                changed++;
+            }
+        }
+        return changed / current.length;
+    }
+    
+    // The changed share that counts as motion: half the picture at
+    // sensitivity 1, one sample in 500 at 100
+    function motionThreshold(sensitivity) {
+        const position = (Math.min(100, Math.max(1, sensitivity)) - 1) / 99;
+        return 0.5 * Math.pow(0.002 / 0.5, position);
+    }
+    
+    return {
+        CAPTURE_MODES,
+        TIMER_DELAYS,
+        DEFAULT_CAPTURE_OPTIONS,
+        MOTION_SAMPLE_SIZE,
+        normalizeCaptureOptions,
+        motionSampleSize,
+        grayscale,
+        motionAmount,
+        motionThreshold
+    };
+});
@@ -0,0 +1,666 @@
+// Capture export renderer: PNG (drawn on a canvas), SVG and PDF
+// PNG and SVG are laid out from glyph metrics measured in the browser,
+// { cellWidth, cellHeight, ascent } in CSS pixels; PDF uses the built-in
+// Courier font, whose metrics are fixed. Block, quadrant, sextant and braille
+// characters are drawn as shapes rather than text in every format, so they
+// tile without gaps whatever font is chosen. No DOM access: canvases and
+// their contexts are passed in.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ascii-core.js'));
+    } else {
+        root.AsciiExport = factory(root.AsciiCore);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AsciiCore) {
+    'use strict';
+    
+    const THEMES = {
+        terminal: { name: 'Terminal green', fg: '#00ff00', bg: '#000000' },
+        paper: { name: 'Paper', fg: '#000000', bg: '#ffffff' },
+        amber: { name: 'Amber', fg: '#ffb000', bg: '#1a1000' },
+        blueprint: { name: 'Blueprint', fg: '#ffffff', bg: '#0b3d91' },
+        solarized: { name: 'Solarized dark', fg: '#93a1a1', bg: '#002b36' }
+    };
+    
+    const FORMATS = ['png', 'svg', 'pdf'];
+    
+    // Paper sizes in PDF points (1/72 inch), portrait
+    const PAPER_SIZES = {
+        a4: [595.28, 841.89],
+        a3: [841.89, 1190.55],
+        letter: [612, 792]
+    };
+    
+    const DEFAULT_EXPORT_OPTIONS = {
+        format: 'png',
+        fontFamily: 'Courier New',
+        fontSize: 16,
+        theme: 'terminal',
+        fg: '#00ff00',
+        bg: '#000000',
+        frameColors: true, // Color captures keep their own cell colors
+        header: true,
+        headerText: 'ASCII Camera',
+        timestamp: true,
+        watermark: '',
+        scale: 1, // PNG pixel density
+        paper: 'a4',
+        orientation: 'portrait'
+    };
+    
+    const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+    const MAX_LABEL_LENGTH = 80;
+    
+    // Fill in defaults and drop anything invalid, e.g. from localStorage
+    function normalizeExportOptions(options = {}) {
+        const defaults = DEFAULT_EXPORT_OPTIONS;
+        const pick = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+        const flag = (value, fallback) => typeof value === 'boolean' ? value : fallback;
+        const label = (value, fallback) => typeof value === 'string' ? value.trim().slice(0, MAX_LABEL_LENGTH) : fallback;
+        const number = (value, min, max, fallback) => {
+            const parsed = Number(value);
+            return Number.isFinite(parsed) ? Math.round(Math.min(max, Math.max(min, parsed))) : fallback;
+        };
+        
+        const theme = Object.prototype.hasOwnProperty.call(THEMES, options.theme) || options.theme === 'custom' ?
+            options.theme :
+            defaults.theme;
+        const colors = theme === 'custom' ? {
+            fg: HEX_COLOR.test(options.fg) ? options.fg.toLowerCase() : defaults.fg,
+            bg: HEX_COLOR.test(options.bg) ? options.bg.toLowerCase() : defaults.bg
+        } : THEMES[theme];
+        
+        return {
+            format: pick(options.format, FORMATS, defaults.format),
+            fontFamily: typeof options.fontFamily === 'string' && /^[\w -]{1,40}$/.test(options.fontFamily) ?
+                options.fontFamily :
+                defaults.fontFamily,
+            fontSize: number(options.fontSize, 4, 72, defaults.fontSize),
+            theme,
+            fg: colors.fg,
+            bg: colors.bg,
+            frameColors: flag(options.frameColors, defaults.frameColors),
+            header: flag(options.header, defaults.header),
+            headerText: label(options.headerText, defaults.headerText),
+            timestamp: flag(options.timestamp, defaults.timestamp),
+            watermark: label(options.watermark, defaults.watermark),
+            scale: number(options.scale, 1, 4, defaults.scale),
+            paper: pick(options.paper, Object.keys(PAPER_SIZES), defaults.paper),
+            orientation: pick(options.orientation, ['portrait', 'landscape'], defaults.orientation)
+        };
+    }
+    
+    function fontStack(family) {
+        return family === 'monospace' ? 'monospace' : `"${family}", monospace`;
+    }
+    
+    function hexToRgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+    
+    // amount 0 gives from, 1 gives to
+    function mixColors(from, to, amount) {
+        const a = hexToRgb(from);
+        const b = hexToRgb(to);
+        return AsciiCore.rgbToHex(...a.map((value, i) => Math.round(value + (b[i] - value) * amount)));
+    }
+    
+    // Rectangles covering the lit samples of a two-column block glyph, bit i
+    // being sample i in row-major order as in AsciiCore's packed renderers.
+    // Vertically adjacent samples merge so block art has no seams.
+    function gridRects(bits, rows) {
+        const rects = [];
+        for (let row = 0; row < rows; row++) {
+            const left = bits & (1 << (row * 2));
+            const right = bits & (1 << (row * 2 + 1));
+            const spans = left && right ? [[0, 1]] : left ? [[0, 0.5]] : right ? [[0.5, 0.5]] : [];
+            const y = row / rows;
+            
+            for (const [x, width] of spans) {
+                const above = rects.find(rect => rect[0] === x && rect[2] === width && Math.abs(rect[1] + rect[3] - y) < 1e-9);
+                if (above) {
+                    above[3] += 1 / rows;
+                } else {
+                    rects.push([x, y, width, 1 / rows]);
+                }
+            }
+        }
+        return rects;
+    }
+    
+    // Braille dot bits with their column and row in the 2×4 dot grid
+    const BRAILLE_POSITIONS = [
+        [0x01, 0, 0], [0x02, 0, 1], [0x04, 0, 2], [0x08, 1, 0],
+        [0x10, 1, 1], [0x20, 1, 2], [0x40, 0, 3], [0x80, 1, 3]
+    ];
+    
+    // Geometry of a character drawn as shapes, in cell units (0..1, y down):
+    // { rects: [[x, y, w, h]], dots: [[cx, cy]], shade } where shade is how
+    // far the color goes from the background to the foreground. Returns null
+    // for characters drawn as text.
+    function glyphShape(glyph) {
+        const code = glyph.codePointAt(0);
+        const shape = (rects, dots = [], shade = 1) => ({ rects, dots, shade });
+        
+        if (code >= 0x2800 && code <= 0x28ff) {
+            const dots = BRAILLE_POSITIONS
+                .filter(([bit]) => code & bit)
+                .map(([, column, row]) => [(column + 0.5) / 2, (row + 0.5) / 4]);
+            return shape([], dots);
+        }
+        
+        const quadrant = AsciiCore.QUADRANT_CHARS.indexOf(glyph);
+        if (quadrant > 0 && glyph.length === 1) {
+            return shape(gridRects(quadrant, 2));
+        }
+        
+        // Sextants skip the empty and full cells and the ▌ and ▐ columns
+        if (code >= 0x1fb00 && code <= 0x1fb3b) {
+            let bits = code - 0x1fb00 + 1;
+            if (bits >= 21) bits++;
+            if (bits >= 42) bits++;
+            return shape(gridRects(bits, 3));
+        }
+        
+        if (code >= 0x2581 && code <= 0x2587) {
+            const height = (code - 0x2580) / 8;
+            return shape([[0, 1 - height, 1, height]]);
+        }
+        if (code >= 0x2589 && code <= 0x258f) {
+            return shape([[0, 0, (0x2590 - code) / 8, 1]]);
+        }
+        if (code >= 0x2591 && code <= 0x2593) {
+            return shape([[0, 0, 1, 1]], [], (code - 0x2590) / 4);
+        }
+        if (code === 0x2594) {
+            return shape([[0, 0, 1, 1 / 8]]);
+        }
+        if (code === 0x2595) {
+            return shape([[7 / 8, 0, 1 / 8, 1]]);
+        }
+        
+        return null;
+    }
+    
+    function dotRadius(cellWidth, cellHeight) {
+        return Math.min(cellWidth / 2, cellHeight / 4) * 0.35;
+    }
+    
+    // Foreground and background of one cell; a null background shows the page
+    function cellColors(frame, cell, options) {
+        const hexAt = (colors) => AsciiCore.rgbToHex(colors[cell * 3], colors[cell * 3 + 1], colors[cell * 3 + 2]);
+        return {
+            fg: options.frameColors && frame.colors ? hexAt(frame.colors) : options.fg,
+            bg: options.frameColors && frame.backgrounds ? hexAt(frame.backgrounds) : null
+        };
+    }
+    
+    function headerText(options, date) {
+        const parts = [];
+        if (options.header && options.headerText) {
+            parts.push(options.headerText);
+        }
+        if (options.timestamp) {
+            parts.push(date.toLocaleString());
+        }
+        return parts.join(' - ');
+    }
+    
+    function cellFont(options) {
+        return `${options.fontSize}px ${fontStack(options.fontFamily)}`;
+    }
+    
+    // Cell size of the font as the browser renders it: the widest advance
+    // among the characters drawn as text, and the font's ascent + descent
+    function measureMetrics(ctx, frame, options) {
+        ctx.font = cellFont(options);
+        let cellWidth = ctx.measureText('M').width;
+        for (const glyph of new Set(frame.text.replace(/\n/g, ''))) {
+            if (!glyphShape(glyph)) {
+                cellWidth = Math.max(cellWidth, ctx.measureText(glyph).width);
+            }
+        }
+        
+        const sample = ctx.measureText('Mg');
+        const ascent = sample.fontBoundingBoxAscent || options.fontSize * 0.8;
+        const descent = sample.fontBoundingBoxDescent || options.fontSize * 0.2;
+        return { cellWidth, cellHeight: ascent + descent, ascent };
+    }
+    
+    // Page geometry in CSS pixels: the grid with padding around it, a header
+    // line above and a watermark line below when they are enabled
+    function exportLayout(frame, options, metrics, date) {
+        const padding = 20;
+        const labelSize = Math.max(12, options.fontSize);
+        const labelHeight = Math.round(labelSize * 1.5);
+        const header = headerText(options, date);
+        const gridY = padding + (header ? labelHeight : 0);
+        const gridBottom = gridY + frame.height * metrics.cellHeight;
+        
+        return {
+            width: Math.ceil(frame.width * metrics.cellWidth + padding * 2),
+            height: Math.ceil(gridBottom + (options.watermark ? labelHeight : 0) + padding),
+            padding,
+            labelSize,
+            header,
+            headerBaseline: padding + labelSize,
+            watermarkBaseline: gridBottom + labelHeight - (labelHeight - labelSize) / 2,
+            gridX: padding,
+            gridY
+        };
+    }
+    
+    // Draw the capture into a canvas (HTMLCanvasElement or OffscreenCanvas),
+    // resizing it to the layout times options.scale
+    function renderCanvas(canvas, frame, options, metrics, date) {
+        const layout = exportLayout(frame, options, metrics, date);
+        const { cellWidth, cellHeight, ascent } = metrics;
+        const scale = options.scale;
+        canvas.width = layout.width * scale;
+        canvas.height = layout.height * scale;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        ctx.fillStyle = options.bg;
+        ctx.fillRect(0, 0, layout.width, layout.height);
+        ctx.textBaseline = 'alphabetic';
+        
+        // Snap rectangle edges to device pixels so neighbouring blocks meet
+        const snap = (value) => Math.round(value * scale) / scale;
+        const fillBox = (x, y, width, height) => {
+            const left = snap(x);
+            const top = snap(y);
+            ctx.fillRect(left, top, snap(x + width) - left, snap(y + height) - top);
+        };
+        
+        ctx.font = `${layout.labelSize}px ${fontStack(options.fontFamily)}`;
+        if (layout.header) {
+            ctx.fillStyle = options.fg;
+            ctx.fillText(layout.header, layout.padding, layout.headerBaseline);
+        }
+        if (options.watermark) {
+            ctx.fillStyle = mixColors(options.fg, options.bg, 0.5);
+            ctx.textAlign = 'right';
+            ctx.fillText(options.watermark, layout.width - layout.padding, layout.watermarkBaseline);
+            ctx.textAlign = 'left';
+        }
+        
+        ctx.font = cellFont(options);
+        const radius = dotRadius(cellWidth, cellHeight);
+        AsciiCore.frameRows(frame).forEach((row, y) => {
+            const top = layout.gridY + y * cellHeight;
+            row.forEach((glyph, x) => {
+                const left = layout.gridX + x * cellWidth;
+                const { fg, bg } = cellColors(frame, y * frame.width + x, options);
+                if (bg) {
+                    ctx.fillStyle = bg;
+                    fillBox(left, top, cellWidth, cellHeight);
+                }
+                if (glyph === ' ') return;
+                
+                const shape = glyphShape(glyph);
+                if (!shape) {
+                    ctx.fillStyle = fg;
+                    ctx.fillText(glyph, left, top + ascent);
+                    return;
+                }
+                
+                ctx.fillStyle = mixColors(bg || options.bg, fg, shape.shade);
+                shape.rects.forEach(([sx, sy, sw, sh]) => {
+                    fillBox(left + sx * cellWidth, top + sy * cellHeight, sw * cellWidth, sh * cellHeight);
+                });
+                if (shape.dots.length) {
+                    ctx.beginPath();
+                    shape.dots.forEach(([cx, cy]) => {
+                        ctx.moveTo(left + cx * cellWidth + radius, top + cy * cellHeight);
+                        ctx.arc(left + cx * cellWidth, top + cy * cellHeight, radius, 0, Math.PI * 2);
+                    });
+                    ctx.fill();
+                }
+            });
+        });
+        
+        return canvas;
+    }
+    
+    // Coordinates with at most two decimals keep the SVG and PDF output small
+    function num(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+    
+    // SVG elements for the cells in columns x0..x1 and rows y0..y1 (exclusive),
+    // positioned from the region's top-left corner. Text runs carry one x
+    // position per character, so the grid stays exact even where the viewer
+    // substitutes a font.
+    function svgCells(frame, options, metrics, region = {}) {
+        const { x0 = 0, x1 = frame.width, y0 = 0, y1 = frame.height } = region;
+        const { cellWidth, cellHeight, ascent } = metrics;
+        const escape = AsciiCore.escapeHtml;
+        const radius = dotRadius(cellWidth, cellHeight);
+        const lines = [];
+        
+        AsciiCore.frameRows(frame).slice(y0, y1).forEach((fullRow, row) => {
+            const y = y0 + row;
+            const top = row * cellHeight;
+            const backgrounds = [];
+            const paths = new Map();
+            const texts = [];
+            let run = null;
+            
+            fullRow.slice(x0, x1).forEach((glyph, column) => {
+                const x = x0 + column;
+                const left = column * cellWidth;
+                const { fg, bg } = cellColors(frame, y * frame.width + x, options);
+                
+                // Neighbouring cells of the same background share one rect
+                const previous = backgrounds[backgrounds.length - 1];
+                if (bg && previous && previous.color === bg && previous.end === x) {
+                    previous.end = x + 1;
+                } else if (bg) {
+                    backgrounds.push({ color: bg, start: x, end: x + 1 });
+                }
+                
+                if (glyph === ' ') return;
+                const shape = glyphShape(glyph);
+                if (shape) {
+                    const color = mixColors(bg || options.bg, fg, shape.shade);
+                    let path = paths.get(color) || '';
+                    shape.rects.forEach(([sx, sy, sw, sh]) => {
+                        path += `M${num(left + sx * cellWidth)} ${num(top + sy * cellHeight)}` +
+                            `h${num(sw * cellWidth)}v${num(sh * cellHeight)}h${num(-sw * cellWidth)}z`;
+                    });
+                    shape.dots.forEach(([cx, cy]) => {
+                        path += `M${num(left + cx * cellWidth - radius)} ${num(top + cy * cellHeight)}` +
+                            `a${num(radius)} ${num(radius)} 0 1 0 ${num(radius * 2)} 0` +
+                            `a${num(radius)} ${num(radius)} 0 1 0 ${num(-radius * 2)} 0z`;
+                    });
+                    paths.set(color, path);
+                    return;
+                }
+                
+                if (!run || run.color !== fg) {
+                    run = { color: fg, xs: [], text: '' };
+                    texts.push(run);
+                }
+                run.xs.push(num(left));
+                run.text += glyph;
+            });
+            
+            backgrounds.forEach(({ color, start, end }) => {
+                lines.push(`<rect x="${num((start - x0) * cellWidth)}" y="${num(top)}" ` +
+                    `width="${num((end - start) * cellWidth)}" height="${num(cellHeight)}" fill="${color}"/>`);
+            });
+            paths.forEach((path, color) => {
+                lines.push(`<path fill="${color}" d="${path}"/>`);
+            });
+            texts.forEach(({ color, xs, text }) => {
+                lines.push(`<text x="${xs.join(' ')}" y="${num(top + ascent)}" fill="${color}">${escape(text)}</text>`);
+            });
+        });
+        
+        return lines;
+    }
+    
+    // Standalone SVG document: the grid with the header and watermark lines
+    function toSvg(frame, options, metrics, date) {
+        const layout = exportLayout(frame, options, metrics, date);
+        const escape = AsciiCore.escapeHtml;
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" ` +
+                `viewBox="0 0 ${layout.width} ${layout.height}" font-family="${escape(fontStack(options.fontFamily))}">`,
+            `<rect width="100%" height="100%" fill="${options.bg}"/>`
+        ];
+        
+        if (layout.header) {
+            lines.push(`<text x="${layout.padding}" y="${num(layout.headerBaseline)}" font-size="${layout.labelSize}" ` +
+                `fill="${options.fg}">${escape(layout.header)}</text>`);
+        }
+        if (options.watermark) {
+            lines.push(`<text x="${layout.width - layout.padding}" y="${num(layout.watermarkBaseline)}" ` +
+                `font-size="${layout.labelSize}" text-anchor="end" fill="${mixColors(options.fg, options.bg, 0.5)}">` +
+                `${escape(options.watermark)}</text>`);
+        }
+        
+        lines.push(`<g transform="translate(${layout.gridX} ${num(layout.gridY)})" font-size="${options.fontSize}" shape-rendering="crispEdges">`);
+        
+        return lines.concat(svgCells(frame, options, metrics), ['</g>', '</svg>']).join('\n') + '\n';
+    }
+    
+    const PDF_MARGIN = 36; // Half an inch
+    const PX_TO_PT = 0.75; // CSS pixels are 1/96 inch, points 1/72
+    const COURIER_ADVANCE = 0.6; // Courier glyphs are 600/1000 em wide
+    const PDF_LINE_HEIGHT = 1.2;
+    
+    // WinAnsiEncoding bytes 0x80-0x9f, the rest matches Latin-1
+    const WIN_ANSI_EXTRA = {
+        0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+        0x2021: 0x87, 0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c,
+        0x017d: 0x8e, 0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95,
+        0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98, 0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b,
+        0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f
+    };
+    
+    function winAnsiByte(glyph) {
+        const code = glyph.codePointAt(0);
+        if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+            return code;
+        }
+        // Locale date formats use narrow and thin spaces
+        if (/\s/.test(glyph)) {
+            return 0x20;
+        }
+        return WIN_ANSI_EXTRA[code] || null;
+    }
+    
+    // PDF string literal in WinAnsi; characters Courier lacks become "?"
+    function pdfString(text, stats) {
+        let out = '(';
+        for (const glyph of text) {
+            let byte = winAnsiByte(glyph);
+            if (byte === null) {
+                byte = 0x3f;
+                if (stats) stats.replaced++;
+            }
+            if (byte === 0x28 || byte === 0x29 || byte === 0x5c) {
+                out += '\\' + String.fromCharCode(byte);
+            } else if (byte > 0x7e) {
+                out += '\\' + byte.toString(8).padStart(3, '0');
+            } else {
+                out += String.fromCharCode(byte);
+            }
+        }
+        return out + ')';
+    }
+    
+    function pdfColor(hex) {
+        return hexToRgb(hex).map(value => num(value / 255)).join(' ') + ' rg';
+    }
+    
+    function pdfDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+    
+    function pdfText(x, y, size, string) {
+        return `BT /F1 ${num(size)} Tf ${num(x)} ${num(y)} Td ${string} Tj ET`;
+    }
+    
+    // Content stream for the cells in columns x0..x1 and rows y0..y1 (exclusive)
+    function pdfCells(frame, rows, options, area, stats) {
+        const { left, top, cellWidth, cellHeight, fontSize, x0, x1, y0, y1 } = area;
+        const radius = dotRadius(cellWidth, cellHeight);
+        const ops = [];
+        
+        for (let y = y0; y < y1; y++) {
+            const bottom = top - (y - y0 + 1) * cellHeight;
+            const baseline = bottom + (cellHeight - fontSize) / 2 + fontSize * 0.2;
+            let run = null;
+            
+            // Spaces join any run: Courier advances them like every other glyph
+            const flush = () => {
+                if (run && run.text.trim()) {
+                    ops.push(pdfColor(run.color), pdfText(run.x, baseline, fontSize, pdfString(run.text.trimEnd(), stats)));
+                }
+                run = null;
+            };
+            
+            for (let x = x0; x < x1; x++) {
+                const glyph = rows[y][x];
+                const cellLeft = left + (x - x0) * cellWidth;
+                const { fg, bg } = cellColors(frame, y * frame.width + x, options);
+                if (bg) {
+                    ops.push(`${pdfColor(bg)} ${num(cellLeft)} ${num(bottom)} ${num(cellWidth)} ${num(cellHeight)} re f`);
+                }
+                
+                if (glyph === ' ') {
+                    if (run) run.text += ' ';
+                    continue;
+                }
+                
+                const shape = glyphShape(glyph);
+                if (!shape) {
+                    if (run && run.color !== fg) flush();
+                    if (!run) run = { color: fg, x: cellLeft, text: '' };
+                    run.text += glyph;
+                    continue;
+                }
+                
+                flush();
+                const color = pdfColor(mixColors(bg || options.bg, fg, shape.shade));
+                if (shape.rects.length) {
+                    const path = shape.rects.map(([sx, sy, sw, sh]) =>
+                        `${num(cellLeft + sx * cellWidth)} ${num(bottom + (1 - sy - sh) * cellHeight)} ` +
+                        `${num(sw * cellWidth)} ${num(sh * cellHeight)} re`);
+                    ops.push(`${color} ${path.join(' ')} f`);
+                }
+                if (shape.dots.length) {
+                    // A zero-length line with round caps is a filled circle
+                    const path = shape.dots.map(([cx, cy]) => {
+                        const point = `${num(cellLeft + cx * cellWidth)} ${num(bottom + (1 - cy) * cellHeight)}`;
+                        return `${point} m ${point} l`;
+                    });
+                    ops.push(`${color.toUpperCase()} ${num(radius * 2)} w ${path.join(' ')} S`);
+                }
+            }
+            flush();
+        }
+        
+        return ops;
+    }
+    
+    // Multi-page PDF with vector text in the built-in Courier font. A grid
+    // larger than the printable area is split across pages, left to right
+    // and then top to bottom. Returns { bytes, pages, replaced } where
+    // replaced counts characters Courier cannot show.
+    function toPdf(frame, options, date) {
+        const [paperWidth, paperHeight] = PAPER_SIZES[options.paper];
+        const [pageWidth, pageHeight] = options.orientation === 'landscape' ?
+            [paperHeight, paperWidth] :
+            [paperWidth, paperHeight];
+        const fontSize = options.fontSize * PX_TO_PT;
+        const cellWidth = fontSize * COURIER_ADVANCE;
+        const cellHeight = fontSize * PDF_LINE_HEIGHT;
+        const labelSize = Math.max(9, fontSize);
+        const labelHeight = labelSize * 1.5;
+        const header = headerText(options, date);
+        const headerHeight = header ? labelHeight : 0;
+        const footerHeight = options.watermark ? labelHeight : 0;
+        
+        const columnsPerPage = Math.max(1, Math.floor((pageWidth - PDF_MARGIN * 2) / cellWidth));
+        const rowsPerPage = Math.max(1, Math.floor((pageHeight - PDF_MARGIN * 2 - headerHeight - footerHeight) / cellHeight));
+        const pagesAcross = Math.ceil(frame.width / columnsPerPage);
+        const pagesDown = Math.ceil(frame.height / rowsPerPage);
+        const pageCount = pagesAcross * pagesDown;
+        
+        const rows = AsciiCore.frameRows(frame);
+        const stats = { replaced: 0 };
+        const streams = [];
+        
+        for (let down = 0; down < pagesDown; down++) {
+            for (let across = 0; across < pagesAcross; across++) {
+                const ops = [`${pdfColor(options.bg)} 0 0 ${num(pageWidth)} ${num(pageHeight)} re f 1 J`];
+                
+                if (header) {
+                    const page = streams.length + 1;
+                    const title = pageCount > 1 ? `${header} - page ${page} of ${pageCount}` : header;
+                    ops.push(pdfColor(options.fg), pdfText(PDF_MARGIN, pageHeight - PDF_MARGIN - labelSize, labelSize, pdfString(title)));
+                }
+                
+                ops.push(...pdfCells(frame, rows, options, {
+                    left: PDF_MARGIN,
+                    top: pageHeight - PDF_MARGIN - headerHeight,
+                    cellWidth,
+                    cellHeight,
+                    fontSize,
+                    x0: across * columnsPerPage,
+                    x1: Math.min(frame.width, (across + 1) * columnsPerPage),
+                    y0: down * rowsPerPage,
+                    y1: Math.min(frame.height, (down + 1) * rowsPerPage)
+                }, stats));
+                
+                if (options.watermark) {
+                    // Courier is monospaced, so the width is exact
+                    const width = Array.from(options.watermark).length * labelSize * COURIER_ADVANCE;
+                    ops.push(pdfColor(mixColors(options.fg, options.bg, 0.5)),
+                        pdfText(pageWidth - PDF_MARGIN - width, PDF_MARGIN + (labelHeight - labelSize) / 2, labelSize, pdfString(options.watermark)));
+                }
+                
+                streams.push(ops.join('\n'));
+            }
+        }
+        
+        // Objects 1-4 are fixed; each page adds a page object and its content
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${streams.map((stream, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${streams.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+            `<< /Title ${pdfString(options.headerText || 'ASCII Camera')} /Producer (ASCII Camera) /CreationDate (${pdfDate(date)}) >>`
+        ];
+        streams.forEach(stream => {
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] ` +
+                `/Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length + 2} 0 R >>`);
+            objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        });
+        
+        // Every byte written is ASCII, so string offsets are byte offsets
+        let pdf = '%PDF-1.4\n';
+        const offsets = [];
+        objects.forEach((body, i) => {
+            offsets.push(pdf.length);
+            pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        });
+        
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++) {
+            bytes[i] = pdf.charCodeAt(i);
+        }
+        
+        return { bytes, pages: streams.length, replaced: stats.replaced };
+    }
+    
+    return {
+        THEMES,
+        FORMATS,
+        PAPER_SIZES,
+        DEFAULT_EXPORT_OPTIONS,
+        normalizeExportOptions,
+        fontStack,
+        mixColors,
+        glyphShape,
+        headerText,
+        measureMetrics,
+        exportLayout,
+        renderCanvas,
+        svgCells,
+        toSvg,
+        toPdf
+    };
+});
@@ -0,0 +1,111 @@
+// Worker-backed frame conversion with a frame-dropping queue
+// At most one frame is being converted and at most one waits behind it. A
+// newer frame replaces the waiting one, so a slow conversion lowers the
+// frame rate instead of building up latency.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FramePipeline = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+    
+    class FramePipeline {
+        // handlers: onFrame(frame, timings), onDrop(), onError(error) for a frame
+        // that failed to convert, onFailure(error) when the worker is unusable
+        constructor(workerUrl, handlers = {}) {
+            this.handlers = handlers;
+            this.worker = new Worker(workerUrl);
+            this.worker.onmessage = (event) => this.handleResult(event.data);
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                this.fail(new Error(event.message || 'Frame worker failed to load'));
+            };
+            
+            this.nextId = 1;
+            this.inFlight = null;
+            this.pending = null;
+        }
+        
+        static isSupported() {
+            return typeof Worker !== 'undefined' &&
+                typeof OffscreenCanvas !== 'undefined' &&
+                typeof createImageBitmap !== 'undefined';
+        }
+        
+        get busy() {
+            return this.inFlight !== null;
+        }
+        
+        // source: VideoFrame or ImageBitmap, transferred to the worker.
+        // timings: stage timings measured so far, carried through to onFrame.
+        submit(source, options, timings = {}) {
+            const job = { id: this.nextId++, source, options, timings, queuedAt: performance.now() };
+            
+            if (!this.inFlight) {
+                this.post(job);
+                return;
+            }
+            
+            if (this.pending) {
+                this.pending.source.close();
+                this.notify('onDrop');
+            }
+            this.pending = job;
+        }
+        
+        post(job) {
+            job.timings.queue = performance.now() - job.queuedAt;
+            this.inFlight = job;
+            this.worker.postMessage({ id: job.id, source: job.source, options: job.options }, [job.source]);
+        }
+        
+        handleResult(result) {
+            const job = this.inFlight;
+            if (!job || result.id !== job.id) {
+                return;
+            }
+            
+            this.inFlight = null;
+            if (this.pending) {
+                const next = this.pending;
+                this.pending = null;
+                this.post(next);
+            }
+            
+            if (result.error) {
+                this.notify('onError', new Error(result.error));
+            } else {
+                this.notify('onFrame', result.frame, { ...job.timings, ...result.timings });
+            }
+        }
+        
+        // Drop the waiting frame; a frame already in the worker still completes
+        clear() {
+            if (this.pending) {
+                this.pending.source.close();
+                this.pending = null;
+            }
+        }
+        
+        fail(error) {
+            this.terminate();
+            this.notify('onFailure', error);
+        }
+        
+        terminate() {
+            this.clear();
+            this.inFlight = null;
+            this.worker.terminate();
+        }
+        
+        notify(name, ...args) {
+            if (this.handlers[name]) {
+                this.handlers[name](...args);
+            }
+        }
+    }
+    
+    return FramePipeline;
+});
@@ -0,0 +1,79 @@
+// Frame conversion worker
+// Receives video frames (VideoFrame or ImageBitmap) from FramePipeline, scales
+// them on an OffscreenCanvas and runs the effect chain and the conversion core
+// off the main thread.
+'use strict';
+
+importScripts('ascii-core.js', 'video-effects.js');
+
+let canvas = null;
+let ctx = null;
+const effectState = AsciiEffects.createState(); // Previous frames for trails, motion and rain
+
+self.onmessage = (event) => {
+    const { id, source, options } = event.data;
+    
+    try {
+        const started = performance.now();
+        
+        // VideoFrame reports its size as displayWidth/Height, ImageBitmap as width/height
+        const sourceWidth = source.displayWidth || source.width;
+        const sourceHeight = source.displayHeight || source.height;
+        const plan = AsciiCore.planFrame(sourceWidth, sourceHeight, options);
+        
+        if (!canvas) {
+            canvas = new OffscreenCanvas(plan.pixelWidth, plan.pixelHeight);
+            ctx = canvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (canvas.width !== plan.pixelWidth || canvas.height !== plan.pixelHeight) {
+            canvas.width = plan.pixelWidth;
+            canvas.height = plan.pixelHeight;
+        }
+        
+        const { sx, sy, sWidth, sHeight } = plan.crop;
+        const { dx, dy, dWidth, dHeight } = plan.dest;
+        ctx.imageSmoothingEnabled = false;
+        // Flip horizontally for a selfie-style mirror image
+        if (options.mirror) {
+            ctx.setTransform(-1, 0, 0, 1, plan.pixelWidth, 0);
+        } else {
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+        }
+        // Letterbox margins stay black
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, plan.pixelWidth, plan.pixelHeight);
+        ctx.drawImage(source, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight);
+        source.close();
+        
+        const pixels = ctx.getImageData(0, 0, plan.pixelWidth, plan.pixelHeight).data;
+        const drawn = performance.now();
+        
+        AsciiEffects.applyPixelEffects(effectState, options.effects, pixels, plan, drawn);
+        const filtered = performance.now();
+        
+        const frame = AsciiCore.clearMargins(AsciiCore.convertPixels(pixels, plan.width, plan.height, options), plan);
+        const converted = performance.now();
+        AsciiEffects.applyFrameEffects(effectState, options.effects, frame);
+        const finished = performance.now();
+        
+        // Hand the per-cell color buffers back without copying them
+        const transfer = [frame.colors, frame.codes, frame.backgrounds, frame.backgroundCodes]
+            .filter(Boolean)
+            .map(array => array.buffer);
+        
+        self.postMessage({
+            id,
+            frame,
+            timings: {
+                draw: drawn - started,
+                effects: filtered - drawn + finished - converted,
+                convert: converted - filtered
+            }
+        }, transfer);
+    } catch (error) {
+        if (source && source.close) {
+            source.close();
+        }
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,83 @@
+// IndexedDB storage for the capture gallery
+// A capture record is { id, name, createdAt, favorite, frame, style, styleName,
+// resolution, sourceWidth, sourceHeight, source, thumbnail } where frame is an
+// AsciiCore frame and thumbnail a PNG Blob. Every method returns a promise.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GalleryStore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+    
+    const DB_NAME = 'asciiCamera';
+    const DB_VERSION = 1;
+    const STORE = 'captures';
+    
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    class GalleryStore {
+        constructor(db) {
+            this.db = db;
+        }
+        
+        static isSupported() {
+            return typeof indexedDB !== 'undefined';
+        }
+        
+        static open() {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('createdAt', 'createdAt');
+                }
+            };
+            return promisify(request).then(db => new GalleryStore(db));
+        }
+        
+        objectStore(mode) {
+            return this.db.transaction(STORE, mode).objectStore(STORE);
+        }
+        
+        // Resolves to the new record's id
+        add(record) {
+            return promisify(this.objectStore('readwrite').add(record));
+        }
+        
+        get(id) {
+            return promisify(this.objectStore('readonly').get(id));
+        }
+        
+        // All captures, newest first
+        getAll() {
+            return promisify(this.objectStore('readonly').index('createdAt').getAll())
+                .then(records => records.reverse());
+        }
+        
+        // Merge changes into a stored record; resolves to the updated record
+        update(id, changes) {
+            const store = this.objectStore('readwrite');
+            return promisify(store.get(id)).then(record => {
+                if (!record) {
+                    throw new Error(`Capture ${id} not found`);
+                }
+                const updated = { ...record, ...changes, id };
+                return promisify(store.put(updated)).then(() => updated);
+            });
+        }
+        
+        remove(id) {
+            return promisify(this.objectStore('readwrite').delete(id));
+        }
+    }
+    
+    return GalleryStore;
+});
@@ -0,0 +1,199 @@
+// Minimal animated GIF89a encoder
+// Frames are palette indices (one byte per pixel) against a single global
+// color table of up to 256 colors. DOM-free, like js/ascii-core.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GifEncoder = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+    
+    // Growable byte buffer
+    class ByteWriter {
+        constructor(size = 1 << 16) {
+            this.bytes = new Uint8Array(size);
+            this.length = 0;
+        }
+        
+        ensure(extra) {
+            if (this.length + extra <= this.bytes.length) {
+                return;
+            }
+            let size = this.bytes.length * 2;
+            while (size < this.length + extra) {
+                size *= 2;
+            }
+            const bytes = new Uint8Array(size);
+            bytes.set(this.bytes.subarray(0, this.length));
+            this.bytes = bytes;
+        }
+        
+        byte(value) {
+            this.ensure(1);
+            this.bytes[this.length++] = value;
+        }
+        
+        word(value) {
+            this.byte(value & 0xff);
+            this.byte((value >> 8) & 0xff);
+        }
+        
+        string(text) {
+            for (let i = 0; i < text.length; i++) {
+                this.byte(text.charCodeAt(i));
+            }
+        }
+        
+        toUint8Array() {
+            return this.bytes.slice(0, this.length);
+        }
+    }
+    
+    class GifEncoder {
+        // palette: array of [r, g, b]; loop: 0 repeats forever, null plays once
+        constructor(width, height, palette, loop = 0) {
+            this.width = width;
+            this.height = height;
+            this.out = new ByteWriter();
+            
+            // Color table size must be a power of two, at least 2 entries
+            let tableBits = 1;
+            while ((1 << tableBits) < palette.length) {
+                tableBits++;
+            }
+            this.minCodeSize = Math.max(2, tableBits);
+            
+            this.out.string('GIF89a');
+            this.out.word(width);
+            this.out.word(height);
+            this.out.byte(0x80 | (tableBits - 1)); // Global color table present
+            this.out.byte(0); // Background color index
+            this.out.byte(0); // Pixel aspect ratio
+            
+            for (let i = 0; i < 1 << tableBits; i++) {
+                const [r, g, b] = palette[i] || [0, 0, 0];
+                this.out.byte(r);
+                this.out.byte(g);
+                this.out.byte(b);
+            }
+            
+            if (loop !== null) {
+                // NETSCAPE2.0 application extension
+                this.out.byte(0x21);
+                this.out.byte(0xff);
+                this.out.byte(11);
+                this.out.string('NETSCAPE2.0');
+                this.out.byte(3);
+                this.out.byte(1);
+                this.out.word(loop);
+                this.out.byte(0);
+            }
+        }
+        
+        // indices: width × height palette indices; delay in hundredths of a second
+        addFrame(indices, delay) {
+            // Graphic control extension
+            this.out.byte(0x21);
+            this.out.byte(0xf9);
+            this.out.byte(4);
+            this.out.byte(0);
+            this.out.word(Math.max(2, Math.round(delay)));
+            this.out.byte(0);
+            this.out.byte(0);
+            
+            // Image descriptor, no local color table
+            this.out.byte(0x2c);
+            this.out.word(0);
+            this.out.word(0);
+            this.out.word(this.width);
+            this.out.word(this.height);
+            this.out.byte(0);
+            
+            this.out.byte(this.minCodeSize);
+            this.writeLzw(indices);
+        }
+        
+        writeLzw(indices) {
+            const out = this.out;
+            const minCodeSize = this.minCodeSize;
+            const clearCode = 1 << minCodeSize;
+            const endCode = clearCode + 1;
+            const dictionary = new Map();
+            
+            let codeSize = minCodeSize + 1;
+            let nextCode = endCode + 1;
+            let bitBuffer = 0;
+            let bitCount = 0;
+            const block = new Uint8Array(255);
+            let blockLength = 0;
+            
+            // Codes are packed LSB-first into sub-blocks of up to 255 bytes
+            const flushBlock = () => {
+                if (blockLength > 0) {
+                    out.byte(blockLength);
+                    out.ensure(blockLength);
+                    out.bytes.set(block.subarray(0, blockLength), out.length);
+                    out.length += blockLength;
+                    blockLength = 0;
+                }
+            };
+            const emit = (code) => {
+                bitBuffer |= code << bitCount;
+                bitCount += codeSize;
+                while (bitCount >= 8) {
+                    block[blockLength++] = bitBuffer & 0xff;
+                    if (blockLength === 255) {
+                        flushBlock();
+                    }
+                    bitBuffer >>= 8;
+                    bitCount -= 8;
+                }
+            };
+            
+            emit(clearCode);
+            
+            let prefix = indices[0];
+            for (let i = 1; i < indices.length; i++) {
+                const value = indices[i];
+                const key = (prefix << 8) | value;
+                const existing = dictionary.get(key);
+                
+                if (existing !== undefined) {
+                    prefix = existing;
+                    continue;
+                }
+                
+                emit(prefix);
+                if (nextCode === 4096) {
+                    emit(clearCode);
+                    dictionary.clear();
+                    codeSize = minCodeSize + 1;
+                    nextCode = endCode + 1;
+                } else {
+                    if (nextCode >= 1 << codeSize) {
+                        codeSize++;
+                    }
+                    dictionary.set(key, nextCode++);
+                }
+                prefix = value;
+            }
+            
+            emit(prefix);
+            emit(endCode);
+            if (bitCount > 0) {
+                block[blockLength++] = bitBuffer & 0xff;
+            }
+            flushBlock();
+            out.byte(0); // Block terminator
+        }
+        
+        finish() {
+            this.out.byte(0x3b); // Trailer
+            return this.out.toUint8Array();
+        }
+    }
+    
+    return GifEncoder;
+});
@@ -0,0 +1,310 @@
+// Plugins: charsets, renderers, filters and capture exporters added at run time
+// A plugin is an ES module loaded from a URL on the app's own site. Its
+// default export (or an export named register) is called with an API:
+//   export default function (api) {
+//       api.registerCharset({ id: 'dots', name: 'Dots', chars: '●•∙· ' });
+//   }
+// Every item gets its id with a "plugin:" prefix, so it never clashes with a
+// built-in one and saved settings can tell plugin styles and effects apart.
+// Charsets and renderers become styles of AsciiCore, filters become effects
+// of AsciiEffects, and exporters are kept here for the page. Renderers and
+// filters only exist on the thread that loaded them, so frames that use
+// them are converted on the main thread (see needsMainThread). DOM-free.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ascii-core.js'), require('./video-effects.js'));
+    } else {
+        root.AsciiPlugins = factory(root.AsciiCore, root.AsciiEffects);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AsciiCore, AsciiEffects) {
+    'use strict';
+    
+    const API_VERSION = 1;
+    const PLUGIN_PREFIX = 'plugin:';
+    
+    // Largest number of source pixels per cell a renderer may read on each axis
+    const MAX_SAMPLING = 8;
+    
+    // Registered items by id, in the order they were added; ids are unique
+    // across kinds. Each is { kind, id, name }, plus { extension, type,
+    // export } for exporters.
+    const ITEMS = new Map();
+    
+    function isPluginId(id) {
+        return typeof id === 'string' && id.startsWith(PLUGIN_PREFIX);
+    }
+    
+    // Frames need the main thread when their style or an effect comes from
+    // a plugin. Plugin charsets are sent as the ramp itself and don't count.
+    function needsMainThread(options) {
+        return isPluginId(options.charset) || Boolean(options.effects && options.effects.some(effect => isPluginId(effect.type)));
+    }
+    
+    function checkDefinition(definition, kind) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error(`A ${kind} must be an object`);
+        }
+        
+        const id = typeof definition.id === 'string' ? definition.id.trim() : '';
+        if (!/^[a-z0-9][a-z0-9_-]{0,39}$/i.test(id)) {
+            throw new Error(`A ${kind} needs an id of up to 40 letters, digits, "-" and "_"`);
+        }
+        const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+        if (!name) {
+            throw new Error(`The ${kind} "${id}" needs a name`);
+        }
+        if (ITEMS.has(PLUGIN_PREFIX + id)) {
+            throw new Error(`The id "${id}" is already taken`);
+        }
+        return { id: PLUGIN_PREFIX + id, name };
+    }
+    
+    function checkFunction(value, label) {
+        if (typeof value !== 'function') {
+            throw new Error(`${label} must be a function`);
+        }
+    }
+    
+    function add(item) {
+        ITEMS.set(item.id, item);
+        return item;
+    }
+    
+    // A brightness ramp, darkest glyph first, like the custom charsets
+    function registerCharset(definition) {
+        const { id, name } = checkDefinition(definition, 'charset');
+        const { chars } = AsciiCore.normalizeCustomCharset({ name, chars: definition.chars });
+        
+        AsciiCore.registerStyle(id, chars);
+        return add({ kind: 'charset', id, name });
+    }
+    
+    // A style with its own code: render(data, width, height, sampling,
+    // options) gets sampling.x × sampling.y RGBA pixels per cell and returns
+    // one string per row, or { rows, colors } with packed RGB per cell.
+    // sampling is { x, y } or a function of the options returning one.
+    function registerRenderer(definition) {
+        const { id, name } = checkDefinition(definition, 'renderer');
+        checkFunction(definition.render, `The render of "${name}"`);
+        
+        const sampling = typeof definition.sampling === 'function' ? definition.sampling : () => definition.sampling || { x: 1, y: 1 };
+        const checkSampling = (options) => {
+            const { x, y } = sampling(options) || {};
+            if (![x, y].every(value => Number.isInteger(value) && value >= 1 && value <= MAX_SAMPLING)) {
+                throw new Error(`The sampling of "${name}" must be whole numbers from 1 to ${MAX_SAMPLING}`);
+            }
+            return { x, y };
+        };
+        checkSampling({});
+        
+        AsciiCore.registerStyle(id, {
+            sampling: checkSampling,
+            render: (data, width, height, cellSampling, options) => {
+                const rendered = definition.render(data, width, height, cellSampling, options);
+                const rows = Array.isArray(rendered) ? rendered : rendered && rendered.rows;
+                if (!Array.isArray(rows) || rows.length !== height || rows.some(row => Array.from(row).length !== width)) {
+                    throw new Error(`The renderer "${name}" must return ${height} rows of ${width} characters`);
+                }
+                if (!Array.isArray(rendered) && rendered.colors && rendered.colors.length !== width * height * 3) {
+                    throw new Error(`The renderer "${name}" must return 3 color values per cell`);
+                }
+                return Array.isArray(rendered) ? rows : { rows, colors: rendered.colors || null };
+            }
+        });
+        return add({ kind: 'renderer', id, name });
+    }
+    
+    // Slider or dropdown settings of a filter, in the form of AsciiEffects
+    function checkParams(params, name) {
+        if (params === undefined) return {};
+        if (!params || typeof params !== 'object') {
+            throw new Error(`The params of "${name}" must be an object`);
+        }
+        
+        Object.entries(params).forEach(([key, param]) => {
+            const label = `The param "${key}" of "${name}"`;
+            if (!param || typeof param.label !== 'string') {
+                throw new Error(`${label} needs a label`);
+            }
+            if (param.options) {
+                if (!Object.prototype.hasOwnProperty.call(param.options, param.value)) {
+                    throw new Error(`${label} must default to one of its options`);
+                }
+            } else if (![param.min, param.max, param.step, param.value].every(Number.isFinite) ||
+                param.min > param.value || param.value > param.max || param.step <= 0) {
+                throw new Error(`${label} needs min ≤ value ≤ max and a positive step`);
+            }
+        });
+        return params;
+    }
+    
+    // A video effect: pixels(context) changes the scaled RGBA buffer before
+    // conversion, cells(context) the converted characters; see EFFECTS in
+    // js/video-effects.js for the contexts
+    function registerFilter(definition) {
+        const { id, name } = checkDefinition(definition, 'filter');
+        if (!definition.pixels && !definition.cells) {
+            throw new Error(`The filter "${name}" needs a pixels or a cells function`);
+        }
+        if (definition.pixels) checkFunction(definition.pixels, `The pixels of "${name}"`);
+        if (definition.cells) checkFunction(definition.cells, `The cells of "${name}"`);
+        
+        AsciiEffects.registerEffect(id, {
+            name,
+            animated: definition.animated === true,
+            params: checkParams(definition.params, name),
+            pixels: definition.pixels,
+            cells: definition.cells
+        });
+        return add({ kind: 'filter', id, name });
+    }
+    
+    // A download of the captured frame: export({ frame, text, capturedAt })
+    // returns (or resolves to) a string, Blob, ArrayBuffer or byte array
+    function registerExporter(definition) {
+        const { id, name } = checkDefinition(definition, 'exporter');
+        checkFunction(definition.export, `The export of "${name}"`);
+        
+        const extension = typeof definition.extension === 'string' ? definition.extension.replace(/^\./, '') : '';
+        if (!/^[a-z0-9]{1,10}$/i.test(extension)) {
+            throw new Error(`The exporter "${name}" needs a file extension`);
+        }
+        const type = typeof definition.type === 'string' && definition.type ? definition.type : 'application/octet-stream';
+        
+        return add({ kind: 'exporter', id, name, extension, type, export: definition.export });
+    }
+    
+    function unregister(item) {
+        if (item.kind === 'charset' || item.kind === 'renderer') {
+            AsciiCore.unregisterStyle(item.id);
+        } else if (item.kind === 'filter') {
+            AsciiEffects.unregisterEffect(item.id);
+        }
+        ITEMS.delete(item.id);
+    }
+    
+    // Registered items of one kind, e.g. items('exporter')
+    function items(kind) {
+        return Array.from(ITEMS.values()).filter(item => item.kind === kind);
+    }
+    
+    // The object a plugin's register function gets. What it registers is
+    // listed in plugin.items, so the plugin can be removed again.
+    function createApi(plugin) {
+        const track = (register) => (definition) => {
+            const item = register(definition);
+            plugin.items.push(item);
+            return item.id;
+        };
+        
+        return {
+            version: API_VERSION,
+            AsciiCore,
+            AsciiEffects,
+            registerCharset: track(registerCharset),
+            registerRenderer: track(registerRenderer),
+            registerFilter: track(registerFilter),
+            registerExporter: track(registerExporter)
+        };
+    }
+    
+    // Absolute URL of a plugin module. Plugins run with the page's full
+    // access, so only modules from the page's own origin are accepted.
+    function resolvePluginUrl(text, base) {
+        let url;
+        try {
+            url = new URL(String(text).trim(), base);
+        } catch (error) {
+            throw new Error(`"${text}" is not a valid URL`);
+        }
+        if (url.origin !== new URL(base).origin) {
+            throw new Error('Plugins must be loaded from this site');
+        }
+        return url.href;
+    }
+    
+    // Saved plugin URLs: unique strings, in order
+    function normalizePluginUrls(urls) {
+        if (!Array.isArray(urls)) return [];
+        return [...new Set(urls.filter(url => typeof url === 'string' && url))];
+    }
+    
+    // Import a plugin and run its register function. A plugin that fails
+    // halfway has its items removed again. Resolves to
+    // { url, name, items }; the name is the module's "name" export, if any.
+    async function loadPlugin(url, importModule) {
+        const module = await importModule(url);
+        const register = module && (typeof module.default === 'function' ? module.default : module.register);
+        if (typeof register !== 'function') {
+            throw new Error('The module has no default export or register function');
+        }
+        
+        const plugin = {
+            url,
+            name: typeof module.name === 'string' && module.name ? module.name : url.split('/').pop(),
+            items: []
+        };
+        try {
+            await register(createApi(plugin));
+        } catch (error) {
+            unloadPlugin(plugin);
+            throw error;
+        }
+        return plugin;
+    }
+    
+    function unloadPlugin(plugin) {
+        plugin.items.forEach(unregister);
+        plugin.items = [];
+    }
+    
+    // Load plugins one after another, so they register in a stable order.
+    // Failures don't stop the rest: each result is a plugin or
+    // { url, name, items: [], error }.
+    async function loadPlugins(urls, importModule) {
+        const plugins = [];
+        for (const url of urls) {
+            try {
+                plugins.push(await loadPlugin(url, importModule));
+            } catch (error) {
+                plugins.push({ url, name: url.split('/').pop(), items: [], error: error.message });
+            }
+        }
+        return plugins;
+    }
+    
+    // "2 styles, 1 filter" for a plugin's items
+    function describeItems(pluginItems) {
+        const count = (kinds, word) => {
+            const total = pluginItems.filter(item => kinds.includes(item.kind)).length;
+            return total ? `${total} ${word}${total === 1 ? '' : 's'}` : null;
+        };
+        const parts = [
+            count(['charset', 'renderer'], 'style'),
+            count(['filter'], 'filter'),
+            count(['exporter'], 'exporter')
+        ].filter(Boolean);
+        return parts.length ? parts.join(', ') : 'nothing registered';
+    }
+    
+    return {
+        API_VERSION,
+        PLUGIN_PREFIX,
+        MAX_SAMPLING,
+        isPluginId,
+        needsMainThread,
+        registerCharset,
+        registerRenderer,
+        registerFilter,
+        registerExporter,
+        unregister,
+        items,
+        createApi,
+        resolvePluginUrl,
+        normalizePluginUrls,
+        loadPlugin,
+        unloadPlugin,
+        loadPlugins,
+        describeItems
+    };
+});
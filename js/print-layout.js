@@ -0,0 +1,237 @@
+// Print layout: fits a capture to one page or tiles it across several
+// Pages are SVG in millimetres built from AsciiExport.svgCells, so every
+// character is escaped and placed on the grid whatever the charset. The
+// result is a standalone HTML document for a print window. DOM-free.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ascii-core.js'), require('./export-renderer.js'));
+    } else {
+        root.AsciiPrint = factory(root.AsciiCore, root.AsciiExport);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AsciiCore, AsciiExport) {
+    'use strict';
+    
+    const MM_PER_POINT = 25.4 / 72;
+    
+    // Cells are measured at this size, then scaled to the page
+    const PRINT_FONT = 'Courier New';
+    const PRINT_FONT_SIZE = 10;
+    
+    const HEADER_HEIGHT = 8; // mm
+    const HEADER_FONT_SIZE = 3.5; // mm, about 10pt
+    const MARK_LENGTH = 5; // mm
+    const MARK_GAP = 1.5; // mm between a mark and the art
+    
+    const DEFAULT_PRINT_OPTIONS = {
+        paper: 'a4',
+        orientation: 'portrait',
+        margin: 10, // mm
+        mode: 'fit', // 'fit' scales to one page, 'tile' spreads over several
+        pagesAcross: 2,
+        marks: true,
+        header: true,
+        color: false
+    };
+    
+    function normalizePrintOptions(options = {}) {
+        const defaults = DEFAULT_PRINT_OPTIONS;
+        const pick = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+        const flag = (value, fallback) => typeof value === 'boolean' ? value : fallback;
+        const number = (value, min, max, fallback) => {
+            const parsed = Number(value);
+            return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+        };
+        
+        return {
+            paper: pick(options.paper, Object.keys(AsciiExport.PAPER_SIZES), defaults.paper),
+            orientation: pick(options.orientation, ['portrait', 'landscape'], defaults.orientation),
+            margin: number(options.margin, 0, 40, defaults.margin),
+            mode: pick(options.mode, ['fit', 'tile'], defaults.mode),
+            pagesAcross: Math.round(number(options.pagesAcross, 1, 8, defaults.pagesAcross)),
+            marks: flag(options.marks, defaults.marks),
+            header: flag(options.header, defaults.header),
+            color: flag(options.color, defaults.color)
+        };
+    }
+    
+    // Page size in mm, turned for landscape
+    function pageSize(options) {
+        const [width, height] = AsciiExport.PAPER_SIZES[options.paper].map(points => points * MM_PER_POINT);
+        return options.orientation === 'landscape' ? [height, width] : [width, height];
+    }
+    
+    // Which part of the grid goes on which page, and at what scale. metrics
+    // is the cell size in px at PRINT_FONT_SIZE (AsciiExport.measureMetrics);
+    // scale converts those px to mm.
+    function planPrint(frame, metrics, options) {
+        const [pageWidth, pageHeight] = pageSize(options);
+        const headerHeight = options.header ? HEADER_HEIGHT : 0;
+        const contentWidth = pageWidth - options.margin * 2;
+        const contentHeight = pageHeight - options.margin * 2 - headerHeight;
+        const { cellWidth, cellHeight } = metrics;
+        
+        let scale, columnsPerPage, rowsPerPage;
+        if (options.mode === 'tile') {
+            // Columns are shared evenly between the pages across; rows fill
+            // each page's height at that scale
+            columnsPerPage = Math.ceil(frame.width / Math.min(options.pagesAcross, frame.width));
+            scale = contentWidth / (columnsPerPage * cellWidth);
+            rowsPerPage = Math.max(1, Math.floor(contentHeight / (cellHeight * scale)));
+        } else {
+            scale = Math.min(contentWidth / (frame.width * cellWidth), contentHeight / (frame.height * cellHeight));
+            columnsPerPage = frame.width;
+            rowsPerPage = frame.height;
+        }
+        
+        const pagesAcross = Math.ceil(frame.width / columnsPerPage);
+        const pagesDown = Math.ceil(frame.height / rowsPerPage);
+        const pages = [];
+        for (let down = 0; down < pagesDown; down++) {
+            for (let across = 0; across < pagesAcross; across++) {
+                pages.push({
+                    across,
+                    down,
+                    x0: across * columnsPerPage,
+                    x1: Math.min(frame.width, (across + 1) * columnsPerPage),
+                    y0: down * rowsPerPage,
+                    y1: Math.min(frame.height, (down + 1) * rowsPerPage)
+                });
+            }
+        }
+        
+        // A fitted capture is centred; tiles start at the content corner so
+        // neighbouring pages line up when trimmed
+        const fitted = options.mode !== 'tile';
+        return {
+            pageWidth,
+            pageHeight,
+            margin: options.margin,
+            headerHeight,
+            scale,
+            offsetX: fitted ? (contentWidth - frame.width * cellWidth * scale) / 2 : 0,
+            offsetY: fitted ? (contentHeight - frame.height * cellHeight * scale) / 2 : 0,
+            pagesAcross,
+            pagesDown,
+            pages,
+            fontPoints: PRINT_FONT_SIZE * scale / MM_PER_POINT
+        };
+    }
+    
+    function num(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+    
+    // Crop marks just outside each corner of the art, for trimming and
+    // aligning tiled pages
+    function registrationMarks(left, top, right, bottom, margin) {
+        const length = Math.min(MARK_LENGTH, margin - MARK_GAP);
+        if (length < 1) return [];
+        
+        const lines = [];
+        for (const [x, y, dx, dy] of [[left, top, -1, -1], [right, top, 1, -1], [left, bottom, -1, 1], [right, bottom, 1, 1]]) {
+            lines.push(
+                [x + dx * MARK_GAP, y, x + dx * (MARK_GAP + length), y],
+                [x, y + dy * MARK_GAP, x, y + dy * (MARK_GAP + length)]
+            );
+        }
+        return lines.map(([x1, y1, x2, y2]) =>
+            `<line x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}" stroke="#000000" stroke-width="0.2"/>`);
+    }
+    
+    // One SVG per page, sized to fill its container
+    function printPages(frame, metrics, plan, options, date) {
+        const escape = AsciiCore.escapeHtml;
+        const style = AsciiExport.normalizeExportOptions({
+            theme: 'paper',
+            frameColors: options.color,
+            fontFamily: PRINT_FONT,
+            fontSize: PRINT_FONT_SIZE
+        });
+        const { pageWidth, pageHeight, margin, scale } = plan;
+        
+        return plan.pages.map((page, index) => {
+            const left = margin + plan.offsetX;
+            const top = margin + plan.headerHeight + plan.offsetY;
+            const lines = [
+                `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${num(pageWidth)} ${num(pageHeight)}" ` +
+                    `width="100%" height="100%" font-family="${escape(AsciiExport.fontStack(PRINT_FONT))}">`,
+                `<rect width="100%" height="100%" fill="${style.bg}"/>`
+            ];
+            
+            if (options.header) {
+                let title = `ASCII Camera Capture - ${date.toLocaleString()}`;
+                if (plan.pages.length > 1) {
+                    title += ` - page ${index + 1} of ${plan.pages.length} (row ${page.down + 1}, column ${page.across + 1})`;
+                }
+                lines.push(`<text x="${num(pageWidth / 2)}" y="${num(margin + HEADER_FONT_SIZE)}" font-size="${HEADER_FONT_SIZE}" ` +
+                    `text-anchor="middle" fill="${style.fg}">${escape(title)}</text>`);
+            }
+            
+            lines.push(`<g transform="translate(${num(left)} ${num(top)}) scale(${num(scale)})" font-size="${PRINT_FONT_SIZE}">`);
+            const cells = AsciiExport.svgCells(frame, style, metrics, page);
+            lines.push(cells.join('\n'), '</g>');
+            
+            if (options.mode === 'tile' && options.marks) {
+                const right = left + (page.x1 - page.x0) * metrics.cellWidth * scale;
+                const bottom = top + (page.y1 - page.y0) * metrics.cellHeight * scale;
+                lines.push(...registrationMarks(left, top, right, bottom, margin));
+            }
+            
+            lines.push('</svg>');
+            return lines.join('\n');
+        });
+    }
+    
+    // Standalone page for a print window: exact paper size, no browser
+    // margins, one sheet per page
+    function toPrintDocument(pages, plan, title = 'ASCII Camera Print') {
+        const width = num(plan.pageWidth);
+        const height = num(plan.pageHeight);
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${AsciiCore.escapeHtml(title)}</title>
+    <style>
+        @page { size: ${width}mm ${height}mm; margin: 0; }
+        body { margin: 0; background: #808080; font-family: 'Courier New', monospace; }
+        .sheet {
+            width: ${width}mm;
+            height: ${height}mm;
+            margin: 10mm auto;
+            background: #fff;
+            overflow: hidden;
+            break-after: page;
+        }
+        .sheet:last-of-type { break-after: auto; }
+        .toolbar { text-align: center; padding: 10px; }
+        @media print {
+            body { background: none; }
+            .sheet { margin: 0; }
+            .toolbar { display: none; }
+        }
+    </style>
+</head>
+<body>
+<div class="toolbar">
+    <button onclick="window.print()">Print</button>
+    <button onclick="window.close()">Close</button>
+</div>
+${pages.map(page => `<div class="sheet">\n${page}\n</div>`).join('\n')}
+</body>
+</html>
+`;
+    }
+    
+    return {
+        PRINT_FONT,
+        PRINT_FONT_SIZE,
+        DEFAULT_PRINT_OPTIONS,
+        normalizePrintOptions,
+        pageSize,
+        planPrint,
+        printPages,
+        toPrintDocument
+    };
+});
@@ -0,0 +1,162 @@
+// ASCII clip recording helpers
+// A clip is { startedAt, frames: [{ time, frame }] } where time is in ms from
+// the start of the recording and frame is an AsciiCore frame. Everything here
+// is DOM-free; canvas-based exports (GIF, WebM) live in scripts.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ascii-core.js'));
+    } else {
+        root.AsciiRecording = factory(root.AsciiCore);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AsciiCore) {
+    'use strict';
+    
+    // Full xterm 256-color palette: 16 system colors, 6×6×6 cube, 24 grays
+    const XTERM256_PALETTE = (() => {
+        const palette = AsciiCore.ANSI16_PALETTE.map(color => color.slice());
+        for (let r = 0; r < 6; r++) {
+            for (let g = 0; g < 6; g++) {
+                for (let b = 0; b < 6; b++) {
+                    palette.push([AsciiCore.CUBE_LEVELS[r], AsciiCore.CUBE_LEVELS[g], AsciiCore.CUBE_LEVELS[b]]);
+                }
+            }
+        }
+        for (let i = 0; i < 24; i++) {
+            const gray = 8 + i * 10;
+            palette.push([gray, gray, gray]);
+        }
+        return palette;
+    })();
+    
+    function createClip(startedAt = Date.now()) {
+        return { startedAt, frames: [] };
+    }
+    
+    function addFrame(clip, frame, time) {
+        clip.frames.push({ time, frame });
+    }
+    
+    function duration(clip) {
+        const frames = clip.frames;
+        return frames.length ? frames[frames.length - 1].time - frames[0].time : 0;
+    }
+    
+    // Frames startIndex..endIndex (inclusive), re-timed to start at zero
+    function trimClip(clip, startIndex = 0, endIndex = clip.frames.length - 1) {
+        const frames = clip.frames.slice(startIndex, endIndex + 1);
+        const offset = frames.length ? frames[0].time : 0;
+        
+        return {
+            startedAt: clip.startedAt + offset,
+            frames: frames.map(({ time, frame }) => ({ time: time - offset, frame }))
+        };
+    }
+    
+    // Largest grid in the clip (the resolution may change while recording)
+    function clipDimensions(clip) {
+        return clip.frames.reduce((size, { frame }) => ({
+            width: Math.max(size.width, frame.width),
+            height: Math.max(size.height, frame.height)
+        }), { width: 0, height: 0 });
+    }
+    
+    // Display time of each frame in ms; the last frame repeats the average
+    function frameDelays(clip) {
+        const frames = clip.frames;
+        const average = frames.length > 1 ? duration(clip) / (frames.length - 1) : 100;
+        
+        return frames.map((entry, index) => index < frames.length - 1 ?
+            frames[index + 1].time - entry.time :
+            average);
+    }
+    
+    // asciicast v2 (asciinema): a JSON header line, then [time, "o", data] events
+    function toAsciicast(clip, title = 'ASCII Camera Recording') {
+        const { width, height } = clipDimensions(clip);
+        const header = {
+            version: 2,
+            width,
+            height,
+            timestamp: Math.floor(clip.startedAt / 1000),
+            title,
+            env: { TERM: 'xterm-256color' }
+        };
+        
+        const lines = [JSON.stringify(header)];
+        lines.push(JSON.stringify([0, 'o', '\x1b[2J\x1b[?25l']));
+        
+        let previous = null;
+        for (const { time, frame } of clip.frames) {
+            // No newline after the last row, or the terminal scrolls a line
+            const ansi = AsciiCore.toAnsi(frame).replace(/\n$/, '').replace(/\n/g, '\r\n');
+            // A smaller grid would leave the old frame's edges on screen
+            const resized = previous && (frame.width !== previous.width || frame.height !== previous.height);
+            lines.push(JSON.stringify([Number((time / 1000).toFixed(6)), 'o', (resized ? '\x1b[2J' : '') + '\x1b[H' + ansi]));
+            previous = frame;
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    // Standalone page that loops the clip in a <pre>
+    function toHtmlPlayer(clip, title = 'ASCII Camera Recording') {
+        const delays = frameDelays(clip);
+        const frames = clip.frames.map(({ frame }, index) => ({
+            delay: Math.round(delays[index]),
+            html: frame.colors ? AsciiCore.toColorHtml(frame) : AsciiCore.escapeHtml(frame.text)
+        }));
+        
+        // Keep "</script>" in frame text from closing the script early
+        const data = JSON.stringify(frames).replace(/</g, '\\u003c');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${AsciiCore.escapeHtml(title)}</title>
+    <style>
+        body { margin: 0; padding: 20px; background: #000; }
+        pre {
+            font-family: 'Courier New', monospace;
+            font-size: 8px;
+            line-height: 0.85;
+            letter-spacing: 0.3px;
+            color: #00ff00;
+            margin: 0;
+        }
+    </style>
+</head>
+<body>
+<pre id="player"></pre>
+<script>
+    const frames = ${data};
+    const player = document.getElementById('player');
+    let index = 0;
+    
+    function show() {
+        player.innerHTML = frames[index].html;
+        setTimeout(show, frames[index].delay);
+        index = (index + 1) % frames.length;
+    }
+    
+    if (frames.length) {
+        show();
+    }
+</script>
+</body>
+</html>
+`;
+    }
+    
+    return {
+        XTERM256_PALETTE,
+        createClip,
+        addFrame,
+        duration,
+        trimClip,
+        clipDimensions,
+        frameDelays,
+        toAsciicast,
+        toHtmlPlayer
+    };
+});
@@ -0,0 +1,202 @@
+// Render settings: validation, version migration and shareable links
+// Settings are one versioned object:
+//   { v, resolution, columns, rows, fit, style, charset, colorMode, fps,
+//     showVideo, tone, effects, camera }
+// resolution is a preset, "custom" for the columns × rows grid or "fit" to
+// fill the output area. style is a built-in style, a plugin style
+// ("plugin:<id>", see js/plugins.js) or "custom:<name>"; charset carries
+// that custom ramp's definition so a link works where it isn't saved yet.
+// Plugin styles and effects are only kept while their plugin is loaded.
+// Stored settings, presets and links all go through migrateSettings, so
+// anything written by an older version keeps loading. DOM-free.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ascii-core.js'), require('./video-effects.js'));
+    } else {
+        root.AsciiSettings = factory(root.AsciiCore, root.AsciiEffects);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AsciiCore, AsciiEffects) {
+    'use strict';
+    
+    const SETTINGS_VERSION = 2;
+    const HASH_PREFIX = 'config=';
+    
+    // The FPS Cap dropdown; 0 means no cap
+    const FPS_CAPS = [0, 60, 30, 24, 15, 10, 5];
+    const FACING_MODES = ['user', 'environment'];
+    const GRID_MODES = ['custom', 'fit'];
+    
+    function defaultSettings() {
+        return {
+            v: SETTINGS_VERSION,
+            resolution: 'medium',
+            columns: 120,
+            rows: 40,
+            fit: 'crop',
+            style: 'detailed',
+            charset: null,
+            colorMode: 'mono',
+            fps: 0,
+            showVideo: true,
+            tone: { ...AsciiCore.DEFAULT_TONE, dither: 'none' },
+            effects: [],
+            camera: { deviceId: '', facingMode: 'environment', resolution: '1920x1080', frameRate: 0, mirror: false }
+        };
+    }
+    
+    // Upgrades from each older version to the next one
+    const MIGRATIONS = {
+        // Version 0: the tone, camera and effect settings that used to be
+        // kept under their own localStorage keys
+        0: (settings) => ({
+            v: 1,
+            tone: settings.tone,
+            camera: settings.camera,
+            effects: settings.effects
+        }),
+        // Version 2 added the custom grid and the fit mode; until then the
+        // source was always cropped to fill the grid
+        1: (settings) => ({ ...settings, v: 2, fit: 'crop' })
+    };
+    
+    function isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    function isNumberIn(value, min, max) {
+        return typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+    }
+    
+    function normalizeTone(saved, tone) {
+        if (!isObject(saved)) return tone;
+        
+        if (isNumberIn(saved.brightness, -100, 100)) tone.brightness = saved.brightness;
+        if (isNumberIn(saved.contrast, -100, 100)) tone.contrast = saved.contrast;
+        if (isNumberIn(saved.gamma, 0.1, 3)) tone.gamma = saved.gamma;
+        if (AsciiCore.LEVELS_MODES.includes(saved.levels)) tone.levels = saved.levels;
+        if (AsciiCore.DITHER_METHODS.includes(saved.dither)) tone.dither = saved.dither;
+        return tone;
+    }
+    
+    function normalizeCamera(saved, camera) {
+        if (!isObject(saved)) return camera;
+        
+        if (typeof saved.deviceId === 'string') camera.deviceId = saved.deviceId;
+        if (FACING_MODES.includes(saved.facingMode)) camera.facingMode = saved.facingMode;
+        if (/^\d+x\d+$/.test(saved.resolution)) camera.resolution = saved.resolution;
+        if (isNumberIn(saved.frameRate, 0, 240)) camera.frameRate = saved.frameRate;
+        camera.mirror = saved.mirror === true;
+        return camera;
+    }
+    
+    function normalizeStyle(settings, saved) {
+        if (typeof saved.style !== 'string') return;
+        
+        if (saved.style.startsWith('custom:')) {
+            settings.style = saved.style;
+            try {
+                settings.charset = saved.charset ? AsciiCore.normalizeCustomCharset(saved.charset) : null;
+            } catch (error) {
+                settings.charset = null;
+            }
+        } else if (AsciiCore.STYLES.includes(saved.style)) {
+            settings.style = saved.style;
+        }
+    }
+    
+    // Current-version settings with every field checked; values that are
+    // missing or invalid fall back to the defaults one by one
+    function normalizeSettings(saved) {
+        const settings = defaultSettings();
+        if (!isObject(saved)) return settings;
+        
+        if (Object.prototype.hasOwnProperty.call(AsciiCore.RESOLUTIONS, saved.resolution) ||
+            GRID_MODES.includes(saved.resolution)) {
+            settings.resolution = saved.resolution;
+        }
+        if (Number.isInteger(saved.columns) && isNumberIn(saved.columns, 1, AsciiCore.MAX_CUSTOM_SIZE)) {
+            settings.columns = saved.columns;
+        }
+        if (Number.isInteger(saved.rows) && isNumberIn(saved.rows, 1, AsciiCore.MAX_CUSTOM_SIZE)) {
+            settings.rows = saved.rows;
+        }
+        if (AsciiCore.FIT_MODES.includes(saved.fit)) settings.fit = saved.fit;
+        normalizeStyle(settings, saved);
+        if (AsciiCore.COLOR_MODES.includes(saved.colorMode)) settings.colorMode = saved.colorMode;
+        if (FPS_CAPS.includes(saved.fps)) settings.fps = saved.fps;
+        if (typeof saved.showVideo === 'boolean') settings.showVideo = saved.showVideo;
+        
+        settings.tone = normalizeTone(saved.tone, settings.tone);
+        settings.effects = AsciiEffects.normalizeChain(saved.effects);
+        settings.camera = normalizeCamera(saved.camera, settings.camera);
+        return settings;
+    }
+    
+    // Bring settings of any earlier version up to date, then validate them.
+    // Throws for settings from a newer version of the app.
+    function migrateSettings(saved) {
+        if (!isObject(saved)) {
+            return defaultSettings();
+        }
+        
+        let settings = saved;
+        let version = Number.isInteger(settings.v) ? settings.v : 0;
+        if (version > SETTINGS_VERSION) {
+            throw new Error(`Settings version ${version} is newer than this app supports`);
+        }
+        while (version < SETTINGS_VERSION) {
+            settings = MIGRATIONS[version](settings);
+            version = settings.v;
+        }
+        return normalizeSettings(settings);
+    }
+    
+    // UTF-8 safe base64url, so custom ramps survive the round trip
+    function toBase64Url(text) {
+        let binary = '';
+        new TextEncoder().encode(text).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    function fromBase64Url(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+    
+    // URL hash (without the "#") that carries the settings
+    function toHash(settings) {
+        return HASH_PREFIX + toBase64Url(JSON.stringify(settings));
+    }
+    
+    // Settings from a location hash, or null when the hash holds none.
+    // Throws with a readable message when the link is damaged.
+    function fromHash(hash) {
+        const value = hash.replace(/^#/, '');
+        if (!value.startsWith(HASH_PREFIX)) {
+            return null;
+        }
+        
+        let saved;
+        try {
+            saved = JSON.parse(fromBase64Url(value.slice(HASH_PREFIX.length)));
+        } catch (error) {
+            throw new Error('Settings link is damaged');
+        }
+        if (!isObject(saved)) {
+            throw new Error('Settings link is damaged');
+        }
+        return migrateSettings(saved);
+    }
+    
+    return {
+        SETTINGS_VERSION,
+        FPS_CAPS,
+        defaultSettings,
+        normalizeSettings,
+        migrateSettings,
+        toHash,
+        fromHash
+    };
+});
@@ -0,0 +1,178 @@
+// Keyboard shortcuts: the page's actions, their default keys and the key
+// names read from keydown events or typed by hand
+// A key is written as modifiers and a key name joined by "+", e.g. "Ctrl+S",
+// "Shift+R", "?" or "ArrowLeft". Letters are upper case. Shift is only part
+// of the name for letters and named keys; for digits and punctuation it
+// already changes the character itself ("?" rather than "Shift+/").
+// Escape (close dialogs) and Tab (move focus) are reserved. DOM-free.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AsciiShortcuts = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+    
+    // In the order the help overlay lists them
+    const ACTIONS = [
+        { id: 'camera', label: 'Start or stop the camera', key: 'C' },
+        { id: 'capture', label: 'Capture frame', key: 'Ctrl+S' },
+        { id: 'autoCapture', label: 'Start or stop auto capture', key: 'A' },
+        { id: 'nextStyle', label: 'Next style', key: 'S' },
+        { id: 'previousStyle', label: 'Previous style', key: 'Shift+S' },
+        { id: 'nextResolution', label: 'Next resolution', key: 'R' },
+        { id: 'previousResolution', label: 'Previous resolution', key: 'Shift+R' },
+        { id: 'toggleVideo', label: 'Show or hide the video', key: 'V' },
+        { id: 'copy', label: 'Copy to clipboard', key: 'Y' },
+        { id: 'print', label: 'Print', key: 'P' },
+        { id: 'record', label: 'Start or stop recording', key: 'E' },
+        { id: 'gallery', label: 'Open the gallery', key: 'G' },
+        { id: 'stepBack', label: 'Previous video frame', key: ',' },
+        { id: 'stepForward', label: 'Next video frame', key: '.' },
+        { id: 'help', label: 'Keyboard shortcuts', key: '?' }
+    ];
+    
+    const RESERVED_KEYS = ['Escape', 'Tab'];
+    
+    // Keys that only modify others, or that the browser could not identify
+    const IGNORED_KEYS = ['Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'CapsLock', 'Dead', 'Unidentified'];
+    
+    const NAMED_KEYS = [
+        'Space', 'Enter', 'Backspace', 'Delete', 'Insert', 'Home', 'End', 'PageUp', 'PageDown',
+        'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Escape', 'Tab',
+        ...Array.from({ length: 12 }, (value, i) => `F${i + 1}`)
+    ];
+    
+    // Spellings accepted when a key is typed by hand
+    const MODIFIER_NAMES = { ctrl: 'Ctrl', control: 'Ctrl', alt: 'Alt', option: 'Alt', shift: 'Shift', meta: 'Meta', cmd: 'Meta', command: 'Meta' };
+    const KEY_NAMES = { ' ': 'Space', spacebar: 'Space', esc: 'Escape', return: 'Enter', del: 'Delete', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' };
+    
+    function findAction(id) {
+        return ACTIONS.find(action => action.id === id) || null;
+    }
+    
+    function defaultBindings() {
+        return Object.fromEntries(ACTIONS.map(action => [action.id, action.key]));
+    }
+    
+    // Build a key name; key is a KeyboardEvent.key value or a named key
+    function formatKey({ key, ctrl = false, alt = false, shift = false, meta = false }) {
+        // Some letters have no single-character upper case ("ß")
+        const upper = key.toUpperCase();
+        const name = key === ' ' ? 'Space' : Array.from(key).length === 1 && Array.from(upper).length === 1 ? upper : key;
+        const character = Array.from(name).length === 1;
+        const cased = character && name.toLowerCase() !== name;
+        
+        const parts = [];
+        if (ctrl) parts.push('Ctrl');
+        if (alt) parts.push('Alt');
+        if (shift && (!character || cased)) parts.push('Shift');
+        if (meta) parts.push('Meta');
+        parts.push(name);
+        return parts.join('+');
+    }
+    
+    // The key name for a keydown event, or null for a modifier on its own
+    function eventKey(event) {
+        if (!event.key || IGNORED_KEYS.includes(event.key)) return null;
+        return formatKey({ key: event.key, ctrl: event.ctrlKey, alt: event.altKey, shift: event.shiftKey, meta: event.metaKey });
+    }
+    
+    // Canonical form of a key name such as "ctrl+shift+a" or "Cmd+Space",
+    // or null when it isn't a key that can be bound
+    function normalizeKey(text) {
+        if (typeof text !== 'string' || !text.trim()) return null;
+        
+        // "+" is a key too, alone or at the end of a combination
+        const trimmed = text.trim();
+        const plus = trimmed.endsWith('+');
+        const parts = (plus ? trimmed.slice(0, -1) : trimmed).split('+').map(part => part.trim());
+        const key = plus ? '+' : parts.pop();
+        
+        const modifiers = new Set();
+        for (const part of parts.filter(Boolean)) {
+            const modifier = MODIFIER_NAMES[part.toLowerCase()];
+            if (!modifier) return null;
+            modifiers.add(modifier);
+        }
+        
+        let name = KEY_NAMES[key.toLowerCase()] || key;
+        if (Array.from(name).length > 1) {
+            name = NAMED_KEYS.find(named => named.toLowerCase() === name.toLowerCase());
+            if (!name) return null;
+        }
+        if (RESERVED_KEYS.includes(name)) return null;
+        
+        return formatKey({
+            key: name,
+            ctrl: modifiers.has('Ctrl'),
+            alt: modifiers.has('Alt'),
+            shift: modifiers.has('Shift'),
+            meta: modifiers.has('Meta')
+        });
+    }
+    
+    // Saved bindings over the defaults. null leaves an action without a key,
+    // and a key given to two actions stays with the first; a default key that
+    // was given to another action is dropped.
+    function normalizeBindings(saved = {}) {
+        const source = saved && typeof saved === 'object' ? saved : {};
+        const bindings = {};
+        const taken = new Set();
+        const assign = (id, key) => {
+            bindings[id] = key && !taken.has(key) ? key : null;
+            if (bindings[id]) taken.add(key);
+        };
+        
+        const customized = ACTIONS.filter(action => {
+            const value = source[action.id];
+            return value === null || normalizeKey(value) !== null;
+        });
+        customized.forEach(action => assign(action.id, normalizeKey(source[action.id])));
+        ACTIONS.filter(action => !customized.includes(action)).forEach(action => assign(action.id, action.key));
+        return Object.fromEntries(ACTIONS.map(action => [action.id, bindings[action.id]]));
+    }
+    
+    // Give an action a key, or none with null. The action that had the key
+    // before loses it and is reported as displaced.
+    function rebind(bindings, id, key) {
+        const updated = { ...bindings };
+        let displaced = null;
+        
+        if (key) {
+            Object.keys(updated).forEach(other => {
+                if (other !== id && updated[other] === key) {
+                    updated[other] = null;
+                    displaced = other;
+                }
+            });
+        }
+        updated[id] = key;
+        return { bindings: updated, displaced };
+    }
+    
+    // The action bound to a key, if any
+    function actionForKey(bindings, key) {
+        return key ? ACTIONS.map(action => action.id).find(id => bindings[id] === key) || null : null;
+    }
+    
+    // The aria-keyshortcuts spelling of a key name
+    function ariaKeyShortcut(key) {
+        return key.replace(/^Ctrl(?=\+)/, 'Control');
+    }
+    
+    return {
+        ACTIONS,
+        RESERVED_KEYS,
+        findAction,
+        defaultBindings,
+        formatKey,
+        eventKey,
+        normalizeKey,
+        normalizeBindings,
+        rebind,
+        actionForKey,
+        ariaKeyShortcut
+    };
+});
@@ -0,0 +1,234 @@
+// Live stream protocol shared by the page's Broadcast mode, the relay
+// (cli/relay-server.js) and the viewer page. Messages are JSON text:
+//   { type: 'frame', seq, keyframe, width, height, colorMode, rows: [[y, row]] }
+//   { type: 'status', live, viewers }   relay to broadcaster and viewers
+//   { type: 'keyframe' }                relay to broadcaster, to resync
+// A keyframe carries every row; other frames only the rows that changed.
+// A row is { text, colors, codes, backgrounds, backgroundCodes } with the
+// colors as hex strings (six digits per cell, two per palette code) or null.
+// DOM-free, like js/recording.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ascii-core.js'));
+    } else {
+        root.AsciiStream = factory(root.AsciiCore);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AsciiCore) {
+    'use strict';
+    
+    // Larger than any grid the page can produce (MAX_CUSTOM_SIZE a side)
+    const MAX_GRID_SIZE = 1000;
+    
+    function toHex(values, start, end) {
+        let hex = '';
+        for (let i = start; i < end; i++) {
+            hex += (values[i] < 16 ? '0' : '') + values[i].toString(16);
+        }
+        return hex;
+    }
+    
+    function fromHex(hex, target, offset) {
+        for (let i = 0; i < hex.length; i += 2) {
+            target[offset + i / 2] = parseInt(hex.substr(i, 2), 16);
+        }
+    }
+    
+    function encodeRow(frame, chars, y) {
+        const width = frame.width;
+        const hex = (values, channels) => values ?
+            toHex(values, y * width * channels, (y + 1) * width * channels) :
+            null;
+        
+        return {
+            text: chars.join(''),
+            colors: hex(frame.colors, 3),
+            codes: hex(frame.codes, 1),
+            backgrounds: hex(frame.backgrounds, 3),
+            backgroundCodes: hex(frame.backgroundCodes, 1)
+        };
+    }
+    
+    // Encoder state for one broadcast: the last frame sent, row by row
+    function createEncoder() {
+        return { seq: 0, width: 0, height: 0, colorMode: null, rowKeys: null };
+    }
+    
+    // Start the next message with a keyframe, e.g. after reconnecting
+    function resetEncoder(encoder) {
+        encoder.rowKeys = null;
+    }
+    
+    // The message for a frame, or null when no row changed
+    function encodeFrame(encoder, frame) {
+        const keyframe = !encoder.rowKeys || encoder.width !== frame.width ||
+            encoder.height !== frame.height || encoder.colorMode !== frame.colorMode;
+        const rowKeys = [];
+        const rows = [];
+        
+        AsciiCore.frameRows(frame).forEach((chars, y) => {
+            const row = encodeRow(frame, chars, y);
+            const key = JSON.stringify(row);
+            rowKeys.push(key);
+            if (keyframe || encoder.rowKeys[y] !== key) {
+                rows.push([y, row]);
+            }
+        });
+        
+        if (!keyframe && rows.length === 0) {
+            return null;
+        }
+        
+        Object.assign(encoder, {
+            width: frame.width,
+            height: frame.height,
+            colorMode: frame.colorMode,
+            rowKeys
+        });
+        return {
+            type: 'frame',
+            seq: encoder.seq++,
+            keyframe,
+            width: frame.width,
+            height: frame.height,
+            colorMode: frame.colorMode,
+            rows
+        };
+    }
+    
+    // Receiving side: the current grid, rebuilt from frame messages
+    function createStreamState() {
+        return { seq: -1, width: 0, height: 0, colorMode: 'mono', rows: [] };
+    }
+    
+    function isGridSize(value) {
+        return Number.isInteger(value) && value > 0 && value <= MAX_GRID_SIZE;
+    }
+    
+    function isHex(value, length) {
+        return value === null || (typeof value === 'string' && value.length === length && /^[0-9a-f]*$/.test(value));
+    }
+    
+    // Rows from the network go straight to terminals, so control
+    // characters are blanked and the width is forced to the grid
+    function sanitizeRow(row, width) {
+        if (!row || typeof row.text !== 'string') return null;
+        
+        const chars = Array.from(row.text.replace(/[\x00-\x1f\x7f-\x9f]/g, ' ')).slice(0, width);
+        while (chars.length < width) {
+            chars.push(' ');
+        }
+        
+        const colors = row.colors === undefined ? null : row.colors;
+        const codes = row.codes === undefined ? null : row.codes;
+        const backgrounds = row.backgrounds === undefined ? null : row.backgrounds;
+        const backgroundCodes = row.backgroundCodes === undefined ? null : row.backgroundCodes;
+        if (!isHex(colors, width * 6) || !isHex(codes, width * 2) ||
+            !isHex(backgrounds, width * 6) || !isHex(backgroundCodes, width * 2)) {
+            return null;
+        }
+        return { text: chars.join(''), colors, codes, backgrounds, backgroundCodes };
+    }
+    
+    function rowLayout(row) {
+        return row ? ['colors', 'codes', 'backgrounds', 'backgroundCodes'].map(key => row[key] === null ? 0 : 1).join('') : null;
+    }
+    
+    // Apply a frame message; returns the indices of the rows that changed,
+    // or null when the message is malformed or its base frame was missed
+    function applyMessage(state, message) {
+        if (!message || message.type !== 'frame' || !Array.isArray(message.rows)) return null;
+        if (!message.keyframe && message.seq !== state.seq + 1) return null;
+        
+        const { width, height, colorMode } = message.keyframe ? message : state;
+        if (!isGridSize(width) || !isGridSize(height) || !AsciiCore.COLOR_MODES.includes(colorMode)) return null;
+        
+        const updates = [];
+        for (const entry of message.rows) {
+            const y = Array.isArray(entry) ? entry[0] : -1;
+            const row = Number.isInteger(y) && y >= 0 && y < height ? sanitizeRow(entry[1], width) : null;
+            if (!row) return null;
+            updates.push([y, row]);
+        }
+        
+        const rows = message.keyframe ? new Array(height).fill(null) : state.rows.slice();
+        for (const [y, row] of updates) {
+            rows[y] = row;
+        }
+        
+        // A keyframe has to cover the whole grid
+        if (rows.includes(null)) return null;
+        
+        // Every row needs the same color layout, with colors only when the
+        // mode has them and palette codes only for the palette modes
+        const layout = rowLayout(rows[0]);
+        const palette = colorMode === '256' || colorMode === '16';
+        if (rows.some(row => rowLayout(row) !== layout) ||
+            (rows[0].colors === null) !== (colorMode === 'mono') || (rows[0].codes !== null) !== palette ||
+            (rows[0].backgrounds !== null && (rows[0].backgroundCodes !== null) !== palette)) {
+            return null;
+        }
+        Object.assign(state, { seq: message.seq, width, height, colorMode, rows });
+        return updates.map(([y]) => y);
+    }
+    
+    // Keyframe for the current grid, for a viewer that joins mid-stream
+    function snapshotMessage(state) {
+        return {
+            type: 'frame',
+            seq: state.seq,
+            keyframe: true,
+            width: state.width,
+            height: state.height,
+            colorMode: state.colorMode,
+            rows: state.rows.map((row, y) => [y, row])
+        };
+    }
+    
+    function hasFrame(state) {
+        return state.seq >= 0;
+    }
+    
+    // AsciiCore frame for some rows of the grid (all of them by default)
+    function toFrame(state, rows = state.rows) {
+        const width = state.width;
+        const unpack = (key, channels, ArrayType) => {
+            if (!rows.length || rows[0][key] === null) return null;
+            const values = new ArrayType(rows.length * width * channels);
+            rows.forEach((row, y) => fromHex(row[key], values, y * width * channels));
+            return values;
+        };
+        
+        return {
+            text: rows.map(row => row.text + '\n').join(''),
+            width,
+            height: rows.length,
+            colorMode: state.colorMode,
+            colors: unpack('colors', 3, Uint8ClampedArray),
+            codes: unpack('codes', 1, Uint8Array),
+            backgrounds: unpack('backgrounds', 3, Uint8ClampedArray),
+            backgroundCodes: unpack('backgroundCodes', 1, Uint8Array)
+        };
+    }
+    
+    // Terminal output that redraws the given rows in place, each one
+    // positioned with a cursor move so no newlines are needed
+    function toAnsiUpdate(state, indices) {
+        return indices.map(y => {
+            const ansi = AsciiCore.toAnsi(toFrame(state, [state.rows[y]]));
+            return `\x1b[${y + 1};1H` + ansi.replace(/\n$/, '');
+        }).join('');
+    }
+    
+    return {
+        MAX_GRID_SIZE,
+        createEncoder,
+        resetEncoder,
+        encodeFrame,
+        createStreamState,
+        applyMessage,
+        snapshotMessage,
+        hasFrame,
+        toFrame,
+        toAnsiUpdate
+    };
+});
@@ -0,0 +1,514 @@
+// Video effects applied around the conversion
+// A chain is a list of { id, type, params } entries run in order. Pixel
+// effects change the scaled RGBA buffer before convertPixels; cell effects
+// change the converted frame (characters and colors). Effects that need the
+// previous frame keep it in a state object, one per conversion thread.
+// DOM-free, like js/ascii-core.js, so it also runs in the frame worker.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ascii-core.js'));
+    } else {
+        root.AsciiEffects = factory(root.AsciiCore);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AsciiCore) {
+    'use strict';
+    
+    const MAX_EFFECTS = 8;
+    
+    // Falling characters for the rain effect; ASCII only so every font and
+    // terminal keeps them one cell wide
+    const RAIN_CHARS = '0123456789ABCDEFZ:.=*+-<>|';
+    
+    // Thermal camera palette from cold to hot as [position, r, g, b]
+    const THERMAL_STOPS = [
+        [0, 0, 0, 0],
+        [0.2, 20, 0, 140],
+        [0.4, 170, 0, 150],
+        [0.6, 240, 60, 0],
+        [0.8, 255, 200, 0],
+        [1, 255, 255, 255]
+    ];
+    
+    function luma(data, i) {
+        return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    
+    function hueToRgb(hue) {
+        const h = ((hue % 360) + 360) % 360 / 60;
+        const x = 1 - Math.abs(h % 2 - 1);
+        const [r, g, b] = [[1, x, 0], [x, 1, 0], [0, 1, x], [0, x, 1], [x, 0, 1], [1, 0, x]][Math.floor(h)];
+        return [r * 255, g * 255, b * 255];
+    }
+    
+    // Small seeded generator so rain looks the same in the worker and on
+    // the main thread, and from run to run
+    function random(state) {
+        state.seed = (state.seed + 0x6d2b79f5) | 0;
+        let t = state.seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // Average luminance of each cell's block of pixels
+    function cellLuminance(pixels, pixelWidth, pixelHeight, width, height) {
+        const sx = pixelWidth / width;
+        const sy = pixelHeight / height;
+        const result = new Float32Array(width * height);
+        
+        for (let y = 0; y < pixelHeight; y++) {
+            const row = Math.floor(y / sy) * width;
+            for (let x = 0; x < pixelWidth; x++) {
+                result[row + Math.floor(x / sx)] += luma(pixels, (y * pixelWidth + x) * 4);
+            }
+        }
+        for (let cell = 0; cell < result.length; cell++) {
+            result[cell] /= sx * sy;
+        }
+        return result;
+    }
+    
+    function posterize(context) {
+        const { pixels } = context;
+        const steps = context.params.levels - 1;
+        for (let i = 0; i < pixels.length; i += 4) {
+            pixels[i] = Math.round(pixels[i] / 255 * steps) * 255 / steps;
+            pixels[i + 1] = Math.round(pixels[i + 1] / 255 * steps) * 255 / steps;
+            pixels[i + 2] = Math.round(pixels[i + 2] / 255 * steps) * 255 / steps;
+        }
+    }
+    
+    function thermal(context) {
+        const { pixels } = context;
+        const mix = context.params.mix / 100;
+        
+        for (let i = 0; i < pixels.length; i += 4) {
+            const t = luma(pixels, i) / 255;
+            let stop = 1;
+            while (stop < THERMAL_STOPS.length - 1 && THERMAL_STOPS[stop][0] < t) {
+                stop++;
+            }
+            const [p0, r0, g0, b0] = THERMAL_STOPS[stop - 1];
+            const [p1, r1, g1, b1] = THERMAL_STOPS[stop];
+            const f = (t - p0) / (p1 - p0);
+            
+            pixels[i] += (r0 + (r1 - r0) * f - pixels[i]) * mix;
+            pixels[i + 1] += (g0 + (g1 - g0) * f - pixels[i + 1]) * mix;
+            pixels[i + 2] += (b0 + (b1 - b0) * f - pixels[i + 2]) * mix;
+        }
+    }
+    
+    // Sobel edge strength added back as colored light
+    function edgeGlow(context) {
+        const { pixels, pixelWidth: w, pixelHeight: h } = context;
+        const [gr, gg, gb] = hueToRgb(context.params.hue);
+        const gain = context.params.strength / 100 / 255;
+        
+        const lum = new Float32Array(w * h);
+        for (let i = 0; i < lum.length; i++) {
+            lum[i] = luma(pixels, i * 4);
+        }
+        
+        const at = (x, y) => lum[Math.min(h - 1, Math.max(0, y)) * w + Math.min(w - 1, Math.max(0, x))];
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) -
+                    at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+                const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) -
+                    at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+                const glow = Math.min(1, Math.hypot(gx, gy) / 4 * gain);
+                const i = (y * w + x) * 4;
+                pixels[i] += gr * glow;
+                pixels[i + 1] += gg * glow;
+                pixels[i + 2] += gb * glow;
+            }
+        }
+    }
+    
+    // Reflect part of the image onto the rest: a half, a quarter or, for
+    // the kaleidoscope, one wedge around the center
+    function mirror(context) {
+        const { pixels, pixelWidth: w, pixelHeight: h, params } = context;
+        const source = pixels.slice();
+        const segment = Math.PI / params.segments;
+        const cx = (w - 1) / 2;
+        const cy = (h - 1) / 2;
+        
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                let sx = x;
+                let sy = y;
+                if (params.mode === 'horizontal' || params.mode === 'quad') {
+                    sx = Math.min(x, w - 1 - x);
+                }
+                if (params.mode === 'vertical' || params.mode === 'quad') {
+                    sy = Math.min(y, h - 1 - y);
+                }
+                if (params.mode === 'kaleidoscope') {
+                    const radius = Math.hypot(x - cx, y - cy);
+                    let angle = Math.atan2(y - cy, x - cx) + Math.PI;
+                    angle %= 2 * segment;
+                    if (angle > segment) {
+                        angle = 2 * segment - angle;
+                    }
+                    sx = Math.round(cx + radius * Math.cos(angle - Math.PI));
+                    sy = Math.round(cy + radius * Math.sin(angle - Math.PI));
+                    sx = Math.min(w - 1, Math.max(0, sx));
+                    sy = Math.min(h - 1, Math.max(0, sy));
+                }
+                
+                const target = (y * w + x) * 4;
+                const from = (sy * w + sx) * 4;
+                pixels[target] = source[from];
+                pixels[target + 1] = source[from + 1];
+                pixels[target + 2] = source[from + 2];
+            }
+        }
+    }
+    
+    // Every other character row darkened, with a vignette toward the corners
+    function crt(context) {
+        const { pixels, pixelWidth: w, pixelHeight: h, height } = context;
+        const scanline = 1 - context.params.scanlines / 100 * 0.6;
+        const vignette = context.params.vignette / 100;
+        
+        for (let y = 0; y < h; y++) {
+            const rowScale = Math.floor(y * height / h) % 2 ? scanline : 1;
+            const dy = (y - h / 2) / (h / 2);
+            for (let x = 0; x < w; x++) {
+                const dx = (x - w / 2) / (w / 2);
+                const scale = rowScale * (1 - vignette * 0.5 * (dx * dx + dy * dy));
+                const i = (y * w + x) * 4;
+                pixels[i] *= scale;
+                pixels[i + 1] *= scale;
+                pixels[i + 2] *= scale;
+            }
+        }
+    }
+    
+    // Bright areas linger and fade over the next frames
+    function trails(context) {
+        const { pixels, state } = context;
+        const decay = context.params.decay / 100;
+        
+        if (state.previous && state.previous.length === pixels.length) {
+            for (let i = 0; i < pixels.length; i += 4) {
+                pixels[i] = Math.max(pixels[i], state.previous[i] * decay);
+                pixels[i + 1] = Math.max(pixels[i + 1], state.previous[i + 1] * decay);
+                pixels[i + 2] = Math.max(pixels[i + 2], state.previous[i + 2] * decay);
+            }
+        }
+        state.previous = pixels.slice();
+    }
+    
+    // Compare cell brightness with the previous frame; cells that stayed the
+    // same are blanked once the frame is converted
+    function detectMotion(context) {
+        const { state, width, height } = context;
+        const cells = cellLuminance(context.pixels, context.pixelWidth, context.pixelHeight, width, height);
+        const previous = state.previous && state.previous.length === cells.length ? state.previous : null;
+        
+        state.moving = new Uint8Array(cells.length);
+        if (previous) {
+            for (let cell = 0; cell < cells.length; cell++) {
+                state.moving[cell] = Math.abs(cells[cell] - previous[cell]) >= context.params.threshold ? 1 : 0;
+            }
+        }
+        state.previous = cells;
+    }
+    
+    function keepMotion(context) {
+        const { grid, state } = context;
+        grid.forEachCell(cell => {
+            if (!state.moving[cell]) {
+                grid.set(cell, ' ', null);
+            }
+        });
+    }
+    
+    function measureDarkness(context) {
+        context.state.luminance = cellLuminance(context.pixels, context.pixelWidth, context.pixelHeight,
+            context.width, context.height);
+    }
+    
+    // Columns of falling characters, drawn over the dark cells only
+    function rain(context) {
+        const { grid, state, params, width, height } = context;
+        if (!state.drops || state.drops.length !== width) {
+            state.seed = 1;
+            state.drops = Array.from({ length: width }, () => ({ y: -1, speed: 0, length: 0 }));
+        }
+        const elapsed = Math.min(0.25, context.elapsed / 1000);
+        
+        state.drops.forEach((drop, x) => {
+            if (drop.y - drop.length > height) {
+                drop.y = -1;
+            }
+            if (drop.y < 0) {
+                if (random(state) * 100 >= params.density * elapsed * 4) return;
+                drop.y = 0;
+                drop.speed = params.speed * (0.5 + random(state));
+                drop.length = 4 + Math.floor(random(state) * height / 2);
+            }
+            drop.y += drop.speed * elapsed;
+            
+            const head = Math.floor(drop.y);
+            for (let y = Math.max(0, head - drop.length); y <= Math.min(height - 1, head); y++) {
+                const cell = y * width + x;
+                if (state.luminance[cell] > params.threshold) continue;
+                
+                const fade = 1 - (head - y) / drop.length;
+                const color = y === head ? [200, 255, 200] : [0, Math.round(80 + 175 * fade), 40];
+                grid.set(cell, RAIN_CHARS[Math.floor(random(state) * RAIN_CHARS.length)], color);
+            }
+        });
+    }
+    
+    // Effect types: pixels() runs before conversion and cells() after it.
+    // Numeric params are sliders; params with options are dropdowns.
+    // Animated effects keep changing even when the input is a still image.
+    const EFFECTS = {
+        'rain': {
+            name: 'Matrix rain',
+            animated: true,
+            params: {
+                density: { label: 'Density', min: 1, max: 100, step: 1, value: 40 },
+                speed: { label: 'Speed', min: 2, max: 60, step: 1, value: 16 },
+                threshold: { label: 'Darkness', min: 0, max: 255, step: 5, value: 90 }
+            },
+            pixels: measureDarkness,
+            cells: rain
+        },
+        'crt': {
+            name: 'CRT scanlines',
+            params: {
+                scanlines: { label: 'Scanlines', min: 0, max: 100, step: 5, value: 50 },
+                vignette: { label: 'Vignette', min: 0, max: 100, step: 5, value: 40 }
+            },
+            pixels: crt
+        },
+        'trails': {
+            name: 'Motion trails',
+            animated: true,
+            params: {
+                decay: { label: 'Decay', min: 10, max: 95, step: 5, value: 80 }
+            },
+            pixels: trails
+        },
+        'edge-glow': {
+            name: 'Edge glow',
+            params: {
+                strength: { label: 'Strength', min: 10, max: 300, step: 10, value: 150 },
+                hue: { label: 'Hue', min: 0, max: 360, step: 5, value: 180 }
+            },
+            pixels: edgeGlow
+        },
+        'posterize': {
+            name: 'Posterize',
+            params: {
+                levels: { label: 'Levels', min: 2, max: 8, step: 1, value: 4 }
+            },
+            pixels: posterize
+        },
+        'thermal': {
+            name: 'Thermal',
+            params: {
+                mix: { label: 'Mix', min: 0, max: 100, step: 5, value: 100 }
+            },
+            pixels: thermal
+        },
+        'mirror': {
+            name: 'Mirror / kaleidoscope',
+            params: {
+                mode: {
+                    label: 'Mode',
+                    options: { horizontal: 'Left to right', vertical: 'Top to bottom', quad: 'Four-way', kaleidoscope: 'Kaleidoscope' },
+                    value: 'kaleidoscope'
+                },
+                segments: { label: 'Segments', min: 2, max: 12, step: 1, value: 6 }
+            },
+            pixels: mirror
+        },
+        'motion': {
+            name: 'Motion only',
+            params: {
+                threshold: { label: 'Threshold', min: 2, max: 100, step: 1, value: 12 }
+            },
+            pixels: detectMotion,
+            cells: keepMotion
+        }
+    };
+    
+    // Add an effect type at run time (see js/plugins.js)
+    function registerEffect(type, definition) {
+        if (EFFECTS[type]) {
+            throw new Error(`Effect "${type}" already exists`);
+        }
+        EFFECTS[type] = definition;
+    }
+    
+    function unregisterEffect(type) {
+        delete EFFECTS[type];
+    }
+    
+    function defaultParams(type) {
+        const params = {};
+        Object.entries(EFFECTS[type].params).forEach(([key, param]) => {
+            params[key] = param.value;
+        });
+        return params;
+    }
+    
+    function createEffect(type, id) {
+        if (!EFFECTS[type]) {
+            throw new Error(`Unknown effect: ${type}`);
+        }
+        return { id, type, enabled: true, params: defaultParams(type) };
+    }
+    
+    // Validate a chain from storage: unknown types are dropped, missing or
+    // out-of-range params reset, and ids made unique
+    function normalizeChain(chain) {
+        if (!Array.isArray(chain)) return [];
+        
+        const ids = new Set();
+        const normalized = [];
+        for (const entry of chain) {
+            if (!entry || !EFFECTS[entry.type] || normalized.length >= MAX_EFFECTS) continue;
+            
+            let id = Number.isInteger(entry.id) && entry.id > 0 ? entry.id : 1;
+            while (ids.has(id)) {
+                id++;
+            }
+            ids.add(id);
+            
+            const effect = createEffect(entry.type, id);
+            effect.enabled = entry.enabled !== false;
+            Object.entries(EFFECTS[entry.type].params).forEach(([key, param]) => {
+                const value = entry.params ? entry.params[key] : undefined;
+                if (param.options ? Object.prototype.hasOwnProperty.call(param.options, value) :
+                    typeof value === 'number' && value >= param.min && value <= param.max) {
+                    effect.params[key] = value;
+                }
+            });
+            normalized.push(effect);
+        }
+        return normalized;
+    }
+    
+    function isAnimated(chain) {
+        return Boolean(chain && chain.some(effect => EFFECTS[effect.type].animated));
+    }
+    
+    // Per-thread memory of previous frames, keyed by effect id
+    function createState() {
+        return { effects: new Map(), lastTime: null, elapsed: 0 };
+    }
+    
+    function effectState(state, effect) {
+        let entry = state.effects.get(effect.id);
+        if (!entry || entry.type !== effect.type) {
+            entry = { type: effect.type };
+            state.effects.set(effect.id, entry);
+        }
+        return entry;
+    }
+    
+    // Run the pixel effects of a chain on a scaled RGBA buffer in place.
+    // plan: { width, height, pixelWidth, pixelHeight } from AsciiCore.planFrame.
+    // time: a millisecond clock, used by the animated effects.
+    function applyPixelEffects(state, chain, pixels, plan, time) {
+        if (!chain || chain.length === 0) return;
+        
+        // Forget effects that were removed from the chain
+        const ids = new Set(chain.map(effect => effect.id));
+        state.effects.forEach((entry, id) => {
+            if (!ids.has(id)) state.effects.delete(id);
+        });
+        state.elapsed = state.lastTime === null ? 0 : Math.max(0, time - state.lastTime);
+        state.lastTime = time;
+        
+        chain.forEach(effect => {
+            const definition = EFFECTS[effect.type];
+            if (!definition.pixels) return;
+            definition.pixels({
+                pixels,
+                pixelWidth: plan.pixelWidth,
+                pixelHeight: plan.pixelHeight,
+                width: plan.width,
+                height: plan.height,
+                params: effect.params,
+                state: effectState(state, effect)
+            });
+        });
+    }
+    
+    // Editable view of a converted frame's cells. Colors are [r, g, b] or
+    // null for black; palette modes get the nearest palette code.
+    function createCellGrid(frame) {
+        const rows = AsciiCore.frameRows(frame);
+        const width = frame.width;
+        
+        const setColor = (colors, codes, cell, rgb) => {
+            if (!colors) return;
+            const color = AsciiCore.quantizeColor(...(rgb || [0, 0, 0]), frame.colorMode);
+            colors[cell * 3] = color.r;
+            colors[cell * 3 + 1] = color.g;
+            colors[cell * 3 + 2] = color.b;
+            if (codes) {
+                codes[cell] = color.code;
+            }
+        };
+        
+        return {
+            rows,
+            forEachCell(callback) {
+                for (let cell = 0; cell < width * frame.height; cell++) {
+                    callback(cell);
+                }
+            },
+            // The background goes black so the new character stays readable
+            set(cell, char, rgb) {
+                rows[Math.floor(cell / width)][cell % width] = char;
+                setColor(frame.colors, frame.codes, cell, rgb);
+                setColor(frame.backgrounds, frame.backgroundCodes, cell, null);
+            }
+        };
+    }
+    
+    // Run the cell effects of a chain on a converted frame. The frame is
+    // changed in place and returned.
+    function applyFrameEffects(state, chain, frame) {
+        if (!chain || !chain.some(effect => EFFECTS[effect.type].cells)) return frame;
+        
+        const grid = createCellGrid(frame);
+        chain.forEach(effect => {
+            const definition = EFFECTS[effect.type];
+            if (!definition.cells) return;
+            definition.cells({
+                grid,
+                width: frame.width,
+                height: frame.height,
+                elapsed: state.elapsed,
+                params: effect.params,
+                state: effectState(state, effect)
+            });
+        });
+        
+        frame.text = grid.rows.map(chars => chars.join('') + '\n').join('');
+        return frame;
+    }
+    
+    return {
+        MAX_EFFECTS,
+        EFFECTS,
+        registerEffect,
+        unregisterEffect,
+        createEffect,
+        normalizeChain,
+        isAnimated,
+        createState,
+        applyPixelEffects,
+        applyFrameEffects
+    };
+});
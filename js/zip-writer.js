@@ -0,0 +1,116 @@
+// Minimal ZIP archive writer
+// Entries are stored without compression: PNGs are already compressed and
+// the text files are small. DOM-free, like js/gif-encoder.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ZipWriter = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+    
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+    
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+    
+    // MS-DOS time and date fields, local time, two-second resolution
+    function dosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+    
+    // files: [{ name, data: Uint8Array or string, date? }]; returns the archive bytes
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const entries = files.map(file => {
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            return {
+                name: encoder.encode(file.name),
+                data,
+                crc: crc32(data),
+                stamp: dosDateTime(file.date || new Date()),
+                offset: 0
+            };
+        });
+        
+        const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        
+        // Fields shared by the local header and the central directory entry,
+        // from "version needed" through the file name length
+        const writeCommon = (entry) => {
+            view.setUint16(offset, 20, true); // Version needed: 2.0
+            view.setUint16(offset + 2, 0x0800, true); // Flags: UTF-8 names
+            view.setUint16(offset + 4, 0, true); // Method: stored
+            view.setUint16(offset + 6, entry.stamp.time, true);
+            view.setUint16(offset + 8, entry.stamp.date, true);
+            view.setUint32(offset + 10, entry.crc, true);
+            view.setUint32(offset + 14, entry.data.length, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint16(offset + 22, entry.name.length, true);
+            view.setUint16(offset + 24, 0, true); // Extra field length
+            offset += 26;
+        };
+        
+        for (const entry of entries) {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034b50, true);
+            offset += 4;
+            writeCommon(entry);
+            bytes.set(entry.name, offset);
+            offset += entry.name.length;
+            bytes.set(entry.data, offset);
+            offset += entry.data.length;
+        }
+        
+        const centralOffset = offset;
+        for (const entry of entries) {
+            view.setUint32(offset, 0x02014b50, true);
+            view.setUint16(offset + 4, 20, true); // Version made by
+            offset += 6;
+            writeCommon(entry);
+            view.setUint16(offset, 0, true); // Comment length
+            view.setUint16(offset + 2, 0, true); // Disk number
+            view.setUint16(offset + 4, 0, true); // Internal attributes
+            view.setUint32(offset + 6, 0, true); // External attributes
+            view.setUint32(offset + 10, entry.offset, true);
+            offset += 14;
+            bytes.set(entry.name, offset);
+            offset += entry.name.length;
+        }
+        
+        // End of central directory record
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralOffset, true);
+        view.setUint32(offset + 16, centralOffset, true);
+        
+        return bytes;
+    }
+    
+    return { crc32, createZip };
+});
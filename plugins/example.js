@@ -0,0 +1,68 @@
+// Example plugin: one of each kind of item. Load it in the Plugins dialog
+// as "plugins/example.js", or copy it as a starting point for your own.
+// The API is described in js/plugins.js and the README.
+
+export const name = 'Example plugin';
+
+// Hex digits of the cell brightness, 0 for black to F for white
+function renderHex(data, width, height) {
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        let row = '';
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            row += Math.min(15, Math.floor(luma / 16)).toString(16).toUpperCase();
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Mix each pixel with its negative
+function invert({ pixels, params }) {
+    const amount = params.amount / 100;
+    for (let i = 0; i < pixels.length; i += 4) {
+        pixels[i] += (255 - 2 * pixels[i]) * amount;
+        pixels[i + 1] += (255 - 2 * pixels[i + 1]) * amount;
+        pixels[i + 2] += (255 - 2 * pixels[i + 2]) * amount;
+    }
+}
+
+// The frame as JSON: its rows and, in color, a hex color per cell
+function toJson({ frame, capturedAt }, AsciiCore) {
+    const rows = AsciiCore.frameRows(frame).map(chars => chars.join(''));
+    const colors = frame.colors ? rows.map((row, y) => Array.from({ length: frame.width }, (value, x) => {
+        const cell = (y * frame.width + x) * 3;
+        return AsciiCore.rgbToHex(frame.colors[cell], frame.colors[cell + 1], frame.colors[cell + 2]);
+    })) : null;
+    
+    return JSON.stringify({
+        capturedAt: capturedAt.toISOString(),
+        width: frame.width,
+        height: frame.height,
+        colorMode: frame.colorMode,
+        rows,
+        colors
+    }, null, 2);
+}
+
+export default function register(api) {
+    api.registerCharset({ id: 'dots', name: 'Dots', chars: '@Oo:. ' });
+    api.registerRenderer({ id: 'hex', name: 'Hex Digits', sampling: { x: 1, y: 1 }, render: renderHex });
+    api.registerFilter({
+        id: 'invert',
+        name: 'Invert',
+        params: {
+            amount: { label: 'Amount', min: 0, max: 100, step: 5, value: 100 }
+        },
+        pixels: invert
+    });
+    api.registerExporter({
+        id: 'json',
+        name: 'Download JSON',
+        extension: 'json',
+        type: 'application/json',
+        export: (capture) => toJson(capture, api.AsciiCore)
+    });
+}
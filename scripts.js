@@ -1,17 +1,91 @@
 class ASCIICamera {
-    constructor() {
+    // plugins: the saved plugins, loaded before the app starts (see
+    // loadSavedPlugins)
+    constructor(plugins = []) {
         // DOM Elements
         this.video = document.getElementById('video');
         this.asciiOutput = document.getElementById('asciiOutput');
         this.startButton = document.getElementById('startCamera');
         this.stopButton = document.getElementById('stopCamera');
+        this.shareScreenButton = document.getElementById('shareScreen');
+        this.openFileButton = document.getElementById('openFile');
+        this.fileInput = document.getElementById('fileInput');
         this.resolutionSelect = document.getElementById('resolution');
+        this.gridColumnsInput = document.getElementById('gridColumns');
+        this.gridRowsInput = document.getElementById('gridRows');
+        this.fitModeSelect = document.getElementById('fitMode');
         this.asciiStyleSelect = document.getElementById('asciiStyle');
+        this.colorModeSelect = document.getElementById('colorMode');
+        this.editCharsetsButton = document.getElementById('editCharsets');
         this.toggleVideoButton = document.getElementById('toggleVideo');
+        this.targetFpsSelect = document.getElementById('targetFps');
         this.captureFrameButton = document.getElementById('captureFrame');
         this.saveImageButton = document.getElementById('saveImage');
         this.printButton = document.getElementById('printAscii');
         this.copyButton = document.getElementById('copyClipboard');
+        this.recordButton = document.getElementById('recordClip');
+        this.openGalleryButton = document.getElementById('openGallery');
+        this.shortcutsButton = document.getElementById('openShortcuts');
+        this.pluginsButton = document.getElementById('openPlugins');
+        
+        // Preset and settings link controls
+        this.presetSelect = document.getElementById('presetList');
+        this.presetNameInput = document.getElementById('presetName');
+        this.savePresetButton = document.getElementById('savePreset');
+        this.deletePresetButton = document.getElementById('deletePreset');
+        this.copySettingsLinkButton = document.getElementById('copySettingsLink');
+        
+        // Alternate input previews and video file controls
+        this.imagePreview = document.getElementById('imagePreview');
+        this.sourceName = document.getElementById('sourceName');
+        this.mediaControls = document.getElementById('mediaControls');
+        this.mediaPlayButton = document.getElementById('mediaPlay');
+        this.stepBackButton = document.getElementById('stepBack');
+        this.stepForwardButton = document.getElementById('stepForward');
+        this.mediaSeek = document.getElementById('mediaSeek');
+        this.mediaTime = document.getElementById('mediaTime');
+        
+        // Camera controls
+        this.cameraDeviceSelect = document.getElementById('cameraDevice');
+        this.facingModeSelect = document.getElementById('facingMode');
+        this.cameraResolutionSelect = document.getElementById('cameraResolution');
+        this.cameraFpsSelect = document.getElementById('cameraFps');
+        this.mirrorVideoInput = document.getElementById('mirrorVideo');
+        
+        // Automatic capture controls
+        this.captureModeSelect = document.getElementById('captureMode');
+        this.timerDelaySelect = document.getElementById('timerDelay');
+        this.burstCountInput = document.getElementById('burstCount');
+        this.burstIntervalInput = document.getElementById('burstInterval');
+        this.lapseIntervalInput = document.getElementById('lapseInterval');
+        this.motionSensitivityInput = document.getElementById('motionSensitivity');
+        this.motionSensitivityValue = document.getElementById('motionSensitivityValue');
+        this.motionCooldownInput = document.getElementById('motionCooldown');
+        this.captureModeButton = document.getElementById('captureModeToggle');
+        this.captureModeStatus = document.getElementById('captureModeStatus');
+        this.countdown = document.getElementById('countdown');
+        
+        // Broadcast controls
+        this.relayUrlInput = document.getElementById('relayUrl');
+        this.broadcastButton = document.getElementById('broadcastToggle');
+        this.broadcastStatus = document.getElementById('broadcastStatus');
+        
+        // Tone controls
+        this.brightnessInput = document.getElementById('brightness');
+        this.contrastInput = document.getElementById('contrast');
+        this.gammaInput = document.getElementById('gamma');
+        this.brightnessValue = document.getElementById('brightnessValue');
+        this.contrastValue = document.getElementById('contrastValue');
+        this.gammaValue = document.getElementById('gammaValue');
+        this.levelsSelect = document.getElementById('levels');
+        this.ditherSelect = document.getElementById('dither');
+        this.resetToneButton = document.getElementById('resetTone');
+        
+        // Effect chain controls
+        this.effectTypeSelect = document.getElementById('effectType');
+        this.addEffectButton = document.getElementById('addEffect');
+        this.clearEffectsButton = document.getElementById('clearEffects');
+        this.effectList = document.getElementById('effectList');
         
         // Modal elements
         this.captureModal = document.getElementById('captureModal');
@@ -20,195 +94,969 @@ class ASCIICamera {
         this.copyCaptureButton = document.getElementById('copyCapture');
         this.printCaptureButton = document.getElementById('printCapture');
         this.downloadTextButton = document.getElementById('downloadText');
+        this.downloadAnsiButton = document.getElementById('downloadAnsi');
+        this.downloadHtmlButton = document.getElementById('downloadHtml');
+        this.captureActions = document.getElementById('captureActions');
         this.closeModalButton = document.getElementById('closeModal');
         
+        // Capture editor elements
+        this.editCaptureButton = document.getElementById('editCapture');
+        this.editorToolbar = document.getElementById('editorToolbar');
+        this.editorToolButtons = Array.from(this.editorToolbar.querySelectorAll('[data-tool]'));
+        this.editorGlyphInput = document.getElementById('editorGlyph');
+        this.editorColorLabel = document.getElementById('editorColorLabel');
+        this.editorColorInput = document.getElementById('editorColor');
+        this.editorUndoButton = document.getElementById('editorUndo');
+        this.editorRedoButton = document.getElementById('editorRedo');
+        this.editorCopyButton = document.getElementById('editorCopy');
+        this.editorPasteButton = document.getElementById('editorPaste');
+        this.editorCropButton = document.getElementById('editorCrop');
+        this.editorStatus = document.getElementById('editorStatus');
+        
+        // Recording modal elements
+        this.recordingModal = document.getElementById('recordingModal');
+        this.playbackAscii = document.getElementById('playbackAscii');
+        this.playbackToggleButton = document.getElementById('playbackToggle');
+        this.playbackScrubber = document.getElementById('playbackScrubber');
+        this.playbackTime = document.getElementById('playbackTime');
+        this.trimStartButton = document.getElementById('trimStart');
+        this.trimEndButton = document.getElementById('trimEnd');
+        this.trimInfo = document.getElementById('trimInfo');
+        this.exportCastButton = document.getElementById('exportCast');
+        this.exportPlayerButton = document.getElementById('exportPlayer');
+        this.exportGifButton = document.getElementById('exportGif');
+        this.exportWebmButton = document.getElementById('exportWebm');
+        this.closeRecordingButton = document.getElementById('closeRecording');
+        
+        // Charset editor elements
+        this.charsetModal = document.getElementById('charsetModal');
+        this.charsetList = document.getElementById('charsetList');
+        this.charsetName = document.getElementById('charsetName');
+        this.charsetChars = document.getElementById('charsetChars');
+        this.charsetFont = document.getElementById('charsetFont');
+        this.charsetAutoSort = document.getElementById('charsetAutoSort');
+        this.charsetPreview = document.getElementById('charsetPreview');
+        this.newCharsetButton = document.getElementById('newCharset');
+        this.saveCharsetButton = document.getElementById('saveCharset');
+        this.deleteCharsetButton = document.getElementById('deleteCharset');
+        this.exportCharsetsButton = document.getElementById('exportCharsets');
+        this.importCharsetsButton = document.getElementById('importCharsets');
+        this.charsetFileInput = document.getElementById('charsetFile');
+        this.closeCharsetsButton = document.getElementById('closeCharsets');
+        
+        // Gallery modal elements
+        this.galleryModal = document.getElementById('galleryModal');
+        this.galleryGrid = document.getElementById('galleryGrid');
+        this.galleryCount = document.getElementById('galleryCount');
+        this.galleryFavoritesInput = document.getElementById('galleryFavorites');
+        this.gallerySelectAllButton = document.getElementById('gallerySelectAll');
+        this.exportZipButton = document.getElementById('exportZip');
+        this.deleteSelectedButton = document.getElementById('deleteSelected');
+        this.closeGalleryButton = document.getElementById('closeGallery');
+        
+        // Export dialog elements
+        this.exportModal = document.getElementById('exportModal');
+        this.exportFormatSelect = document.getElementById('exportFormat');
+        this.exportFontSelect = document.getElementById('exportFont');
+        this.exportFontSizeInput = document.getElementById('exportFontSize');
+        this.exportThemeSelect = document.getElementById('exportTheme');
+        this.exportFgInput = document.getElementById('exportFg');
+        this.exportBgInput = document.getElementById('exportBg');
+        this.exportFrameColorsInput = document.getElementById('exportFrameColors');
+        this.exportHeaderInput = document.getElementById('exportHeader');
+        this.exportHeaderTextInput = document.getElementById('exportHeaderText');
+        this.exportTimestampInput = document.getElementById('exportTimestamp');
+        this.exportWatermarkInput = document.getElementById('exportWatermark');
+        this.exportScaleSelect = document.getElementById('exportScale');
+        this.exportPaperSelect = document.getElementById('exportPaper');
+        this.exportOrientationSelect = document.getElementById('exportOrientation');
+        this.exportPreview = document.getElementById('exportPreview');
+        this.exportInfo = document.getElementById('exportInfo');
+        this.exportCaptureButton = document.getElementById('exportCapture');
+        this.closeExportButton = document.getElementById('closeExport');
+        
+        // Print dialog elements
+        this.printModal = document.getElementById('printModal');
+        this.printPaperSelect = document.getElementById('printPaper');
+        this.printOrientationSelect = document.getElementById('printOrientation');
+        this.printMarginInput = document.getElementById('printMargin');
+        this.printModeSelect = document.getElementById('printMode');
+        this.printPagesAcrossInput = document.getElementById('printPagesAcross');
+        this.printMarksInput = document.getElementById('printMarks');
+        this.printHeaderInput = document.getElementById('printHeader');
+        this.printColorInput = document.getElementById('printColor');
+        this.printPreview = document.getElementById('printPreview');
+        this.printInfo = document.getElementById('printInfo');
+        this.printPagesButton = document.getElementById('printPages');
+        this.closePrintButton = document.getElementById('closePrint');
+        
+        // Keyboard shortcut help elements
+        this.shortcutsModal = document.getElementById('shortcutsModal');
+        this.shortcutList = document.getElementById('shortcutList');
+        this.resetShortcutsButton = document.getElementById('resetShortcuts');
+        this.closeShortcutsButton = document.getElementById('closeShortcuts');
+        
+        // Plugin manager elements
+        this.pluginsModal = document.getElementById('pluginsModal');
+        this.pluginList = document.getElementById('pluginList');
+        this.pluginUrlInput = document.getElementById('pluginUrl');
+        this.addPluginButton = document.getElementById('addPlugin');
+        this.closePluginsButton = document.getElementById('closePlugins');
+        
+        // Live regions that read the alerts out to screen readers
+        this.statusAnnouncer = document.getElementById('statusAnnouncer');
+        this.alertAnnouncer = document.getElementById('alertAnnouncer');
+        
         // Info elements
         this.status = document.getElementById('status');
         this.videoResolution = document.getElementById('videoResolution');
         this.asciiResolution = document.getElementById('asciiResolution');
         this.frameRate = document.getElementById('frameRate');
+        this.stageTimings = document.getElementById('stageTimings');
         this.asciiSize = document.getElementById('asciiSize');
         this.lastCapture = document.getElementById('lastCapture');
         
         // Variables
         this.stream = null;
+        this.inputSource = null; // 'camera', 'screen', 'video' or 'image' while running
+        this.stillImage = null;
+        this.mediaUrl = null;
+        this.lastStillKey = null;
+        this.mediaFrameDuration = Infinity; // Smallest frame interval seen in a video file
         this.canvas = document.createElement('canvas');
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
         this.animationId = null;
-        this.lastFrameTime = 0;
-        this.frameCount = 0;
-        this.fps = 0;
         this.showVideo = true;
-        this.isProcessing = false;
+        this.glyphAtlas = null;
         this.capturedAsciiText = null;
         this.currentAsciiText = null;
+        this.capturedFrame = null;
+        this.capturedAt = null;
+        this.currentFrame = null;
         
-        // ASCII Character Sets
-        this.asciiChars = {
-            simple: '@%#*+=-:. ',
-            detailed: '$@B%8&WM#*oahkbdpqwmZO0QLCJUYXzcvunxrjft/\\|()1{}[]?-_+~<>i!lI;:,"^`\'. ',
-            blocks: '█▓▒░ ',
-            inverse: ' .:-=+*#%@',
-            binary: '01',
-        };
+        // Capture editor: null unless the captured frame is being edited
+        this.editor = null;
+        this.editorClipboard = null;
+        this.editorCell = { width: 7.2, height: 12 }; // Measured when editing starts; the stylesheet's size until then
         
-        // Resolution presets - Adjusted for 16:9 aspect ratio and character aspect ratio
-        // ASCII characters are roughly 2:1 (height:width), so we adjust target dimensions
-        this.resolutions = {
-            'ultra-low': { width: 40, height: 22 },   // 16:9 adjusted for character aspect
-            'low': { width: 60, height: 34 },        // 16:9 adjusted
-            'medium': { width: 100, height: 56 },    // 16:9 adjusted
-            'high': { width: 140, height: 79 },      // 16:9 adjusted
-            'ultra': { width: 180, height: 101 },    // 16:9 adjusted
-            'native': { width: 0, height: 0 }        // Will be calculated
-        };
+        // Recording
+        this.recordingClip = null;
+        this.recordingStartTime = 0;
+        this.recordedClip = null;
+        this.maxRecordingFrames = 3000; // About 100 seconds at 30 FPS
+        this.playbackIndex = 0;
+        this.playbackTimer = null;
+        this.trimStartIndex = 0;
+        this.trimEndIndex = 0;
+        this.isExporting = false;
+        
+        // Frame pipeline: a frame-dropping queue in front of a conversion worker
+        this.targetFps = 0; // 0 = no cap
+        this.lastCaptureTime = 0;
+        this.isGrabbing = false;
+        this.fpsInterval = null;
+        this.frameStats = this.emptyFrameStats();
+        this.framePipeline = this.createFramePipeline();
+        this.effectState = AsciiEffects.createState(); // Used when converting on the main thread
+        this.convertingOnMainThread = false; // Set while the frames need plugin code
+        
+        // Capture gallery, kept in IndexedDB (see js/gallery-store.js)
+        this.galleryStore = null;
+        this.galleryReady = this.openGalleryStore();
+        this.galleryRecords = [];
+        this.gallerySelection = new Set();
+        this.galleryUrls = [];
+        
+        // Self-timer, burst, time-lapse and motion-triggered capture (see
+        // js/capture-modes.js). The motion trigger compares small grayscale
+        // copies of consecutive frames.
+        this.captureRun = null; // { mode, count, timer, quietUntil } while a mode runs
+        this.motionCanvas = document.createElement('canvas');
+        this.motionCtx = this.motionCanvas.getContext('2d', { willReadFrequently: true });
+        this.motionSample = null;
+        this.motionPending = false; // Motion seen; the next converted frame is captured
+        
+        // Live broadcast to a relay (see cli/relay-server.js)
+        this.broadcastSocket = null;
+        this.broadcastEncoder = null;
+        this.maxBroadcastBuffer = 256 * 1024; // Bytes queued before frames are dropped
+        
+        // ASCII Character Sets and resolution presets (see js/ascii-core.js)
+        this.asciiChars = AsciiCore.CHARSETS;
+        this.resolutions = AsciiCore.RESOLUTIONS;
         
         this.aspectRatio = 16 / 9; // Default 16:9
-        this.characterAspectRatio = 2.0; // ASCII characters are about 2x taller than wide
+        this.characterAspectRatio = AsciiCore.DEFAULT_CHARACTER_ASPECT;
+        
+        // One character of the output font, measured from rendered text, and
+        // the grid that fills the output area for Fit to Output
+        this.cellSize = null;
+        this.outputGrid = null;
+        
+        // User-defined ramps, listed under "Custom" in the style dropdown
+        this.charsetStorageKey = 'asciiCamera.charsets';
+        this.customCharsets = this.loadCustomCharsets();
+        this.populateCustomStyles();
+        this.populatePluginStyles();
+        
+        // Render settings, tone mapping, video effects (see js/video-effects.js)
+        // and the camera choice, persisted together in localStorage and
+        // shareable as a link (see js/settings.js). Tone, camera and effects
+        // used to have keys of their own; those are migrated on first load.
+        this.settingsStorageKey = 'asciiCamera.settings';
+        this.legacyStorageKeys = { tone: 'asciiCamera.tone', camera: 'asciiCamera.camera', effects: 'asciiCamera.effects' };
+        this.toneSettings = null;
+        this.cameraSettings = null;
+        this.effectChain = [];
+        
+        // Named snapshots of the settings above
+        this.presetStorageKey = 'asciiCamera.presets';
+        this.presets = this.loadPresets();
+        
+        // Capture export look and format, persisted in localStorage
+        this.exportStorageKey = 'asciiCamera.export';
+        this.exportSettings = this.loadExportSettings();
+        
+        // Print layout, persisted in localStorage
+        this.printStorageKey = 'asciiCamera.print';
+        this.printSettings = this.loadPrintSettings();
+        
+        // Automatic capture settings, persisted in localStorage
+        this.captureOptionsStorageKey = 'asciiCamera.captureModes';
+        this.captureOptions = this.loadCaptureOptions();
+        this.applyCaptureControls();
+        
+        // Relay address, persisted in localStorage
+        this.broadcastStorageKey = 'asciiCamera.broadcast';
+        this.broadcastSettings = this.loadBroadcastSettings();
+        this.relayUrlInput.value = this.broadcastSettings.relayUrl;
+        
+        // Keyboard shortcuts, remappable in the help overlay and persisted in
+        // localStorage (see js/shortcuts.js)
+        this.shortcutStorageKey = 'asciiCamera.shortcuts';
+        this.shortcuts = this.loadShortcuts();
+        this.shortcutRows = new Map(); // Action → its row in the help overlay
+        this.rebindingAction = null; // Action waiting for its new key
+        
+        // Open dialogs, topmost last, each with the element to refocus when
+        // it closes
+        this.dialogStack = [];
+        
+        // Plugin modules and what each registered (see js/plugins.js); the
+        // buttons of plugin exporters in the capture dialog
+        this.plugins = plugins;
+        this.exporterButtons = [];
+        
+        // Where the service worker keeps a file shared to the installed app
+        // (see sw.js)
+        this.sharedFileCache = 'ascii-camera-shared';
+        this.sharedFileUrl = 'shared-file';
         
         this.bindEvents();
+        this.populateEffectTypes();
+        this.populateExporters();
+        this.populatePresets();
+        this.buildShortcutList();
+        this.updateShortcutHints();
+        this.applySettings(this.loadSettings());
+        this.applyLinkedSettings();
+        this.registerServiceWorker();
+        this.receiveLaunchedFiles();
+        this.reportPluginFailures();
+        this.refreshDevices();
         this.updateDisplayInfo();
+        this.measureOutputCell();
     }
     
     bindEvents() {
         this.startButton.addEventListener('click', () => this.startCamera());
-        this.stopButton.addEventListener('click', () => this.stopCamera());
+        this.stopButton.addEventListener('click', () => this.stopSource());
+        this.shareScreenButton.addEventListener('click', () => this.startScreenCapture());
+        this.openFileButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            this.openFile(this.fileInput.files[0]);
+            this.fileInput.value = '';
+        });
         this.resolutionSelect.addEventListener('change', () => this.updateResolution());
+        [this.gridColumnsInput, this.gridRowsInput].forEach(input => {
+            input.addEventListener('change', () => this.updateResolution());
+        });
+        this.fitModeSelect.addEventListener('change', () => this.saveSettings());
+        
+        // Fit to Output follows the output area, and the breakpoints change
+        // the font size; web fonts can also arrive after the first measurement
+        window.addEventListener('resize', () => this.measureOutputCell());
+        if (document.fonts) {
+            document.fonts.ready.then(() => this.measureOutputCell());
+        }
         this.asciiStyleSelect.addEventListener('change', () => this.updateAsciiStyle());
+        this.colorModeSelect.addEventListener('change', () => this.saveSettings());
+        this.targetFpsSelect.addEventListener('change', () => {
+            this.targetFps = Number(this.targetFpsSelect.value);
+            this.saveSettings();
+        });
         this.toggleVideoButton.addEventListener('click', () => this.toggleVideo());
         this.captureFrameButton.addEventListener('click', () => this.captureFrame());
         this.saveImageButton.addEventListener('click', () => this.saveAsImage());
         this.printButton.addEventListener('click', () => this.printAscii());
         this.copyButton.addEventListener('click', () => this.copyToClipboard());
+        this.recordButton.addEventListener('click', () => this.toggleRecording());
+        this.editCharsetsButton.addEventListener('click', () => this.openCharsetEditor());
+        this.openGalleryButton.addEventListener('click', () => this.openGallery());
+        this.shortcutsButton.addEventListener('click', () => this.openDialog(this.shortcutsModal));
+        this.pluginsButton.addEventListener('click', () => this.openPluginManager());
+        this.broadcastButton.addEventListener('click', () => this.toggleBroadcast());
+        
+        // Automatic capture events
+        [
+            this.captureModeSelect, this.timerDelaySelect, this.burstCountInput, this.burstIntervalInput,
+            this.lapseIntervalInput, this.motionCooldownInput
+        ].forEach(input => {
+            input.addEventListener('change', () => this.updateCaptureOptions());
+        });
+        this.motionSensitivityInput.addEventListener('input', () => this.updateCaptureOptions());
+        this.captureModeButton.addEventListener('click', () => this.toggleCaptureMode());
+        
+        // Camera events
+        [this.cameraDeviceSelect, this.facingModeSelect, this.cameraResolutionSelect, this.cameraFpsSelect].forEach(select => {
+            select.addEventListener('change', () => this.updateCameraSettings());
+        });
+        this.mirrorVideoInput.addEventListener('change', () => this.updateCameraSettings());
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshDevices());
+        }
+        
+        // Video file events
+        this.mediaPlayButton.addEventListener('click', () => this.toggleMediaPlayback());
+        this.stepBackButton.addEventListener('click', () => this.stepMediaFrame(-1));
+        this.stepForwardButton.addEventListener('click', () => this.stepMediaFrame(1));
+        this.mediaSeek.addEventListener('input', () => {
+            this.video.currentTime = Number(this.mediaSeek.value);
+        });
+        ['timeupdate', 'play', 'pause', 'seeked', 'durationchange'].forEach(type => {
+            this.video.addEventListener(type, () => this.updateMediaControls());
+        });
+        
+        // Drag and drop an image or video file anywhere on the page
+        document.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+                e.preventDefault();
+                document.body.classList.add('drag-over');
+            }
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) {
+                document.body.classList.remove('drag-over');
+            }
+        });
+        document.addEventListener('drop', (e) => {
+            if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+                e.preventDefault();
+                document.body.classList.remove('drag-over');
+                this.openFile(e.dataTransfer.files[0]);
+            }
+        });
+        
+        // Tone events
+        [this.brightnessInput, this.contrastInput, this.gammaInput].forEach(input => {
+            input.addEventListener('input', () => this.updateTone());
+        });
+        this.levelsSelect.addEventListener('change', () => this.updateTone());
+        this.ditherSelect.addEventListener('change', () => this.updateTone());
+        this.resetToneButton.addEventListener('click', () => this.resetTone());
+        
+        // Preset and settings link events
+        this.presetSelect.addEventListener('change', () => this.selectPreset(this.presetSelect.value));
+        this.savePresetButton.addEventListener('click', () => this.savePreset());
+        this.deletePresetButton.addEventListener('click', () => this.deletePreset());
+        this.copySettingsLinkButton.addEventListener('click', () => this.copySettingsLink());
+        window.addEventListener('hashchange', () => this.applyLinkedSettings());
+        
+        // Effect chain events
+        this.addEffectButton.addEventListener('click', () => this.addEffect(this.effectTypeSelect.value));
+        this.clearEffectsButton.addEventListener('click', () => this.clearEffects());
         
         // Modal events
-        this.saveCaptureButton.addEventListener('click', () => this.saveCaptureAsImage());
+        this.saveCaptureButton.addEventListener('click', () => this.openExportDialog());
         this.copyCaptureButton.addEventListener('click', () => this.copyCaptureToClipboard());
-        this.printCaptureButton.addEventListener('click', () => this.printCapture());
+        this.printCaptureButton.addEventListener('click', () => this.openPrintDialog());
         this.downloadTextButton.addEventListener('click', () => this.downloadAsText());
+        this.downloadAnsiButton.addEventListener('click', () => this.downloadAsAnsi());
+        this.downloadHtmlButton.addEventListener('click', () => this.downloadAsHtml());
         this.closeModalButton.addEventListener('click', () => this.closeModal());
         
-        // Close modal when clicking outside
-        this.captureModal.addEventListener('click', (e) => {
-            if (e.target === this.captureModal) {
-                this.closeModal();
+        // Capture editor events
+        this.editCaptureButton.addEventListener('click', () => this.toggleEditor());
+        this.editorToolButtons.forEach(button => {
+            button.addEventListener('click', () => this.setEditorTool(button.dataset.tool));
+        });
+        this.editorUndoButton.addEventListener('click', () => this.undoEdit());
+        this.editorRedoButton.addEventListener('click', () => this.redoEdit());
+        this.editorCopyButton.addEventListener('click', () => this.copySelection());
+        this.editorPasteButton.addEventListener('click', () => this.pasteSelection());
+        this.editorCropButton.addEventListener('click', () => this.cropToSelection());
+        this.capturedAscii.addEventListener('pointerdown', (e) => this.editorPointerDown(e));
+        this.capturedAscii.addEventListener('pointermove', (e) => this.editorPointerMove(e));
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.capturedAscii.addEventListener(type, (e) => this.editorPointerUp(e));
+        });
+        this.capturedAscii.addEventListener('keydown', (e) => this.editorKeydown(e));
+        
+        // Recording modal events
+        this.playbackToggleButton.addEventListener('click', () => this.togglePlayback());
+        this.playbackScrubber.addEventListener('input', () => this.showPlaybackFrame(Number(this.playbackScrubber.value)));
+        this.trimStartButton.addEventListener('click', () => this.setTrimStart());
+        this.trimEndButton.addEventListener('click', () => this.setTrimEnd());
+        this.exportCastButton.addEventListener('click', () => this.exportAsciicast());
+        this.exportPlayerButton.addEventListener('click', () => this.exportHtmlPlayer());
+        this.exportGifButton.addEventListener('click', () => this.exportGif());
+        this.exportWebmButton.addEventListener('click', () => this.exportWebm());
+        this.closeRecordingButton.addEventListener('click', () => this.closeModal());
+        
+        // Charset editor events
+        this.charsetList.addEventListener('change', () => this.selectCustomCharset(this.charsetList.value));
+        [this.charsetChars, this.charsetName].forEach(input => {
+            input.addEventListener('input', () => this.updateCharsetPreview());
+        });
+        this.charsetFont.addEventListener('change', () => this.updateCharsetPreview());
+        this.charsetAutoSort.addEventListener('change', () => this.updateCharsetPreview());
+        this.newCharsetButton.addEventListener('click', () => this.selectCustomCharset(null));
+        this.saveCharsetButton.addEventListener('click', () => this.saveCustomCharset());
+        this.deleteCharsetButton.addEventListener('click', () => this.deleteCustomCharset());
+        this.exportCharsetsButton.addEventListener('click', () => this.exportCustomCharsets());
+        this.importCharsetsButton.addEventListener('click', () => this.charsetFileInput.click());
+        this.charsetFileInput.addEventListener('change', () => this.importCustomCharsets());
+        this.closeCharsetsButton.addEventListener('click', () => this.closeModal());
+        
+        // Gallery events
+        this.galleryFavoritesInput.addEventListener('change', () => this.renderGallery());
+        this.gallerySelectAllButton.addEventListener('click', () => this.toggleGallerySelection());
+        this.exportZipButton.addEventListener('click', () => this.exportGalleryZip());
+        this.deleteSelectedButton.addEventListener('click', () => this.deleteSelectedCaptures());
+        this.closeGalleryButton.addEventListener('click', () => this.closeModal());
+        
+        // Export dialog events
+        [
+            this.exportFormatSelect, this.exportFontSelect, this.exportFontSizeInput, this.exportThemeSelect,
+            this.exportFrameColorsInput, this.exportHeaderInput, this.exportTimestampInput,
+            this.exportScaleSelect, this.exportPaperSelect, this.exportOrientationSelect
+        ].forEach(input => {
+            input.addEventListener('change', () => this.updateExportSettings());
+        });
+        [this.exportHeaderTextInput, this.exportWatermarkInput].forEach(input => {
+            input.addEventListener('input', () => this.updateExportSettings());
+        });
+        // Picking a color leaves the preset theme
+        [this.exportFgInput, this.exportBgInput].forEach(input => {
+            input.addEventListener('input', () => {
+                this.exportThemeSelect.value = 'custom';
+                this.updateExportSettings();
+            });
+        });
+        this.exportCaptureButton.addEventListener('click', () => this.exportCapture());
+        this.closeExportButton.addEventListener('click', () => this.closeExportDialog());
+        this.exportModal.addEventListener('click', (e) => {
+            if (e.target === this.exportModal) {
+                this.closeExportDialog();
             }
         });
         
-        // Handle keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            if (e.ctrlKey && e.key === 's') {
-                e.preventDefault();
-                this.captureFrame();
+        // Print dialog events
+        [
+            this.printPaperSelect, this.printOrientationSelect, this.printMarginInput, this.printModeSelect,
+            this.printPagesAcrossInput, this.printMarksInput, this.printHeaderInput, this.printColorInput
+        ].forEach(input => {
+            input.addEventListener('change', () => this.updatePrintSettings());
+        });
+        this.printPagesButton.addEventListener('click', () => this.printPages());
+        this.closePrintButton.addEventListener('click', () => this.closePrintDialog());
+        this.printModal.addEventListener('click', (e) => {
+            if (e.target === this.printModal) {
+                this.closePrintDialog();
             }
-            if (e.key === 'Escape') {
-                this.closeModal();
+        });
+        
+        // Shortcut help events
+        this.resetShortcutsButton.addEventListener('click', () => this.resetShortcuts());
+        this.closeShortcutsButton.addEventListener('click', () => this.closeModal());
+        
+        // Plugin manager events
+        this.addPluginButton.addEventListener('click', () => this.addPlugin(this.pluginUrlInput.value));
+        this.pluginUrlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.addPlugin(this.pluginUrlInput.value);
             }
         });
+        this.closePluginsButton.addEventListener('click', () => this.closeModal());
+        
+        // Close modals when clicking outside
+        [this.captureModal, this.recordingModal, this.charsetModal, this.galleryModal, this.shortcutsModal, this.pluginsModal].forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeModal();
+                }
+            });
+        });
+        
+        // Keyboard shortcuts, and Tab kept inside an open dialog
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
     }
     
     async startCamera() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            this.showCameraError('Camera access needs a secure page (HTTPS or localhost)');
+            return;
+        }
+        
         try {
             this.status.textContent = 'Requesting camera access...';
             this.status.className = 'status-indicator loading';
             
-            const constraints = {
-                video: {
-                    width: { ideal: 1920 },
-                    height: { ideal: 1080 },
-                    facingMode: 'environment',
-                    aspectRatio: 16/9
-                }
-            };
+            // Switching cameras or settings replaces the running input
+            this.releaseSource();
             
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            this.stream = await this.openCameraStream();
             this.video.srcObject = this.stream;
-            
-            await new Promise((resolve) => {
-                this.video.onloadedmetadata = () => {
-                    this.video.play().then(resolve);
-                };
-            });
+            await this.waitForVideo();
             
             // Get actual video dimensions and calculate aspect ratio
             const videoWidth = this.video.videoWidth;
             const videoHeight = this.video.videoHeight;
             this.aspectRatio = videoWidth / videoHeight;
             
+            // The camera may not honour the requested frame rate, so show what it delivers
+            const trackSettings = this.stream.getVideoTracks()[0].getSettings();
+            const frameRate = trackSettings.frameRate ? ` @ ${Math.round(trackSettings.frameRate)} FPS` : '';
+            
             console.log(`Camera resolution: ${videoWidth}x${videoHeight} (${this.aspectRatio.toFixed(2)}:1)`);
-            this.videoResolution.textContent = `${videoWidth}×${videoHeight}`;
+            this.activateSource('camera', 'Camera Feed', `${videoWidth}×${videoHeight}${frameRate}`);
             
-            this.startButton.disabled = true;
-            this.stopButton.disabled = false;
-            this.saveImageButton.disabled = false;
-            this.status.textContent = 'Active';
-            this.status.className = 'status-indicator active';
+            // Device labels are only visible once permission has been granted
+            this.refreshDevices();
+        
+        } catch (error) {
+            console.error('Camera error:', error);
+            this.showCameraError(this.describeCameraError(error));
+            if (this.animationId) {
+                this.stopSource();
+            }
+        }
+    }
+    
+    async startScreenCapture() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+            this.showAlert('Screen capture is not supported in this browser', 'error');
+            return;
+        }
+        
+        try {
+            // Ask first so cancelling the picker leaves the current input running
+            const stream = await navigator.mediaDevices.getDisplayMedia({
+                video: { frameRate: { ideal: 30 } },
+                audio: false
+            });
             
-            this.updateToggleVideoButton();
-            this.startRendering();
-            this.startFPSCounter();
+            this.releaseSource();
+            this.stream = stream;
+            this.video.srcObject = stream;
+            await this.waitForVideo();
+            
+            // The browser's own "Stop sharing" button ends the track
+            stream.getVideoTracks()[0].addEventListener('ended', () => {
+                if (this.stream === stream) {
+                    this.stopSource();
+                }
+            });
             
+            this.activateSource('screen', 'Screen Capture', `${this.video.videoWidth}×${this.video.videoHeight}`);
         } catch (error) {
-            this.status.textContent = `Error: ${error.message}`;
-            this.status.className = 'status-indicator';
-            console.error('Camera error:', error);
+            if (error.name === 'NotAllowedError') {
+                this.showAlert('Screen sharing was cancelled', 'info');
+            } else {
+                console.error('Screen capture error:', error);
+                this.showAlert(`Screen capture failed: ${error.message}`, 'error');
+            }
+        }
+    }
+    
+    // Still image or video file, from the file picker or drag and drop
+    async openFile(file) {
+        if (!file) return;
+        
+        const kind = file.type.startsWith('image/') ? 'image' :
+            file.type.startsWith('video/') ? 'video' : null;
+        if (!kind) {
+            this.showAlert(`Unsupported file type: ${file.name}`, 'error');
+            return;
+        }
+        
+        this.releaseSource();
+        this.mediaUrl = URL.createObjectURL(file);
+        
+        try {
+            if (kind === 'image') {
+                const image = new Image();
+                image.src = this.mediaUrl;
+                await image.decode();
+                
+                this.stillImage = image;
+                this.imagePreview.src = this.mediaUrl;
+                this.activateSource('image', file.name, `${image.naturalWidth}×${image.naturalHeight}`);
+            } else {
+                this.video.src = this.mediaUrl;
+                this.video.loop = true;
+                this.mediaFrameDuration = Infinity;
+                await this.waitForVideo();
+                
+                this.activateSource('video', file.name, `${this.video.videoWidth}×${this.video.videoHeight}`);
+                this.trackMediaFrameDuration();
+            }
+        } catch (error) {
+            console.error('File open error:', error);
+            this.releaseSource();
+            this.showAlert(`Could not open ${file.name}: ${error.message}`, 'error');
+        }
+    }
+    
+    waitForVideo() {
+        return new Promise((resolve, reject) => {
+            this.video.onloadedmetadata = () => {
+                this.video.play().then(resolve, reject);
+            };
+            this.video.onerror = () => reject(new Error('the browser cannot play this video'));
+        });
+    }
+    
+    // Common setup once an input delivers frames
+    activateSource(kind, name, resolution) {
+        this.inputSource = kind;
+        this.lastStillKey = null;
+        this.sourceName.textContent = name;
+        this.videoResolution.textContent = resolution;
+        this.mediaControls.style.display = kind === 'video' ? 'flex' : 'none';
+        this.updatePreview();
+        this.updateMirror();
+        this.updateMediaControls();
+        
+        this.startButton.disabled = kind === 'camera';
+        this.stopButton.disabled = false;
+        this.saveImageButton.disabled = false;
+        this.recordButton.disabled = false;
+        this.captureModeButton.disabled = false;
+        this.status.textContent = 'Active';
+        this.status.className = 'status-indicator active';
+        
+        this.updateToggleVideoButton();
+        if (!this.animationId) {
+            this.startRendering();
+            this.startFPSCounter();
         }
     }
     
-    stopCamera() {
+    // Stop whatever feeds the converter, leaving the rest of the UI alone
+    releaseSource() {
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
         }
         
+        this.video.onloadedmetadata = null;
+        this.video.onerror = null;
+        this.video.pause();
+        this.video.srcObject = null;
+        this.video.removeAttribute('src');
+        this.video.loop = false;
+        this.video.load();
+        
+        if (this.mediaUrl) {
+            URL.revokeObjectURL(this.mediaUrl);
+            this.mediaUrl = null;
+        }
+        this.stillImage = null;
+        this.imagePreview.removeAttribute('src');
+        this.inputSource = null;
+    }
+    
+    // getUserMedia with the chosen device, falling back to the default camera
+    // when a remembered device is no longer connected
+    async openCameraStream() {
+        const settings = this.cameraSettings;
+        
+        try {
+            return await navigator.mediaDevices.getUserMedia(this.buildCameraConstraints(settings));
+        } catch (error) {
+            const missing = error.name === 'NotFoundError' || error.name === 'OverconstrainedError';
+            if (!settings.deviceId || !missing) {
+                throw error;
+            }
+            
+            this.showAlert('Saved camera not found, using the default camera', 'info');
+            settings.deviceId = '';
+            this.saveSettings();
+            this.applyCameraControls();
+            return navigator.mediaDevices.getUserMedia(this.buildCameraConstraints(settings));
+        }
+    }
+    
+    buildCameraConstraints(settings) {
+        const [width, height] = settings.resolution.split('x').map(Number);
+        const video = {
+            width: { ideal: width },
+            height: { ideal: height }
+        };
+        
+        // A specific device wins over the front/back preference
+        if (settings.deviceId) {
+            video.deviceId = { exact: settings.deviceId };
+        } else {
+            video.facingMode = settings.facingMode;
+        }
+        if (settings.frameRate) {
+            video.frameRate = { ideal: settings.frameRate };
+        }
+        
+        return { video };
+    }
+    
+    describeCameraError(error) {
+        switch (error.name) {
+            case 'NotAllowedError':
+            case 'SecurityError':
+                return 'Camera permission denied. Allow camera access for this page in the browser settings, then try again.';
+            case 'NotReadableError':
+            case 'AbortError':
+                return 'Camera is busy. Close other apps or tabs using it, then try again.';
+            case 'NotFoundError':
+                return 'No camera found. Connect a camera and try again.';
+            case 'OverconstrainedError':
+                return 'The camera does not support the selected resolution or frame rate.';
+            default:
+                return `Camera error: ${error.message}`;
+        }
+    }
+    
+    showCameraError(message) {
+        this.status.textContent = message;
+        this.status.className = 'status-indicator';
+        this.showAlert(message, 'error');
+    }
+    
+    stopSource() {
+        if (this.recordingClip) {
+            this.stopRecording();
+        }
+        this.stopCaptureMode();
+        
+        this.releaseSource();
+        
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
         }
         
-        this.video.srcObject = null;
+        clearInterval(this.fpsInterval);
+        this.fpsInterval = null;
+        if (this.framePipeline) {
+            this.framePipeline.clear();
+        }
+        
         this.asciiOutput.textContent = '';
+        this.asciiOutput.setAttribute('aria-label', 'ASCII output, no input');
+        this.mediaControls.style.display = 'none';
+        this.sourceName.textContent = 'Camera Feed';
+        this.updatePreview();
         
         this.startButton.disabled = false;
         this.stopButton.disabled = true;
         this.saveImageButton.disabled = true;
+        this.recordButton.disabled = true;
+        this.captureModeButton.disabled = true;
         this.status.textContent = 'Stopped';
         this.status.className = 'status-indicator';
         this.frameRate.textContent = '-';
+        this.stageTimings.textContent = '-';
         this.videoResolution.textContent = '-';
     }
     
+    applyCameraControls() {
+        const settings = this.cameraSettings;
+        
+        this.cameraDeviceSelect.value = settings.deviceId;
+        this.facingModeSelect.value = settings.facingMode;
+        this.facingModeSelect.disabled = Boolean(settings.deviceId);
+        this.cameraResolutionSelect.value = settings.resolution;
+        this.cameraFpsSelect.value = String(settings.frameRate);
+        this.mirrorVideoInput.checked = settings.mirror;
+        this.updateMirror();
+    }
+    
+    updateCameraSettings() {
+        const previous = this.cameraSettings;
+        this.cameraSettings = {
+            deviceId: this.cameraDeviceSelect.value,
+            facingMode: this.facingModeSelect.value,
+            resolution: this.cameraResolutionSelect.value,
+            frameRate: Number(this.cameraFpsSelect.value),
+            mirror: this.mirrorVideoInput.checked
+        };
+        this.applyCameraControls();
+        this.saveSettings();
+        this.restartCameraIfChanged(previous);
+    }
+    
+    // Mirroring is applied per frame; anything else needs a new stream
+    restartCameraIfChanged(previous) {
+        const needsRestart = ['deviceId', 'facingMode', 'resolution', 'frameRate']
+            .some(key => previous[key] !== this.cameraSettings[key]);
+        if (this.inputSource === 'camera' && needsRestart) {
+            this.startCamera();
+        }
+    }
+    
+    // Fill the device dropdown; called at startup, after permission is
+    // granted (when labels become available) and on devicechange
+    async refreshDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return;
+        }
+        
+        let devices;
+        try {
+            devices = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+            return;
+        }
+        
+        this.cameraDeviceSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default camera';
+        this.cameraDeviceSelect.appendChild(defaultOption);
+        
+        devices.forEach((device, index) => {
+            // Browsers hide device ids and labels until camera permission is granted
+            if (!device.deviceId) return;
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `Camera ${index + 1}`;
+            this.cameraDeviceSelect.appendChild(option);
+        });
+        
+        // Keep the remembered device selected even while it is unplugged
+        const { deviceId } = this.cameraSettings;
+        if (deviceId && !devices.some(device => device.deviceId === deviceId)) {
+            const option = document.createElement('option');
+            option.value = deviceId;
+            option.textContent = 'Saved camera (not connected)';
+            this.cameraDeviceSelect.appendChild(option);
+        }
+        this.cameraDeviceSelect.value = deviceId;
+        
+        // The active camera was unplugged
+        if (this.inputSource === 'camera' && this.stream.getVideoTracks().every(track => track.readyState === 'ended')) {
+            this.stopSource();
+            this.showAlert('Camera disconnected', 'error');
+        }
+    }
+    
     updateToggleVideoButton() {
         this.toggleVideoButton.innerHTML = this.showVideo ? 
-            '<i class="fas fa-eye-slash"></i> Hide Video' : 
-            '<i class="fas fa-eye"></i> Show Video';
+            '<i class="fas fa-eye-slash" aria-hidden="true"></i> Hide Video' : 
+            '<i class="fas fa-eye" aria-hidden="true"></i> Show Video';
     }
     
     toggleVideo() {
         this.showVideo = !this.showVideo;
-        this.video.style.display = this.showVideo ? 'block' : 'none';
+        this.updatePreview();
         this.updateToggleVideoButton();
+        this.saveSettings();
+    }
+    
+    // Still images preview in an <img>, everything else in the <video>
+    updatePreview() {
+        const image = this.inputSource === 'image';
+        this.video.style.display = this.showVideo && !image ? 'block' : 'none';
+        this.imagePreview.style.display = this.showVideo && image ? 'block' : 'none';
+    }
+    
+    // Mirroring is a camera setting; screens and files are never flipped
+    isMirrored() {
+        return this.inputSource === 'camera' && this.cameraSettings.mirror;
+    }
+    
+    updateMirror() {
+        this.video.classList.toggle('mirrored', this.isMirrored());
+    }
+    
+    toggleMediaPlayback() {
+        if (this.inputSource !== 'video') return;
+        
+        if (this.video.paused) {
+            this.video.play();
+        } else {
+            this.video.pause();
+        }
+    }
+    
+    // Pause and move one frame; the frame length comes from
+    // requestVideoFrameCallback where available, else 30 FPS is assumed
+    stepMediaFrame(direction) {
+        if (this.inputSource !== 'video') return;
+        
+        const frameDuration = isFinite(this.mediaFrameDuration) ? this.mediaFrameDuration : 1 / 30;
+        const duration = isFinite(this.video.duration) ? this.video.duration : 0;
+        
+        this.video.pause();
+        this.video.currentTime = Math.min(duration, Math.max(0, this.video.currentTime + direction * frameDuration));
+    }
+    
+    trackMediaFrameDuration() {
+        if (!this.video.requestVideoFrameCallback) return;
+        
+        let lastMediaTime = null;
+        const onVideoFrame = (now, metadata) => {
+            if (this.inputSource !== 'video') return;
+            
+            // Presented frames can be skipped, so the smallest gap is the frame length
+            if (lastMediaTime !== null && !this.video.paused) {
+                const delta = metadata.mediaTime - lastMediaTime;
+                if (delta > 0.001) {
+                    this.mediaFrameDuration = Math.min(this.mediaFrameDuration, delta);
+                }
+            }
+            lastMediaTime = metadata.mediaTime;
+            this.video.requestVideoFrameCallback(onVideoFrame);
+        };
+        this.video.requestVideoFrameCallback(onVideoFrame);
+    }
+    
+    updateMediaControls() {
+        if (this.inputSource !== 'video') return;
+        
+        const duration = isFinite(this.video.duration) ? this.video.duration : 0;
+        this.mediaSeek.max = duration;
+        this.mediaSeek.value = this.video.currentTime;
+        this.mediaTime.textContent = `${this.video.currentTime.toFixed(2)}s / ${duration.toFixed(2)}s`;
+        this.mediaPlayButton.innerHTML = this.video.paused ?
+            '<i class="fas fa-play" aria-hidden="true"></i> Play' :
+            '<i class="fas fa-pause" aria-hidden="true"></i> Pause';
     }
     
     startRendering() {
         const render = (timestamp) => {
-            if (!this.stream || this.isProcessing) {
+            if (!this.inputSource) {
                 this.animationId = requestAnimationFrame(render);
                 return;
             }
             
-            // Calculate FPS
-            if (this.lastFrameTime) {
-                const delta = timestamp - this.lastFrameTime;
-                this.fps = Math.round(1000 / delta);
+            // Respect the FPS cap; the small tolerance keeps a 30 FPS cap on
+            // a 60 Hz display from skipping every other capture
+            const interval = this.targetFps ? 1000 / this.targetFps : 0;
+            if (timestamp - this.lastCaptureTime >= interval - 2) {
+                this.lastCaptureTime = timestamp;
+                this.captureVideoFrame();
             }
-            this.lastFrameTime = timestamp;
-            
-            // Process frame
-            this.processFrame();
-            
-            // Update display info
-            this.updateDisplayInfo();
             
             this.animationId = requestAnimationFrame(render);
         };
@@ -216,181 +1064,2758 @@ class ASCIICamera {
         this.animationId = requestAnimationFrame(render);
     }
     
+    // Report conversion throughput and average stage timings once a second
     startFPSCounter() {
-        setInterval(() => {
-            if (this.fps > 0) {
-                this.frameRate.textContent = `${this.fps} FPS`;
-            }
-        }, 1000);
+        clearInterval(this.fpsInterval);
+        this.frameStats = this.emptyFrameStats();
+        this.fpsInterval = setInterval(() => this.updateFrameStats(), 1000);
     }
     
-    calculateTargetDimensions() {
-        const resolution = this.resolutionSelect.value;
+    emptyFrameStats() {
+        return { frames: 0, dropped: 0, totals: {} };
+    }
+    
+    recordFrameStats(timings) {
+        const totals = this.frameStats.totals;
+        this.frameStats.frames++;
+        Object.keys(timings).forEach(stage => {
+            totals[stage] = (totals[stage] || 0) + timings[stage];
+        });
+    }
+    
+    updateFrameStats() {
+        const { frames, dropped, totals } = this.frameStats;
+        this.frameStats = this.emptyFrameStats();
         
-        if (resolution === 'native') {
-            // For native resolution, we need to consider character aspect ratio
-            // We want to maintain the video's aspect ratio in the final ASCII output
-            const maxWidth = 240; // Maximum characters width for performance
-            
-            // Calculate width based on video aspect ratio and character aspect
-            let targetWidth = Math.min(this.video.videoWidth / 8, maxWidth);
-            // Adjust height for character aspect ratio (characters are taller)
-            let targetHeight = Math.round(targetWidth / this.aspectRatio * this.characterAspectRatio);
-            
-            return { width: Math.round(targetWidth), height: targetHeight };
-        } else {
-            // Use preset resolution (already adjusted for 16:9 and character aspect)
-            return this.resolutions[resolution];
+        this.frameRate.textContent = dropped ? `${frames} FPS (${dropped} dropped)` : `${frames} FPS`;
+        if (frames > 0) {
+            const stages = ['grab', 'queue', 'draw', 'effects', 'convert', 'display']
+                .filter(stage => stage in totals)
+                .map(stage => `${stage} ${(totals[stage] / frames).toFixed(1)}`);
+            const where = this.framePipeline && !this.convertingOnMainThread ? 'worker' : 'main thread';
+            this.stageTimings.textContent = `${stages.join(' · ')} ms (${where})`;
+        }
+    }
+    
+    // Conversion runs in a worker when the browser supports it. Pages opened
+    // from file:// may not be allowed to start one, so fall back quietly.
+    createFramePipeline() {
+        if (!FramePipeline.isSupported()) {
+            return null;
+        }
+        
+        try {
+            return new FramePipeline('js/frame-worker.js', {
+                onFrame: (frame, timings) => this.showFrame(frame, timings),
+                onDrop: () => this.frameStats.dropped++,
+                onError: (error) => console.error('Frame processing error:', error),
+                onFailure: (error) => {
+                    console.warn('Frame worker unavailable, converting on the main thread:', error.message);
+                    this.framePipeline = null;
+                }
+            });
+        } catch (error) {
+            console.warn('Frame worker unavailable, converting on the main thread:', error.message);
+            return null;
+        }
+    }
+    
+    // Render options plus what the core needs to size and crop the frame
+    getConversionOptions() {
+        return {
+            ...this.getRenderOptions(),
+            resolution: this.resolutionSelect.value,
+            ...this.getGridSize(),
+            fit: this.fitModeSelect.value,
+            characterAspect: this.characterAspectRatio,
+            mirror: this.isMirrored(),
+            effects: this.activeEffects()
+        };
+    }
+    
+    // Explicit grid for Custom and Fit to Output; the presets size the grid
+    // from the source
+    getGridSize() {
+        if (this.resolutionSelect.value === 'custom') {
+            return { width: Number(this.gridColumnsInput.value), height: Number(this.gridRowsInput.value) };
+        }
+        if (this.resolutionSelect.value === 'fit' && this.outputGrid) {
+            return { ...this.outputGrid };
+        }
+        return {};
+    }
+    
+    // Measure a character of the output font from rendered text: its
+    // height/width ratio keeps the picture in shape, and its size gives the
+    // grid that fills the output area
+    measureOutputCell() {
+        const container = this.asciiOutput.parentElement;
+        const probe = document.createElement('pre');
+        probe.className = 'ascii-display aspect-corrected';
+        probe.setAttribute('aria-hidden', 'true');
+        probe.style.cssText = 'position: absolute; visibility: hidden; max-width: none; padding: 0;';
+        probe.textContent = new Array(20).fill('M'.repeat(50)).join('\n');
+        container.appendChild(probe);
+        const rect = probe.getBoundingClientRect();
+        probe.remove();
+        
+        // Nothing is laid out while the page is hidden; keep the last measurement
+        if (!rect.width || !rect.height) return;
+        
+        this.cellSize = { width: rect.width / 50, height: rect.height / 20 };
+        this.characterAspectRatio = this.cellSize.height / this.cellSize.width;
+        
+        const style = getComputedStyle(this.asciiOutput);
+        const width = container.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+        const height = container.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+        const cells = (size, cell) => Math.max(1, Math.min(AsciiCore.MAX_CUSTOM_SIZE, Math.floor(size / cell)));
+        this.outputGrid = { width: cells(width, this.cellSize.width), height: cells(height, this.cellSize.height) };
+    }
+    
+    // Element frames are grabbed from: the <video> for streams and video
+    // files, the decoded image for stills
+    getFrameSource() {
+        if (this.inputSource === 'image') {
+            const image = this.stillImage;
+            return { element: image, width: image.naturalWidth, height: image.naturalHeight };
+        }
+        
+        const ready = this.video.readyState >= this.video.HAVE_CURRENT_DATA;
+        return { element: this.video, width: ready ? this.video.videoWidth : 0, height: this.video.videoHeight };
+    }
+    
+    // Still images and paused video files look the same from frame to frame,
+    // so they are only converted again when a setting or the position changes,
+    // unless an animated effect is on
+    isUnchangedStill(options) {
+        const still = this.inputSource === 'image' || (this.inputSource === 'video' && this.video.paused);
+        if (!still || AsciiEffects.isAnimated(options.effects)) {
+            this.lastStillKey = null;
+            return false;
+        }
+        
+        const key = JSON.stringify({ ...options, glyphAtlas: null, time: this.video.currentTime });
+        if (key === this.lastStillKey) {
+            return true;
+        }
+        this.lastStillKey = key;
+        return false;
+    }
+    
+    // Grab the current frame of the input and queue it for the worker
+    captureVideoFrame() {
+        const source = this.getFrameSource();
+        if (!source.width) {
+            return;
+        }
+        
+        const options = this.getConversionOptions();
+        if (this.isUnchangedStill(options)) {
+            return;
+        }
+        
+        if (this.captureRun && this.captureRun.mode === 'motion') {
+            this.detectMotion(source);
+        }
+        
+        // Plugin renderers and filters are not loaded in the worker
+        this.convertingOnMainThread = AsciiPlugins.needsMainThread(options);
+        if (!this.framePipeline || this.convertingOnMainThread) {
+            this.processFrame(source, options);
+            return;
+        }
+        
+        const started = performance.now();
+        
+        // VideoFrame wraps the decoded video frame without a copy where available
+        if (typeof VideoFrame !== 'undefined' && source.element === this.video) {
+            try {
+                const frame = new VideoFrame(this.video);
+                this.framePipeline.submit(frame, options, { grab: performance.now() - started });
+                return;
+            } catch (error) {
+                // Not every video source can be wrapped; use an ImageBitmap instead
+            }
+        }
+        
+        if (this.isGrabbing) {
+            this.frameStats.dropped++;
+            return;
+        }
+        
+        this.isGrabbing = true;
+        createImageBitmap(source.element).then(bitmap => {
+            this.isGrabbing = false;
+            if (!this.inputSource || !this.framePipeline) {
+                bitmap.close();
+                return;
+            }
+            this.framePipeline.submit(bitmap, options, { grab: performance.now() - started });
+        }).catch(error => {
+            this.isGrabbing = false;
+            console.error('Frame grab error:', error);
+        });
+    }
+    
+    // Main-thread conversion, used when no worker is available or the frame
+    // needs a plugin
+    processFrame(source, options) {
+        try {
+            const started = performance.now();
+            const plan = AsciiCore.planFrame(source.width, source.height, options);
+            
+            // Renderer styles read several source pixels per character cell
+            this.canvas.width = plan.pixelWidth;
+            this.canvas.height = plan.pixelHeight;
+            this.ctx.imageSmoothingEnabled = false;
+            
+            // Flip horizontally for a selfie-style mirror image
+            if (options.mirror) {
+                this.ctx.setTransform(-1, 0, 0, 1, plan.pixelWidth, 0);
+            }
+            
+            // Draw the image cropped, letterboxed or stretched to the grid;
+            // letterbox margins stay black
+            const { sx, sy, sWidth, sHeight } = plan.crop;
+            const { dx, dy, dWidth, dHeight } = plan.dest;
+            this.ctx.fillStyle = '#000';
+            this.ctx.fillRect(0, 0, plan.pixelWidth, plan.pixelHeight);
+            this.ctx.drawImage(
+                source.element,
+                sx, sy, sWidth, sHeight,
+                dx, dy, dWidth, dHeight
+            );
+            
+            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+            const drawn = performance.now();
+            
+            AsciiEffects.applyPixelEffects(this.effectState, options.effects, imageData.data, plan, drawn);
+            const filtered = performance.now();
+            
+            // Convert to ASCII
+            const frame = AsciiCore.clearMargins(AsciiCore.convertPixels(imageData.data, plan.width, plan.height, options), plan);
+            const converted = performance.now();
+            AsciiEffects.applyFrameEffects(this.effectState, options.effects, frame);
+            
+            this.showFrame(frame, {
+                draw: drawn - started,
+                effects: filtered - drawn + performance.now() - converted,
+                convert: converted - filtered
+            });
+        
+        } catch (error) {
+            console.error('Frame processing error:', error);
+        }
+    }
+    
+    // Display a converted frame and hand it to capture and recording
+    showFrame(frame, timings) {
+        // A worker result can still arrive after the input was stopped
+        if (!this.inputSource) return;
+        
+        const started = performance.now();
+        
+        // Store current ASCII
+        this.currentAsciiText = frame.text;
+        this.currentFrame = frame;
+        
+        if (this.motionPending) {
+            this.motionPending = false;
+            this.captureAutomatically('Motion');
+        }
+        
+        // Buffer frames while recording
+        if (this.recordingClip) {
+            AsciiRecording.addFrame(this.recordingClip, frame, performance.now() - this.recordingStartTime);
+            if (this.recordingClip.frames.length >= this.maxRecordingFrames) {
+                this.stopRecording();
+                this.showAlert('Recording limit reached', 'info');
+            }
+        }
+        
+        if (this.broadcastSocket) {
+            this.broadcastFrame(frame);
+        }
+        
+        // Update output with aspect ratio correction
+        if (frame.colors) {
+            this.asciiOutput.innerHTML = AsciiCore.toColorHtml(frame);
+        } else {
+            this.asciiOutput.textContent = frame.text;
+        }
+        this.asciiOutput.classList.add('aspect-corrected');
+        
+        // Update ASCII resolution display
+        this.asciiResolution.textContent = `${frame.width}×${frame.height}`;
+        this.updateDisplayInfo();
+        const style = this.asciiStyleSelect.options[this.asciiStyleSelect.selectedIndex];
+        this.labelFrame(this.asciiOutput, `ASCII art from ${this.sourceName.textContent}, ${style ? style.textContent.trim() : ''} style`, frame);
+        
+        this.recordFrameStats({ ...timings, display: performance.now() - started });
+    }
+    
+    getRenderOptions() {
+        const style = this.asciiStyleSelect.value;
+        
+        return {
+            charset: this.resolveStyleCharset(style),
+            colorMode: this.colorModeSelect.value,
+            tone: this.toneSettings,
+            dither: this.toneSettings.dither,
+            glyphAtlas: style === 'shapes' ? this.getGlyphAtlas() : null
+        };
+    }
+    
+    // Glyph bitmaps of the display font for the shape-matching style,
+    // rasterized once on an offscreen canvas
+    getGlyphAtlas() {
+        if (this.glyphAtlas) {
+            return this.glyphAtlas;
+        }
+        
+        const { cols, rows } = AsciiCore.SHAPE_GRID;
+        const scale = 8; // Supersampling per atlas pixel
+        const cellWidth = cols * scale;
+        const cellHeight = rows * scale;
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        canvas.width = cellWidth;
+        canvas.height = cellHeight;
+        
+        // Font size equals the cell height; stretch the advance to the cell width
+        ctx.font = `${cellHeight}px 'Courier New', monospace`;
+        const advance = ctx.measureText('M').width;
+        const glyphs = [];
+        
+        for (let code = 32; code < 127; code++) {
+            const char = String.fromCharCode(code);
+            
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, cellWidth, cellHeight);
+            ctx.setTransform(cellWidth / advance, 0, 0, 1, 0, 0);
+            ctx.fillStyle = '#fff';
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillText(char, 0, cellHeight * 0.8);
+            
+            const pixels = ctx.getImageData(0, 0, cellWidth, cellHeight).data;
+            const bitmap = new Float32Array(cols * rows);
+            for (let y = 0; y < cellHeight; y++) {
+                for (let x = 0; x < cellWidth; x++) {
+                    bitmap[Math.floor(y / scale) * cols + Math.floor(x / scale)] += pixels[(y * cellWidth + x) * 4] / 255;
+                }
+            }
+            glyphs.push({ char, bitmap: bitmap.map(value => value / (scale * scale)) });
+        }
+        
+        this.glyphAtlas = { cols, rows, glyphs };
+        return this.glyphAtlas;
+    }
+    
+    // Style dropdown value to the charset option of AsciiCore: built-in
+    // styles and plugin renderers pass through, "custom:<name>" becomes the
+    // saved ramp itself. So does a plugin charset, which the frame worker
+    // doesn't have.
+    resolveStyleCharset(style) {
+        if (AsciiPlugins.isPluginId(style) && typeof AsciiCore.CHARSETS[style] === 'string') {
+            return AsciiCore.CHARSETS[style];
+        }
+        if (!style.startsWith('custom:')) {
+            return style;
+        }
+        const charset = this.findCustomCharset(style.slice('custom:'.length));
+        return charset ? charset.chars : 'detailed';
+    }
+    
+    findCustomCharset(name) {
+        return this.customCharsets.find(charset => charset.name === name) || null;
+    }
+    
+    loadCustomCharsets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.charsetStorageKey) || '[]');
+            const charsets = [];
+            
+            // Skip entries that no longer validate rather than dropping them all
+            saved.forEach(definition => {
+                try {
+                    charsets.push(AsciiCore.normalizeCustomCharset(definition));
+                } catch (error) {
+                    console.warn('Skipping saved charset:', error.message);
+                }
+            });
+            return charsets;
+        } catch (error) {
+            console.warn('Could not load custom charsets:', error);
+            return [];
+        }
+    }
+    
+    saveCustomCharsets() {
+        try {
+            localStorage.setItem(this.charsetStorageKey, JSON.stringify(this.customCharsets));
+        } catch (error) {
+            console.warn('Could not save custom charsets:', error);
+        }
+    }
+    
+    // Rebuild the "Custom" group of the style dropdown
+    populateCustomStyles() {
+        const selected = this.asciiStyleSelect.value;
+        const existing = document.getElementById('customStyles');
+        if (existing) {
+            existing.remove();
+        }
+        
+        if (this.customCharsets.length > 0) {
+            const group = document.createElement('optgroup');
+            group.id = 'customStyles';
+            group.label = 'Custom';
+            this.customCharsets.forEach(charset => {
+                const option = document.createElement('option');
+                option.value = `custom:${charset.name}`;
+                option.textContent = charset.name;
+                group.appendChild(option);
+            });
+            this.asciiStyleSelect.appendChild(group);
+        }
+        
+        const stillExists = Array.from(this.asciiStyleSelect.options).some(option => option.value === selected);
+        this.asciiStyleSelect.value = stillExists ? selected : 'detailed';
+    }
+    
+    // Rebuild the "Plugins" group of the style dropdown, above "Custom"
+    populatePluginStyles() {
+        const selected = this.asciiStyleSelect.value;
+        const existing = document.getElementById('pluginStyles');
+        if (existing) {
+            existing.remove();
+        }
+        
+        const styles = [...AsciiPlugins.items('charset'), ...AsciiPlugins.items('renderer')];
+        if (styles.length > 0) {
+            const group = document.createElement('optgroup');
+            group.id = 'pluginStyles';
+            group.label = 'Plugins';
+            styles.forEach(style => {
+                const option = document.createElement('option');
+                option.value = style.id;
+                option.textContent = style.name;
+                group.appendChild(option);
+            });
+            this.asciiStyleSelect.insertBefore(group, document.getElementById('customStyles'));
+        }
+        
+        const stillExists = Array.from(this.asciiStyleSelect.options).some(option => option.value === selected);
+        this.asciiStyleSelect.value = stillExists ? selected : 'detailed';
+    }
+    
+    // Fraction of the character cell each glyph covers with ink, measured by
+    // drawing it white on black on an offscreen canvas
+    measureInkCoverage(glyphs, family) {
+        const fontSize = 48;
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        
+        ctx.font = `${fontSize}px ${AsciiExport.fontStack(family)}`;
+        const cellWidth = Math.ceil(ctx.measureText('M').width);
+        const cellHeight = Math.ceil(fontSize * 1.25);
+        canvas.width = cellWidth;
+        canvas.height = cellHeight;
+        
+        // Resizing the canvas resets its state, so set the font again
+        ctx.font = `${fontSize}px ${AsciiExport.fontStack(family)}`;
+        ctx.textBaseline = 'alphabetic';
+        
+        return glyphs.map(glyph => {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, cellWidth, cellHeight);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(glyph, 0, fontSize);
+            
+            const pixels = ctx.getImageData(0, 0, cellWidth, cellHeight).data;
+            let ink = 0;
+            for (let i = 0; i < pixels.length; i += 4) {
+                ink += pixels[i];
+            }
+            return ink / (255 * cellWidth * cellHeight);
+        });
+    }
+    
+    // Densest glyph first, the same order as the built-in ramps; ties keep
+    // the order they were typed in
+    sortByInkCoverage(chars, family) {
+        const glyphs = Array.from(chars);
+        const coverage = this.measureInkCoverage(glyphs, family);
+        
+        return glyphs
+            .map((glyph, index) => ({ glyph, coverage: coverage[index] }))
+            .sort((a, b) => b.coverage - a.coverage)
+            .map(entry => entry.glyph)
+            .join('');
+    }
+    
+    // Charset from the editor fields; throws when they don't validate
+    readCharsetEditor() {
+        const charset = AsciiCore.normalizeCustomCharset({
+            name: this.charsetName.value,
+            chars: this.charsetChars.value,
+            font: this.charsetFont.value,
+            autoSort: this.charsetAutoSort.checked
+        });
+        
+        if (charset.autoSort) {
+            charset.chars = this.sortByInkCoverage(charset.chars, charset.font);
+        }
+        return charset;
+    }
+    
+    openCharsetEditor() {
+        const style = this.asciiStyleSelect.value;
+        const current = style.startsWith('custom:') ? style.slice('custom:'.length) : null;
+        
+        this.populateCharsetList();
+        this.selectCustomCharset(this.findCustomCharset(current) ? current : null);
+        this.openDialog(this.charsetModal);
+    }
+    
+    populateCharsetList() {
+        this.charsetList.innerHTML = '';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = this.customCharsets.length ? '(new charset)' : '(none saved)';
+        this.charsetList.appendChild(placeholder);
+        
+        this.customCharsets.forEach(charset => {
+            const option = document.createElement('option');
+            option.value = charset.name;
+            option.textContent = charset.name;
+            this.charsetList.appendChild(option);
+        });
+    }
+    
+    // Load a saved charset into the editor, or clear it for a new one
+    selectCustomCharset(name) {
+        const charset = this.findCustomCharset(name);
+        
+        this.charsetList.value = charset ? charset.name : '';
+        this.charsetName.value = charset ? charset.name : '';
+        this.charsetChars.value = charset ? charset.chars : '';
+        this.charsetFont.value = charset ? charset.font : 'Courier New';
+        this.charsetAutoSort.checked = charset ? charset.autoSort : true;
+        this.deleteCharsetButton.disabled = !charset;
+        this.updateCharsetPreview();
+    }
+    
+    updateCharsetPreview() {
+        this.charsetPreview.style.fontFamily = AsciiExport.fontStack(this.charsetFont.value);
+        
+        try {
+            this.charsetPreview.textContent = this.readCharsetEditor().chars;
+        } catch (error) {
+            this.charsetPreview.textContent = error.message;
+        }
+    }
+    
+    saveCustomCharset() {
+        let charset;
+        try {
+            charset = this.readCharsetEditor();
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+            return;
+        }
+        
+        // Saving under an existing name replaces that charset
+        const index = this.customCharsets.findIndex(existing => existing.name === charset.name);
+        if (index >= 0) {
+            this.customCharsets[index] = charset;
+        } else {
+            this.customCharsets.push(charset);
+        }
+        
+        this.saveCustomCharsets();
+        this.populateCustomStyles();
+        this.populateCharsetList();
+        this.selectCustomCharset(charset.name);
+        this.asciiStyleSelect.value = `custom:${charset.name}`;
+        this.showAlert(`Charset "${charset.name}" saved!`, 'success');
+    }
+    
+    deleteCustomCharset() {
+        const name = this.charsetList.value;
+        if (!this.findCustomCharset(name)) return;
+        
+        this.customCharsets = this.customCharsets.filter(charset => charset.name !== name);
+        this.saveCustomCharsets();
+        this.populateCustomStyles();
+        this.populateCharsetList();
+        this.selectCustomCharset(null);
+        this.showAlert(`Charset "${name}" deleted`, 'info');
+    }
+    
+    exportCustomCharsets() {
+        if (this.customCharsets.length === 0) {
+            this.showAlert('No custom charsets to export!', 'error');
+            return;
+        }
+        
+        this.downloadFile(AsciiCore.toCharsetFile(this.customCharsets), 'ascii-charsets.json', 'application/json');
+        this.showAlert('Charsets exported!', 'success');
+    }
+    
+    async importCustomCharsets() {
+        const file = this.charsetFileInput.files[0];
+        this.charsetFileInput.value = '';
+        if (!file) return;
+        
+        try {
+            const imported = AsciiCore.parseCharsetFile(await file.text());
+            
+            // Re-sort with the fonts on this machine; glyph coverage differs between fonts
+            imported.forEach(charset => {
+                if (charset.autoSort) {
+                    charset.chars = this.sortByInkCoverage(charset.chars, charset.font);
+                }
+                const index = this.customCharsets.findIndex(existing => existing.name === charset.name);
+                if (index >= 0) {
+                    this.customCharsets[index] = charset;
+                } else {
+                    this.customCharsets.push(charset);
+                }
+            });
+            
+            this.saveCustomCharsets();
+            this.populateCustomStyles();
+            this.populateCharsetList();
+            this.selectCustomCharset(imported.length ? imported[0].name : null);
+            this.showAlert(`Imported ${imported.length} charset${imported.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+    }
+    
+    // Settings saved by this version, or by an older one under the old keys
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.settingsStorageKey);
+            if (saved) {
+                return AsciiSettings.migrateSettings(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn('Could not load settings:', error);
+            return AsciiSettings.defaultSettings();
+        }
+        
+        // A damaged old key only loses its own part
+        const legacy = {};
+        Object.entries(this.legacyStorageKeys).forEach(([part, key]) => {
+            try {
+                legacy[part] = JSON.parse(localStorage.getItem(key));
+            } catch (error) {
+                console.warn(`Could not load ${part} settings:`, error);
+            }
+        });
+        return AsciiSettings.migrateSettings(legacy);
+    }
+    
+    saveSettings() {
+        try {
+            localStorage.setItem(this.settingsStorageKey, JSON.stringify(this.currentSettings()));
+            Object.values(this.legacyStorageKeys).forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+    
+    // Everything the settings cover, as stored, saved in presets and shared
+    currentSettings() {
+        const style = this.asciiStyleSelect.value;
+        
+        return {
+            v: AsciiSettings.SETTINGS_VERSION,
+            resolution: this.resolutionSelect.value,
+            columns: Number(this.gridColumnsInput.value),
+            rows: Number(this.gridRowsInput.value),
+            fit: this.fitModeSelect.value,
+            style,
+            charset: style.startsWith('custom:') ? this.findCustomCharset(style.slice('custom:'.length)) : null,
+            colorMode: this.colorModeSelect.value,
+            fps: this.targetFps,
+            showVideo: this.showVideo,
+            tone: { ...this.toneSettings },
+            effects: this.effectChain.map(effect => ({ ...effect, params: { ...effect.params } })),
+            camera: { ...this.cameraSettings }
+        };
+    }
+    
+    // Show validated settings in the controls; they take effect on the next
+    // frame, and the camera restarts if its choice changed
+    applySettings(settings) {
+        this.resolutionSelect.value = settings.resolution;
+        this.gridColumnsInput.value = settings.columns;
+        this.gridRowsInput.value = settings.rows;
+        this.fitModeSelect.value = settings.fit;
+        this.updateGridControls();
+        this.asciiStyleSelect.value = this.resolveSettingsStyle(settings);
+        this.colorModeSelect.value = settings.colorMode;
+        this.targetFpsSelect.value = String(settings.fps);
+        this.targetFps = settings.fps;
+        this.showVideo = settings.showVideo;
+        this.updatePreview();
+        this.updateToggleVideoButton();
+        
+        this.toneSettings = { ...settings.tone };
+        this.applyToneControls();
+        this.effectChain = settings.effects;
+        this.renderEffectList();
+        
+        const previousCamera = this.cameraSettings;
+        this.cameraSettings = { ...settings.camera };
+        this.applyCameraControls();
+        if (previousCamera) {
+            this.refreshDevices();
+            this.restartCameraIfChanged(previousCamera);
+        }
+        
+        this.saveSettings();
+    }
+    
+    // A custom style needs its ramp saved here. Settings from a link carry
+    // the definition; a different ramp under the same name is added as a copy.
+    resolveSettingsStyle(settings) {
+        const { style, charset } = settings;
+        if (!style.startsWith('custom:')) {
+            return style;
+        }
+        
+        const name = style.slice('custom:'.length);
+        if (!charset) {
+            return this.findCustomCharset(name) ? style : 'detailed';
+        }
+        
+        let unique = name;
+        let existing = this.findCustomCharset(unique);
+        for (let copy = 2; existing && existing.chars !== charset.chars; copy++) {
+            unique = `${name} (${copy})`;
+            existing = this.findCustomCharset(unique);
+        }
+        if (!existing) {
+            this.customCharsets.push({ ...charset, name: unique });
+            this.saveCustomCharsets();
+            this.populateCustomStyles();
+        }
+        return `custom:${unique}`;
+    }
+    
+    loadPresets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.presetStorageKey) || '[]');
+            const presets = [];
+            
+            // Skip presets that no longer load rather than dropping them all
+            saved.forEach(preset => {
+                try {
+                    const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+                    if (name) {
+                        presets.push({ name, settings: AsciiSettings.migrateSettings(preset.settings) });
+                    }
+                } catch (error) {
+                    console.warn('Skipping saved preset:', error.message);
+                }
+            });
+            return presets;
+        } catch (error) {
+            console.warn('Could not load presets:', error);
+            return [];
+        }
+    }
+    
+    savePresets() {
+        try {
+            localStorage.setItem(this.presetStorageKey, JSON.stringify(this.presets));
+        } catch (error) {
+            console.warn('Could not save presets:', error);
+        }
+    }
+    
+    populatePresets(selected = '') {
+        this.presetSelect.innerHTML = '';
+        this.presetSelect.appendChild(new Option(this.presets.length ? 'Choose a preset' : 'No presets yet', ''));
+        this.presets.forEach(preset => this.presetSelect.appendChild(new Option(preset.name, preset.name)));
+        this.presetSelect.value = selected;
+        this.deletePresetButton.disabled = !selected;
+    }
+    
+    selectPreset(name) {
+        const preset = this.presets.find(entry => entry.name === name);
+        this.deletePresetButton.disabled = !preset;
+        if (!preset) return;
+        
+        this.presetNameInput.value = preset.name;
+        this.applySettings(AsciiSettings.normalizeSettings(preset.settings));
+        this.showAlert(`Preset "${preset.name}" applied`, 'success');
+    }
+    
+    // Save the current settings under the typed name, replacing a preset
+    // that already has it
+    savePreset() {
+        const name = this.presetNameInput.value.trim();
+        if (!name) {
+            this.showAlert('Enter a name for the preset', 'error');
+            return;
+        }
+        
+        const preset = { name, settings: this.currentSettings() };
+        const index = this.presets.findIndex(entry => entry.name === name);
+        if (index >= 0) {
+            this.presets[index] = preset;
+        } else {
+            this.presets.push(preset);
+        }
+        this.savePresets();
+        this.populatePresets(name);
+        this.showAlert(`Preset "${name}" saved`, 'success');
+    }
+    
+    deletePreset() {
+        const name = this.presetSelect.value;
+        if (!name || !window.confirm(`Delete preset "${name}"?`)) return;
+        
+        this.presets = this.presets.filter(entry => entry.name !== name);
+        this.savePresets();
+        this.populatePresets();
+        this.presetNameInput.value = '';
+    }
+    
+    // Link to this page that opens with the current settings
+    async copySettingsLink() {
+        const url = `${location.href.split('#')[0]}#${AsciiSettings.toHash(this.currentSettings())}`;
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showAlert('Settings link copied to clipboard!', 'success');
+        } catch (error) {
+            console.error('Copy failed:', error);
+            history.replaceState(null, '', url);
+            this.showAlert('Failed to copy. The link is in the address bar.', 'error');
+        }
+    }
+    
+    // Settings opened from a link replace the saved ones. The hash is then
+    // cleared so that a reload keeps any later changes.
+    applyLinkedSettings() {
+        let settings;
+        try {
+            settings = AsciiSettings.fromHash(location.hash);
+        } catch (error) {
+            this.showAlert(error.message, 'error');
+        }
+        if (settings === null) return;
+        
+        history.replaceState(null, '', location.href.split('#')[0]);
+        if (settings) {
+            this.applySettings(settings);
+            this.showAlert('Settings loaded from link', 'success');
+        }
+    }
+    
+    // Offline support and installation (see sw.js). Registration fails where
+    // service workers are not allowed, e.g. for pages opened from file://.
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+    
+    // Images and videos opened with the installed app, from the system's
+    // "Open with" menu (file handlers) or its share sheet (share target)
+    receiveLaunchedFiles() {
+        if ('launchQueue' in window) {
+            window.launchQueue.setConsumer(async params => {
+                if (!params.files || params.files.length === 0) return;
+                this.openFile(await params.files[0].getFile());
+            });
+        }
+        
+        if (new URL(location.href).searchParams.has('shared')) {
+            history.replaceState(null, '', location.href.split('?')[0]);
+            this.openSharedFile();
+        }
+    }
+    
+    async openSharedFile() {
+        try {
+            const cache = await caches.open(this.sharedFileCache);
+            const response = await cache.match(this.sharedFileUrl);
+            if (!response) {
+                this.showAlert('The shared file could not be received', 'error');
+                return;
+            }
+            await cache.delete(this.sharedFileUrl);
+            
+            const blob = await response.blob();
+            const name = decodeURIComponent(response.headers.get('X-File-Name') || 'Shared file');
+            this.openFile(new File([blob], name, { type: blob.type }));
+        } catch (error) {
+            console.error('Shared file error:', error);
+            this.showAlert(`Could not open the shared file: ${error.message}`, 'error');
+        }
+    }
+    
+    applyToneControls() {
+        this.brightnessInput.value = this.toneSettings.brightness;
+        this.contrastInput.value = this.toneSettings.contrast;
+        this.gammaInput.value = this.toneSettings.gamma;
+        this.levelsSelect.value = this.toneSettings.levels;
+        this.ditherSelect.value = this.toneSettings.dither;
+        this.updateToneLabels();
+    }
+    
+    updateToneLabels() {
+        this.brightnessValue.textContent = this.toneSettings.brightness;
+        this.contrastValue.textContent = this.toneSettings.contrast;
+        this.gammaValue.textContent = this.toneSettings.gamma.toFixed(2);
+    }
+    
+    updateTone() {
+        this.toneSettings = {
+            brightness: Number(this.brightnessInput.value),
+            contrast: Number(this.contrastInput.value),
+            gamma: Number(this.gammaInput.value),
+            levels: this.levelsSelect.value,
+            dither: this.ditherSelect.value
+        };
+        this.updateToneLabels();
+        this.saveSettings();
+    }
+    
+    resetTone() {
+        this.toneSettings = AsciiSettings.defaultSettings().tone;
+        this.applyToneControls();
+        this.saveSettings();
+    }
+    
+    // Built-in effects, then plugin filters in the order they were added
+    populateEffectTypes() {
+        const selected = this.effectTypeSelect.value;
+        this.effectTypeSelect.innerHTML = '';
+        Object.entries(AsciiEffects.EFFECTS).forEach(([type, effect]) => {
+            this.effectTypeSelect.appendChild(new Option(effect.name, type));
+        });
+        if (AsciiEffects.EFFECTS[selected]) {
+            this.effectTypeSelect.value = selected;
+        }
+    }
+    
+    // The enabled effects in order, as sent with each frame
+    activeEffects() {
+        return this.effectChain
+            .filter(effect => effect.enabled)
+            .map(({ id, type, params }) => ({ id, type, params: { ...params } }));
+    }
+    
+    addEffect(type) {
+        if (this.effectChain.length >= AsciiEffects.MAX_EFFECTS) {
+            this.showAlert(`Up to ${AsciiEffects.MAX_EFFECTS} effects can be stacked`, 'error');
+            return;
+        }
+        
+        const id = this.effectChain.reduce((max, effect) => Math.max(max, effect.id), 0) + 1;
+        this.effectChain.push(AsciiEffects.createEffect(type, id));
+        this.updateEffects();
+    }
+    
+    moveEffect(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.effectChain.length) return;
+        
+        const [effect] = this.effectChain.splice(index, 1);
+        this.effectChain.splice(target, 0, effect);
+        this.updateEffects();
+    }
+    
+    removeEffect(index) {
+        this.effectChain.splice(index, 1);
+        this.updateEffects();
+    }
+    
+    clearEffects() {
+        this.effectChain = [];
+        this.updateEffects();
+    }
+    
+    updateEffects() {
+        this.saveSettings();
+        this.renderEffectList();
+    }
+    
+    renderEffectList() {
+        this.effectList.innerHTML = '';
+        this.effectChain.forEach((effect, index) => {
+            this.effectList.appendChild(this.createEffectItem(effect, index));
+        });
+        this.clearEffectsButton.disabled = this.effectChain.length === 0;
+    }
+    
+    // One entry of the chain: a toggle, order buttons and a control per param
+    createEffectItem(effect, index) {
+        const definition = AsciiEffects.EFFECTS[effect.type];
+        const item = document.createElement('li');
+        item.className = 'effect-item';
+        
+        const header = document.createElement('div');
+        header.className = 'effect-header';
+        
+        const toggle = document.createElement('label');
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = effect.enabled;
+        enabled.addEventListener('change', () => {
+            effect.enabled = enabled.checked;
+            this.saveSettings();
+        });
+        toggle.append(enabled, ` ${definition.name}`);
+        
+        const moveUp = this.createIconButton('fas fa-arrow-up', 'Move up', () => this.moveEffect(index, -1));
+        const moveDown = this.createIconButton('fas fa-arrow-down', 'Move down', () => this.moveEffect(index, 1));
+        moveUp.disabled = index === 0;
+        moveDown.disabled = index === this.effectChain.length - 1;
+        header.append(toggle, moveUp, moveDown,
+            this.createIconButton('fas fa-trash', 'Remove effect', () => this.removeEffect(index)));
+        item.appendChild(header);
+        
+        Object.entries(definition.params).forEach(([key, param]) => {
+            const label = document.createElement('label');
+            label.className = 'effect-param';
+            label.append(`${param.label}:`);
+            
+            if (param.options) {
+                const select = document.createElement('select');
+                Object.entries(param.options).forEach(([value, text]) => select.appendChild(new Option(text, value)));
+                select.value = effect.params[key];
+                select.addEventListener('change', () => {
+                    effect.params[key] = select.value;
+                    this.saveSettings();
+                });
+                label.appendChild(select);
+            } else {
+                const input = document.createElement('input');
+                const value = document.createElement('span');
+                input.type = 'range';
+                input.min = param.min;
+                input.max = param.max;
+                input.step = param.step;
+                input.value = effect.params[key];
+                value.className = 'range-value';
+                value.textContent = effect.params[key];
+                input.addEventListener('input', () => {
+                    effect.params[key] = Number(input.value);
+                    value.textContent = input.value;
+                    this.saveSettings();
+                });
+                label.append(input, value);
+            }
+            item.appendChild(label);
+        });
+        
+        return item;
+    }
+    
+    // The grid size is picked again on the next render; custom sizes are
+    // clamped to what the core accepts
+    updateResolution() {
+        [this.gridColumnsInput, this.gridRowsInput].forEach(input => {
+            const size = Math.round(Number(input.value)) || Number(input.defaultValue);
+            input.value = Math.min(AsciiCore.MAX_CUSTOM_SIZE, Math.max(1, size));
+        });
+        this.updateGridControls();
+        this.saveSettings();
+    }
+    
+    // Columns and rows are only shown for the Custom size
+    updateGridControls() {
+        document.querySelectorAll('[data-grid-mode]').forEach(label => {
+            label.style.display = label.dataset.gridMode === this.resolutionSelect.value ? '' : 'none';
+        });
+    }
+    
+    // The style is applied on the next render
+    updateAsciiStyle() {
+        this.saveSettings();
+    }
+    
+    updateDisplayInfo() {
+        if (this.currentFrame) {
+            this.asciiSize.textContent = `${this.currentFrame.width}×${this.currentFrame.height} chars`;
+        }
+    }
+    
+    captureFrame() {
+        if (!this.inputSource || !this.currentAsciiText) {
+            this.showAlert('No input available!', 'error');
+            return;
+        }
+        
+        const now = new Date();
+        this.showCapture(this.currentFrame, now);
+        this.saveToGallery(this.currentFrame, now);
+        this.updateLastCapture(now);
+        
+        this.showAlert('Frame captured!', 'success');
+    }
+    
+    updateLastCapture(capturedAt) {
+        this.lastCapture.textContent = capturedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+    
+    loadCaptureOptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.captureOptionsStorageKey) || '{}');
+            return AsciiCaptureModes.normalizeCaptureOptions(saved);
+        } catch (error) {
+            console.warn('Could not load capture mode settings:', error);
+            return AsciiCaptureModes.normalizeCaptureOptions();
+        }
+    }
+    
+    saveCaptureOptions() {
+        try {
+            localStorage.setItem(this.captureOptionsStorageKey, JSON.stringify(this.captureOptions));
+        } catch (error) {
+            console.warn('Could not save capture mode settings:', error);
+        }
+    }
+    
+    applyCaptureControls() {
+        const options = this.captureOptions;
+        this.captureModeSelect.value = options.mode;
+        this.timerDelaySelect.value = String(options.delay);
+        this.burstCountInput.value = options.burstCount;
+        this.burstIntervalInput.value = options.burstInterval;
+        this.lapseIntervalInput.value = options.lapseInterval;
+        this.motionSensitivityInput.value = options.sensitivity;
+        this.motionSensitivityValue.textContent = options.sensitivity;
+        this.motionCooldownInput.value = options.cooldown;
+        
+        // Only the settings of the chosen mode are shown
+        document.querySelectorAll('[data-capture-mode]').forEach(control => {
+            control.style.display = control.dataset.captureMode === options.mode ? '' : 'none';
+        });
+    }
+    
+    // A running mode picks up new intervals and sensitivity as it goes;
+    // switching to another mode stops it
+    updateCaptureOptions() {
+        this.captureOptions = AsciiCaptureModes.normalizeCaptureOptions({
+            mode: this.captureModeSelect.value,
+            delay: this.timerDelaySelect.value,
+            burstCount: this.burstCountInput.value,
+            burstInterval: this.burstIntervalInput.value,
+            lapseInterval: this.lapseIntervalInput.value,
+            sensitivity: this.motionSensitivityInput.value,
+            cooldown: this.motionCooldownInput.value
+        });
+        this.saveCaptureOptions();
+        this.applyCaptureControls();
+        
+        if (this.captureRun && this.captureRun.mode !== this.captureOptions.mode) {
+            this.stopCaptureMode();
+        }
+    }
+    
+    toggleCaptureMode() {
+        if (this.captureRun) {
+            this.stopCaptureMode();
+        } else {
+            this.startCaptureMode();
+        }
+    }
+    
+    async startCaptureMode() {
+        if (!this.inputSource) {
+            this.showAlert('No input available!', 'error');
+            return;
+        }
+        
+        // The self-timer shows its capture like the Capture button; the other
+        // modes take many frames, so they go straight to the gallery
+        const mode = this.captureOptions.mode;
+        if (mode !== 'timer') {
+            await this.galleryReady;
+            if (!this.galleryStore) {
+                this.showAlert('Burst, time-lapse and motion captures go to the gallery, which needs IndexedDB', 'error');
+                return;
+            }
+        }
+        if (this.captureRun) return;
+        
+        this.captureRun = { mode, count: 0, timer: null, quietUntil: 0 };
+        this.updateCaptureModeButton();
+        
+        if (mode === 'timer') {
+            this.announce(`Capturing in ${this.captureOptions.delay} seconds`);
+            this.runCountdown(this.captureOptions.delay);
+        } else if (mode === 'burst') {
+            this.runBurst();
+        } else if (mode === 'timelapse') {
+            this.runTimeLapse();
+        } else {
+            this.motionSample = null;
+            this.captureModeStatus.textContent = 'Watching';
+        }
+    }
+    
+    stopCaptureMode() {
+        if (!this.captureRun) return;
+        
+        clearTimeout(this.captureRun.timer);
+        this.captureRun = null;
+        this.motionSample = null;
+        this.motionPending = false;
+        this.countdown.style.display = 'none';
+        this.updateCaptureModeButton();
+    }
+    
+    updateCaptureModeButton() {
+        const running = Boolean(this.captureRun);
+        this.captureModeButton.innerHTML = running ?
+            '<i class="fas fa-stop" aria-hidden="true"></i> Stop' :
+            '<i class="fas fa-play" aria-hidden="true"></i> Start';
+        this.captureModeButton.classList.toggle('btn-recording', running);
+        this.captureModeStatus.classList.toggle('active', running);
+        if (!running) {
+            this.captureModeStatus.textContent = 'Off';
+        }
+    }
+    
+    // Count down over the output, then capture as the Capture button does
+    runCountdown(seconds) {
+        this.countdown.textContent = seconds;
+        this.countdown.style.display = 'flex';
+        this.captureModeStatus.textContent = `Capturing in ${seconds}s`;
+        
+        this.captureRun.timer = setTimeout(() => {
+            if (seconds > 1) {
+                this.runCountdown(seconds - 1);
+                return;
+            }
+            this.stopCaptureMode();
+            this.captureFrame();
+        }, 1000);
+    }
+    
+    // A set number of frames at a fixed interval
+    runBurst() {
+        const run = this.captureRun;
+        const { burstCount, burstInterval } = this.captureOptions;
+        
+        this.captureAutomatically(`Burst ${run.count + 1}/${burstCount}`);
+        this.captureModeStatus.textContent = `${run.count}/${burstCount}`;
+        if (run.count >= burstCount) {
+            this.stopCaptureMode();
+            this.showAlert(`Burst of ${run.count} frames saved to the gallery`, 'success');
+            return;
+        }
+        run.timer = setTimeout(() => this.runBurst(), burstInterval);
+    }
+    
+    // One frame every interval until stopped
+    runTimeLapse() {
+        const run = this.captureRun;
+        this.captureAutomatically(`Time-lapse ${run.count + 1}`);
+        this.captureModeStatus.textContent = `${run.count} captured`;
+        run.timer = setTimeout(() => this.runTimeLapse(), this.captureOptions.lapseInterval * 1000);
+    }
+    
+    // Compare a small grayscale copy of the source with the previous one.
+    // When enough of it changed, the frame being converted is captured,
+    // then the trigger rests for the pause time.
+    detectMotion(source) {
+        const { width, height } = AsciiCaptureModes.motionSampleSize(source.width, source.height);
+        if (this.motionCanvas.width !== width || this.motionCanvas.height !== height) {
+            this.motionCanvas.width = width;
+            this.motionCanvas.height = height;
+            this.motionSample = null;
+        }
+        
+        this.motionCtx.drawImage(source.element, 0, 0, width, height);
+        const sample = AsciiCaptureModes.grayscale(this.motionCtx.getImageData(0, 0, width, height).data);
+        const amount = AsciiCaptureModes.motionAmount(this.motionSample, sample);
+        this.motionSample = sample;
+        
+        const now = performance.now();
+        if (now >= this.captureRun.quietUntil && amount >= AsciiCaptureModes.motionThreshold(this.captureOptions.sensitivity)) {
+            this.captureRun.quietUntil = now + this.captureOptions.cooldown * 1000;
+            this.motionPending = true;
+        }
+    }
+    
+    // Save the current frame to the gallery without opening the capture view
+    captureAutomatically(label) {
+        if (!this.captureRun || !this.currentFrame) return;
+        
+        const now = new Date();
+        this.captureRun.count++;
+        this.saveToGallery(this.currentFrame, now, `${label} ${now.toLocaleString()}`);
+        this.updateLastCapture(now);
+        if (this.captureRun.mode === 'motion') {
+            this.captureModeStatus.textContent = `Motion at ${this.lastCapture.textContent} (${this.captureRun.count} captured)`;
+        }
+    }
+    
+    // Show a frame in the capture modal; its buttons act on the shown frame
+    showCapture(frame, capturedAt) {
+        this.capturedAsciiText = frame.text;
+        this.capturedFrame = frame;
+        this.capturedAt = capturedAt;
+        this.stopEditing();
+        
+        this.openDialog(this.captureModal);
+    }
+    
+    renderCapture() {
+        const frame = this.capturedFrame;
+        if (frame.colors) {
+            this.capturedAscii.innerHTML = AsciiCore.toColorHtml(frame);
+        } else {
+            this.capturedAscii.textContent = frame.text;
+        }
+        this.labelFrame(this.capturedAscii, 'Captured frame', frame);
+    }
+    
+    // The captured frame can be touched up in place. Every change replaces
+    // capturedFrame, so the modal's export, copy, print and download
+    // buttons take the edited frame. Changes can be undone until another
+    // capture is shown.
+    toggleEditor() {
+        if (this.editor) {
+            this.stopEditing();
+        } else {
+            this.startEditing();
+        }
+    }
+    
+    startEditing() {
+        if (!this.capturedFrame) return;
+        
+        this.editor = {
+            grid: AsciiEditor.fromFrame(this.capturedFrame),
+            history: AsciiEditor.createHistory(),
+            tool: 'draw',
+            cursor: { x: 0, y: 0 },
+            anchor: null, // First corner of a line, rectangle or selection in progress
+            preview: null, // Cells of that line or rectangle
+            stroke: null, // Last cell of a freehand stroke in progress
+            selection: null,
+            textColumn: 0 // Where Enter goes back to while typing
+        };
+        this.measureEditorCell();
+        
+        this.capturedAscii.classList.add('editing');
+        this.capturedAscii.setAttribute('tabindex', '0');
+        this.capturedAscii.setAttribute('role', 'application');
+        this.capturedAscii.setAttribute('aria-roledescription', 'ASCII editor');
+        this.editorToolbar.style.display = 'flex';
+        this.editorColorLabel.style.display = this.capturedFrame.colors ? '' : 'none';
+        this.editCaptureButton.setAttribute('aria-pressed', 'true');
+        this.renderEditor();
+        this.capturedAscii.focus();
+    }
+    
+    // Leave the editor; the edits stay in the captured frame
+    stopEditing() {
+        this.editor = null;
+        this.capturedAscii.classList.remove('editing');
+        this.capturedAscii.removeAttribute('tabindex');
+        this.capturedAscii.setAttribute('role', 'img');
+        this.capturedAscii.removeAttribute('aria-roledescription');
+        this.editorToolbar.style.display = 'none';
+        this.editCaptureButton.setAttribute('aria-pressed', 'false');
+        if (this.capturedFrame) {
+            this.renderCapture();
+        }
+    }
+    
+    // Size of a character in the editor, measured like the output's (see
+    // measureOutputCell); pointer positions are divided by it
+    measureEditorCell() {
+        const probe = document.createElement('pre');
+        probe.className = 'captured-ascii editing';
+        probe.setAttribute('aria-hidden', 'true');
+        probe.style.cssText = 'position: absolute; visibility: hidden; max-width: none; padding: 0; border: 0;';
+        probe.textContent = new Array(20).fill('M'.repeat(50)).join('\n');
+        this.capturedAscii.parentElement.appendChild(probe);
+        const rect = probe.getBoundingClientRect();
+        probe.remove();
+        
+        if (rect.width && rect.height) {
+            this.editorCell = { width: rect.width / 50, height: rect.height / 20 };
+        }
+    }
+    
+    // The cell under the pointer, or the nearest one
+    editorCellAt(e) {
+        const rect = this.capturedAscii.getBoundingClientRect();
+        const style = getComputedStyle(this.capturedAscii);
+        const x = e.clientX - rect.left - this.capturedAscii.clientLeft - parseFloat(style.paddingLeft) + this.capturedAscii.scrollLeft;
+        const y = e.clientY - rect.top - this.capturedAscii.clientTop - parseFloat(style.paddingTop) + this.capturedAscii.scrollTop;
+        return AsciiEditor.clampPoint(this.editor.grid, Math.floor(x / this.editorCell.width), Math.floor(y / this.editorCell.height));
+    }
+    
+    editorBrush() {
+        return AsciiEditor.createBrush(this.editor.grid, this.editorGlyphInput.value, this.editorColorInput.value);
+    }
+    
+    setEditorTool(tool) {
+        const editor = this.editor;
+        if (!editor || !AsciiEditor.EDITOR_TOOLS.includes(tool)) return;
+        
+        editor.tool = tool;
+        editor.anchor = null;
+        editor.preview = null;
+        editor.stroke = null;
+        editor.textColumn = editor.cursor.x;
+        this.renderEditor();
+    }
+    
+    // One undoable change to the grid, made in place by change(grid)
+    editCapture(change) {
+        const editor = this.editor;
+        AsciiEditor.record(editor.history, editor.grid);
+        change(editor.grid);
+        this.updateEditedFrame();
+    }
+    
+    // The edited grid becomes the captured frame
+    updateEditedFrame() {
+        const editor = this.editor;
+        editor.cursor = AsciiEditor.clampPoint(editor.grid, editor.cursor.x, editor.cursor.y);
+        this.capturedFrame = AsciiEditor.toFrame(editor.grid);
+        this.capturedAsciiText = this.capturedFrame.text;
+        this.renderEditor();
+    }
+    
+    renderEditor() {
+        const { grid, cursor, selection, preview } = this.editor;
+        let shown = grid;
+        if (preview) {
+            shown = AsciiEditor.cloneGrid(grid);
+            AsciiEditor.paintPoints(shown, preview, this.editorBrush());
+        }
+        
+        this.capturedAscii.innerHTML = AsciiEditor.toHtml(shown, (x, y) => {
+            if (x === cursor.x && y === cursor.y) return 'editor-cursor';
+            return AsciiEditor.inRect(selection, x, y) ? 'editor-selection' : '';
+        });
+        this.labelFrame(this.capturedAscii, 'Captured frame', this.capturedFrame);
+        this.updateEditorControls();
+    }
+    
+    updateEditorControls() {
+        const { history, selection, tool, cursor } = this.editor;
+        
+        this.editorToolButtons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.tool === tool));
+        });
+        this.editorUndoButton.disabled = history.past.length === 0;
+        this.editorRedoButton.disabled = history.future.length === 0;
+        this.editorCopyButton.disabled = !selection;
+        this.editorCropButton.disabled = !selection;
+        this.editorPasteButton.disabled = !this.editorClipboard;
+        
+        let status = `Column ${cursor.x + 1}, row ${cursor.y + 1}`;
+        if (selection) {
+            status += `, ${selection.width}×${selection.height} selected`;
+        }
+        this.editorStatus.textContent = status;
+    }
+    
+    // The tools act on a cell when it is pressed, by pointer or with Space
+    // or Enter at the cursor. Lines, rectangles and selections are then
+    // dragged, or moved with the arrow keys, to the opposite corner and
+    // released there.
+    editorPress(cell) {
+        const editor = this.editor;
+        switch (editor.tool) {
+            case 'draw':
+                this.editCapture(grid => AsciiEditor.paintCell(grid, cell.x, cell.y, this.editorBrush()));
+                break;
+            case 'fill':
+                this.editCapture(grid => AsciiEditor.floodFill(grid, cell.x, cell.y, this.editorBrush()));
+                break;
+            case 'text':
+                editor.textColumn = cell.x;
+                this.renderEditor();
+                break;
+            default:
+                editor.anchor = cell;
+                this.editorDrag(cell);
+        }
+    }
+    
+    editorDrag(cell) {
+        const editor = this.editor;
+        if (editor.stroke) {
+            // Join the cells a fast pointer skipped
+            AsciiEditor.paintPoints(editor.grid, AsciiEditor.linePoints(editor.stroke, cell), this.editorBrush());
+            editor.stroke = cell;
+            this.updateEditedFrame();
+        } else if (editor.anchor) {
+            if (editor.tool === 'select') {
+                editor.selection = AsciiEditor.normalizeRect(editor.anchor, cell);
+            } else {
+                editor.preview = this.shapePoints(editor.anchor, cell);
+            }
+            this.renderEditor();
+        }
+    }
+    
+    editorRelease(cell) {
+        const editor = this.editor;
+        const anchor = editor.anchor;
+        editor.stroke = null;
+        editor.anchor = null;
+        editor.preview = null;
+        if (!anchor) return;
+        
+        if (editor.tool === 'select') {
+            editor.selection = AsciiEditor.normalizeRect(anchor, cell);
+            this.renderEditor();
+        } else {
+            const points = this.shapePoints(anchor, cell);
+            this.editCapture(grid => AsciiEditor.paintPoints(grid, points, this.editorBrush()));
+        }
+    }
+    
+    // Cells of the line or rectangle tool between two corners
+    shapePoints(from, to) {
+        return this.editor.tool === 'line' ?
+            AsciiEditor.linePoints(from, to) :
+            AsciiEditor.rectPoints(AsciiEditor.normalizeRect(from, to));
+    }
+    
+    editorPointerDown(e) {
+        const editor = this.editor;
+        if (!editor || e.button > 0) return;
+        e.preventDefault();
+        this.capturedAscii.focus();
+        this.capturedAscii.setPointerCapture(e.pointerId);
+        
+        const cell = this.editorCellAt(e);
+        editor.cursor = cell;
+        this.editorPress(cell);
+        if (editor.tool === 'draw') {
+            editor.stroke = cell;
+        }
+    }
+    
+    editorPointerMove(e) {
+        const editor = this.editor;
+        if (!editor || (!editor.stroke && !editor.anchor)) return;
+        
+        const cell = this.editorCellAt(e);
+        if (cell.x === editor.cursor.x && cell.y === editor.cursor.y) return;
+        editor.cursor = cell;
+        this.editorDrag(cell);
+    }
+    
+    editorPointerUp(e) {
+        const editor = this.editor;
+        if (!editor || (!editor.stroke && !editor.anchor)) return;
+        
+        editor.cursor = this.editorCellAt(e);
+        this.editorRelease(editor.cursor);
+    }
+    
+    // Keys of the editor while it has focus. Escape drops a selection or a
+    // shape in progress before it closes the dialog.
+    editorKeydown(e) {
+        const editor = this.editor;
+        if (!editor) return;
+        
+        const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        const tools = { d: 'draw', l: 'line', r: 'rectangle', f: 'fill', t: 'text', s: 'select' };
+        const key = e.key;
+        
+        if (e.ctrlKey || e.metaKey) {
+            const command = {
+                z: () => (e.shiftKey ? this.redoEdit() : this.undoEdit()),
+                y: () => this.redoEdit(),
+                a: () => this.selectAll(),
+                c: () => this.copySelection(),
+                x: () => this.cutSelection(),
+                v: () => this.pasteSelection()
+            }[key.toLowerCase()];
+            if (!command) return;
+            command();
+        } else if (moves[key]) {
+            const [dx, dy] = moves[key];
+            editor.cursor = AsciiEditor.clampPoint(editor.grid, editor.cursor.x + dx, editor.cursor.y + dy);
+            editor.textColumn = editor.cursor.x;
+            if (editor.anchor) {
+                this.editorDrag(editor.cursor);
+            } else {
+                this.renderEditor();
+            }
+        } else if (key === 'Escape') {
+            if (!editor.anchor && !editor.selection) return;
+            editor.anchor = null;
+            editor.preview = null;
+            editor.selection = null;
+            this.renderEditor();
+            e.stopPropagation();
+        } else if (editor.tool === 'text') {
+            if (!this.typeInEditor(key)) return;
+        } else if (key === ' ' || key === 'Enter') {
+            if (editor.anchor) {
+                this.editorRelease(editor.cursor);
+            } else {
+                this.editorPress(editor.cursor);
+            }
+        } else if ((key === 'Delete' || key === 'Backspace') && editor.selection) {
+            this.clearSelection();
+        } else if (tools[key.toLowerCase()] && !e.altKey) {
+            this.setEditorTool(tools[key.toLowerCase()]);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+    
+    // The text tool types at the cursor. Returns whether the key was used.
+    typeInEditor(key) {
+        const editor = this.editor;
+        const { x, y } = editor.cursor;
+        
+        if (key === 'Enter') {
+            editor.cursor = AsciiEditor.clampPoint(editor.grid, editor.textColumn, y + 1);
+            this.renderEditor();
+        } else if (key === 'Backspace') {
+            if (x === 0) return true;
+            editor.cursor = { x: x - 1, y };
+            this.editCapture(grid => AsciiEditor.paintCell(grid, x - 1, y, { ...this.editorBrush(), char: ' ' }));
+        } else if (Array.from(key).length === 1) {
+            editor.cursor = AsciiEditor.clampPoint(editor.grid, x + 1, y);
+            this.editCapture(grid => AsciiEditor.writeText(grid, x, y, key, this.editorBrush()));
+        } else {
+            return false;
+        }
+        return true;
+    }
+    
+    undoEdit() {
+        this.restoreEdit(AsciiEditor.undo);
+    }
+    
+    redoEdit() {
+        this.restoreEdit(AsciiEditor.redo);
+    }
+    
+    // Show the grid undo or redo hands back; a selection may not fit it
+    restoreEdit(step) {
+        const editor = this.editor;
+        const grid = editor && step(editor.history, editor.grid);
+        if (!grid) return;
+        
+        editor.grid = grid;
+        editor.anchor = null;
+        editor.preview = null;
+        editor.selection = null;
+        this.updateEditedFrame();
+    }
+    
+    selectAll() {
+        const grid = this.editor.grid;
+        this.editor.selection = { x: 0, y: 0, width: grid.width, height: grid.height };
+        this.renderEditor();
+    }
+    
+    // Copied regions stay in the app for pasting, with their colors, and go
+    // to the system clipboard as text
+    async copySelection() {
+        const editor = this.editor;
+        if (!editor || !editor.selection) {
+            this.showAlert('Select a region to copy first', 'error');
+            return false;
+        }
+        
+        this.editorClipboard = AsciiEditor.copyRegion(editor.grid, editor.selection);
+        this.updateEditorControls();
+        try {
+            await navigator.clipboard.writeText(AsciiEditor.toText(this.editorClipboard));
+        } catch (error) {
+            console.warn('Could not copy the selection as text:', error);
+        }
+        this.showAlert(`Copied ${this.editorClipboard.width}×${this.editorClipboard.height} characters`, 'success');
+        return true;
+    }
+    
+    async cutSelection() {
+        const editor = this.editor;
+        const selection = editor && editor.selection;
+        const copied = await this.copySelection();
+        // The dialog may have closed, or another capture opened, while the
+        // clipboard was busy; the cut belongs to the editor it started in
+        if (copied && this.editor === editor) {
+            this.clearSelection(selection);
+        }
+    }
+    
+    clearSelection(selection = this.editor.selection) {
+        this.editCapture(grid => AsciiEditor.clearRegion(grid, selection, AsciiEditor.createBrush(grid, ' ')));
+    }
+    
+    // Paste at the top left of the selection, or at the cursor; the pasted
+    // cells are selected so they can be copied or cleared again
+    pasteSelection() {
+        const editor = this.editor;
+        const region = this.editorClipboard;
+        if (!editor || !region) {
+            this.showAlert('Copy a region to paste first', 'error');
+            return;
+        }
+        
+        const { x, y } = editor.selection || editor.cursor;
+        this.editCapture(grid => AsciiEditor.pasteRegion(grid, region, x, y));
+        editor.selection = AsciiEditor.normalizeRect({ x, y }, AsciiEditor.clampPoint(editor.grid, x + region.width - 1, y + region.height - 1));
+        this.renderEditor();
+    }
+    
+    cropToSelection() {
+        const editor = this.editor;
+        if (!editor || !editor.selection) {
+            this.showAlert('Select a region to crop to first', 'error');
+            return;
+        }
+        
+        AsciiEditor.record(editor.history, editor.grid);
+        editor.grid = AsciiEditor.cropGrid(editor.grid, editor.selection);
+        editor.cursor = { x: editor.cursor.x - editor.selection.x, y: editor.cursor.y - editor.selection.y };
+        editor.selection = null;
+        this.updateEditedFrame();
+        this.showAlert(`Cropped to ${editor.grid.width}×${editor.grid.height}`, 'success');
+    }
+    
+    closeModal() {
+        // Topmost first, so focus ends up where the first dialog was opened from
+        this.dialogStack.slice().reverse().forEach(({ modal }) => {
+            if (modal === this.printModal) {
+                this.closePrintDialog();
+            } else {
+                this.closeDialog(modal);
+            }
+        });
+        this.cancelRebinding();
+        this.stopPlayback();
+        this.stopEditing();
+    }
+    
+    // Show a modal and move focus into it, to its first control
+    openDialog(modal) {
+        if (!this.dialogStack.some(entry => entry.modal === modal)) {
+            this.dialogStack.push({ modal, returnFocus: document.activeElement });
+        }
+        modal.style.display = 'flex';
+        
+        const [first] = this.focusableElements(modal);
+        if (first) {
+            first.focus();
+        }
+    }
+    
+    // Hide a modal; closing the topmost one gives focus back to the control
+    // that had it before the modal opened
+    closeDialog(modal) {
+        modal.style.display = 'none';
+        
+        const index = this.dialogStack.findIndex(entry => entry.modal === modal);
+        if (index === -1) return;
+        const [{ returnFocus }] = this.dialogStack.splice(index, 1);
+        if (index === this.dialogStack.length && returnFocus && returnFocus.focus) {
+            returnFocus.focus();
+        }
+    }
+    
+    topDialog() {
+        const entry = this.dialogStack[this.dialogStack.length - 1];
+        return entry ? entry.modal : null;
+    }
+    
+    // The controls Tab reaches inside a container, in document order
+    focusableElements(container) {
+        const candidates = container.querySelectorAll('button, a[href], input, select, textarea, [tabindex]');
+        return Array.from(candidates).filter(element => {
+            if (element.disabled || element.getAttribute('tabindex') === '-1') return false;
+            // Rows a dialog hides for its current options
+            for (let node = element; node && node !== container; node = node.parentNode) {
+                if (node.hasAttribute('hidden') || node.style.display === 'none') return false;
+            }
+            return true;
+        });
+    }
+    
+    // Tab and Shift+Tab wrap around inside the open dialog instead of
+    // reaching the page behind it
+    trapFocus(e, dialog) {
+        const focusable = this.focusableElements(dialog);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        
+        if (!first) {
+            e.preventDefault();
+        } else if (!dialog.contains(active)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    handleKeydown(e) {
+        if (this.rebindingAction && e.key !== 'Tab') {
+            this.captureShortcutKey(e);
+            return;
+        }
+        
+        const dialog = this.topDialog();
+        if (e.key === 'Tab') {
+            this.cancelRebinding();
+            if (dialog) {
+                this.trapFocus(e, dialog);
+            }
+            return;
+        }
+        if (e.key === 'Escape') {
+            this.closeModal();
+            return;
+        }
+        
+        // The other shortcuts act on the page behind an open dialog
+        if (dialog) return;
+        
+        const action = AsciiShortcuts.actionForKey(this.shortcuts, AsciiShortcuts.eventKey(e));
+        if (!action) return;
+        
+        // Plain keys type in fields; only Ctrl and Cmd combinations work there
+        const typing = e.target && (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable);
+        if (typing && !e.ctrlKey && !e.metaKey) return;
+        
+        e.preventDefault();
+        this.runShortcut(action);
+    }
+    
+    // The buttons each shortcut stands for; a shortcut does nothing while
+    // its button is disabled
+    shortcutButtons() {
+        return {
+            camera: [this.startButton, this.stopButton],
+            capture: [this.captureFrameButton],
+            autoCapture: [this.captureModeButton],
+            toggleVideo: [this.toggleVideoButton],
+            copy: [this.copyButton],
+            print: [this.printButton],
+            record: [this.recordButton],
+            gallery: [this.openGalleryButton],
+            stepBack: [this.stepBackButton],
+            stepForward: [this.stepForwardButton],
+            help: [this.shortcutsButton]
+        };
+    }
+    
+    runShortcut(action) {
+        switch (action) {
+            case 'nextStyle':
+            case 'previousStyle':
+                this.cycleOption(this.asciiStyleSelect, 'Style', action === 'nextStyle' ? 1 : -1);
+                break;
+            case 'nextResolution':
+            case 'previousResolution':
+                this.cycleOption(this.resolutionSelect, 'Resolution', action === 'nextResolution' ? 1 : -1);
+                break;
+            default: {
+                // Start and Stop are never enabled together
+                const button = this.shortcutButtons()[action].find(candidate => !candidate.disabled);
+                if (button) {
+                    button.click();
+                }
+            }
+        }
+    }
+    
+    // Move a dropdown to the next or previous option, wrapping around, as if
+    // it had been picked by hand
+    cycleOption(select, name, offset) {
+        const options = Array.from(select.options).filter(option => !option.disabled);
+        const index = options.findIndex(option => option.value === select.value);
+        const option = options[(index + offset + options.length) % options.length];
+        
+        select.value = option.value;
+        select.dispatchEvent(new Event('change'));
+        this.showAlert(`${name}: ${option.textContent.trim()}`, 'info');
+    }
+    
+    loadShortcuts() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.shortcutStorageKey) || '{}');
+            return AsciiShortcuts.normalizeBindings(saved);
+        } catch (error) {
+            console.warn('Could not load keyboard shortcuts:', error);
+            return AsciiShortcuts.normalizeBindings();
+        }
+    }
+    
+    saveShortcuts() {
+        try {
+            localStorage.setItem(this.shortcutStorageKey, JSON.stringify(this.shortcuts));
+        } catch (error) {
+            console.warn('Could not save keyboard shortcuts:', error);
+        }
+    }
+    
+    // One row per action in the help overlay; updateShortcutList fills in
+    // the keys, so focus stays on a row's button while it changes
+    buildShortcutList() {
+        AsciiShortcuts.ACTIONS.forEach(action => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = action.label;
+            const key = document.createElement('kbd');
+            const button = document.createElement('button');
+            button.className = 'btn-secondary';
+            button.addEventListener('click', () => {
+                if (this.rebindingAction === action.id) {
+                    this.cancelRebinding();
+                } else {
+                    this.startRebinding(action.id);
+                }
+            });
+            
+            item.append(label, key, button);
+            this.shortcutList.appendChild(item);
+            this.shortcutRows.set(action.id, { item, key, button });
+        });
+        this.updateShortcutList();
+    }
+    
+    updateShortcutList() {
+        AsciiShortcuts.ACTIONS.forEach(action => {
+            const { item, key, button } = this.shortcutRows.get(action.id);
+            const waiting = this.rebindingAction === action.id;
+            
+            item.classList.toggle('waiting', waiting);
+            key.textContent = waiting ? 'Press a key' : this.shortcuts[action.id] || 'None';
+            button.textContent = waiting ? 'Cancel' : 'Change';
+            button.setAttribute('aria-label', waiting ?
+                `Cancel changing the shortcut for ${action.label}` :
+                `Change the shortcut for ${action.label}, now ${this.shortcuts[action.id] || 'none'}`);
+        });
+    }
+    
+    startRebinding(action) {
+        this.rebindingAction = action;
+        this.updateShortcutList();
+        this.announce(`Press the new key for ${AsciiShortcuts.findAction(action).label}, or Escape to cancel`);
+    }
+    
+    cancelRebinding() {
+        if (!this.rebindingAction) return;
+        this.rebindingAction = null;
+        this.updateShortcutList();
+    }
+    
+    // While an action waits for its new key, the next key press is taken
+    // for it: Escape cancels, and Backspace or Delete removes the shortcut
+    captureShortcutKey(e) {
+        const key = AsciiShortcuts.eventKey(e);
+        if (!key) return; // A modifier on its own; wait for the whole combination
+        
+        e.preventDefault();
+        const action = this.rebindingAction;
+        this.rebindingAction = null;
+        
+        if (e.key === 'Escape') {
+            this.updateShortcutList();
+        } else if (e.key === 'Backspace' || e.key === 'Delete') {
+            this.setShortcut(action, null);
+        } else {
+            this.setShortcut(action, key);
+        }
+    }
+    
+    setShortcut(action, key) {
+        const { bindings, displaced } = AsciiShortcuts.rebind(this.shortcuts, action, key);
+        const label = AsciiShortcuts.findAction(action).label;
+        
+        this.shortcuts = bindings;
+        this.saveShortcuts();
+        this.updateShortcutList();
+        this.updateShortcutHints();
+        
+        if (!key) {
+            this.showAlert(`${label} has no shortcut now`, 'info');
+        } else if (displaced) {
+            this.showAlert(`${key} moved from ${AsciiShortcuts.findAction(displaced).label} to ${label}`, 'info');
+        } else {
+            this.showAlert(`${label}: ${key}`, 'success');
+        }
+    }
+    
+    resetShortcuts() {
+        this.shortcuts = AsciiShortcuts.defaultBindings();
+        this.rebindingAction = null;
+        this.saveShortcuts();
+        this.updateShortcutList();
+        this.updateShortcutHints();
+        this.showAlert('Shortcuts reset to the defaults', 'success');
+    }
+    
+    // Button tooltips show the current keys, and aria-keyshortcuts tells
+    // assistive technology about them
+    updateShortcutHints() {
+        Object.entries(this.shortcutButtons()).forEach(([action, buttons]) => {
+            const key = this.shortcuts[action];
+            const label = AsciiShortcuts.findAction(action).label;
+            buttons.forEach(button => {
+                button.title = key ? `${label} (${key})` : label;
+                if (key) {
+                    button.setAttribute('aria-keyshortcuts', AsciiShortcuts.ariaKeyShortcut(key));
+                } else {
+                    button.removeAttribute('aria-keyshortcuts');
+                }
+            });
+        });
+    }
+    
+    async openGalleryStore() {
+        if (!GalleryStore.isSupported()) {
+            console.warn('IndexedDB is unavailable; captures will not be kept');
+            return;
+        }
+        
+        try {
+            this.galleryStore = await GalleryStore.open();
+        } catch (error) {
+            console.error('Gallery unavailable:', error);
+        }
+    }
+    
+    // Keep a capture along with the settings and source it was taken from
+    async saveToGallery(frame, capturedAt, name = `Capture ${capturedAt.toLocaleString()}`) {
+        const source = this.getFrameSource();
+        const style = this.asciiStyleSelect.value;
+        const option = this.asciiStyleSelect.options[this.asciiStyleSelect.selectedIndex];
+        const record = {
+            name,
+            createdAt: capturedAt.getTime(),
+            favorite: false,
+            frame,
+            style,
+            styleName: option ? option.textContent.trim() : style,
+            resolution: this.resolutionSelect.value,
+            sourceWidth: source.width,
+            sourceHeight: source.height,
+            source: this.inputSource
+        };
+        
+        await this.galleryReady;
+        if (!this.galleryStore) return;
+        
+        try {
+            record.thumbnail = await this.createThumbnail(frame);
+            await this.galleryStore.add(record);
+            if (this.galleryModal.style.display === 'flex') {
+                await this.loadGallery();
+            }
+        } catch (error) {
+            console.error('Saving capture failed:', error);
+            this.showAlert('Capture could not be added to the gallery', 'error');
+        }
+    }
+    
+    // PNG preview: the frame drawn with 10px cells, scaled down to 240px wide
+    createThumbnail(frame) {
+        const { canvas, ctx, metrics } = this.createClipCanvas({ frames: [{ time: 0, frame }] });
+        this.drawClipFrame(ctx, frame, metrics);
+        
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = 240;
+        thumbnail.height = Math.max(1, Math.round(240 * canvas.height / canvas.width));
+        thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+        
+        return this.canvasToBlob(thumbnail);
+    }
+    
+    canvasToBlob(canvas, type = 'image/png') {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas could not be encoded')), type);
+        });
+    }
+    
+    async openGallery() {
+        await this.galleryReady;
+        if (!this.galleryStore) {
+            this.showAlert('The gallery needs IndexedDB, which is unavailable in this browser', 'error');
+            return;
+        }
+        
+        this.openDialog(this.galleryModal);
+        await this.loadGallery();
+    }
+    
+    async loadGallery() {
+        try {
+            this.galleryRecords = await this.galleryStore.getAll();
+        } catch (error) {
+            console.error('Reading the gallery failed:', error);
+            this.showAlert('Could not read the gallery', 'error');
+            this.galleryRecords = [];
+        }
+        
+        // Forget selected captures that no longer exist
+        const ids = new Set(this.galleryRecords.map(record => record.id));
+        this.gallerySelection = new Set([...this.gallerySelection].filter(id => ids.has(id)));
+        this.renderGallery();
+    }
+    
+    visibleCaptures() {
+        return this.galleryFavoritesInput.checked ?
+            this.galleryRecords.filter(record => record.favorite) :
+            this.galleryRecords;
+    }
+    
+    renderGallery() {
+        this.galleryUrls.forEach(url => URL.revokeObjectURL(url));
+        this.galleryUrls = [];
+        this.galleryGrid.textContent = '';
+        
+        const records = this.visibleCaptures();
+        records.forEach(record => this.galleryGrid.appendChild(this.createGalleryCard(record)));
+        
+        if (records.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'gallery-empty';
+            empty.textContent = this.galleryRecords.length ? 'No favorites yet' : 'No captures yet';
+            this.galleryGrid.appendChild(empty);
+        }
+        
+        this.updateGallerySelection();
+    }
+    
+    // Card markup is built with DOM calls so capture names are never parsed as HTML
+    createGalleryCard(record) {
+        const card = document.createElement('div');
+        card.className = 'gallery-card';
+        
+        const thumbnail = document.createElement('img');
+        thumbnail.alt = record.name;
+        thumbnail.title = 'Open capture';
+        if (record.thumbnail) {
+            const url = URL.createObjectURL(record.thumbnail);
+            this.galleryUrls.push(url);
+            thumbnail.src = url;
+        }
+        thumbnail.addEventListener('click', () => this.openCapture(record));
+        
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = record.name;
+        name.maxLength = 80;
+        name.setAttribute('aria-label', 'Capture name');
+        name.addEventListener('change', () => {
+            const value = name.value.trim();
+            if (value) {
+                this.updateCapture(record, { name: value });
+            } else {
+                name.value = record.name;
+            }
+        });
+        
+        const meta = document.createElement('div');
+        meta.className = 'gallery-meta';
+        meta.textContent = [
+            new Date(record.createdAt).toLocaleString(),
+            `${record.styleName}, ${record.frame.width}×${record.frame.height} chars`,
+            `Source ${record.sourceWidth}×${record.sourceHeight}`
+        ].join('\n');
+        
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.checked = this.gallerySelection.has(record.id);
+        select.setAttribute('aria-label', 'Select capture');
+        select.addEventListener('change', () => {
+            if (select.checked) {
+                this.gallerySelection.add(record.id);
+            } else {
+                this.gallerySelection.delete(record.id);
+            }
+            this.updateGallerySelection();
+        });
+        
+        const actions = document.createElement('div');
+        actions.className = 'gallery-actions';
+        actions.append(
+            select,
+            this.createIconButton(record.favorite ? 'fas fa-star' : 'far fa-star',
+                record.favorite ? 'Remove from favorites' : 'Add to favorites',
+                () => this.updateCapture(record, { favorite: !record.favorite })),
+            this.createIconButton('fas fa-folder-open', 'Open capture', () => this.openCapture(record)),
+            this.createIconButton('fas fa-trash', 'Delete capture', () => this.deleteCaptures([record.id]))
+        );
+        
+        card.append(thumbnail, name, meta, actions);
+        return card;
+    }
+    
+    createIconButton(icon, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn-secondary';
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        const glyph = document.createElement('i');
+        glyph.className = icon;
+        glyph.setAttribute('aria-hidden', 'true');
+        button.appendChild(glyph);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    updateGallerySelection() {
+        const selected = this.gallerySelection.size;
+        this.galleryCount.textContent = `${this.galleryRecords.length} captures, ${selected} selected`;
+        this.exportZipButton.disabled = selected === 0 || this.isExporting;
+        this.deleteSelectedButton.disabled = selected === 0;
+    }
+    
+    // Select every visible capture, or clear the selection if all are selected
+    toggleGallerySelection() {
+        const ids = this.visibleCaptures().map(record => record.id);
+        const allSelected = ids.length > 0 && ids.every(id => this.gallerySelection.has(id));
+        ids.forEach(id => {
+            if (allSelected) {
+                this.gallerySelection.delete(id);
+            } else {
+                this.gallerySelection.add(id);
+            }
+        });
+        this.renderGallery();
+    }
+    
+    openCapture(record) {
+        this.closeDialog(this.galleryModal);
+        this.showCapture(record.frame, new Date(record.createdAt));
+    }
+    
+    async updateCapture(record, changes) {
+        try {
+            await this.galleryStore.update(record.id, changes);
+        } catch (error) {
+            console.error('Updating capture failed:', error);
+            this.showAlert('Could not update the capture', 'error');
+        }
+        await this.loadGallery();
+    }
+    
+    async deleteCaptures(ids) {
+        try {
+            for (const id of ids) {
+                await this.galleryStore.remove(id);
+                this.gallerySelection.delete(id);
+            }
+            this.showAlert(ids.length === 1 ? 'Capture deleted' : `${ids.length} captures deleted`, 'info');
+        } catch (error) {
+            console.error('Deleting captures failed:', error);
+            this.showAlert('Could not delete the capture', 'error');
+        }
+        await this.loadGallery();
+    }
+    
+    deleteSelectedCaptures() {
+        const ids = [...this.gallerySelection];
+        if (ids.length === 0) return;
+        
+        if (window.confirm(`Delete ${ids.length} selected capture${ids.length === 1 ? '' : 's'}?`)) {
+            this.deleteCaptures(ids);
+        }
+    }
+    
+    // File name from a capture name, unique within one archive
+    uniqueFileName(name, used) {
+        const base = name.replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-').replace(/^[\s.]+|[\s.]+$/g, '') || 'capture';
+        let candidate = base;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            candidate = `${base} (${n})`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    }
+    
+    // One .txt and one .png per selected capture, newest first
+    async exportGalleryZip() {
+        const records = this.galleryRecords.filter(record => this.gallerySelection.has(record.id));
+        if (records.length === 0 || this.isExporting) return;
+        
+        this.isExporting = true;
+        this.updateGallerySelection();
+        this.showAlert('Building ZIP...', 'info');
+        
+        try {
+            const files = [];
+            const used = new Set();
+            
+            for (const record of records) {
+                const base = this.uniqueFileName(record.name, used);
+                const date = new Date(record.createdAt);
+                files.push({ name: `${base}.txt`, data: record.frame.text, date });
+                
+                const blob = await this.canvasToBlob(this.renderExportCanvas(record.frame, date));
+                files.push({ name: `${base}.png`, data: new Uint8Array(await blob.arrayBuffer()), date });
+            }
+            
+            this.downloadFile(ZipWriter.createZip(files), `ascii-captures-${Date.now()}.zip`, 'application/zip');
+            this.showAlert(`${records.length} capture${records.length === 1 ? '' : 's'} exported!`, 'success');
+        } catch (error) {
+            console.error('ZIP export failed:', error);
+            this.showAlert('ZIP export failed.', 'error');
+        } finally {
+            this.isExporting = false;
+            this.updateGallerySelection();
+        }
+    }
+    
+    toggleRecording() {
+        if (this.recordingClip) {
+            this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+    
+    startRecording() {
+        if (!this.inputSource) {
+            this.showAlert('No input available!', 'error');
+            return;
+        }
+        
+        this.recordingClip = AsciiRecording.createClip();
+        this.recordingStartTime = performance.now();
+        
+        this.recordButton.innerHTML = '<i class="fas fa-stop-circle" aria-hidden="true"></i> Stop Recording';
+        this.recordButton.classList.add('btn-recording');
+        this.status.textContent = 'Recording';
+    }
+    
+    stopRecording() {
+        const clip = this.recordingClip;
+        this.recordingClip = null;
+        
+        this.recordButton.innerHTML = '<i class="fas fa-circle" aria-hidden="true"></i> Record';
+        this.recordButton.classList.remove('btn-recording');
+        if (this.inputSource) {
+            this.status.textContent = 'Active';
+        }
+        
+        if (!clip || clip.frames.length === 0) {
+            this.showAlert('Nothing was recorded!', 'error');
+            return;
+        }
+        
+        this.recordedClip = clip;
+        this.openPlayback();
+        this.showAlert(`Recorded ${clip.frames.length} frames`, 'success');
+    }
+    
+    openPlayback() {
+        const frames = this.recordedClip.frames;
+        
+        this.playbackScrubber.max = frames.length - 1;
+        this.trimStartIndex = 0;
+        this.trimEndIndex = frames.length - 1;
+        this.showPlaybackFrame(0);
+        this.updateTrimInfo();
+        
+        this.openDialog(this.recordingModal);
+    }
+    
+    showPlaybackFrame(index) {
+        const { time, frame } = this.recordedClip.frames[index];
+        this.playbackIndex = index;
+        
+        if (frame.colors) {
+            this.playbackAscii.innerHTML = AsciiCore.toColorHtml(frame);
+        } else {
+            this.playbackAscii.textContent = frame.text;
+        }
+        
+        this.playbackScrubber.value = index;
+        const total = AsciiRecording.duration(this.recordedClip);
+        this.playbackTime.textContent = `${(time / 1000).toFixed(1)}s / ${(total / 1000).toFixed(1)}s`;
+    }
+    
+    togglePlayback() {
+        if (this.playbackTimer) {
+            this.stopPlayback();
+        } else {
+            this.startPlayback();
+        }
+    }
+    
+    startPlayback() {
+        const frames = this.recordedClip.frames;
+        
+        // Play the trimmed range, looping back to its start
+        if (this.playbackIndex < this.trimStartIndex || this.playbackIndex >= this.trimEndIndex) {
+            this.showPlaybackFrame(this.trimStartIndex);
+        }
+        
+        const step = () => {
+            const next = this.playbackIndex >= this.trimEndIndex ? this.trimStartIndex : this.playbackIndex + 1;
+            const delay = next > this.playbackIndex ? frames[next].time - frames[this.playbackIndex].time : 500;
+            
+            this.playbackTimer = setTimeout(() => {
+                this.showPlaybackFrame(next);
+                step();
+            }, delay);
+        };
+        step();
+        
+        this.playbackToggleButton.innerHTML = '<i class="fas fa-pause" aria-hidden="true"></i> Pause';
+    }
+    
+    stopPlayback() {
+        if (this.playbackTimer) {
+            clearTimeout(this.playbackTimer);
+            this.playbackTimer = null;
+        }
+        this.playbackToggleButton.innerHTML = '<i class="fas fa-play" aria-hidden="true"></i> Play';
+    }
+    
+    setTrimStart() {
+        this.trimStartIndex = this.playbackIndex;
+        if (this.trimEndIndex < this.trimStartIndex) {
+            this.trimEndIndex = this.recordedClip.frames.length - 1;
+        }
+        this.updateTrimInfo();
+    }
+    
+    setTrimEnd() {
+        this.trimEndIndex = this.playbackIndex;
+        if (this.trimStartIndex > this.trimEndIndex) {
+            this.trimStartIndex = 0;
+        }
+        this.updateTrimInfo();
+    }
+    
+    updateTrimInfo() {
+        const frames = this.recordedClip.frames;
+        const start = frames[this.trimStartIndex].time / 1000;
+        const end = frames[this.trimEndIndex].time / 1000;
+        const count = this.trimEndIndex - this.trimStartIndex + 1;
+        
+        this.trimInfo.textContent = `${start.toFixed(1)}s – ${end.toFixed(1)}s (${count} frames)`;
+    }
+    
+    getTrimmedClip() {
+        if (!this.recordedClip) {
+            this.showAlert('No recording to export!', 'error');
+            return null;
+        }
+        return AsciiRecording.trimClip(this.recordedClip, this.trimStartIndex, this.trimEndIndex);
+    }
+    
+    exportAsciicast() {
+        const clip = this.getTrimmedClip();
+        if (!clip) return;
+        
+        const cast = AsciiRecording.toAsciicast(clip);
+        this.downloadFile(cast, `ascii-camera-${Date.now()}.cast`, 'application/x-asciicast');
+        
+        this.showAlert('Asciicast downloaded!', 'success');
+    }
+    
+    exportHtmlPlayer() {
+        const clip = this.getTrimmedClip();
+        if (!clip) return;
+        
+        const html = AsciiRecording.toHtmlPlayer(clip);
+        this.downloadFile(html, `ascii-camera-${Date.now()}.html`, 'text/html');
+        
+        this.showAlert('HTML player downloaded!', 'success');
+    }
+    
+    // Canvas sized for the largest frame of a clip, 10px Courier cells
+    createClipCanvas(clip) {
+        const { width, height } = AsciiRecording.clipDimensions(clip);
+        const fontSize = 10;
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        
+        ctx.font = `${fontSize}px 'Courier New', monospace`;
+        const cellWidth = Math.ceil(ctx.measureText('M').width);
+        const cellHeight = fontSize;
+        
+        canvas.width = width * cellWidth;
+        canvas.height = height * cellHeight;
+        
+        return { canvas, ctx, metrics: { fontSize, cellWidth, cellHeight } };
+    }
+    
+    drawClipFrame(ctx, frame, metrics) {
+        const { fontSize, cellWidth, cellHeight } = metrics;
+        const rows = AsciiCore.frameRows(frame);
+        
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.font = `${fontSize}px 'Courier New', monospace`;
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#00ff00';
+        
+        // One glyph per cell keeps the grid exact whatever the font advance
+        for (let y = 0; y < frame.height; y++) {
+            for (let x = 0; x < frame.width; x++) {
+                const index = (y * frame.width + x) * 3;
+                if (frame.backgrounds) {
+                    const { backgrounds } = frame;
+                    ctx.fillStyle = AsciiCore.rgbToHex(backgrounds[index], backgrounds[index + 1], backgrounds[index + 2]);
+                    ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+                }
+                if (frame.colors) {
+                    ctx.fillStyle = AsciiCore.rgbToHex(frame.colors[index], frame.colors[index + 1], frame.colors[index + 2]);
+                }
+                ctx.fillText(rows[y][x], x * cellWidth, y * cellHeight);
+            }
+        }
+    }
+    
+    async exportGif() {
+        const clip = this.getTrimmedClip();
+        if (!clip || this.isExporting) return;
+        
+        this.isExporting = true;
+        this.showAlert('Encoding GIF...', 'info');
+        
+        try {
+            const { canvas, ctx, metrics } = this.createClipCanvas(clip);
+            const encoder = new GifEncoder(canvas.width, canvas.height, AsciiRecording.XTERM256_PALETTE);
+            const delays = AsciiRecording.frameDelays(clip);
+            const paletteCache = new Map();
+            
+            for (let i = 0; i < clip.frames.length; i++) {
+                this.drawClipFrame(ctx, clip.frames[i].frame, metrics);
+                const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+                const indices = new Uint8Array(canvas.width * canvas.height);
+                
+                // Map anti-aliased pixels onto the xterm palette
+                for (let p = 0; p < indices.length; p++) {
+                    const key = (pixels[p * 4] << 16) | (pixels[p * 4 + 1] << 8) | pixels[p * 4 + 2];
+                    let code = paletteCache.get(key);
+                    if (code === undefined) {
+                        code = AsciiCore.quantizeTo256(pixels[p * 4], pixels[p * 4 + 1], pixels[p * 4 + 2]).code;
+                        paletteCache.set(key, code);
+                    }
+                    indices[p] = code;
+                }
+                
+                encoder.addFrame(indices, delays[i] / 10);
+                
+                // Let the page breathe between frames
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            
+            this.downloadFile(encoder.finish(), `ascii-camera-${Date.now()}.gif`, 'image/gif');
+            this.showAlert('GIF downloaded!', 'success');
+        } catch (error) {
+            console.error('GIF export failed:', error);
+            this.showAlert('GIF export failed.', 'error');
+        } finally {
+            this.isExporting = false;
         }
     }
     
-    processFrame() {
-        if (this.video.readyState !== this.video.HAVE_ENOUGH_DATA || !this.video.videoWidth) {
+    async exportWebm() {
+        const clip = this.getTrimmedClip();
+        if (!clip || this.isExporting) return;
+        
+        if (typeof MediaRecorder === 'undefined') {
+            this.showAlert('WebM export is not supported in this browser.', 'error');
+            return;
+        }
+        
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            this.showAlert('WebM export is not supported in this browser.', 'error');
             return;
         }
         
-        this.isProcessing = true;
+        this.isExporting = true;
+        this.showAlert('Rendering WebM in real time...', 'info');
         
         try {
-            // Calculate target dimensions considering aspect ratio
-            const { width: targetWidth, height: targetHeight } = this.calculateTargetDimensions();
-            
-            // Set canvas dimensions
-            this.canvas.width = targetWidth;
-            this.canvas.height = targetHeight;
-            
-            // Draw video to canvas with correct aspect ratio
-            this.ctx.imageSmoothingEnabled = false;
-            
-            // Calculate source aspect ratio
-            const sourceAspect = this.video.videoWidth / this.video.videoHeight;
-            const targetAspect = targetWidth / targetHeight;
-            
-            let sx, sy, sWidth, sHeight;
-            
-            if (sourceAspect > targetAspect) {
-                // Source is wider - crop sides
-                sHeight = this.video.videoHeight;
-                sWidth = sHeight * targetAspect;
-                sx = (this.video.videoWidth - sWidth) / 2;
-                sy = 0;
-            } else {
-                // Source is taller - crop top/bottom
-                sWidth = this.video.videoWidth;
-                sHeight = sWidth / targetAspect;
-                sx = 0;
-                sy = (this.video.videoHeight - sHeight) / 2;
-            }
-            
-            // Draw the image with cropping to maintain aspect ratio
-            this.ctx.drawImage(
-                this.video,
-                sx, sy, sWidth, sHeight,
-                0, 0, targetWidth, targetHeight
-            );
-            
-            // Convert to ASCII
-            const asciiArt = this.convertToAscii(targetWidth, targetHeight);
-            
-            // Store current ASCII
-            this.currentAsciiText = asciiArt;
+            const { canvas, ctx, metrics } = this.createClipCanvas(clip);
+            const delays = AsciiRecording.frameDelays(clip);
+            const stream = canvas.captureStream(30);
+            const recorder = new MediaRecorder(stream, { mimeType });
+            const chunks = [];
             
-            // Update output with aspect ratio correction
-            this.asciiOutput.textContent = asciiArt;
-            this.asciiOutput.classList.add('aspect-corrected');
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) {
+                    chunks.push(e.data);
+                }
+            };
+            const stopped = new Promise(resolve => {
+                recorder.onstop = resolve;
+            });
             
-            // Update ASCII resolution display
-            const lines = asciiArt.split('\n').filter(line => line.length > 0);
-            if (lines.length > 0) {
-                const asciiWidth = lines[0].length;
-                const asciiHeight = lines.length;
-                this.asciiResolution.textContent = `${asciiWidth}×${asciiHeight}`;
+            // Replay the clip onto the canvas with its original timing
+            this.drawClipFrame(ctx, clip.frames[0].frame, metrics);
+            recorder.start();
+            for (let i = 0; i < clip.frames.length; i++) {
+                this.drawClipFrame(ctx, clip.frames[i].frame, metrics);
+                await new Promise(resolve => setTimeout(resolve, delays[i]));
             }
+            recorder.stop();
+            await stopped;
+            stream.getTracks().forEach(track => track.stop());
             
+            this.downloadFile(new Blob(chunks, { type: 'video/webm' }), `ascii-camera-${Date.now()}.webm`, 'video/webm');
+            this.showAlert('WebM downloaded!', 'success');
         } catch (error) {
-            console.error('Frame processing error:', error);
+            console.error('WebM export failed:', error);
+            this.showAlert('WebM export failed.', 'error');
         } finally {
-            this.isProcessing = false;
+            this.isExporting = false;
         }
     }
     
-    convertToAscii(width, height) {
-        const imageData = this.ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
-        const style = this.asciiStyleSelect.value;
-        const chars = this.asciiChars[style] || this.asciiChars.detailed;
-        
-        let asciiArt = '';
-        
-        // Adjust sampling based on character aspect ratio
-        for (let y = 0; y < height; y++) {
-            let line = '';
-            for (let x = 0; x < width; x++) {
-                const index = (y * width + x) * 4;
-                const r = data[index];
-                const g = data[index + 1];
-                const b = data[index + 2];
-                
-                // Calculate brightness (perceptual luminance)
-                const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
-                const charIndex = Math.floor((brightness / 255) * (chars.length - 1));
-                
-                line += chars[charIndex];
+    loadBroadcastSettings() {
+        const settings = { relayUrl: 'ws://localhost:8080' };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.broadcastStorageKey) || '{}');
+            if (typeof saved.relayUrl === 'string' && saved.relayUrl) {
+                settings.relayUrl = saved.relayUrl;
             }
-            asciiArt += line + '\n';
+        } catch (error) {
+            console.warn('Could not load broadcast settings:', error);
         }
         
-        return asciiArt;
+        return settings;
     }
     
-    updateResolution() {
-        const resolution = this.resolutionSelect.value;
-        const preset = this.resolutions[resolution];
-        
-        if (resolution === 'native') {
-            this.currentResolution.textContent = 'Native (Full)';
-        } else {
-            this.currentResolution.textContent = `${preset.width}×${preset.height}`;
+    saveBroadcastSettings() {
+        try {
+            localStorage.setItem(this.broadcastStorageKey, JSON.stringify(this.broadcastSettings));
+        } catch (error) {
+            console.warn('Could not save broadcast settings:', error);
         }
     }
     
-    updateAsciiStyle() {
-        // Style will be applied on next render
-    }
-    
-    updateDisplayInfo() {
-        if (this.currentAsciiText) {
-            const lines = this.currentAsciiText.split('\n').filter(line => line.length > 0);
-            if (lines.length > 0) {
-                const asciiWidth = lines[0].length;
-                const asciiHeight = lines.length;
-                this.asciiSize.textContent = `${asciiWidth}×${asciiHeight} chars`;
-            }
+    toggleBroadcast() {
+        if (this.broadcastSocket) {
+            this.stopBroadcast();
+        } else {
+            this.startBroadcast();
         }
     }
     
-    captureFrame() {
-        if (!this.stream || !this.currentAsciiText) {
-            this.showAlert('No camera feed available!', 'error');
+    startBroadcast() {
+        const relayUrl = this.relayUrlInput.value.trim();
+        let url;
+        try {
+            url = new URL('/broadcast', relayUrl);
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['ws:', 'wss:'].includes(url.protocol)) {
+            this.showAlert('Enter a relay address such as ws://localhost:8080', 'error');
             return;
         }
         
-        this.capturedAsciiText = this.currentAsciiText;
-        this.capturedAscii.textContent = this.capturedAsciiText;
+        this.broadcastSettings.relayUrl = relayUrl;
+        this.saveBroadcastSettings();
         
-        // Format timestamp
-        const now = new Date();
-        const timestamp = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-        this.lastCapture.textContent = timestamp;
+        const socket = new WebSocket(url.href);
+        let opened = false;
+        this.broadcastSocket = socket;
+        this.broadcastEncoder = AsciiStream.createEncoder();
+        
+        socket.addEventListener('open', () => {
+            opened = true;
+            this.updateBroadcastStatus('Live', true);
+            this.showAlert('Broadcasting to the relay', 'success');
+            if (this.currentFrame && this.inputSource) {
+                this.broadcastFrame(this.currentFrame);
+            }
+        });
+        socket.addEventListener('message', (e) => this.handleRelayMessage(e.data));
+        socket.addEventListener('close', (e) => {
+            // Ignore a socket that was already replaced or stopped
+            if (this.broadcastSocket !== socket) return;
+            this.stopBroadcast();
+            this.showAlert(e.reason || (opened ? 'Lost the connection to the relay' : `Could not reach the relay at ${relayUrl}`), 'error');
+        });
         
-        // Show modal
-        this.captureModal.style.display = 'flex';
+        this.broadcastButton.innerHTML = '<i class="fas fa-stop-circle" aria-hidden="true"></i> Stop Broadcast';
+        this.broadcastButton.classList.add('btn-live');
+        this.relayUrlInput.disabled = true;
+        this.updateBroadcastStatus('Connecting', false);
+    }
+    
+    stopBroadcast() {
+        const socket = this.broadcastSocket;
+        this.broadcastSocket = null;
+        this.broadcastEncoder = null;
+        if (socket) {
+            socket.close();
+        }
         
-        this.showAlert('Frame captured!', 'success');
+        this.broadcastButton.innerHTML = '<i class="fas fa-broadcast-tower" aria-hidden="true"></i> Broadcast';
+        this.broadcastButton.classList.remove('btn-live');
+        this.relayUrlInput.disabled = false;
+        this.updateBroadcastStatus('Off', false);
     }
     
-    closeModal() {
-        this.captureModal.style.display = 'none';
+    handleRelayMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        
+        if (message.type === 'status') {
+            this.updateBroadcastStatus(`Live · ${message.viewers} ${message.viewers === 1 ? 'viewer' : 'viewers'}`, true);
+        } else if (message.type === 'keyframe') {
+            AsciiStream.resetEncoder(this.broadcastEncoder);
+        }
+    }
+    
+    updateBroadcastStatus(text, live) {
+        this.broadcastStatus.textContent = text;
+        this.broadcastStatus.classList.toggle('active', live);
+    }
+    
+    // Send the rows that changed since the last frame that went out. While
+    // the relay is behind, frames are dropped rather than queued.
+    broadcastFrame(frame) {
+        const socket = this.broadcastSocket;
+        if (socket.readyState !== WebSocket.OPEN || socket.bufferedAmount > this.maxBroadcastBuffer) {
+            return;
+        }
+        
+        const message = AsciiStream.encodeFrame(this.broadcastEncoder, frame);
+        if (message) {
+            socket.send(JSON.stringify(message));
+        }
     }
     
     async copyToClipboard() {
@@ -431,60 +3856,162 @@ class ASCIICamera {
         
         this.captureFrame();
         setTimeout(() => {
-            this.saveCaptureAsImage();
+            this.openExportDialog();
         }, 100);
     }
     
-    saveCaptureAsImage() {
-        if (!this.capturedAsciiText) {
+    openExportDialog() {
+        if (!this.capturedFrame) {
             this.showAlert('No captured frame to save!', 'error');
             return;
         }
         
-        // Create a canvas to render the ASCII art as an image
-        const lines = this.capturedAsciiText.split('\n').filter(line => line.length > 0);
-        if (lines.length === 0) return;
-        
-        const asciiWidth = lines[0].length;
-        const asciiHeight = lines.length;
+        this.applyExportControls();
+        this.openDialog(this.exportModal);
+        this.updateExportPreview();
+    }
+    
+    closeExportDialog() {
+        this.closeDialog(this.exportModal);
+    }
+    
+    loadExportSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.exportStorageKey) || '{}');
+            return AsciiExport.normalizeExportOptions(saved);
+        } catch (error) {
+            console.warn('Could not load export settings:', error);
+            return AsciiExport.normalizeExportOptions();
+        }
+    }
+    
+    saveExportSettings() {
+        try {
+            localStorage.setItem(this.exportStorageKey, JSON.stringify(this.exportSettings));
+        } catch (error) {
+            console.warn('Could not save export settings:', error);
+        }
+    }
+    
+    applyExportControls() {
+        const settings = this.exportSettings;
+        this.exportFormatSelect.value = settings.format;
+        this.exportFontSelect.value = settings.fontFamily;
+        this.exportFontSizeInput.value = settings.fontSize;
+        this.exportThemeSelect.value = settings.theme;
+        this.exportFgInput.value = settings.fg;
+        this.exportBgInput.value = settings.bg;
+        this.exportFrameColorsInput.checked = settings.frameColors;
+        this.exportHeaderInput.checked = settings.header;
+        this.exportHeaderTextInput.value = settings.headerText;
+        this.exportTimestampInput.checked = settings.timestamp;
+        this.exportWatermarkInput.value = settings.watermark;
+        this.exportScaleSelect.value = settings.scale;
+        this.exportPaperSelect.value = settings.paper;
+        this.exportOrientationSelect.value = settings.orientation;
+        this.updateExportFormatRows();
+    }
+    
+    // Scale only applies to PNG, paper only to PDF
+    updateExportFormatRows() {
+        document.querySelectorAll('[data-export-format]').forEach(row => {
+            row.style.display = row.dataset.exportFormat === this.exportSettings.format ? '' : 'none';
+        });
+    }
+    
+    updateExportSettings() {
+        this.exportSettings = AsciiExport.normalizeExportOptions({
+            format: this.exportFormatSelect.value,
+            fontFamily: this.exportFontSelect.value,
+            fontSize: this.exportFontSizeInput.value,
+            theme: this.exportThemeSelect.value,
+            fg: this.exportFgInput.value,
+            bg: this.exportBgInput.value,
+            frameColors: this.exportFrameColorsInput.checked,
+            header: this.exportHeaderInput.checked,
+            headerText: this.exportHeaderTextInput.value,
+            timestamp: this.exportTimestampInput.checked,
+            watermark: this.exportWatermarkInput.value,
+            scale: this.exportScaleSelect.value,
+            paper: this.exportPaperSelect.value,
+            orientation: this.exportOrientationSelect.value
+        });
+        this.saveExportSettings();
         
-        // Create canvas with appropriate size
+        // A preset theme sets both colors; text fields keep what is being typed
+        this.exportFgInput.value = this.exportSettings.fg;
+        this.exportBgInput.value = this.exportSettings.bg;
+        this.updateExportFormatRows();
+        this.updateExportPreview();
+    }
+    
+    measureExportMetrics(frame, settings) {
+        const ctx = document.createElement('canvas').getContext('2d');
+        return AsciiExport.measureMetrics(ctx, frame, settings);
+    }
+    
+    // PNG rendering of a frame with the export settings (PNG is the only
+    // raster format, so the format setting itself is ignored here)
+    renderExportCanvas(frame, capturedAt, settings = this.exportSettings) {
         const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        // Calculate canvas size (each character as 8x16 pixels)
-        const charWidth = 8;
-        const charHeight = 16;
-        canvas.width = asciiWidth * charWidth + 40; // Add padding
-        canvas.height = asciiHeight * charHeight + 40;
-        
-        // Fill background
-        ctx.fillStyle = '#000000';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        // Draw ASCII text
-        ctx.font = `${charHeight}px 'Courier New', monospace`;
-        ctx.fillStyle = '#00ff00';
-        ctx.textBaseline = 'top';
+        const metrics = this.measureExportMetrics(frame, settings);
+        return AsciiExport.renderCanvas(canvas, frame, settings, metrics, capturedAt);
+    }
+    
+    updateExportPreview() {
+        const frame = this.capturedFrame;
+        if (!frame || this.exportModal.style.display !== 'flex') return;
         
-        // Add title and timestamp
-        const now = new Date();
-        const timestamp = now.toLocaleString();
-        ctx.fillText(`ASCII Camera - ${timestamp}`, 20, 10);
+        const settings = this.exportSettings;
+        const capturedAt = this.capturedAt || new Date();
+        const metrics = this.measureExportMetrics(frame, settings);
+        AsciiExport.renderCanvas(this.exportPreview, frame, { ...settings, scale: 1 }, metrics, capturedAt);
         
-        // Draw ASCII art
-        for (let y = 0; y < asciiHeight; y++) {
-            ctx.fillText(lines[y], 20, 30 + y * charHeight);
+        const { width, height } = AsciiExport.exportLayout(frame, settings, metrics, capturedAt);
+        if (settings.format === 'png') {
+            this.exportInfo.textContent = `${width * settings.scale}×${height * settings.scale} px`;
+        } else if (settings.format === 'svg') {
+            this.exportInfo.textContent = `${width}×${height} px, scalable`;
+        } else {
+            this.exportInfo.textContent = `${settings.paper.toUpperCase()} ${settings.orientation}, Courier`;
+        }
+    }
+    
+    async exportCapture() {
+        const frame = this.capturedFrame;
+        if (!frame) {
+            this.showAlert('No captured frame to save!', 'error');
+            return;
         }
         
-        // Convert to data URL and download
-        const dataUrl = canvas.toDataURL('image/png');
-        const link = document.createElement('a');
-        link.download = `ascii-camera-${Date.now()}.png`;
-        link.href = dataUrl;
-        link.click();
+        const settings = this.exportSettings;
+        const capturedAt = this.capturedAt || new Date();
+        const filename = `ascii-camera-${Date.now()}.${settings.format}`;
         
-        this.showAlert('Image saved successfully!', 'success');
+        try {
+            if (settings.format === 'pdf') {
+                const pdf = AsciiExport.toPdf(frame, settings, capturedAt);
+                this.downloadFile(pdf.bytes, filename, 'application/pdf');
+                
+                const pages = `${pdf.pages} page${pdf.pages === 1 ? '' : 's'}`;
+                if (pdf.replaced) {
+                    this.showAlert(`PDF saved (${pages}); ${pdf.replaced} characters the PDF font lacks became "?"`, 'info');
+                } else {
+                    this.showAlert(`PDF saved (${pages})!`, 'success');
+                }
+            } else if (settings.format === 'svg') {
+                const metrics = this.measureExportMetrics(frame, settings);
+                this.downloadFile(AsciiExport.toSvg(frame, settings, metrics, capturedAt), filename, 'image/svg+xml');
+                this.showAlert('SVG saved successfully!', 'success');
+            } else {
+                const canvas = this.renderExportCanvas(frame, capturedAt, settings);
+                this.downloadFile(await this.canvasToBlob(canvas), filename, 'image/png');
+                this.showAlert('Image saved successfully!', 'success');
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showAlert('Export failed.', 'error');
+        }
     }
     
     printAscii() {
@@ -495,61 +4022,124 @@ class ASCIICamera {
         
         this.captureFrame();
         setTimeout(() => {
-            this.printCapture();
+            this.openPrintDialog();
         }, 100);
     }
     
-    printCapture() {
-        if (!this.capturedAsciiText) {
+    openPrintDialog() {
+        if (!this.capturedFrame) {
+            this.showAlert('No captured frame to print!', 'error');
+            return;
+        }
+        
+        this.applyPrintControls();
+        this.openDialog(this.printModal);
+        this.updatePrintPreview();
+    }
+    
+    closePrintDialog() {
+        this.closeDialog(this.printModal);
+        this.printPreview.textContent = '';
+    }
+    
+    loadPrintSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.printStorageKey) || '{}');
+            return AsciiPrint.normalizePrintOptions(saved);
+        } catch (error) {
+            console.warn('Could not load print settings:', error);
+            return AsciiPrint.normalizePrintOptions();
+        }
+    }
+    
+    savePrintSettings() {
+        try {
+            localStorage.setItem(this.printStorageKey, JSON.stringify(this.printSettings));
+        } catch (error) {
+            console.warn('Could not save print settings:', error);
+        }
+    }
+    
+    applyPrintControls() {
+        const settings = this.printSettings;
+        this.printPaperSelect.value = settings.paper;
+        this.printOrientationSelect.value = settings.orientation;
+        this.printMarginInput.value = settings.margin;
+        this.printModeSelect.value = settings.mode;
+        this.printPagesAcrossInput.value = settings.pagesAcross;
+        this.printMarksInput.checked = settings.marks;
+        this.printHeaderInput.checked = settings.header;
+        this.printColorInput.checked = settings.color;
+        this.updatePrintModeRows();
+    }
+    
+    // Pages across and registration marks only apply when tiling
+    updatePrintModeRows() {
+        document.querySelectorAll('[data-print-mode]').forEach(row => {
+            row.style.display = row.dataset.printMode === this.printSettings.mode ? '' : 'none';
+        });
+    }
+    
+    updatePrintSettings() {
+        this.printSettings = AsciiPrint.normalizePrintOptions({
+            paper: this.printPaperSelect.value,
+            orientation: this.printOrientationSelect.value,
+            margin: this.printMarginInput.value,
+            mode: this.printModeSelect.value,
+            pagesAcross: this.printPagesAcrossInput.value,
+            marks: this.printMarksInput.checked,
+            header: this.printHeaderInput.checked,
+            color: this.printColorInput.checked
+        });
+        this.savePrintSettings();
+        this.updatePrintModeRows();
+        this.updatePrintPreview();
+    }
+    
+    // Lay out the captured frame with the current print settings
+    buildPrintPages() {
+        const frame = this.capturedFrame;
+        const ctx = document.createElement('canvas').getContext('2d');
+        const metrics = AsciiExport.measureMetrics(ctx, frame, {
+            fontFamily: AsciiPrint.PRINT_FONT,
+            fontSize: AsciiPrint.PRINT_FONT_SIZE
+        });
+        const plan = AsciiPrint.planPrint(frame, metrics, this.printSettings);
+        const pages = AsciiPrint.printPages(frame, metrics, plan, this.printSettings, this.capturedAt || new Date());
+        return { plan, pages };
+    }
+    
+    updatePrintPreview() {
+        if (!this.capturedFrame || this.printModal.style.display !== 'flex') return;
+        
+        const { plan, pages } = this.buildPrintPages();
+        const ratio = `${plan.pageWidth} / ${plan.pageHeight}`;
+        
+        // The page markup is generated by AsciiPrint with all capture text escaped
+        this.printPreview.innerHTML = pages
+            .map(page => `<div class="print-page" style="aspect-ratio: ${ratio}">${page}</div>`)
+            .join('');
+        this.printPreview.style.gridTemplateColumns = `repeat(${plan.pagesAcross}, 1fr)`;
+        
+        const count = `${pages.length} page${pages.length === 1 ? '' : 's'}`;
+        const layout = plan.pages.length > 1 ? ` (${plan.pagesAcross} across × ${plan.pagesDown} down)` : '';
+        this.printInfo.textContent = `${count}${layout}, text about ${plan.fontPoints.toFixed(1)} pt`;
+    }
+    
+    printPages() {
+        if (!this.capturedFrame) {
             this.showAlert('No captured frame to print!', 'error');
             return;
         }
         
-        // Create a printable window
+        const { plan, pages } = this.buildPrintPages();
         const printWindow = window.open('', '_blank');
-        printWindow.document.write(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>ASCII Camera Print</title>
-                <style>
-                    body {
-                        font-family: 'Courier New', monospace;
-                        background: white;
-                        color: black;
-                        padding: 20px;
-                    }
-                    pre {
-                        font-size: 4px;
-                        line-height: 1;
-                        white-space: pre;
-                        margin: 0;
-                    }
-                    .header {
-                        text-align: center;
-                        margin-bottom: 20px;
-                        border-bottom: 2px solid #000;
-                        padding-bottom: 10px;
-                    }
-                    @media print {
-                        body { padding: 0; }
-                        .no-print { display: none; }
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="header">
-                    <h1>ASCII Camera Capture</h1>
-                    <p>Generated on ${new Date().toLocaleString()}</p>
-                </div>
-                <pre>${this.capturedAsciiText}</pre>
-                <div class="no-print" style="margin-top: 20px; text-align: center;">
-                    <button onclick="window.print()">Print</button>
-                    <button onclick="window.close()">Close</button>
-                </div>
-            </body>
-            </html>
-        `);
+        if (!printWindow) {
+            this.showAlert('Allow pop-ups for this page to print', 'error');
+            return;
+        }
+        
+        printWindow.document.write(AsciiPrint.toPrintDocument(pages, plan));
         printWindow.document.close();
         
         // Auto-print after a short delay
@@ -564,15 +4154,252 @@ class ASCIICamera {
             return;
         }
         
-        const blob = new Blob([this.capturedAsciiText], { type: 'text/plain' });
+        this.downloadFile(this.capturedAsciiText, `ascii-camera-${Date.now()}.txt`, 'text/plain');
+        
+        this.showAlert('Text file downloaded!', 'success');
+    }
+    
+    downloadAsAnsi() {
+        if (!this.capturedFrame) {
+            this.showAlert('No captured frame to download!', 'error');
+            return;
+        }
+        
+        const ansi = AsciiCore.toAnsi(this.capturedFrame);
+        this.downloadFile(ansi, `ascii-camera-${Date.now()}.ans`, 'text/plain');
+        
+        this.showAlert('ANSI file downloaded!', 'success');
+    }
+    
+    downloadAsHtml() {
+        if (!this.capturedFrame) {
+            this.showAlert('No captured frame to download!', 'error');
+            return;
+        }
+        
+        const html = AsciiCore.toHtmlDocument(this.capturedFrame);
+        this.downloadFile(html, `ascii-camera-${Date.now()}.html`, 'text/html');
+        
+        this.showAlert('HTML file downloaded!', 'success');
+    }
+    
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
-        link.download = `ascii-camera-${Date.now()}.txt`;
+        link.download = filename;
         link.href = url;
         link.click();
         URL.revokeObjectURL(url);
+    }
+    
+    // Plugin module URLs, kept in localStorage
+    static get pluginStorageKey() {
+        return 'asciiCamera.plugins';
+    }
+    
+    // The saved plugins are loaded before the app is created (see the end of
+    // this file), so that the settings it restores can use their styles and
+    // filters. A plugin that fails stays listed, with its error.
+    static async loadSavedPlugins() {
+        let urls = [];
+        try {
+            urls = AsciiPlugins.normalizePluginUrls(JSON.parse(localStorage.getItem(ASCIICamera.pluginStorageKey) || '[]'));
+        } catch (error) {
+            console.warn('Could not load the plugin list:', error);
+        }
+        return AsciiPlugins.loadPlugins(urls, url => import(url));
+    }
+    
+    savePluginUrls() {
+        try {
+            localStorage.setItem(ASCIICamera.pluginStorageKey, JSON.stringify(this.plugins.map(plugin => plugin.url)));
+        } catch (error) {
+            console.warn('Could not save the plugin list:', error);
+        }
+    }
+    
+    reportPluginFailures() {
+        this.plugins.filter(plugin => plugin.error).forEach(plugin => {
+            this.showAlert(`Plugin ${plugin.name} failed to load: ${plugin.error}`, 'error');
+        });
+    }
+    
+    importModule(url) {
+        return import(url);
+    }
+    
+    // Extension API, also given to plugins (see js/plugins.js and the
+    // README). Each call returns the item's id, e.g. "plugin:dots", and the
+    // item shows up in the controls right away.
+    registerCharset(definition) {
+        return this.registerPluginItem(AsciiPlugins.registerCharset, definition);
+    }
+    
+    registerRenderer(definition) {
+        return this.registerPluginItem(AsciiPlugins.registerRenderer, definition);
+    }
+    
+    registerFilter(definition) {
+        return this.registerPluginItem(AsciiPlugins.registerFilter, definition);
+    }
+    
+    registerExporter(definition) {
+        return this.registerPluginItem(AsciiPlugins.registerExporter, definition);
+    }
+    
+    registerPluginItem(register, definition) {
+        const item = register(definition);
+        this.updatePluginItems();
+        return item.id;
+    }
+    
+    // Load a plugin module by URL and keep it for the next visits
+    async loadPlugin(text) {
+        const url = AsciiPlugins.resolvePluginUrl(text, location.href);
+        if (this.plugins.some(plugin => plugin.url === url && !plugin.error)) {
+            throw new Error('That plugin is already loaded');
+        }
         
-        this.showAlert('Text file downloaded!', 'success');
+        const plugin = await AsciiPlugins.loadPlugin(url, (moduleUrl) => this.importModule(moduleUrl));
+        this.plugins = [...this.plugins.filter(other => other.url !== url), plugin];
+        this.savePluginUrls();
+        this.updatePluginItems();
+        return plugin;
+    }
+    
+    removePlugin(plugin) {
+        AsciiPlugins.unloadPlugin(plugin);
+        this.plugins = this.plugins.filter(other => other !== plugin);
+        this.savePluginUrls();
+        this.updatePluginItems();
+        this.renderPluginList();
+        this.showAlert(`Removed plugin ${plugin.name}`, 'info');
+    }
+    
+    // Show the registered items in the style and effect dropdowns and the
+    // capture dialog. A style or effect whose plugin is gone falls back to
+    // the defaults.
+    updatePluginItems() {
+        this.populatePluginStyles();
+        this.populateEffectTypes();
+        this.populateExporters();
+        
+        const chain = AsciiEffects.normalizeChain(this.effectChain);
+        if (chain.length !== this.effectChain.length) {
+            this.effectChain = chain;
+            this.renderEffectList();
+        }
+        this.saveSettings();
+    }
+    
+    // One button per plugin exporter, after the built-in downloads
+    populateExporters() {
+        this.exporterButtons.forEach(button => button.remove());
+        this.exporterButtons = AsciiPlugins.items('exporter').map(exporter => {
+            const button = document.createElement('button');
+            button.className = 'btn-secondary';
+            const glyph = document.createElement('i');
+            glyph.className = 'fas fa-file-export';
+            glyph.setAttribute('aria-hidden', 'true');
+            button.append(glyph, ` ${exporter.name}`);
+            button.addEventListener('click', () => this.runExporter(exporter));
+            this.captureActions.appendChild(button);
+            return button;
+        });
+    }
+    
+    async runExporter(exporter) {
+        if (!this.capturedFrame) {
+            this.showAlert('No captured frame to export!', 'error');
+            return;
+        }
+        
+        try {
+            const content = await exporter.export({
+                frame: this.capturedFrame,
+                text: this.capturedAsciiText,
+                capturedAt: this.capturedAt || new Date()
+            });
+            if (content === undefined || content === null) {
+                throw new Error('the exporter returned nothing');
+            }
+            this.downloadFile(content, `ascii-camera-${Date.now()}.${exporter.extension}`, exporter.type);
+            this.showAlert(`${exporter.name} downloaded!`, 'success');
+        } catch (error) {
+            console.error('Plugin export error:', error);
+            this.showAlert(`${exporter.name} export failed: ${error.message}`, 'error');
+        }
+    }
+    
+    openPluginManager() {
+        this.renderPluginList();
+        this.openDialog(this.pluginsModal);
+    }
+    
+    renderPluginList() {
+        this.pluginList.innerHTML = '';
+        if (this.plugins.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No plugins loaded';
+            this.pluginList.appendChild(empty);
+            return;
+        }
+        
+        this.plugins.forEach(plugin => {
+            const item = document.createElement('li');
+            const name = document.createElement('strong');
+            name.textContent = plugin.name;
+            const url = document.createElement('code');
+            url.textContent = plugin.url;
+            const summary = document.createElement('span');
+            if (plugin.error) {
+                summary.className = 'plugin-error';
+            }
+            summary.textContent = plugin.error ? `Failed: ${plugin.error}` : AsciiPlugins.describeItems(plugin.items);
+            
+            item.append(name, url, summary, this.createIconButton('fas fa-trash', `Remove ${plugin.name}`, () => this.removePlugin(plugin)));
+            this.pluginList.appendChild(item);
+        });
+    }
+    
+    async addPlugin(text) {
+        if (!text.trim()) {
+            this.showAlert('Enter the URL of a plugin module', 'error');
+            return;
+        }
+        
+        this.addPluginButton.disabled = true;
+        try {
+            const plugin = await this.loadPlugin(text);
+            this.pluginUrlInput.value = '';
+            this.renderPluginList();
+            this.showAlert(`Loaded ${plugin.name}: ${AsciiPlugins.describeItems(plugin.items)}`, 'success');
+        } catch (error) {
+            console.error('Plugin load error:', error);
+            this.showAlert(`Could not load the plugin: ${error.message}`, 'error');
+        } finally {
+            this.addPluginButton.disabled = false;
+        }
+    }
+    
+    // Screen readers read a summary of the art instead of its characters.
+    // The label only changes with the size or the settings, not every frame.
+    labelFrame(element, description, frame) {
+        const label = `${description}, ${frame.width} by ${frame.height} characters${frame.colors ? ', in color' : ''}`;
+        if (element.getAttribute('aria-label') !== label) {
+            element.setAttribute('aria-label', label);
+        }
+    }
+    
+    // Read a message out through the live regions; errors interrupt.
+    // Emptying the region first makes a repeated message count as new.
+    announce(message, urgent = false) {
+        const region = urgent ? this.alertAnnouncer : this.statusAnnouncer;
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 100);
     }
     
     showAlert(message, type = 'info') {
@@ -602,7 +4429,10 @@ class ASCIICamera {
             animation: fadeIn 0.3s ease;
         `;
         
+        // Screen readers get the message from the live regions instead
+        alert.setAttribute('aria-hidden', 'true');
         document.body.appendChild(alert);
+        this.announce(message, type === 'error');
         
         // Auto-remove after 3 seconds
         setTimeout(() => {
@@ -619,9 +4449,12 @@ class ASCIICamera {
     }
 }
 
-// Initialize when page loads
-document.addEventListener('DOMContentLoaded', () => {
-    const asciiCamera = new ASCIICamera();
+// Initialize when page loads, once the saved plugins are in
+document.addEventListener('DOMContentLoaded', async () => {
+    const asciiCamera = new ASCIICamera(await ASCIICamera.loadSavedPlugins());
+    
+    // The extension API for plugins and the browser console
+    window.asciiCamera = asciiCamera;
     
     // Add global error handler
     window.addEventListener('error', (e) => {
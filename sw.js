@@ -0,0 +1,127 @@
+// Service worker: keeps the app working without a network and receives
+// files shared to the installed app (see manifest.webmanifest)
+// Everything the pages load is cached on install. Requests are answered
+// from the cache and the cached copy is refreshed in the background, so an
+// update shows on the next load. Other files of the site, such as plugin
+// modules, are cached the first time they load. Change CACHE_VERSION when
+// files are added to or removed from the list.
+
+const CACHE_VERSION = 'ascii-camera-v3';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'viewer.html',
+    'styles.css',
+    'scripts.js',
+    'viewer.js',
+    'manifest.webmanifest',
+    'icons/icons.css',
+    'icons/app-icon.svg',
+    'js/ascii-core.js',
+    'js/gif-encoder.js',
+    'js/recording.js',
+    'js/export-renderer.js',
+    'js/print-layout.js',
+    'js/video-effects.js',
+    'js/settings.js',
+    'js/frame-pipeline.js',
+    'js/frame-worker.js',
+    'js/gallery-store.js',
+    'js/zip-writer.js',
+    'js/stream-protocol.js',
+    'js/capture-modes.js',
+    'js/shortcuts.js',
+    'js/ascii-editor.js',
+    'js/plugins.js',
+    'plugins/example.js'
+];
+
+// A file shared to the app is posted to SHARE_TARGET_URL. It is kept in its
+// own cache under SHARED_FILE_URL until the page, opened with ?shared, reads
+// and deletes it (see openSharedFile in scripts.js).
+const SHARE_TARGET_URL = 'share-target';
+const SHARED_CACHE = 'ascii-camera-shared';
+const SHARED_FILE_URL = 'shared-file';
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_VERSION && key !== SHARED_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+    
+    if (request.method === 'POST' && url.pathname === new URL(SHARE_TARGET_URL, self.registration.scope).pathname) {
+        event.respondWith(receiveShare(request));
+    } else if (request.method === 'GET') {
+        event.respondWith(fromCache(event));
+    }
+});
+
+async function fromCache(event) {
+    const request = event.request;
+    const cache = await caches.open(CACHE_VERSION);
+    
+    // Query strings only carry page options (?shared), never content
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+    const cached = await cache.match(url.href);
+    
+    const refresh = fetch(request).then(response => {
+        if (response.ok && response.type === 'basic') {
+            event.waitUntil(cache.put(url.href, response.clone()));
+        }
+        return response;
+    });
+    
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    try {
+        return await refresh;
+    } catch (error) {
+        // Offline and not cached: any page of the app opens the converter
+        const page = request.mode === 'navigate' && await cache.match('index.html');
+        if (page) return page;
+        throw error;
+    }
+}
+
+// Keep the shared image or video for the page, then open the page
+async function receiveShare(request) {
+    try {
+        const data = await request.formData();
+        const file = data.getAll('media').find(item => typeof item !== 'string');
+        if (file) {
+            const cache = await caches.open(SHARED_CACHE);
+            await cache.put(SHARED_FILE_URL, new Response(file, {
+                headers: {
+                    'Content-Type': file.type || 'application/octet-stream',
+                    'X-File-Name': encodeURIComponent(file.name)
+                }
+            }));
+        }
+    } catch (error) {
+        console.warn('Could not read the shared file:', error);
+    }
+    return Response.redirect(new URL('./?shared', self.registration.scope).href, 303);
+}
@@ -0,0 +1,732 @@
+'use strict';
+
+// The page itself, driven through its controls with a fake camera, canvas,
+// clipboard and print window (see helpers/fake-dom.js)
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const AsciiCore = require('../js/ascii-core.js');
+const { loadPage, FakeEvent } = require('./helpers/fake-dom.js');
+const { createImage, testScene, mediaError } = require('./helpers/fake-media.js');
+
+// 800×200 feed: black, with a white band across the middle 240 pixels.
+// Squeezed into 20 columns, that band covers columns 7 to 12.
+const BAND = createImage(800, 200, x => x >= 280 && x < 520 ? 255 : 0);
+
+// 400×200 feed: white on the left half, black on the right
+const HALVES = createImage(400, 200, x => x < 200 ? 255 : 0);
+
+function outputLines(page) {
+    return page.$('asciiOutput').textContent.split('\n').slice(0, -1);
+}
+
+// Load the page, let setup change controls, start the camera and render
+// one frame
+async function startCamera(options = {}, setup = () => {}) {
+    const page = loadPage(options);
+    setup(page);
+    page.$('startCamera').click();
+    await page.settle();
+    page.clock.animationFrame();
+    return page;
+}
+
+// Press a key on whatever has focus, as the browser would
+function press(page, key, modifiers = {}) {
+    const event = new FakeEvent('keydown', { key, bubbles: true, ...modifiers });
+    page.document.activeElement.dispatchEvent(event);
+    return event;
+}
+
+// A small fixed grid in the inverse style, so white shows as "@" and black
+// as a space
+function useGrid(page, columns, rows, fit) {
+    page.$('asciiStyle').choose('inverse');
+    page.$('resolution').choose('custom');
+    page.$('gridColumns').enter(String(columns));
+    page.$('gridRows').enter(String(rows));
+    page.$('fitMode').choose(fit);
+}
+
+describe('camera input', () => {
+    it('opens the camera with the saved choices and starts rendering', async () => {
+        const page = await startCamera();
+        
+        // Constraints come from the page's realm; compare them as plain data
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(page.media.requests)), [{
+            video: { width: { ideal: 1920 }, height: { ideal: 1080 }, facingMode: 'environment' }
+        }]);
+        assert.strictEqual(page.$('status').textContent, 'Active');
+        assert.strictEqual(page.$('videoResolution').textContent, '320×180 @ 30 FPS');
+        assert.strictEqual(page.$('startCamera').disabled, true);
+        assert.strictEqual(page.$('stopCamera').disabled, false);
+        assert.deepStrictEqual(page.errors(), []);
+    });
+    
+    it('shows the same text as the conversion core for the camera frame', async () => {
+        const page = await startCamera();
+        const scene = testScene(320, 180);
+        const expected = AsciiCore.convert(scene.data, 320, 180, page.app.getConversionOptions());
+        
+        assert.strictEqual(page.$('asciiOutput').textContent, expected.text);
+        assert.strictEqual(page.$('asciiResolution').textContent, `${expected.width}×${expected.height}`);
+    });
+    
+    it('renders color output as markup', async () => {
+        const page = await startCamera({}, page => page.$('colorMode').choose('truecolor'));
+        const spans = page.$('asciiOutput').querySelectorAll('span');
+        
+        assert.ok(spans.length > 0);
+        assert.match(spans[0].getAttribute('style'), /color/);
+    });
+    
+    it('crops a wider feed to the middle of the grid', async () => {
+        // 20×10 cells of 2:1 characters show a square: the middle 200×200
+        const page = await startCamera({ camera: BAND }, page => useGrid(page, 20, 10, 'crop'));
+        assert.deepStrictEqual(outputLines(page), new Array(10).fill('@'.repeat(20)));
+    });
+    
+    it('letterboxes a wider feed with blank rows above and below', async () => {
+        const page = await startCamera({ camera: BAND }, page => useGrid(page, 20, 10, 'letterbox'));
+        const lines = outputLines(page);
+        const picture = lines.filter(line => line.trim());
+        
+        assert.strictEqual(lines.length, 10);
+        assert.ok(picture.length >= 2 && picture.length <= 3, `${picture.length} picture rows`);
+        assert.ok(lines[0].trim() === '' && lines[9].trim() === '');
+        picture.forEach(line => assert.strictEqual(line, ' '.repeat(7) + '@'.repeat(6) + ' '.repeat(7)));
+    });
+    
+    it('stretches a wider feed over the whole grid', async () => {
+        const page = await startCamera({ camera: BAND }, page => useGrid(page, 20, 10, 'stretch'));
+        assert.deepStrictEqual(outputLines(page), new Array(10).fill(' '.repeat(7) + '@'.repeat(6) + ' '.repeat(7)));
+    });
+    
+    it('mirrors the output when Mirror is on', async () => {
+        const page = await startCamera({ camera: HALVES }, page => useGrid(page, 20, 5, 'crop'));
+        assert.strictEqual(outputLines(page)[0], '@'.repeat(10) + ' '.repeat(10));
+        
+        page.$('mirrorVideo').click();
+        page.clock.animationFrame();
+        assert.strictEqual(outputLines(page)[0], ' '.repeat(10) + '@'.repeat(10));
+    });
+    
+    it('explains a denied camera permission', async () => {
+        const page = loadPage();
+        page.media.failure = mediaError('NotAllowedError');
+        page.$('startCamera').click();
+        await page.settle();
+        
+        assert.match(page.$('status').textContent, /^Camera permission denied/);
+        assert.strictEqual(page.lastAlert().type, 'error');
+        assert.strictEqual(page.app.inputSource, null);
+    });
+    
+    it('falls back to the default camera when the saved one is gone', async () => {
+        const storage = {
+            'asciiCamera.settings': JSON.stringify({ v: 2, camera: { deviceId: 'unplugged', facingMode: 'user', resolution: '1280x720', frameRate: 0 } })
+        };
+        const page = loadPage({ storage });
+        const getUserMedia = page.media.getUserMedia;
+        page.media.getUserMedia = (constraints) => constraints.video.deviceId ?
+            Promise.reject(mediaError('NotFoundError')) :
+            getUserMedia(constraints);
+        
+        page.$('startCamera').click();
+        await page.settle();
+        
+        assert.strictEqual(page.$('status').textContent, 'Active');
+        assert.strictEqual(page.media.requests[0].video.facingMode, 'user');
+        assert.strictEqual(page.app.cameraSettings.deviceId, '');
+    });
+    
+    it('releases the camera when stopped', async () => {
+        const page = await startCamera();
+        const [track] = page.media.streams[0].getVideoTracks();
+        
+        page.$('stopCamera').click();
+        assert.strictEqual(track.readyState, 'ended');
+        assert.strictEqual(page.$('startCamera').disabled, false);
+    });
+});
+
+describe('capture and copy', () => {
+    it('refuses to capture before there is any input', () => {
+        const page = loadPage();
+        page.$('captureFrame').click();
+        assert.deepStrictEqual(page.lastAlert(), { type: 'error', message: 'No input available!' });
+    });
+    
+    it('shows the captured frame', async () => {
+        const page = await startCamera();
+        page.$('captureFrame').click();
+        
+        assert.strictEqual(page.$('captureModal').style.display, 'flex');
+        assert.strictEqual(page.$('capturedAscii').textContent, page.app.currentFrame.text);
+        assert.notStrictEqual(page.$('lastCapture').textContent, '');
+        assert.deepStrictEqual(page.lastAlert(), { type: 'success', message: 'Frame captured!' });
+    });
+    
+    it('copies the live frame to the clipboard', async () => {
+        const page = await startCamera();
+        page.$('copyClipboard').click();
+        await page.settle();
+        
+        assert.strictEqual(page.clipboard.text, page.app.currentFrame.text);
+        assert.strictEqual(page.lastAlert().type, 'success');
+    });
+    
+    it('copies the captured frame, not a later one', async () => {
+        const page = await startCamera();
+        page.$('captureFrame').click();
+        const captured = page.$('capturedAscii').textContent;
+        
+        page.media.streams[0].image = createImage(320, 180, () => 128);
+        page.clock.animationFrame();
+        page.$('copyCapture').click();
+        await page.settle();
+        
+        assert.notStrictEqual(page.app.currentFrame.text, captured);
+        assert.strictEqual(page.clipboard.text, captured);
+    });
+    
+    it('reports a clipboard failure', async () => {
+        const page = await startCamera();
+        page.clipboard.fail = true;
+        page.$('copyClipboard').click();
+        await page.settle();
+        
+        assert.deepStrictEqual(page.lastAlert(), { type: 'error', message: 'Failed to copy. Please select and copy manually.' });
+    });
+});
+
+describe('saving', () => {
+    it('downloads the captured frame as text, ANSI and HTML', async () => {
+        const page = await startCamera({}, page => page.$('colorMode').choose('256'));
+        page.$('captureFrame').click();
+        page.$('downloadText').click();
+        page.$('downloadAnsi').click();
+        page.$('downloadHtml').click();
+        
+        const [text, ansi, html] = page.document.downloads;
+        assert.match(text.filename, /^ascii-camera-\d+\.txt$/);
+        assert.strictEqual(await text.blob.text(), page.app.capturedFrame.text);
+        assert.strictEqual(await ansi.blob.text(), AsciiCore.toAnsi(page.app.capturedFrame));
+        assert.match(html.filename, /\.html$/);
+        assert.strictEqual(html.blob.type, 'text/html');
+    });
+    
+    it('captures, then opens the export dialog and saves a PNG', async () => {
+        const page = await startCamera();
+        page.$('saveImage').click();
+        page.clock.advance(100);
+        assert.strictEqual(page.$('exportModal').style.display, 'flex');
+        
+        page.$('exportFormat').choose('png');
+        page.$('exportCapture').click();
+        await page.settle();
+        
+        const [download] = page.document.downloads;
+        assert.match(download.filename, /^ascii-camera-\d+\.png$/);
+        assert.strictEqual(download.blob.type, 'image/png');
+        assert.deepStrictEqual(page.lastAlert(), { type: 'success', message: 'Image saved successfully!' });
+    });
+    
+    it('saves an SVG with the frame text', async () => {
+        const page = await startCamera({}, page => page.$('asciiStyle').choose('simple'));
+        page.$('captureFrame').click();
+        page.$('saveCapture').click();
+        page.$('exportFormat').choose('svg');
+        page.$('exportCapture').click();
+        await page.settle();
+        
+        const svg = await page.document.downloads[0].blob.text();
+        const firstRow = AsciiCore.frameRows(page.app.capturedFrame)[0].join('');
+        assert.match(svg, /^<\?xml|^<svg/);
+        assert.ok(svg.includes(AsciiCore.escapeHtml(firstRow)));
+    });
+});
+
+describe('printing', () => {
+    it('previews the capture as pages, then prints them', async () => {
+        const page = await startCamera();
+        page.$('printAscii').click();
+        page.clock.advance(100);
+        
+        assert.strictEqual(page.$('printModal').style.display, 'flex');
+        assert.ok(page.$('printPreview').querySelectorAll('.print-page').length >= 1);
+        assert.match(page.$('printInfo').textContent, /^1 page/);
+        
+        page.$('printPages').click();
+        const [printWindow] = page.printWindows;
+        const firstRow = AsciiCore.frameRows(page.app.capturedFrame)[0].join('');
+        assert.ok(printWindow.html.includes(AsciiCore.escapeHtml(firstRow)));
+        assert.strictEqual(printWindow.printed, false);
+        
+        page.clock.advance(500);
+        assert.strictEqual(printWindow.printed, true);
+    });
+    
+    it('tiles a capture across several pages', async () => {
+        const page = await startCamera();
+        page.$('printAscii').click();
+        page.clock.advance(100);
+        page.$('printMode').choose('tile');
+        page.$('printPagesAcross').enter('3');
+        
+        assert.strictEqual(page.$('printPreview').querySelectorAll('.print-page').length % 3, 0);
+        assert.match(page.$('printInfo').textContent, /3 across/);
+    });
+    
+    it('asks for pop-ups when the print window is blocked', async () => {
+        const page = await startCamera({ popups: false });
+        page.$('captureFrame').click();
+        page.$('printCapture').click();
+        page.$('printPages').click();
+        
+        assert.deepStrictEqual(page.lastAlert(), { type: 'error', message: 'Allow pop-ups for this page to print' });
+    });
+});
+
+describe('keyboard and accessibility', () => {
+    it('runs actions from their default keys', async () => {
+        const page = loadPage();
+        press(page, 'c');
+        await page.settle();
+        page.clock.animationFrame();
+        assert.strictEqual(page.$('status').textContent, 'Active');
+        
+        press(page, 's');
+        assert.strictEqual(page.$('asciiStyle').value, 'blocks');
+        press(page, 'R', { shiftKey: true });
+        assert.strictEqual(page.$('resolution').value, 'low');
+        assert.deepStrictEqual(page.lastAlert(), { type: 'info', message: 'Resolution: Low (60 columns)' });
+        
+        press(page, 's', { ctrlKey: true });
+        assert.strictEqual(page.$('captureModal').style.display, 'flex');
+    });
+    
+    it('leaves plain keys to a focused field, but not Ctrl combinations', async () => {
+        const page = await startCamera();
+        page.$('presetName').focus();
+        
+        assert.strictEqual(press(page, 's').defaultPrevented, false);
+        assert.strictEqual(page.$('asciiStyle').value, 'detailed');
+        
+        press(page, 's', { ctrlKey: true });
+        assert.strictEqual(page.$('captureModal').style.display, 'flex');
+    });
+    
+    it('remaps a shortcut from the help overlay and keeps it', async () => {
+        const page = await startCamera();
+        press(page, '?');
+        assert.strictEqual(page.$('shortcutsModal').style.display, 'flex');
+        
+        // Give Capture the key of Next style, which is left without one
+        const rows = page.$('shortcutList').querySelectorAll('li');
+        rows[1].querySelector('button').click();
+        press(page, 'Shift');
+        press(page, 's');
+        assert.strictEqual(rows[1].querySelector('kbd').textContent, 'S');
+        assert.strictEqual(rows[3].querySelector('kbd').textContent, 'None');
+        assert.strictEqual(page.$('captureFrame').getAttribute('aria-keyshortcuts'), 'S');
+        
+        press(page, 'Escape');
+        press(page, 's');
+        assert.strictEqual(page.$('captureModal').style.display, 'flex');
+        assert.strictEqual(page.$('asciiStyle').value, 'detailed');
+        
+        const saved = page.window.localStorage.getItem('asciiCamera.shortcuts');
+        const reloaded = loadPage({ storage: { 'asciiCamera.shortcuts': saved } });
+        assert.strictEqual(reloaded.app.shortcuts.capture, 'S');
+        assert.strictEqual(reloaded.app.shortcuts.nextStyle, null);
+    });
+    
+    it('keeps Tab inside an open dialog and gives focus back when it closes', async () => {
+        const page = await startCamera();
+        page.$('captureFrame').focus();
+        page.$('captureFrame').click();
+        
+        // The close button comes first, Download HTML last
+        assert.strictEqual(page.document.activeElement, page.$('closeModal'));
+        assert.strictEqual(press(page, 'Tab', { shiftKey: true }).defaultPrevented, true);
+        assert.strictEqual(page.document.activeElement, page.$('downloadHtml'));
+        press(page, 'Tab');
+        assert.strictEqual(page.document.activeElement, page.$('closeModal'));
+        
+        // Shortcuts for the page behind are off while the dialog is open
+        press(page, 's');
+        assert.strictEqual(page.$('asciiStyle').value, 'detailed');
+        
+        press(page, 'Escape');
+        assert.strictEqual(page.$('captureModal').style.display, 'none');
+        assert.strictEqual(page.document.activeElement, page.$('captureFrame'));
+    });
+    
+    it('announces alerts in live regions, errors assertively', () => {
+        const page = loadPage();
+        page.$('captureFrame').click();
+        page.clock.advance(100);
+        
+        assert.strictEqual(page.$('alertAnnouncer').textContent, 'No input available!');
+        assert.strictEqual(page.$('alertAnnouncer').getAttribute('role'), 'alert');
+        assert.strictEqual(page.$('statusAnnouncer').textContent, '');
+    });
+    
+    it('describes the output instead of exposing its characters', async () => {
+        const page = await startCamera();
+        const { width, height } = page.app.currentFrame;
+        
+        assert.strictEqual(page.$('asciiOutput').getAttribute('role'), 'img');
+        assert.strictEqual(page.$('asciiOutput').getAttribute('aria-label'),
+            `ASCII art from Camera Feed, Detailed style, ${width} by ${height} characters`);
+        
+        page.$('stopCamera').click();
+        assert.strictEqual(page.$('asciiOutput').getAttribute('aria-label'), 'ASCII output, no input');
+    });
+});
+
+// Stands in for the IndexedDB gallery, which the fake DOM lacks
+function useGallery(page) {
+    const records = [];
+    page.app.galleryStore = { add: async record => records.push(record) };
+    return records;
+}
+
+function chooseCaptureMode(page, mode) {
+    page.$('captureMode').choose(mode);
+    page.$('captureModeToggle').click();
+}
+
+describe('automatic capture', () => {
+    it('counts down, then captures like the Capture button', async () => {
+        const page = await startCamera();
+        page.$('timerDelay').choose('3');
+        chooseCaptureMode(page, 'timer');
+        await page.settle();
+        
+        assert.strictEqual(page.$('countdown').textContent, '3');
+        assert.strictEqual(page.$('countdown').style.display, 'flex');
+        page.clock.advance(1000);
+        assert.strictEqual(page.$('countdown').textContent, '2');
+        assert.strictEqual(page.$('captureModal').style.display, undefined);
+        
+        page.clock.advance(2000);
+        assert.strictEqual(page.$('captureModal').style.display, 'flex');
+        assert.strictEqual(page.$('countdown').style.display, 'none');
+        assert.strictEqual(page.$('captureModeStatus').textContent, 'Off');
+    });
+    
+    it('saves a burst of frames to the gallery', async () => {
+        const page = await startCamera();
+        const records = useGallery(page);
+        page.$('burstCount').enter('3');
+        page.$('burstInterval').enter('200');
+        chooseCaptureMode(page, 'burst');
+        await page.settle();
+        page.clock.advance(400);
+        await page.settle();
+        
+        assert.deepStrictEqual(records.map(record => record.name.split(' ').slice(0, 2).join(' ')), ['Burst 1/3', 'Burst 2/3', 'Burst 3/3']);
+        assert.deepStrictEqual(page.lastAlert(), { type: 'success', message: 'Burst of 3 frames saved to the gallery' });
+        assert.strictEqual(page.$('captureModeStatus').textContent, 'Off');
+    });
+    
+    it('keeps taking time-lapse frames until stopped', async () => {
+        const page = await startCamera();
+        const records = useGallery(page);
+        page.$('lapseInterval').enter('1');
+        chooseCaptureMode(page, 'timelapse');
+        await page.settle();
+        page.clock.advance(2500);
+        
+        page.$('captureModeToggle').click();
+        page.clock.advance(5000);
+        await page.settle();
+        assert.strictEqual(records.length, 3);
+        assert.strictEqual(page.$('captureModeStatus').textContent, 'Off');
+    });
+    
+    it('captures when the picture changes, then rests for the pause time', async () => {
+        const page = await startCamera();
+        const records = useGallery(page);
+        const stream = page.media.streams[0];
+        chooseCaptureMode(page, 'motion');
+        await page.settle();
+        
+        // The first frame only sets the baseline; a still scene stays quiet
+        page.clock.animationFrame();
+        page.clock.animationFrame();
+        assert.strictEqual(page.$('captureModeStatus').textContent, 'Watching');
+        
+        stream.image = createImage(320, 180, () => 255);
+        page.clock.animationFrame();
+        stream.image = createImage(320, 180, () => 0);
+        page.clock.animationFrame();
+        await page.settle();
+        assert.strictEqual(records.length, 1);
+        assert.match(records[0].name, /^Motion /);
+        
+        page.clock.animationFrame(5000);
+        stream.image = createImage(320, 180, () => 255);
+        page.clock.animationFrame();
+        await page.settle();
+        assert.strictEqual(records.length, 2);
+    });
+    
+    it('stops with the input', async () => {
+        const page = await startCamera();
+        useGallery(page);
+        chooseCaptureMode(page, 'timelapse');
+        await page.settle();
+        
+        page.$('stopCamera').click();
+        assert.strictEqual(page.app.captureRun, null);
+        assert.strictEqual(page.$('captureModeToggle').disabled, true);
+    });
+});
+
+describe('plugins', () => {
+    const EXAMPLE_URL = pathToFileURL(path.join(__dirname, '..', 'plugins', 'example.js')).href;
+    
+    // Load the example plugin through the Plugins dialog. The module is
+    // imported from disk up front, as settle() can't wait for file reads.
+    async function addExamplePlugin(page) {
+        const module = await import(EXAMPLE_URL);
+        page.app.importModule = async () => module;
+        page.$('openPlugins').click();
+        page.$('pluginUrl').enter('plugins/example.js');
+        page.$('addPlugin').click();
+        await page.settle();
+    }
+    
+    function exporterButton(page, name) {
+        return page.$('captureActions').querySelectorAll('button').find(button => button.textContent.includes(name));
+    }
+    
+    it('loads a plugin from the dialog and offers what it registers', async () => {
+        const page = loadPage();
+        await addExamplePlugin(page);
+        
+        assert.deepStrictEqual(page.lastAlert(), { type: 'success', message: 'Loaded Example plugin: 2 styles, 1 filter, 1 exporter' });
+        assert.match(page.$('pluginList').textContent, /Example plugin.*http:\/\/localhost\/plugins\/example\.js/);
+        assert.deepStrictEqual(JSON.parse(page.window.localStorage.getItem('asciiCamera.plugins')), ['http://localhost/plugins/example.js']);
+        
+        const styles = page.$('pluginStyles').querySelectorAll('option').map(option => option.value);
+        assert.deepStrictEqual(styles, ['plugin:dots', 'plugin:hex']);
+        assert.ok(page.$('effectType').querySelectorAll('option').some(option => option.value === 'plugin:invert'));
+        assert.ok(exporterButton(page, 'Download JSON'));
+    });
+    
+    it('renders with a plugin style and downloads with a plugin exporter', async () => {
+        const page = await startCamera({ camera: HALVES });
+        await addExamplePlugin(page);
+        page.$('asciiStyle').choose('plugin:hex');
+        page.clock.animationFrame();
+        
+        assert.match(outputLines(page)[0], /^F+0+$/);
+        page.$('captureFrame').click();
+        exporterButton(page, 'Download JSON').click();
+        await page.settle();
+        
+        const [download] = page.document.downloads;
+        assert.match(download.filename, /^ascii-camera-\d+\.json$/);
+        assert.strictEqual(download.blob.type, 'application/json');
+        assert.deepStrictEqual(JSON.parse(await download.blob.text()).rows, AsciiCore.frameRows(page.app.capturedFrame).map(row => row.join('')));
+        assert.deepStrictEqual(page.lastAlert(), { type: 'success', message: 'Download JSON downloaded!' });
+    });
+    
+    it('takes a removed plugin\'s styles and buttons away', async () => {
+        const page = loadPage();
+        await addExamplePlugin(page);
+        page.$('asciiStyle').choose('plugin:dots');
+        
+        page.$('pluginList').querySelector('button').click();
+        assert.strictEqual(page.$('asciiStyle').value, 'detailed');
+        assert.strictEqual(exporterButton(page, 'Download JSON'), undefined);
+        assert.strictEqual(page.$('pluginList').textContent, 'No plugins loaded');
+        assert.deepStrictEqual(JSON.parse(page.window.localStorage.getItem('asciiCamera.plugins')), []);
+    });
+    
+    it('refuses modules from other sites', async () => {
+        const page = loadPage();
+        page.$('openPlugins').click();
+        page.$('pluginUrl').enter('https://example.com/plugin.js');
+        page.$('addPlugin').click();
+        await page.settle();
+        
+        assert.deepStrictEqual(page.lastAlert(), { type: 'error', message: 'Could not load the plugin: Plugins must be loaded from this site' });
+        assert.strictEqual(page.$('pluginList').textContent, 'No plugins loaded');
+    });
+});
+
+describe('editing captures', () => {
+    // Capture the halves feed as 20×5 cells, "@" on the left and spaces on
+    // the right, and open the editor on it
+    async function editCapture() {
+        const page = await startCamera({ camera: HALVES }, page => useGrid(page, 20, 5, 'crop'));
+        page.$('captureFrame').click();
+        page.$('editCapture').click();
+        return page;
+    }
+    
+    // Nothing is laid out in the fake DOM, so the editor keeps the cell
+    // size of its stylesheet: 7.2×12 pixels
+    function pointer(page, type, x, y) {
+        const event = new FakeEvent(type, { clientX: (x + 0.5) * 7.2, clientY: (y + 0.5) * 12, bubbles: true });
+        page.$('capturedAscii').dispatchEvent(event);
+    }
+    
+    function capturedRows(page) {
+        return page.app.capturedFrame.text.split('\n').slice(0, -1);
+    }
+    
+    it('draws with the pointer, and the capture\'s buttons use the edits', async () => {
+        const page = await editCapture();
+        assert.strictEqual(page.$('editorToolbar').style.display, 'flex');
+        assert.strictEqual(page.document.activeElement, page.$('capturedAscii'));
+        
+        page.$('editorGlyph').enter('*');
+        pointer(page, 'pointerdown', 12, 1);
+        pointer(page, 'pointermove', 15, 1);
+        pointer(page, 'pointerup', 15, 1);
+        
+        assert.strictEqual(capturedRows(page)[1], '@@@@@@@@@@  ****    ');
+        assert.match(page.$('capturedAscii').textContent.split('\n')[1], /^@{10} {2}\*{4} {4}$/);
+        
+        page.$('copyCapture').click();
+        page.$('downloadText').click();
+        await page.settle();
+        assert.strictEqual(page.clipboard.text, page.app.capturedFrame.text);
+        assert.strictEqual(await page.document.downloads[0].blob.text(), page.app.capturedFrame.text);
+        
+        // One stroke is one step back
+        page.$('editorUndo').click();
+        assert.strictEqual(capturedRows(page)[1], '@'.repeat(10) + ' '.repeat(10));
+        assert.strictEqual(page.$('editorUndo').disabled, true);
+    });
+    
+    it('draws lines and types text from the keyboard, with undo and redo', async () => {
+        const page = await editCapture();
+        page.$('editorGlyph').enter('#');
+        
+        press(page, 'l');
+        press(page, ' ');
+        ['ArrowRight', 'ArrowRight', 'ArrowDown', 'ArrowRight'].forEach(key => press(page, key));
+        assert.strictEqual(page.$('editorStatus').textContent, 'Column 4, row 2');
+        press(page, 'Enter');
+        assert.deepStrictEqual(capturedRows(page).slice(0, 2).map(row => row.slice(0, 5)), ['##@@@', '@@##@']);
+        
+        press(page, 'z', { ctrlKey: true });
+        assert.strictEqual(capturedRows(page)[0], '@'.repeat(10) + ' '.repeat(10));
+        press(page, 'y', { ctrlKey: true });
+        assert.strictEqual(capturedRows(page)[0].slice(0, 2), '##');
+        
+        page.$('editorToolbar').querySelector('[data-tool="text"]').click();
+        page.$('capturedAscii').focus();
+        ['ArrowRight', 'ArrowRight', 'ArrowRight', 'ArrowRight', 'ArrowRight', 'ArrowRight', 'ArrowRight'].forEach(key => press(page, key));
+        ['H', 'i', 'Enter', 'y', 'o', 'Backspace'].forEach(key => press(page, key));
+        assert.deepStrictEqual(capturedRows(page).slice(1, 3).map(row => row.slice(10)), ['Hi        ', 'y         ']);
+    });
+    
+    it('selects, copies, pastes and crops a region', async () => {
+        const page = await editCapture();
+        page.$('editorToolbar').querySelector('[data-tool="select"]').click();
+        pointer(page, 'pointerdown', 8, 0);
+        pointer(page, 'pointermove', 11, 1);
+        pointer(page, 'pointerup', 11, 1);
+        assert.match(page.$('editorStatus').textContent, /4×2 selected$/);
+        
+        press(page, 'c', { ctrlKey: true });
+        await page.settle();
+        assert.strictEqual(page.clipboard.text, '@@  \n@@  ');
+        
+        pointer(page, 'pointerdown', 16, 3);
+        pointer(page, 'pointerup', 16, 3);
+        page.$('editorPaste').click();
+        assert.deepStrictEqual(capturedRows(page).slice(3).map(row => row.slice(16)), ['@@  ', '@@  ']);
+        assert.match(page.$('editorStatus').textContent, /4×2 selected$/);
+        
+        press(page, 'Delete');
+        assert.strictEqual(capturedRows(page)[3].slice(16), '    ');
+        
+        pointer(page, 'pointerdown', 9, 2);
+        pointer(page, 'pointermove', 10, 4);
+        pointer(page, 'pointerup', 10, 4);
+        page.$('editorCrop').click();
+        assert.deepStrictEqual(capturedRows(page), ['@ ', '@ ', '@ ']);
+        assert.deepStrictEqual([page.app.capturedFrame.width, page.app.capturedFrame.height], [2, 3]);
+        assert.strictEqual(page.$('capturedAscii').getAttribute('aria-label'), 'Captured frame, 2 by 3 characters');
+        
+        page.$('editorUndo').click();
+        assert.strictEqual(page.app.capturedFrame.width, 20);
+    });
+    
+    it('fills areas in the chosen color of a color capture', async () => {
+        const page = await startCamera({ camera: HALVES }, page => {
+            useGrid(page, 20, 5, 'crop');
+            page.$('colorMode').choose('truecolor');
+        });
+        page.$('captureFrame').click();
+        page.$('editCapture').click();
+        assert.strictEqual(page.$('editorColorLabel').style.display, '');
+        
+        page.$('editorGlyph').enter('~');
+        page.$('editorColor').enter('#ff0000');
+        press(page, 'f');
+        pointer(page, 'pointerdown', 15, 2);
+        pointer(page, 'pointerup', 15, 2);
+        
+        const frame = page.app.capturedFrame;
+        assert.ok(capturedRows(page).every(row => row === '@'.repeat(10) + '~'.repeat(10)));
+        assert.deepStrictEqual(Array.from(frame.colors.subarray(10 * 3, 10 * 3 + 3)), [255, 0, 0]);
+        assert.deepStrictEqual(Array.from(frame.colors.subarray(0, 3)), [255, 255, 255]);
+        assert.ok(AsciiCore.toAnsi(frame).includes('\x1b[38;2;255;0;0m~'));
+    });
+    
+    it('drops a selection on Escape, then closes, and starts over for the next capture', async () => {
+        const page = await editCapture();
+        press(page, 'a', { ctrlKey: true });
+        assert.match(page.$('editorStatus').textContent, /20×5 selected$/);
+        press(page, 'Delete');
+        
+        press(page, 'Escape');
+        assert.strictEqual(page.$('captureModal').style.display, 'flex');
+        assert.doesNotMatch(page.$('editorStatus').textContent, /selected/);
+        press(page, 'Escape');
+        assert.strictEqual(page.$('captureModal').style.display, 'none');
+        assert.strictEqual(page.$('editorToolbar').style.display, 'none');
+        
+        page.$('captureFrame').click();
+        assert.strictEqual(page.$('editCapture').getAttribute('aria-pressed'), 'false');
+        assert.strictEqual(capturedRows(page)[0], '@'.repeat(10) + ' '.repeat(10));
+        assert.strictEqual(page.$('capturedAscii').getAttribute('role'), 'img');
+    });
+    
+    it('leaves the next capture alone when the dialog closes during a cut', async () => {
+        const page = await editCapture();
+        press(page, 'a', { ctrlKey: true });
+        press(page, 'x', { ctrlKey: true });
+        press(page, 'Escape');
+        press(page, 'Escape');
+        await page.settle();
+        assert.strictEqual(page.$('captureModal').style.display, 'none');
+        
+        // Closed and reopened on a new capture before the clipboard answers
+        page.$('captureFrame').click();
+        page.$('editCapture').click();
+        press(page, 'a', { ctrlKey: true });
+        press(page, 'x', { ctrlKey: true });
+        press(page, 'Escape');
+        press(page, 'Escape');
+        page.$('captureFrame').click();
+        page.$('editCapture').click();
+        await page.settle();
+        
+        assert.strictEqual(page.clipboard.text.split('\n')[0], '@'.repeat(10) + ' '.repeat(10));
+        assert.ok(capturedRows(page).every(row => row === '@'.repeat(10) + ' '.repeat(10)));
+        assert.strictEqual(page.$('editorUndo').disabled, true);
+    });
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const AsciiCore = require('../js/ascii-core.js');
+const { createImage, horizontalGradient, verticalGradient } = require('./helpers/fake-media.js');
+
+// Frame rows as strings, without the trailing newline
+function lines(frame) {
+    return AsciiCore.frameRows(frame).map(chars => chars.join(''));
+}
+
+// Position of each character in a ramp, for checking the order of a row
+function rampIndices(text, ramp) {
+    return Array.from(text).map(char => ramp.indexOf(char));
+}
+
+function isSorted(values) {
+    return values.every((value, i) => i === 0 || values[i - 1] <= value);
+}
+
+describe('calculateTargetDimensions', () => {
+    it('uses the preset column count and derives the rows from the source shape', () => {
+        assert.deepStrictEqual(
+            AsciiCore.calculateTargetDimensions({ resolution: 'medium', sourceWidth: 640, sourceHeight: 360 }),
+            { width: 100, height: 28 });
+        assert.deepStrictEqual(
+            AsciiCore.calculateTargetDimensions({ resolution: 'ultra-low', sourceWidth: 400, sourceHeight: 400 }),
+            { width: 40, height: 20 });
+    });
+    
+    it('gives more rows to squarer characters', () => {
+        assert.deepStrictEqual(
+            AsciiCore.calculateTargetDimensions({ resolution: 'medium', sourceWidth: 640, sourceHeight: 360, characterAspect: 1 }),
+            { width: 100, height: 56 });
+    });
+    
+    it('uses one column per 8 pixels in native resolution, up to the maximum', () => {
+        assert.deepStrictEqual(
+            AsciiCore.calculateTargetDimensions({ resolution: 'native', sourceWidth: 320, sourceHeight: 160 }),
+            { width: 40, height: 10 });
+        assert.strictEqual(
+            AsciiCore.calculateTargetDimensions({ resolution: 'native', sourceWidth: 3840, sourceHeight: 2160 }).width,
+            AsciiCore.MAX_NATIVE_WIDTH);
+    });
+    
+    it('lets an explicit size win over the preset', () => {
+        assert.deepStrictEqual(
+            AsciiCore.calculateTargetDimensions({ resolution: 'ultra', width: 33, height: 7, sourceWidth: 640, sourceHeight: 360 }),
+            { width: 33, height: 7 });
+    });
+    
+    it('falls back to the medium preset for an unknown name', () => {
+        assert.strictEqual(
+            AsciiCore.calculateTargetDimensions({ resolution: 'huge', sourceWidth: 640, sourceHeight: 360 }).width,
+            AsciiCore.RESOLUTIONS.medium.width);
+    });
+});
+
+describe('calculateCrop', () => {
+    it('cuts the sides of a wider source, centered', () => {
+        assert.deepStrictEqual(AsciiCore.calculateCrop(400, 100, 100, 100), { sx: 150, sy: 0, sWidth: 100, sHeight: 100 });
+    });
+    
+    it('cuts the top and bottom of a taller source, centered', () => {
+        assert.deepStrictEqual(AsciiCore.calculateCrop(100, 400, 100, 100), { sx: 0, sy: 150, sWidth: 100, sHeight: 100 });
+    });
+    
+    it('keeps a source of the same shape whole', () => {
+        assert.deepStrictEqual(AsciiCore.calculateCrop(640, 360, 16, 9), { sx: 0, sy: 0, sWidth: 640, sHeight: 360 });
+    });
+});
+
+describe('calculatePlacement', () => {
+    // A 20×10 grid of 2:1 characters is displayed square
+    it('crops the source to the displayed shape of the grid', () => {
+        const { crop, dest } = AsciiCore.calculatePlacement(400, 100, 20, 10, { fit: 'crop', characterAspect: 2 });
+        assert.deepStrictEqual(crop, { sx: 150, sy: 0, sWidth: 100, sHeight: 100 });
+        assert.deepStrictEqual(dest, { dx: 0, dy: 0, dWidth: 20, dHeight: 10 });
+    });
+    
+    it('letterboxes the whole source in the middle of the grid', () => {
+        const { crop, dest } = AsciiCore.calculatePlacement(400, 100, 20, 10, { fit: 'letterbox', characterAspect: 2 });
+        assert.deepStrictEqual(crop, { sx: 0, sy: 0, sWidth: 400, sHeight: 100 });
+        assert.deepStrictEqual(dest, { dx: 0, dy: 3.75, dWidth: 20, dHeight: 2.5 });
+    });
+    
+    it('stretches the whole source over the whole grid', () => {
+        const { crop, dest } = AsciiCore.calculatePlacement(400, 100, 20, 10, { fit: 'stretch', characterAspect: 2 });
+        assert.deepStrictEqual(crop, { sx: 0, sy: 0, sWidth: 400, sHeight: 100 });
+        assert.deepStrictEqual(dest, { dx: 0, dy: 0, dWidth: 20, dHeight: 10 });
+    });
+});
+
+describe('planFrame', () => {
+    it('samples several pixels per cell for the high-density styles', () => {
+        const plan = AsciiCore.planFrame(400, 100, { charset: 'braille', width: 20, height: 10, fit: 'letterbox' });
+        assert.strictEqual(plan.pixelWidth, 40);
+        assert.strictEqual(plan.pixelHeight, 40);
+        assert.deepStrictEqual(plan.dest, { dx: 0, dy: 15, dWidth: 40, dHeight: 10 });
+    });
+});
+
+// Vertical bands from black to white, each gray level in the middle of one
+// step of a ramp with as many characters as there are bands
+function grayBands(width, height, bands) {
+    return createImage(width, height, x => {
+        const band = Math.floor(x * bands / width);
+        return Math.min(255, Math.round((band + 0.5) * 255 / (bands - 1)));
+    });
+}
+
+describe('convert', () => {
+    // 100×80 pixels fill a 10×4 grid of 2:1 characters without cropping
+    const gradient = horizontalGradient(100, 80);
+    const bands = grayBands(100, 80, 10);
+    
+    it('maps each step of gray to the next character of the ramp', () => {
+        const frame = AsciiCore.convert(bands.data, 100, 80, { charset: 'simple', width: 10, height: 4 });
+        
+        assert.strictEqual(frame.width, 10);
+        assert.strictEqual(frame.height, 4);
+        assert.strictEqual(frame.text, `${AsciiCore.CHARSETS.simple}\n`.repeat(4));
+    });
+    
+    it('keeps a horizontal gradient in ramp order', () => {
+        const frame = AsciiCore.convert(gradient.data, 100, 80, { charset: 'detailed', width: 10, height: 4 });
+        lines(frame).forEach(row => {
+            assert.strictEqual(row, lines(frame)[0]);
+            assert.ok(isSorted(rampIndices(row, AsciiCore.CHARSETS.detailed)), `"${row}" is not in ramp order`);
+        });
+    });
+    
+    it('maps a vertical gradient row by row', () => {
+        const vertical = verticalGradient(40, 160);
+        const frame = AsciiCore.convert(vertical.data, 40, 160, { charset: 'simple', width: 4, height: 8 });
+        const firstColumn = lines(frame).map(row => row[0]).join('');
+        
+        lines(frame).forEach(row => assert.strictEqual(new Set(row).size, 1));
+        assert.ok(isSorted(rampIndices(firstColumn, AsciiCore.CHARSETS.simple)));
+    });
+    
+    it('runs the inverse style the other way round', () => {
+        const frame = AsciiCore.convert(bands.data, 100, 80, { charset: 'inverse', width: 10, height: 4 });
+        assert.strictEqual(lines(frame)[0], AsciiCore.CHARSETS.inverse);
+    });
+    
+    it('accepts a custom ramp, with glyphs outside the BMP', () => {
+        const thirds = grayBands(60, 80, 3);
+        const frame = AsciiCore.convert(thirds.data, 60, 80, { charset: '🌑🌓🌕', width: 6, height: 4 });
+        assert.deepStrictEqual(Array.from(lines(frame)[0]), ['🌑', '🌑', '🌓', '🌓', '🌕', '🌕']);
+    });
+    
+    it('keeps every row the full width in every style', () => {
+        AsciiCore.STYLES.forEach(style => {
+            const frame = AsciiCore.convert(gradient.data, 100, 80, { charset: style, width: 10, height: 4 });
+            assert.deepStrictEqual(AsciiCore.frameRows(frame).map(row => row.length), [10, 10, 10, 10], style);
+        });
+    });
+    
+    it('reports cell colors in truecolor', () => {
+        const frame = AsciiCore.convert(gradient.data, 100, 80, { charset: 'simple', colorMode: 'truecolor', width: 10, height: 4 });
+        const reds = Array.from({ length: 10 }, (value, x) => frame.colors[x * 3]);
+        
+        assert.strictEqual(frame.colors.length, 10 * 4 * 3);
+        assert.strictEqual(frame.codes, null);
+        assert.ok(isSorted(reds));
+        assert.ok(reds[0] < 20 && reds[9] > 235);
+    });
+    
+    it('reports palette codes in the 256 and 16 color modes', () => {
+        [['256', 256], ['16', 16]].forEach(([colorMode, size]) => {
+            const frame = AsciiCore.convert(gradient.data, 100, 80, { charset: 'simple', colorMode, width: 10, height: 4 });
+            assert.strictEqual(frame.codes.length, 40);
+            assert.ok(Array.from(frame.codes).every(code => code < size), colorMode);
+        });
+    });
+    
+    it('leaves the letterbox margins blank and black', () => {
+        // Shown 10 characters wide, the source is one row high
+        const white = createImage(80, 16, () => 255);
+        const frame = AsciiCore.convert(white.data, 80, 16, {
+            charset: 'inverse', colorMode: 'truecolor', width: 10, height: 9, fit: 'letterbox'
+        });
+        
+        assert.deepStrictEqual(lines(frame), [
+            '          ', '          ', '          ', '          ',
+            '@@@@@@@@@@',
+            '          ', '          ', '          ', '          '
+        ]);
+        assert.deepStrictEqual(Array.from(frame.colors.slice(0, 3)), [0, 0, 0]);
+        assert.deepStrictEqual(Array.from(frame.colors.slice(40 * 3, 40 * 3 + 3)), [255, 255, 255]);
+    });
+    
+    it('brightens the picture with the tone settings', () => {
+        const gray = createImage(100, 80, () => 100);
+        const plain = AsciiCore.convert(gray.data, 100, 80, { charset: 'inverse', width: 10, height: 4 });
+        const bright = AsciiCore.convert(gray.data, 100, 80, {
+            charset: 'inverse', width: 10, height: 4, tone: { ...AsciiCore.DEFAULT_TONE, brightness: 50 }
+        });
+        const ramp = AsciiCore.CHARSETS.inverse;
+        assert.ok(ramp.indexOf(bright.text[0]) > ramp.indexOf(plain.text[0]));
+    });
+});
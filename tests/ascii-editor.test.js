@@ -0,0 +1,162 @@
+'use strict';
+
+// The capture editor's grid: tools, regions and undo, and the way back to
+// a frame the export, print and copy code already handles
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const AsciiCore = require('../js/ascii-core.js');
+const AsciiEditor = require('../js/ascii-editor.js');
+const { testScene } = require('./helpers/fake-media.js');
+
+// A mono frame from its rows
+function textFrame(rows) {
+    return {
+        text: rows.map(row => row + '\n').join(''),
+        width: rows[0].length,
+        height: rows.length,
+        colorMode: 'mono',
+        colors: null,
+        codes: null,
+        backgrounds: null,
+        backgroundCodes: null
+    };
+}
+
+function rowsOf(grid) {
+    return AsciiEditor.toText(grid).split('\n');
+}
+
+function blankGrid(width, height) {
+    return AsciiEditor.fromFrame(textFrame(new Array(height).fill(' '.repeat(width))));
+}
+
+const HASH = { char: '#', color: null };
+
+describe('grid', () => {
+    it('takes a color frame apart and puts it back together', () => {
+        const scene = testScene(80, 40);
+        const frame = AsciiCore.convert(scene.data, 80, 40, { charset: 'detailed', width: 16, height: 6, colorMode: '256' });
+        const grid = AsciiEditor.fromFrame(frame);
+        
+        assert.strictEqual(grid.chars.length, 16 * 6);
+        const rebuilt = AsciiEditor.toFrame(grid);
+        assert.deepStrictEqual(rebuilt, frame);
+        assert.notStrictEqual(rebuilt.colors, grid.colors);
+        assert.strictEqual(AsciiCore.toAnsi(rebuilt), AsciiCore.toAnsi(frame));
+    });
+    
+    it('quantizes the brush color to the frame\'s color mode', () => {
+        const color = AsciiEditor.fromFrame({ ...textFrame(['ab']), colorMode: '16', colors: new Uint8ClampedArray(6), codes: new Uint8Array(2) });
+        const brush = AsciiEditor.createBrush(color, 'xyz', '#fe0101');
+        assert.strictEqual(brush.char, 'x');
+        assert.deepStrictEqual(brush.color, AsciiCore.quantizeColor(254, 1, 1, '16'));
+        
+        AsciiEditor.paintCell(color, 1, 0, brush);
+        assert.deepStrictEqual(Array.from(color.colors), [0, 0, 0, brush.color.r, brush.color.g, brush.color.b]);
+        assert.deepStrictEqual(Array.from(color.codes), [0, brush.color.code]);
+        
+        assert.deepStrictEqual(AsciiEditor.createBrush(blankGrid(2, 1), '', '#ff0000'), { char: ' ', color: null });
+    });
+    
+    it('marks up cells with their colors and classes', () => {
+        const grid = AsciiEditor.fromFrame(textFrame(['a<b', 'cde']));
+        const html = AsciiEditor.toHtml(grid, (x, y) => (x === 1 && y === 0 ? 'editor-cursor' : ''));
+        assert.strictEqual(html, 'a<span class="editor-cursor">&lt;</span>b\ncde\n');
+        
+        grid.colors = new Uint8ClampedArray(18).fill(255);
+        assert.match(AsciiEditor.toHtml(grid).split('\n')[1], /^<span style="color:#ffffff">cde<\/span>$/);
+    });
+});
+
+describe('tools', () => {
+    it('draws lines and rectangle outlines', () => {
+        const grid = blankGrid(6, 4);
+        AsciiEditor.paintPoints(grid, AsciiEditor.linePoints({ x: 0, y: 0 }, { x: 5, y: 3 }), HASH);
+        assert.deepStrictEqual(rowsOf(grid), ['#     ', ' ##   ', '   ## ', '     #']);
+        
+        const box = blankGrid(5, 4);
+        const rect = AsciiEditor.normalizeRect({ x: 4, y: 3 }, { x: 1, y: 1 });
+        assert.deepStrictEqual(rect, { x: 1, y: 1, width: 4, height: 3 });
+        AsciiEditor.paintPoints(box, AsciiEditor.rectPoints(rect), HASH);
+        assert.deepStrictEqual(rowsOf(box), ['     ', ' ####', ' #  #', ' ####']);
+        assert.strictEqual(AsciiEditor.rectPoints({ x: 0, y: 0, width: 1, height: 1 }).length, 1);
+    });
+    
+    it('fills the area of the same character up to its border', () => {
+        const grid = AsciiEditor.fromFrame(textFrame(['.....', '.###.', '.#..#', '.###.']));
+        assert.strictEqual(AsciiEditor.floodFill(grid, 2, 2, { char: 'o', color: null }), 2);
+        assert.deepStrictEqual(rowsOf(grid), ['.....', '.###.', '.#oo#', '.###.']);
+        
+        assert.strictEqual(AsciiEditor.floodFill(grid, 0, 0, { char: '.', color: null }), 9);
+        assert.strictEqual(AsciiEditor.floodFill(grid, 9, 9, HASH), 0);
+    });
+    
+    it('types text from a cell, back to its column after a line break', () => {
+        const grid = blankGrid(6, 3);
+        const end = AsciiEditor.writeText(grid, 2, 0, 'abcdef\nxy', HASH);
+        assert.deepStrictEqual(rowsOf(grid), ['  abcd', '  xy  ', '      ']);
+        assert.deepStrictEqual(end, { x: 4, y: 1 });
+    });
+});
+
+describe('regions', () => {
+    it('copies a region with its colors and pastes it clipped to the grid', () => {
+        const grid = AsciiEditor.fromFrame({ ...textFrame(['abc', 'def']), colorMode: 'truecolor', colors: Uint8ClampedArray.from({ length: 18 }, (value, i) => i) });
+        const region = AsciiEditor.copyRegion(grid, { x: 1, y: 0, width: 5, height: 2 });
+        assert.deepStrictEqual([region.width, region.height, region.chars], [2, 2, ['b', 'c', 'e', 'f']]);
+        assert.deepStrictEqual(Array.from(region.colors.subarray(0, 3)), [3, 4, 5]);
+        
+        AsciiEditor.pasteRegion(grid, region, 2, 1);
+        assert.deepStrictEqual(rowsOf(grid), ['abc', 'deb']);
+        assert.deepStrictEqual(Array.from(grid.colors.subarray(15, 18)), [3, 4, 5]);
+        
+        // Colors of another mode don't carry over
+        const mono = blankGrid(2, 1);
+        AsciiEditor.pasteRegion(mono, region, 0, 0);
+        assert.deepStrictEqual(rowsOf(mono), ['bc']);
+        assert.strictEqual(mono.colors, null);
+    });
+    
+    it('clears and crops to a region', () => {
+        const grid = AsciiEditor.fromFrame(textFrame(['abcd', 'efgh', 'ijkl']));
+        AsciiEditor.clearRegion(grid, { x: 0, y: 0, width: 2, height: 1 }, AsciiEditor.createBrush(grid, ' '));
+        assert.deepStrictEqual(rowsOf(grid), ['  cd', 'efgh', 'ijkl']);
+        
+        const cropped = AsciiEditor.cropGrid(grid, { x: 1, y: 1, width: 2, height: 2 });
+        assert.strictEqual(AsciiEditor.toFrame(cropped).text, 'fg\njk\n');
+    });
+});
+
+describe('history', () => {
+    it('undoes and redoes whole changes, and forgets the redo on a new change', () => {
+        const history = AsciiEditor.createHistory();
+        let grid = blankGrid(2, 1);
+        
+        AsciiEditor.record(history, grid);
+        AsciiEditor.paintCell(grid, 0, 0, HASH);
+        AsciiEditor.record(history, grid);
+        AsciiEditor.paintCell(grid, 1, 0, HASH);
+        
+        grid = AsciiEditor.undo(history, grid);
+        assert.deepStrictEqual(rowsOf(grid), ['# ']);
+        grid = AsciiEditor.undo(history, grid);
+        assert.deepStrictEqual(rowsOf(grid), ['  ']);
+        assert.strictEqual(AsciiEditor.undo(history, grid), null);
+        
+        grid = AsciiEditor.redo(history, grid);
+        assert.deepStrictEqual(rowsOf(grid), ['# ']);
+        AsciiEditor.record(history, grid);
+        assert.strictEqual(AsciiEditor.redo(history, grid), null);
+    });
+    
+    it('keeps a limited number of steps', () => {
+        const history = AsciiEditor.createHistory(2);
+        const grid = blankGrid(1, 1);
+        ['a', 'b', 'c'].forEach(char => {
+            AsciiEditor.record(history, grid);
+            AsciiEditor.paintCell(grid, 0, 0, { char, color: null });
+        });
+        assert.deepStrictEqual(history.past.map(step => step.chars[0]), ['a', 'b']);
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+// The command-line image decoders: a cut-off file fails with a message that
+// says so and names the file, not with an error from deep inside Buffer
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { DecodeError, decodeImage } = require('../cli/decoders.js');
+const { readImage } = require('../cli/ascii-camera.js');
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+// A gray RGB PNG, unfiltered
+function grayPng(width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 2;
+    const stride = 1 + width * 3;
+    const raw = Buffer.alloc(height * stride, 0x80);
+    for (let y = 0; y < height; y++) raw[y * stride] = 0;
+    
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+describe('truncated images', () => {
+    it('fail as a DecodeError wherever a PNG is cut', () => {
+        const png = grayPng(4, 4);
+        assert.deepStrictEqual(Array.from(decodeImage(png).data.subarray(0, 4)), [0x80, 0x80, 0x80, 255]);
+        
+        // The decoder neither checks CRCs nor needs IEND, so every cut up
+        // to the end of the image data must fail
+        for (let length = 8; length < png.length - 16; length++) {
+            assert.throws(() => decodeImage(png.subarray(0, length)), DecodeError, `cut at ${length} bytes`);
+        }
+        assert.throws(() => decodeImage(png.subarray(0, 16)), /^DecodeError: Truncated or corrupt PNG data$/);
+    });
+    
+    it('fail as a DecodeError when a JPEG is cut after a marker', () => {
+        // A whole quantization table, then the start of a frame header
+        const jpeg = Buffer.concat([
+            Buffer.from([0xff, 0xd8, 0xff, 0xdb, 0x00, 0x43, 0x00]),
+            Buffer.alloc(64, 1),
+            Buffer.from([0xff, 0xc0])
+        ]);
+        assert.throws(() => decodeImage(jpeg), /^DecodeError: Truncated or corrupt JPEG data$/);
+    });
+    
+    it('name the file they came from', (t) => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ascii-camera-'));
+        t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+        const file = path.join(directory, 'frame-002.png');
+        fs.writeFileSync(file, grayPng(4, 4).subarray(0, 40));
+        
+        assert.throws(() => readImage(file), {
+            name: 'DecodeError',
+            message: `${file}: Truncated or corrupt PNG data`
+        });
+    });
+});
@@ -0,0 +1,977 @@
+'use strict';
+
+// Just enough of a browser to run the page headlessly: a document parsed
+// from index.html, a 2D canvas that really draws pixels (so the crop and
+// mirror math can be checked), timers and animation frames that only run
+// when a test advances them, and recorders for downloads, the clipboard,
+// alerts and print windows.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMediaDevices } = require('./fake-media.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+const REFLECTED = ['id', 'title', 'type', 'min', 'max', 'step', 'src', 'href', 'download', 'name', 'placeholder', 'accept'];
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', times: '×' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return ENTITIES[name] !== undefined ? ENTITIES[name] : match;
+    });
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Markup to nodes under parent. Handles the well-formed HTML the page and
+// its renderers produce; scripts and comments are skipped.
+function parseHtml(html, parent) {
+    const document = parent.ownerDocument;
+    const pattern = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/g;
+    const stack = [parent];
+    let match;
+    
+    while ((match = pattern.exec(html))) {
+        const current = stack[stack.length - 1];
+        const [, closing, tag, attributes, selfClosing, text] = match;
+        
+        if (text !== undefined) {
+            current.appendChild(document.createTextNode(decodeEntities(text)));
+        } else if (tag && closing) {
+            const index = stack.map(node => node.localName).lastIndexOf(tag.toLowerCase());
+            if (index > 0) stack.length = index;
+        } else if (tag) {
+            const element = document.createElement(tag);
+            const attributePattern = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+            let attribute;
+            while ((attribute = attributePattern.exec(attributes))) {
+                const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+                element.setAttribute(attribute[1], decodeEntities(value));
+            }
+            current.appendChild(element);
+            
+            if (element.localName === 'script' || element.localName === 'style') {
+                const end = html.indexOf(`</${element.localName}>`, pattern.lastIndex);
+                pattern.lastIndex = end < 0 ? html.length : end + element.localName.length + 3;
+            } else if (!selfClosing && !VOID_TAGS.has(element.localName)) {
+                stack.push(element);
+            }
+        }
+    }
+}
+
+// Simple selectors only: tag, #id, .class and [attr] / [attr="value"],
+// optionally combined (e.g. "div.alert")
+function matchesSelector(element, selector) {
+    const parts = selector.trim().match(/^([a-zA-Z][\w-]*)?((?:[#.][\w-]+|\[[^\]]+\])*)$/);
+    if (!parts) throw new Error(`Unsupported selector "${selector}"`);
+    if (parts[1] && element.localName !== parts[1].toLowerCase()) return false;
+    
+    return (parts[2].match(/[#.][\w-]+|\[[^\]]+\]/g) || []).every(part => {
+        if (part[0] === '#') return element.id === part.slice(1);
+        if (part[0] === '.') return element.classList.contains(part.slice(1));
+        const [, name, value] = part.match(/^\[([^=\]]+)(?:="?([^"\]]*)"?)?\]$/);
+        return element.hasAttribute(name) && (value === undefined || element.getAttribute(name) === value);
+    });
+}
+
+class FakeEvent {
+    constructor(type, init = {}) {
+        Object.assign(this, init);
+        this.type = type;
+        this.bubbles = Boolean(init.bubbles);
+        this.defaultPrevented = false;
+        this.propagationStopped = false;
+    }
+    
+    preventDefault() {
+        this.defaultPrevented = true;
+    }
+    
+    stopPropagation() {
+        this.propagationStopped = true;
+    }
+}
+
+class FakeEventTarget {
+    constructor() {
+        this.listeners = {};
+    }
+    
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+    
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(entry => entry !== listener);
+    }
+    
+    // Runs listeners and the on<type> handler, then bubbles to the parents
+    dispatchEvent(event) {
+        if (!event.target) event.target = this;
+        let node = this;
+        while (node) {
+            event.currentTarget = node;
+            (node.listeners[event.type] || []).slice().forEach(listener => listener.call(node, event));
+            if (typeof node['on' + event.type] === 'function') node['on' + event.type](event);
+            if (!event.bubbles || event.propagationStopped) break;
+            node = node.parentNode || (node.defaultView !== undefined ? node.defaultView : null);
+        }
+        return !event.defaultPrevented;
+    }
+}
+
+class FakeText {
+    constructor(document, data) {
+        this.nodeType = 3;
+        this.ownerDocument = document;
+        this.parentNode = null;
+        this.data = String(data);
+    }
+    
+    get textContent() {
+        return this.data;
+    }
+    
+    set textContent(value) {
+        this.data = String(value);
+    }
+    
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+}
+
+class FakeClassList {
+    constructor(element) {
+        this.element = element;
+    }
+    
+    get names() {
+        return (this.element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    }
+    
+    set names(names) {
+        this.element.setAttribute('class', names.join(' '));
+    }
+    
+    add(...names) {
+        this.names = [...new Set([...this.names, ...names])];
+    }
+    
+    remove(...names) {
+        this.names = this.names.filter(name => !names.includes(name));
+    }
+    
+    toggle(name, force) {
+        const on = force === undefined ? !this.contains(name) : Boolean(force);
+        if (on) this.add(name); else this.remove(name);
+        return on;
+    }
+    
+    contains(name) {
+        return this.names.includes(name);
+    }
+}
+
+class FakeElement extends FakeEventTarget {
+    constructor(document, tagName) {
+        super();
+        this.nodeType = 1;
+        this.ownerDocument = document;
+        this.localName = tagName.toLowerCase();
+        this.tagName = tagName.toUpperCase();
+        this.parentNode = null;
+        this.childNodes = [];
+        this.attributes = new Map();
+        this.classList = new FakeClassList(this);
+        this.style = {};
+        this.disabled = false;
+        this.rect = { width: 0, height: 0 };
+        this.clientWidth = 0;
+        this.clientHeight = 0;
+        this.clientLeft = 0;
+        this.clientTop = 0;
+        this.scrollLeft = 0;
+        this.scrollTop = 0;
+    }
+    
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+    
+    get parentElement() {
+        return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+    }
+    
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+    
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+    
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+    
+    get dataset() {
+        const dataset = {};
+        this.attributes.forEach((value, name) => {
+            if (name.startsWith('data-')) {
+                dataset[name.slice(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+            }
+        });
+        return dataset;
+    }
+    
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+    
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+        if (name === 'disabled') this.disabled = true;
+    }
+    
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+    
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+    
+    appendChild(node) {
+        if (node.parentNode) node.parentNode.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+    
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === 'string' ? this.ownerDocument.createTextNode(node) : node));
+    }
+    
+    insertBefore(node, reference) {
+        if (!reference) return this.appendChild(node);
+        if (node.parentNode) node.parentNode.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.splice(this.childNodes.indexOf(reference), 0, node);
+        return node;
+    }
+    
+    removeChild(node) {
+        this.childNodes = this.childNodes.filter(child => child !== node);
+        node.parentNode = null;
+        return node;
+    }
+    
+    replaceChildren(...nodes) {
+        this.childNodes.slice().forEach(node => this.removeChild(node));
+        this.append(...nodes);
+    }
+    
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+    
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+    
+    set textContent(value) {
+        this.replaceChildren();
+        if (value !== '' && value !== null && value !== undefined) {
+            this.appendChild(this.ownerDocument.createTextNode(value));
+        }
+    }
+    
+    get innerHTML() {
+        return this.childNodes.map(node => {
+            if (node.nodeType === 3) return escapeText(node.data);
+            const attributes = [...node.attributes].map(([name, value]) => ` ${name}="${value.replace(/"/g, '&quot;')}"`).join('');
+            return VOID_TAGS.has(node.localName) ?
+                `<${node.localName}${attributes}>` :
+                `<${node.localName}${attributes}>${node.innerHTML}</${node.localName}>`;
+        }).join('');
+    }
+    
+    set innerHTML(html) {
+        this.replaceChildren();
+        parseHtml(String(html), this);
+    }
+    
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+    
+    descendants() {
+        return this.children.flatMap(child => [child, ...child.descendants()]);
+    }
+    
+    querySelectorAll(selector) {
+        const selectors = selector.split(',');
+        return this.descendants().filter(element => selectors.some(part => matchesSelector(element, part)));
+    }
+    
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+    
+    closest(selector) {
+        for (let element = this; element && element.nodeType === 1; element = element.parentNode) {
+            if (matchesSelector(element, selector)) return element;
+        }
+        return null;
+    }
+    
+    click() {
+        if (this.disabled) return;
+        if (this.localName === 'input' && (this.type === 'checkbox' || this.type === 'radio')) {
+            this.checked = this.type === 'radio' || !this.checked;
+        }
+        this.dispatchEvent(new FakeEvent('click', { bubbles: true }));
+        if (this.localName === 'input' && (this.type === 'checkbox' || this.type === 'radio')) {
+            this.dispatchEvent(new FakeEvent('input', { bubbles: true }));
+            this.dispatchEvent(new FakeEvent('change', { bubbles: true }));
+        }
+        if (this.localName === 'a' && this.hasAttribute('download')) {
+            this.ownerDocument.recordDownload(this);
+        }
+    }
+    
+    focus() {
+        this.ownerDocument.activeElement = this;
+        this.dispatchEvent(new FakeEvent('focus'));
+    }
+    
+    blur() {
+        if (this.ownerDocument.activeElement === this) this.ownerDocument.activeElement = this.ownerDocument.body;
+    }
+    
+    select() {}
+    
+    scrollIntoView() {}
+    
+    setPointerCapture() {}
+    
+    getBoundingClientRect() {
+        return { left: 0, top: 0, right: this.rect.width, bottom: this.rect.height, ...this.rect };
+    }
+}
+
+REFLECTED.forEach(name => {
+    Object.defineProperty(FakeElement.prototype, name, {
+        get() {
+            const value = this.getAttribute(name);
+            return value === null ? (name === 'type' && this.localName === 'input' ? 'text' : '') : value;
+        },
+        set(value) {
+            this.setAttribute(name, value);
+        }
+    });
+});
+
+class FakeInput extends FakeElement {
+    get value() {
+        if (this.currentValue !== undefined) return this.currentValue;
+        if (this.localName === 'textarea') return this.textContent;
+        return this.getAttribute('value') ?? (this.type === 'checkbox' ? 'on' : '');
+    }
+    
+    set value(value) {
+        this.currentValue = String(value);
+    }
+    
+    get defaultValue() {
+        return this.getAttribute('value') ?? '';
+    }
+    
+    get checked() {
+        return this.currentChecked !== undefined ? this.currentChecked : this.hasAttribute('checked');
+    }
+    
+    set checked(value) {
+        this.currentChecked = Boolean(value);
+    }
+    
+    // Type into the field and fire the events a user would
+    enter(value) {
+        this.value = value;
+        this.dispatchEvent(new FakeEvent('input', { bubbles: true }));
+        this.dispatchEvent(new FakeEvent('change', { bubbles: true }));
+    }
+}
+
+class FakeOption extends FakeElement {
+    get value() {
+        return this.getAttribute('value') ?? this.textContent;
+    }
+    
+    set value(value) {
+        this.setAttribute('value', value);
+    }
+    
+    get text() {
+        return this.textContent;
+    }
+    
+    get selected() {
+        const select = this.closest('select');
+        return select ? select.options[select.selectedIndex] === this : this.hasAttribute('selected');
+    }
+    
+    set selected(value) {
+        const select = this.closest('select');
+        if (select && value) select.selectedIndex = select.options.indexOf(this);
+    }
+}
+
+class FakeSelect extends FakeElement {
+    get options() {
+        const options = this.querySelectorAll('option');
+        options.add = option => this.appendChild(option);
+        return options;
+    }
+    
+    get selectedIndex() {
+        const options = this.options;
+        if (this.currentIndex !== undefined && this.currentIndex < options.length) return this.currentIndex;
+        const marked = options.findIndex(option => option.hasAttribute('selected'));
+        return marked >= 0 ? marked : Math.min(0, options.length - 1);
+    }
+    
+    set selectedIndex(index) {
+        this.currentIndex = index;
+    }
+    
+    get value() {
+        const option = this.options[this.selectedIndex];
+        return option ? option.value : '';
+    }
+    
+    set value(value) {
+        this.currentIndex = this.options.findIndex(option => option.value === String(value));
+    }
+    
+    // Pick an option and fire the change event a user would
+    choose(value) {
+        this.value = value;
+        if (this.value !== String(value)) throw new Error(`#${this.id} has no option "${value}"`);
+        this.dispatchEvent(new FakeEvent('change', { bubbles: true }));
+    }
+}
+
+class FakeContext2D {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.reset();
+    }
+    
+    reset() {
+        this.pixels = new Uint8ClampedArray(this.canvas.width * this.canvas.height * 4);
+        this.transform = [1, 0, 0, 1, 0, 0];
+        this.fillStyle = '#000';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.imageSmoothingEnabled = true;
+        this.text = [];
+    }
+    
+    setTransform(a, b, c, d, e, f) {
+        this.transform = [a, b, c, d, e, f];
+    }
+    
+    // Canvas pixels whose centers fall in the rectangle, after the
+    // transform (only scaling and translation are supported)
+    eachPixel(x, y, width, height, callback) {
+        const [a, , , d, e, f] = this.transform;
+        const left = Math.min(a * x + e, a * (x + width) + e);
+        const right = Math.max(a * x + e, a * (x + width) + e);
+        const top = Math.min(d * y + f, d * (y + height) + f);
+        const bottom = Math.max(d * y + f, d * (y + height) + f);
+        
+        for (let py = Math.max(0, Math.round(top)); py < Math.min(this.canvas.height, Math.round(bottom)); py++) {
+            for (let px = Math.max(0, Math.round(left)); px < Math.min(this.canvas.width, Math.round(right)); px++) {
+                callback((py * this.canvas.width + px) * 4, ((px + 0.5 - e) / a - x) / width, ((py + 0.5 - f) / d - y) / height);
+            }
+        }
+    }
+    
+    fillRect(x, y, width, height) {
+        const color = parseColor(this.fillStyle);
+        this.eachPixel(x, y, width, height, offset => this.pixels.set(color, offset));
+    }
+    
+    clearRect(x, y, width, height) {
+        this.eachPixel(x, y, width, height, offset => this.pixels.fill(0, offset, offset + 4));
+    }
+    
+    // Nearest-neighbour sampling of any source that can give its pixels
+    drawImage(source, ...args) {
+        const image = pixelsOf(source);
+        if (!image) return;
+        
+        let [sx, sy, sWidth, sHeight] = [0, 0, image.width, image.height];
+        let [dx, dy, dWidth, dHeight] = [args[0], args[1], image.width, image.height];
+        if (args.length === 4) {
+            [dx, dy, dWidth, dHeight] = args;
+        } else if (args.length === 8) {
+            [sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight] = args;
+        }
+        
+        this.eachPixel(dx, dy, dWidth, dHeight, (offset, u, v) => {
+            const x = Math.min(image.width - 1, Math.max(0, Math.floor(sx + u * sWidth)));
+            const y = Math.min(image.height - 1, Math.max(0, Math.floor(sy + v * sHeight)));
+            const from = (y * image.width + x) * 4;
+            this.pixels.set(image.data.subarray(from, from + 4), offset);
+        });
+    }
+    
+    getImageData(x, y, width, height) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let row = 0; row < height; row++) {
+            const from = ((y + row) * this.canvas.width + x) * 4;
+            data.set(this.pixels.subarray(from, from + width * 4), row * width * 4);
+        }
+        return { data, width, height };
+    }
+    
+    putImageData(imageData, x, y) {
+        for (let row = 0; row < imageData.height; row++) {
+            const from = row * imageData.width * 4;
+            this.pixels.set(imageData.data.subarray(from, from + imageData.width * 4), ((y + row) * this.canvas.width + x) * 4);
+        }
+    }
+    
+    createImageData(width, height) {
+        return { data: new Uint8ClampedArray(width * height * 4), width, height };
+    }
+    
+    // Text is recorded rather than rasterized; glyphs are 0.6em wide
+    fontSize() {
+        const match = this.font.match(/([\d.]+)px/);
+        return match ? parseFloat(match[1]) : 10;
+    }
+    
+    measureText(text) {
+        const size = this.fontSize();
+        return {
+            width: Array.from(text).length * size * 0.6,
+            actualBoundingBoxAscent: size * 0.8,
+            actualBoundingBoxDescent: size * 0.2,
+            fontBoundingBoxAscent: size * 0.8,
+            fontBoundingBoxDescent: size * 0.2
+        };
+    }
+    
+    fillText(text, x, y) {
+        this.text.push({ text, x, y, fillStyle: this.fillStyle, font: this.font });
+    }
+    
+    save() {}
+    restore() {}
+    beginPath() {}
+    closePath() {}
+    moveTo() {}
+    lineTo() {}
+    arc() {}
+    rect() {}
+    fill() {}
+    stroke() {}
+    strokeRect() {}
+}
+
+function parseColor(style) {
+    const hex = String(style).match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16)).concat(255);
+    }
+    const rgb = String(style).match(/^rgba?\(([^)]+)\)$/);
+    if (rgb) {
+        const [r, g, b, a = 1] = rgb[1].split(',').map(Number);
+        return [r, g, b, Math.round(a * 255)];
+    }
+    return [0, 0, 0, 255];
+}
+
+// { width, height, data } for canvases, images and videos (see fake-media.js)
+function pixelsOf(source) {
+    if (source.localName === 'canvas') {
+        return { width: source.width, height: source.height, data: source.getContext('2d').pixels };
+    }
+    if (source.localName === 'video') {
+        return source.srcObject ? source.srcObject.currentImage() : null;
+    }
+    return source.image || null;
+}
+
+class FakeCanvas extends FakeElement {
+    get width() {
+        return this.size ? this.size.width : 300;
+    }
+    
+    set width(value) {
+        this.resize(Number(value), this.height);
+    }
+    
+    get height() {
+        return this.size ? this.size.height : 150;
+    }
+    
+    set height(value) {
+        this.resize(this.width, Number(value));
+    }
+    
+    // Like a real canvas, any size change clears it and resets its state
+    resize(width, height) {
+        this.size = { width: Math.max(0, Math.floor(width)), height: Math.max(0, Math.floor(height)) };
+        if (this.context) this.context.reset();
+    }
+    
+    getContext(type) {
+        if (type !== '2d') return null;
+        if (!this.context) this.context = new FakeContext2D(this);
+        return this.context;
+    }
+    
+    toBlob(callback, type = 'image/png') {
+        const { pixels } = this.getContext('2d');
+        const header = `${type} ${this.width}x${this.height}\n`;
+        // Asynchronous like the real one, but not on a real timer, which
+        // settle() could outrun
+        Promise.resolve().then(() => callback(new Blob([header, pixels], { type })));
+    }
+    
+    toDataURL(type = 'image/png') {
+        return `data:${type};base64,`;
+    }
+    
+    captureStream() {
+        return { getTracks: () => [], getVideoTracks: () => [] };
+    }
+}
+
+// A <video> that plays whatever FakeMediaStream is attached to it
+class FakeVideo extends FakeElement {
+    constructor(document, tagName) {
+        super(document, tagName);
+        this.HAVE_CURRENT_DATA = 2;
+        this.readyState = 0;
+        this.paused = true;
+        this.currentTime = 0;
+        this.duration = NaN;
+        this.loop = false;
+        this.stream = null;
+    }
+    
+    get srcObject() {
+        return this.stream;
+    }
+    
+    set srcObject(stream) {
+        this.stream = stream;
+        this.readyState = 0;
+        if (!stream) return;
+        
+        Promise.resolve().then(() => {
+            if (this.stream !== stream) return;
+            this.readyState = 4;
+            this.dispatchEvent(new FakeEvent('loadedmetadata'));
+        });
+    }
+    
+    get videoWidth() {
+        return this.stream && this.readyState ? this.stream.currentImage().width : 0;
+    }
+    
+    get videoHeight() {
+        return this.stream && this.readyState ? this.stream.currentImage().height : 0;
+    }
+    
+    play() {
+        this.paused = false;
+        return Promise.resolve();
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+    
+    load() {}
+}
+
+class FakeDocument extends FakeEventTarget {
+    constructor(html) {
+        super();
+        this.nodeType = 9;
+        this.parentNode = null;
+        this.defaultView = null;
+        this.downloads = [];
+        this.documentElement = this.createElement('html');
+        this.documentElement.parentNode = this;
+        
+        parseHtml(html.replace(/^[\s\S]*?<html[^>]*>/i, '').replace(/<\/html>[\s\S]*$/i, ''), this.documentElement);
+        this.head = this.documentElement.querySelector('head') || this.documentElement.appendChild(this.createElement('head'));
+        this.body = this.documentElement.querySelector('body') || this.documentElement.appendChild(this.createElement('body'));
+        this.activeElement = this.body;
+    }
+    
+    createElement(tagName) {
+        const name = tagName.toLowerCase();
+        const Type = { input: FakeInput, textarea: FakeInput, select: FakeSelect, option: FakeOption,
+            canvas: FakeCanvas, video: FakeVideo }[name] || FakeElement;
+        return new Type(this, name);
+    }
+    
+    createTextNode(text) {
+        return new FakeText(this, text);
+    }
+    
+    getElementById(id) {
+        return this.documentElement.descendants().find(element => element.id === id) || null;
+    }
+    
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+    
+    querySelector(selector) {
+        return this.documentElement.querySelector(selector);
+    }
+    
+    // An <a download> was clicked: keep the file it points at
+    recordDownload(link) {
+        const blob = this.defaultView.URL.blobs.get(link.href);
+        this.downloads.push({ filename: link.download, href: link.href, blob });
+    }
+}
+
+// Timers, animation frames and performance.now() on one clock that only
+// moves when the test calls advance()
+function createClock() {
+    const clock = { now: 0, nextId: 1, timers: [], frames: [] };
+    
+    clock.setTimeout = (callback, delay = 0, ...args) => {
+        const id = clock.nextId++;
+        clock.timers.push({ id, time: clock.now + Math.max(0, delay), callback: () => callback(...args) });
+        return id;
+    };
+    clock.setInterval = (callback, delay = 0, ...args) => {
+        const id = clock.nextId++;
+        clock.timers.push({ id, time: clock.now + Math.max(1, delay), interval: Math.max(1, delay), callback: () => callback(...args) });
+        return id;
+    };
+    clock.clearTimeout = clock.clearInterval = (id) => {
+        clock.timers = clock.timers.filter(timer => timer.id !== id);
+    };
+    clock.requestAnimationFrame = (callback) => {
+        const id = clock.nextId++;
+        clock.frames.push({ id, callback });
+        return id;
+    };
+    clock.cancelAnimationFrame = (id) => {
+        clock.frames = clock.frames.filter(frame => frame.id !== id);
+    };
+    
+    // Run every timer that falls due within ms, in order
+    clock.advance = (ms) => {
+        const end = clock.now + ms;
+        for (;;) {
+            const due = clock.timers.filter(timer => timer.time <= end).sort((a, b) => a.time - b.time)[0];
+            if (!due) break;
+            clock.now = due.time;
+            if (due.interval) {
+                due.time += due.interval;
+            } else {
+                clock.timers = clock.timers.filter(timer => timer !== due);
+            }
+            due.callback();
+        }
+        clock.now = end;
+    };
+    
+    // One display refresh: the callbacks queued so far, at the current time
+    clock.animationFrame = (ms = 16) => {
+        clock.advance(ms);
+        const frames = clock.frames;
+        clock.frames = [];
+        frames.forEach(frame => frame.callback(clock.now));
+    };
+    
+    return clock;
+}
+
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        get length() {
+            return items.size;
+        },
+        key: (index) => [...items.keys()][index] ?? null,
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+// Loads index.html and its scripts into a fresh context and constructs the
+// app. Options:
+//   camera: image the fake camera delivers (see fake-media.js)
+//   storage: initial localStorage entries
+//   popups: false to have window.open blocked
+// Console output from the page is collected in page.logs rather than printed.
+function loadPage(options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const document = new FakeDocument(html);
+    const clock = createClock();
+    const clipboard = { text: null, fail: false };
+    const printWindows = [];
+    const blobs = new Map();
+    const logs = [];
+    let nextBlob = 1;
+    
+    class FakeURL extends URL {
+        static createObjectURL(blob) {
+            const url = `blob:fake/${nextBlob++}`;
+            blobs.set(url, blob);
+            return url;
+        }
+        
+        static revokeObjectURL() {}
+    }
+    FakeURL.blobs = blobs;
+    
+    const window = {
+        document,
+        navigator: {
+            userAgent: 'fake-dom',
+            mediaDevices: createMediaDevices(options.camera),
+            clipboard: {
+                writeText: async (text) => {
+                    if (clipboard.fail) throw new Error('Clipboard write denied');
+                    clipboard.text = text;
+                }
+            }
+        },
+        location: { href: 'http://localhost/index.html', hash: '', origin: 'http://localhost' },
+        history: {
+            replaceState(state, title, url) {
+                window.location.href = String(url);
+                window.location.hash = String(url).includes('#') ? '#' + String(url).split('#')[1] : '';
+            }
+        },
+        localStorage: createStorage(options.storage),
+        performance: { now: () => clock.now },
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout,
+        setInterval: clock.setInterval,
+        clearInterval: clock.clearInterval,
+        requestAnimationFrame: clock.requestAnimationFrame,
+        cancelAnimationFrame: clock.cancelAnimationFrame,
+        getComputedStyle: (element) => ({ paddingLeft: '0px', paddingRight: '0px', paddingTop: '0px', paddingBottom: '0px', ...element.computedStyle }),
+        confirm: () => true,
+        open: () => {
+            if (options.popups === false) return null;
+            const printWindow = {
+                html: '',
+                printed: false,
+                closed: false,
+                document: {
+                    write: (markup) => {
+                        printWindow.html += markup;
+                    },
+                    close() {}
+                },
+                print: () => {
+                    printWindow.printed = true;
+                },
+                close: () => {
+                    printWindow.closed = true;
+                }
+            };
+            printWindows.push(printWindow);
+            return printWindow;
+        },
+        print() {},
+        URL: FakeURL,
+        Blob,
+        TextEncoder,
+        TextDecoder,
+        btoa,
+        atob,
+        console: {
+            log: (...args) => logs.push({ level: 'log', args }),
+            info: (...args) => logs.push({ level: 'info', args }),
+            warn: (...args) => logs.push({ level: 'warn', args }),
+            error: (...args) => logs.push({ level: 'error', args })
+        },
+        Option: function (text = '', value, defaultSelected, selected) {
+            const option = document.createElement('option');
+            option.textContent = text;
+            if (value !== undefined) option.value = value;
+            if (defaultSelected) option.setAttribute('selected', '');
+            if (selected) option.selected = true;
+            return option;
+        },
+        Event: FakeEvent,
+        KeyboardEvent: FakeEvent
+    };
+    window.listeners = {};
+    window.addEventListener = FakeEventTarget.prototype.addEventListener;
+    window.removeEventListener = FakeEventTarget.prototype.removeEventListener;
+    window.dispatchEvent = FakeEventTarget.prototype.dispatchEvent;
+    window.window = window.self = window;
+    document.defaultView = window;
+    
+    const context = vm.createContext(window);
+    for (const [, src] of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), context, { filename: src });
+    }
+    const ASCIICamera = vm.runInContext('ASCIICamera', context);
+    
+    return {
+        window,
+        document,
+        clock,
+        clipboard,
+        printWindows,
+        logs,
+        media: window.navigator.mediaDevices,
+        app: new ASCIICamera(),
+        $: (id) => document.getElementById(id),
+        // The alert the page shows last, as { type, message }
+        // Messages the page logged as errors, e.g. from a failed frame
+        errors() {
+            return logs.filter(entry => entry.level === 'error').map(entry => entry.args.map(String).join(' '));
+        },
+        lastAlert() {
+            const alert = document.querySelector('.alert');
+            return alert ? { type: alert.className.replace(/^alert alert-/, ''), message: alert.textContent } : null;
+        },
+        // Let promise callbacks (camera start, clipboard, blobs) run
+        async settle() {
+            for (let i = 0; i < 10; i++) {
+                await new Promise(resolve => setImmediate(resolve));
+                clock.advance(0);
+            }
+        }
+    };
+}
+
+module.exports = { loadPage, parseHtml, FakeDocument, FakeEvent, ROOT };
@@ -0,0 +1,125 @@
+'use strict';
+
+// Synthetic pictures and a fake camera, so conversion and the capture
+// flows can be tested without real media
+
+// width × height RGBA image; shade(x, y) returns a gray level 0-255 or [r, g, b]
+function createImage(width, height, shade) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = shade(x, y);
+            const [r, g, b] = Array.isArray(value) ? value : [value, value, value];
+            data.set([r, g, b, 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+// Black on the left to white on the right
+function horizontalGradient(width, height) {
+    return createImage(width, height, x => Math.round(x * 255 / (width - 1)));
+}
+
+// Black at the top to white at the bottom
+function verticalGradient(width, height) {
+    return createImage(width, height, (x, y) => Math.round(y * 255 / (height - 1)));
+}
+
+// A diagonal gradient with a bright ring and a dark square, plus a tint
+// that varies across the frame: enough detail for the golden snapshots to
+// catch changes in sampling, cropping, ramps and color quantization
+function testScene(width, height) {
+    const cx = width * 0.62;
+    const cy = height * 0.5;
+    const radius = height * 0.3;
+    
+    return createImage(width, height, (x, y) => {
+        const distance = Math.hypot(x - cx, y - cy);
+        let level = (x / width) * 150 + (y / height) * 60;
+        if (Math.abs(distance - radius) < height * 0.06) level = 250;
+        if (x > width * 0.1 && x < width * 0.3 && y > height * 0.2 && y < height * 0.55) level = 10;
+        return [level, level * 0.8 + (x / width) * 50, level * 0.6 + (y / height) * 100].map(Math.round);
+    });
+}
+
+class FakeVideoTrack {
+    constructor(stream) {
+        this.kind = 'video';
+        this.readyState = 'live';
+        this.stream = stream;
+    }
+    
+    getSettings() {
+        const { width, height } = this.stream.currentImage();
+        return { width, height, frameRate: 30, deviceId: 'fake-camera' };
+    }
+    
+    stop() {
+        this.readyState = 'ended';
+    }
+}
+
+// A stream whose picture is a fixed image, or a function called per frame
+class FakeMediaStream {
+    constructor(image) {
+        this.image = image;
+        this.tracks = [new FakeVideoTrack(this)];
+    }
+    
+    currentImage() {
+        return typeof this.image === 'function' ? this.image() : this.image;
+    }
+    
+    getTracks() {
+        return this.tracks;
+    }
+    
+    getVideoTracks() {
+        return this.tracks;
+    }
+}
+
+// Errors as getUserMedia reports them, e.g. mediaError('NotAllowedError')
+function mediaError(name, message = name) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+// navigator.mediaDevices with one fake camera. Set failure to an error to
+// make the next requests reject; requests records the constraints asked for.
+function createMediaDevices(image = testScene(320, 180)) {
+    const devices = {
+        image,
+        failure: null,
+        requests: [],
+        streams: [],
+        async getUserMedia(constraints) {
+            devices.requests.push(constraints);
+            if (devices.failure) throw devices.failure;
+            const stream = new FakeMediaStream(devices.image);
+            devices.streams.push(stream);
+            return stream;
+        },
+        async getDisplayMedia(constraints) {
+            return devices.getUserMedia(constraints);
+        },
+        async enumerateDevices() {
+            return [{ kind: 'videoinput', deviceId: 'fake-camera', groupId: 'fake', label: 'Fake Camera' }];
+        },
+        addEventListener() {},
+        removeEventListener() {}
+    };
+    return devices;
+}
+
+module.exports = {
+    createImage,
+    horizontalGradient,
+    verticalGradient,
+    testScene,
+    FakeMediaStream,
+    mediaError,
+    createMediaDevices
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+// Golden text files under tests/snapshots. Run with UPDATE_SNAPSHOTS=1 to
+// write them after an intended change in the output, then review the diff.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR = path.join(__dirname, '..', 'snapshots');
+
+function assertSnapshot(name, actual) {
+    const file = path.join(SNAPSHOT_DIR, name);
+    
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, actual);
+        return;
+    }
+    
+    if (!fs.existsSync(file)) {
+        assert.fail(`Missing snapshot ${name}; run the tests with UPDATE_SNAPSHOTS=1 to create it`);
+    }
+    // Checkouts may turn the line endings into CRLF
+    const expected = fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+    assert.strictEqual(actual, expected, `Output differs from snapshot ${name}`);
+}
+
+module.exports = { assertSnapshot, SNAPSHOT_DIR };
@@ -0,0 +1,89 @@
+'use strict';
+
+// The offline app: the service worker must cache every file the pages load,
+// nothing may come from another site, and the manifest's share target and
+// the page must agree with the worker on where a shared file goes
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const PAGES = ['index.html', 'viewer.html'];
+
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// The worker's constants, from a context where registering listeners does nothing
+function loadServiceWorker() {
+    const context = vm.createContext({ self: { addEventListener() {} } });
+    vm.runInContext(read('sw.js'), context, { filename: 'sw.js' });
+    return vm.runInContext('({ PRECACHE_URLS, SHARE_TARGET_URL, SHARED_CACHE, SHARED_FILE_URL })', context);
+}
+
+// Scripts, stylesheets, icons and the manifest a page links to
+function pageAssets(page) {
+    return Array.from(read(page).matchAll(/<(?:script|link)\b[^>]*\b(?:src|href)="([^"]+)"/g), match => match[1]);
+}
+
+// Icon classes such as "fa-camera" used in the pages and scripts
+function iconClasses() {
+    const sources = [...PAGES, 'scripts.js', 'viewer.js'].map(read).join('\n');
+    return Array.from(new Set(Array.from(sources.matchAll(/\bfa-[a-z0-9-]+/g), match => match[0])));
+}
+
+describe('offline app', () => {
+    const worker = loadServiceWorker();
+    
+    it('loads nothing from other sites', () => {
+        PAGES.forEach(page => {
+            pageAssets(page).forEach(asset => {
+                assert.ok(!/^(?:[a-z]+:)?\/\//i.test(asset), `${page} loads ${asset}`);
+            });
+        });
+    });
+    
+    it('caches every file the pages and the frame worker load', () => {
+        const workerScripts = Array.from(read('js/frame-worker.js').matchAll(/'([\w-]+\.js)'/g), match => `js/${match[1]}`);
+        const assets = [...PAGES, ...PAGES.flatMap(pageAssets), 'js/frame-worker.js', ...workerScripts];
+        
+        assets.forEach(asset => {
+            assert.ok(worker.PRECACHE_URLS.includes(asset), `${asset} is not in the service worker's cache list`);
+        });
+    });
+    
+    it('caches only files that exist', () => {
+        worker.PRECACHE_URLS.filter(url => url !== './').forEach(url => {
+            assert.ok(fs.existsSync(path.join(ROOT, url)), `${url} does not exist`);
+        });
+    });
+    
+    it('has a bundled icon for every icon class in use', () => {
+        const css = read('icons/icons.css');
+        iconClasses().forEach(name => {
+            assert.ok(css.includes(`.${name} `), `icons/icons.css has no ${name}`);
+        });
+    });
+    
+    it('posts shared files where the service worker receives them', () => {
+        const manifest = JSON.parse(read('manifest.webmanifest'));
+        
+        assert.strictEqual(manifest.share_target.action, worker.SHARE_TARGET_URL);
+        assert.strictEqual(manifest.share_target.method, 'POST');
+        assert.deepStrictEqual(manifest.share_target.params.files.map(file => file.name), ['media']);
+        assert.match(read('sw.js'), /data\.getAll\('media'\)/);
+        manifest.icons.forEach(icon => {
+            assert.ok(worker.PRECACHE_URLS.includes(icon.src), `${icon.src} is not cached`);
+        });
+    });
+    
+    it('reads the shared file from the cache the service worker writes', () => {
+        const scripts = read('scripts.js');
+        
+        assert.ok(scripts.includes(`this.sharedFileCache = '${worker.SHARED_CACHE}';`));
+        assert.ok(scripts.includes(`this.sharedFileUrl = '${worker.SHARED_FILE_URL}';`));
+    });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+// The plugin registry: items become styles and effects of the core and are
+// removed again with their plugin; the example plugin loads as a module
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const AsciiCore = require('../js/ascii-core.js');
+const AsciiEffects = require('../js/video-effects.js');
+const AsciiSettings = require('../js/settings.js');
+const AsciiPlugins = require('../js/plugins.js');
+const { horizontalGradient } = require('./helpers/fake-media.js');
+
+const EXAMPLE_URL = pathToFileURL(path.join(__dirname, '..', 'plugins', 'example.js')).href;
+
+// A plugin made of a register function, for loadPlugin
+function inlinePlugin(register) {
+    return async () => ({ default: register });
+}
+
+describe('plugin items', () => {
+    it('adds a charset as a style that converts with its glyphs', async () => {
+        const plugin = await AsciiPlugins.loadPlugin('test:charset', inlinePlugin(api => {
+            api.registerCharset({ id: 'rings', name: 'Rings', chars: '@o. ' });
+        }));
+        
+        assert.ok(AsciiCore.STYLES.includes('plugin:rings'));
+        const image = horizontalGradient(100, 50);
+        const frame = AsciiCore.convert(image.data, image.width, image.height, { charset: 'plugin:rings', width: 10, height: 2 });
+        assert.strictEqual(frame.text, '@@@oooo...\n@@@oooo...\n');
+        assert.strictEqual(AsciiSettings.normalizeSettings({ style: 'plugin:rings' }).style, 'plugin:rings');
+        
+        AsciiPlugins.unloadPlugin(plugin);
+        assert.ok(!AsciiCore.STYLES.includes('plugin:rings'));
+        assert.strictEqual(AsciiSettings.normalizeSettings({ style: 'plugin:rings' }).style, 'detailed');
+    });
+    
+    it('checks what a renderer returns', async () => {
+        const plugin = await AsciiPlugins.loadPlugin('test:renderer', inlinePlugin(api => {
+            api.registerRenderer({ id: 'short', name: 'Short', sampling: { x: 2, y: 1 }, render: () => ['x'] });
+        }));
+        
+        assert.deepStrictEqual(AsciiCore.getSampling('plugin:short'), { x: 2, y: 1 });
+        const image = horizontalGradient(40, 20);
+        assert.throws(() => AsciiCore.convert(image.data, image.width, image.height, { charset: 'plugin:short', width: 4, height: 2 }),
+            /The renderer "Short" must return 2 rows of 4 characters/);
+        AsciiPlugins.unloadPlugin(plugin);
+    });
+    
+    it('adds a filter as an effect with validated params', async () => {
+        assert.throws(() => AsciiPlugins.registerFilter({
+            id: 'bad', name: 'Bad', pixels() {}, params: { level: { label: 'Level', min: 0, max: 10, step: 1, value: 20 } }
+        }), /needs min ≤ value ≤ max/);
+        
+        const plugin = await AsciiPlugins.loadPlugin('test:filter', inlinePlugin(api => {
+            api.registerFilter({
+                id: 'black', name: 'Black', animated: true,
+                params: { level: { label: 'Level', min: 0, max: 255, step: 1, value: 0 } },
+                pixels: ({ pixels, params }) => pixels.fill(params.level)
+            });
+        }));
+        const chain = AsciiEffects.normalizeChain([{ id: 1, type: 'plugin:black', params: { level: 9 } }]);
+        assert.deepStrictEqual(chain, [{ id: 1, type: 'plugin:black', enabled: true, params: { level: 9 } }]);
+        assert.ok(AsciiEffects.isAnimated(chain));
+        assert.ok(AsciiPlugins.needsMainThread({ charset: 'detailed', effects: chain }));
+        
+        const pixels = new Uint8ClampedArray(16).fill(200);
+        AsciiEffects.applyPixelEffects(AsciiEffects.createState(), chain, pixels, { width: 2, height: 2, pixelWidth: 2, pixelHeight: 2 }, 0);
+        assert.ok(pixels.every(value => value === 9));
+        
+        AsciiPlugins.unloadPlugin(plugin);
+        assert.deepStrictEqual(AsciiEffects.normalizeChain(chain), []);
+    });
+    
+    it('needs an extension and an export function for exporters', () => {
+        assert.throws(() => AsciiPlugins.registerExporter({ id: 'x', name: 'X', export: () => '' }), /needs a file extension/);
+        assert.throws(() => AsciiPlugins.registerExporter({ id: 'x', name: 'X', extension: 'x' }), /export of "X" must be a function/);
+        
+        const exporter = AsciiPlugins.registerExporter({ id: 'x', name: 'X', extension: '.md', export: () => '' });
+        assert.deepStrictEqual([exporter.extension, exporter.type], ['md', 'application/octet-stream']);
+        assert.deepStrictEqual(AsciiPlugins.items('exporter').map(item => item.id), ['plugin:x']);
+        AsciiPlugins.unregister(exporter);
+    });
+    
+    it('rejects bad and taken ids', () => {
+        assert.throws(() => AsciiPlugins.registerCharset({ id: 'no spaces', name: 'N', chars: 'ab' }), /needs an id/);
+        assert.throws(() => AsciiPlugins.registerCharset({ id: 'nameless', chars: 'ab' }), /"nameless" needs a name/);
+        
+        const charset = AsciiPlugins.registerCharset({ id: 'taken', name: 'Taken', chars: 'ab' });
+        assert.throws(() => AsciiPlugins.registerExporter({ id: 'taken', name: 'T', extension: 'txt', export: () => '' }),
+            /The id "taken" is already taken/);
+        AsciiPlugins.unregister(charset);
+    });
+});
+
+describe('loading plugins', () => {
+    it('loads the example plugin module', async () => {
+        const plugin = await AsciiPlugins.loadPlugin(EXAMPLE_URL, url => import(url));
+        
+        assert.strictEqual(plugin.name, 'Example plugin');
+        assert.deepStrictEqual(plugin.items.map(item => item.id), ['plugin:dots', 'plugin:hex', 'plugin:invert', 'plugin:json']);
+        assert.strictEqual(AsciiPlugins.describeItems(plugin.items), '2 styles, 1 filter, 1 exporter');
+        
+        const image = horizontalGradient(160, 20);
+        const frame = AsciiCore.convert(image.data, image.width, image.height, { charset: 'plugin:hex', width: 16, height: 1 });
+        assert.strictEqual(frame.text, '0123456789ABCDEF\n');
+        
+        const json = JSON.parse(await plugin.items[3].export({ frame, capturedAt: new Date(0) }));
+        assert.deepStrictEqual(json.rows, ['0123456789ABCDEF']);
+        AsciiPlugins.unloadPlugin(plugin);
+    });
+    
+    it('removes what a failing plugin registered before it threw', async () => {
+        const failing = inlinePlugin(api => {
+            api.registerCharset({ id: 'partial', name: 'Partial', chars: 'ab' });
+            throw new Error('Broken plugin');
+        });
+        await assert.rejects(AsciiPlugins.loadPlugin('test:failing', failing), /Broken plugin/);
+        assert.ok(!AsciiCore.STYLES.includes('plugin:partial'));
+        await assert.rejects(AsciiPlugins.loadPlugin('test:empty', async () => ({})), /no default export or register function/);
+    });
+    
+    it('keeps loading the rest when one plugin fails', async () => {
+        const modules = {
+            'test:one': { register: api => api.registerCharset({ id: 'one', name: 'One', chars: 'ab' }) },
+            'test:two': {}
+        };
+        const plugins = await AsciiPlugins.loadPlugins(['test:two', 'test:one'], async url => modules[url]);
+        
+        assert.strictEqual(plugins[0].error, 'The module has no default export or register function');
+        assert.deepStrictEqual(plugins[1].items.map(item => item.id), ['plugin:one']);
+        plugins.forEach(AsciiPlugins.unloadPlugin);
+    });
+    
+    it('only accepts modules from the page\'s own site', () => {
+        assert.strictEqual(AsciiPlugins.resolvePluginUrl('plugins/a.js', 'http://localhost/app/index.html'), 'http://localhost/app/plugins/a.js');
+        assert.throws(() => AsciiPlugins.resolvePluginUrl('https://example.com/a.js', 'http://localhost/'), /must be loaded from this site/);
+        assert.deepStrictEqual(AsciiPlugins.normalizePluginUrls(['a', 'a', 3, '', 'b']), ['a', 'b']);
+    });
+});
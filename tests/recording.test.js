@@ -0,0 +1,49 @@
+'use strict';
+
+// Recorded clips as asciinema files: one event per frame that redraws the
+// screen in place
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const AsciiCore = require('../js/ascii-core.js');
+const AsciiRecording = require('../js/recording.js');
+const { testScene } = require('./helpers/fake-media.js');
+
+function convertScene(width, height, colorMode = 'mono') {
+    const scene = testScene(80, 40);
+    return AsciiCore.convert(scene.data, 80, 40, { charset: 'detailed', width, height, colorMode });
+}
+
+// The output of each frame event
+function castEvents(clip) {
+    return AsciiRecording.toAsciicast(clip).trim().split('\n').slice(2).map(line => JSON.parse(line)[2]);
+}
+
+describe('asciicast', () => {
+    it('redraws each frame from the top without scrolling past the last row', () => {
+        const clip = AsciiRecording.createClip(0);
+        const frame = convertScene(4, 2, '256');
+        AsciiRecording.addFrame(clip, frame, 0);
+        AsciiRecording.addFrame(clip, frame, 100);
+        
+        const lines = AsciiRecording.toAsciicast(clip).trim().split('\n');
+        assert.deepStrictEqual(JSON.parse(lines[0]), {
+            version: 2, width: 4, height: 2, timestamp: 0, title: 'ASCII Camera Recording', env: { TERM: 'xterm-256color' }
+        });
+        assert.deepStrictEqual(JSON.parse(lines[2]).slice(0, 2), [0, 'o']);
+        assert.deepStrictEqual(JSON.parse(lines[3]).slice(0, 2), [0.1, 'o']);
+        
+        const ansi = AsciiCore.toAnsi(frame).split('\n').slice(0, 2).join('\r\n');
+        assert.deepStrictEqual(castEvents(clip), ['\x1b[H' + ansi, '\x1b[H' + ansi]);
+    });
+    
+    it('clears the screen when the grid changes size', () => {
+        const clip = AsciiRecording.createClip(0);
+        AsciiRecording.addFrame(clip, convertScene(6, 3), 0);
+        AsciiRecording.addFrame(clip, convertScene(4, 2), 100);
+        AsciiRecording.addFrame(clip, convertScene(4, 2), 200);
+        
+        assert.deepStrictEqual(castEvents(clip).map(event => event.startsWith('\x1b[2J\x1b[H')), [false, true, false]);
+        assert.deepStrictEqual(AsciiRecording.clipDimensions(clip), { width: 6, height: 3 });
+    });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+// Golden output for every style at every resolution preset, from the same
+// synthetic scene. A failure means the conversion changed; if that was
+// intended, run with UPDATE_SNAPSHOTS=1 and review the updated files.
+
+const { describe, it } = require('node:test');
+const AsciiCore = require('../js/ascii-core.js');
+const { testScene } = require('./helpers/fake-media.js');
+const { assertSnapshot } = require('./helpers/snapshots.js');
+
+const SCENE = testScene(480, 180);
+
+describe('text snapshots', () => {
+    AsciiCore.STYLES.forEach(style => {
+        Object.keys(AsciiCore.RESOLUTIONS).forEach(resolution => {
+            it(`${style} at ${resolution}`, () => {
+                const frame = AsciiCore.convert(SCENE.data, SCENE.width, SCENE.height, { charset: style, resolution });
+                assertSnapshot(`${style}/${resolution}.txt`, frame.text);
+            });
+        });
+    });
+});
+
+describe('color snapshots', () => {
+    AsciiCore.COLOR_MODES.filter(colorMode => colorMode !== 'mono').forEach(colorMode => {
+        it(`${colorMode} ANSI`, () => {
+            const frame = AsciiCore.convert(SCENE.data, SCENE.width, SCENE.height, {
+                charset: 'detailed', resolution: 'ultra-low', colorMode
+            });
+            assertSnapshot(`color/${colorMode}.ans`, AsciiCore.toAnsi(frame));
+        });
+        
+        it(`${colorMode} half blocks ANSI`, () => {
+            const frame = AsciiCore.convert(SCENE.data, SCENE.width, SCENE.height, {
+                charset: 'halfblocks', resolution: 'ultra-low', colorMode
+            });
+            assertSnapshot(`color/${colorMode}-halfblocks.ans`, AsciiCore.toAnsi(frame));
+        });
+    });
+});
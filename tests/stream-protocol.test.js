@@ -0,0 +1,208 @@
+'use strict';
+
+// The live stream: frames encode to messages that rebuild the same grid on
+// the other side, and the relay turns away messages it can't apply instead
+// of falling over
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const net = require('net');
+const AsciiCore = require('../js/ascii-core.js');
+const AsciiStream = require('../js/stream-protocol.js');
+const { Relay, startRelay } = require('../cli/relay-server.js');
+const { testScene } = require('./helpers/fake-media.js');
+
+function convertScene(colorMode, brightness = 0) {
+    const scene = testScene(80, 40);
+    scene.data.forEach((value, i) => {
+        if (i % 4 !== 3) scene.data[i] = Math.min(255, value + brightness);
+    });
+    return AsciiCore.convert(scene.data, 80, 40, { charset: 'detailed', width: 12, height: 4, colorMode });
+}
+
+// A keyframe for a 3×2 grid that only sends the rows given
+function keyframe(rows) {
+    return { type: 'frame', seq: 0, keyframe: true, width: 3, height: 2, colorMode: 'mono', rows };
+}
+
+const ROW = { text: 'abc', colors: null, codes: null, backgrounds: null, backgroundCodes: null };
+
+describe('stream messages', () => {
+    it('rebuild the broadcast frame from a keyframe and then changed rows', () => {
+        const encoder = AsciiStream.createEncoder();
+        const state = AsciiStream.createStreamState();
+        const first = convertScene('256');
+        const second = convertScene('256', 60);
+        
+        const key = AsciiStream.encodeFrame(encoder, first);
+        assert.strictEqual(key.keyframe, true);
+        assert.deepStrictEqual(AsciiStream.applyMessage(state, JSON.parse(JSON.stringify(key))), [0, 1, 2, 3]);
+        assert.strictEqual(AsciiCore.toAnsi(AsciiStream.toFrame(state)), AsciiCore.toAnsi(first));
+        
+        assert.strictEqual(AsciiStream.encodeFrame(encoder, first), null);
+        const delta = AsciiStream.encodeFrame(encoder, second);
+        assert.strictEqual(delta.keyframe, false);
+        AsciiStream.applyMessage(state, JSON.parse(JSON.stringify(delta)));
+        assert.strictEqual(AsciiCore.toAnsi(AsciiStream.toFrame(state)), AsciiCore.toAnsi(second));
+    });
+    
+    it('reject a change whose base frame was missed', () => {
+        const state = AsciiStream.createStreamState();
+        AsciiStream.applyMessage(state, keyframe([[0, ROW], [1, ROW]]));
+        
+        const skipped = { type: 'frame', seq: 2, keyframe: false, rows: [[0, ROW]] };
+        assert.strictEqual(AsciiStream.applyMessage(state, skipped), null);
+        assert.strictEqual(state.seq, 0);
+    });
+    
+    it('reject a keyframe that leaves rows out', () => {
+        const state = AsciiStream.createStreamState();
+        assert.strictEqual(AsciiStream.applyMessage(state, keyframe([])), null);
+        assert.strictEqual(AsciiStream.applyMessage(state, keyframe([[1, ROW]])), null);
+        assert.strictEqual(AsciiStream.hasFrame(state), false);
+    });
+    
+    it('blank control characters and pad rows to the grid width', () => {
+        const state = AsciiStream.createStreamState();
+        AsciiStream.applyMessage(state, keyframe([[0, { text: '\x1b[2J' }], [1, { text: 'a' }]]));
+        assert.deepStrictEqual(state.rows.map(row => row.text), [' [2', 'a  ']);
+    });
+});
+
+// A broadcaster connection that records what the relay sends it
+function fakeConnection() {
+    const sent = [];
+    return {
+        sent,
+        send: (text) => sent.push(JSON.parse(text)),
+        on() {},
+        close() {}
+    };
+}
+
+// Minimal WebSocket client over a raw socket: the upgrade, then masked
+// frames out and unmasked ones in, answering the relay's close frame
+function connect(port, path, headers = []) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1');
+        const messages = [];
+        let buffer = Buffer.alloc(0);
+        let upgraded = false;
+        
+        socket.on('error', reject);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            if (!upgraded) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end < 0) return;
+                upgraded = true;
+                const status = Number(buffer.toString('latin1', 9, 12));
+                buffer = buffer.subarray(end + 4);
+                resolve({ socket, status, messages, send });
+            }
+            while (buffer.length >= 2) {
+                let length = buffer[1] & 0x7f;
+                let offset = 2;
+                if (length === 126) {
+                    length = buffer.readUInt16BE(2);
+                    offset = 4;
+                }
+                if (buffer.length < offset + length) return;
+                const opcode = buffer[0] & 0x0f;
+                const payload = buffer.subarray(offset, offset + length);
+                buffer = buffer.subarray(offset + length);
+                if (opcode === 0x8) {
+                    write(0x88, payload);
+                    socket.end();
+                    return;
+                }
+                messages.push(JSON.parse(payload.toString()));
+            }
+        });
+        
+        const write = (first, payload) => {
+            const mask = crypto.randomBytes(4);
+            const header = payload.length < 126 ?
+                Buffer.from([first, 0x80 | payload.length]) :
+                Buffer.from([first, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+            socket.write(Buffer.concat([header, mask, payload.map((byte, i) => byte ^ mask[i % 4])]));
+        };
+        const send = (text) => write(0x81, Buffer.from(text));
+        
+        socket.write([
+            `GET ${path} HTTP/1.1`,
+            `Host: 127.0.0.1:${port}`,
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+            'Sec-WebSocket-Version: 13',
+            ...headers,
+            '',
+            ''
+        ].join('\r\n'));
+    });
+}
+
+async function waitFor(condition) {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(condition());
+}
+
+describe('relay', () => {
+    it('asks for a keyframe instead of applying a bad message', () => {
+        const relay = new Relay();
+        const broadcaster = fakeConnection();
+        relay.addBroadcaster(broadcaster);
+        
+        relay.receive(JSON.stringify(keyframe([])));
+        relay.receive(JSON.stringify({ type: 'frame', seq: 0, keyframe: true, width: 3, height: 2, colorMode: 'mono', rows: null }));
+        assert.strictEqual(broadcaster.sent.filter(message => message.type === 'keyframe').length, 2);
+        
+        relay.receive(JSON.stringify(keyframe([[0, ROW], [1, ROW]])));
+        assert.strictEqual(AsciiStream.hasFrame(relay.state), true);
+    });
+    
+    it('only takes a broadcast from its own pages, allowed sites and non-browsers', async () => {
+        const server = await startRelay({ port: 0, telnetPort: 0, allowedOrigins: ['http://localhost:5500'] });
+        try {
+            const foreign = await connect(server.port, '/broadcast', ['Origin: https://example.com']);
+            assert.strictEqual(foreign.status, 403);
+            const opaque = await connect(server.port, '/broadcast', ['Origin: null']);
+            assert.strictEqual(opaque.status, 403);
+            const otherPort = await connect(server.port, '/broadcast', [`Origin: http://127.0.0.1:${server.port + 1}`]);
+            assert.strictEqual(otherPort.status, 403);
+            assert.strictEqual(server.relay.broadcaster, null);
+            
+            // Viewers are read-only, so any page may watch
+            const viewer = await connect(server.port, '/view', ['Origin: https://example.com']);
+            assert.strictEqual(viewer.status, 101);
+            
+            for (const origin of [`http://localhost:${server.port}`, 'http://localhost:5500', null]) {
+                const client = await connect(server.port, '/broadcast', origin ? [`Origin: ${origin}`] : []);
+                assert.strictEqual(client.status, 101);
+                await waitFor(() => server.relay.broadcaster !== null);
+                server.relay.broadcaster.close();
+                await waitFor(() => server.relay.broadcaster === null);
+            }
+        } finally {
+            await server.close();
+        }
+    });
+    
+    it('stays up when a broadcaster sends a keyframe without rows', async () => {
+        const server = await startRelay({ port: 0, telnetPort: 0 });
+        try {
+            const client = await connect(server.port, '/broadcast');
+            client.send(JSON.stringify(keyframe([])));
+            await waitFor(() => client.messages.some(message => message.type === 'keyframe'));
+            
+            client.send(JSON.stringify(keyframe([[0, ROW], [1, ROW]])));
+            await waitFor(() => AsciiStream.hasFrame(server.relay.state));
+        } finally {
+            await server.close();
+        }
+    });
+});
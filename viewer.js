@@ -0,0 +1,86 @@
+// Watches a live broadcast through the relay (cli/relay-server.js). The
+// relay that served this page is used unless ?relay=ws://host:port says
+// otherwise.
+class StreamViewer {
+    constructor() {
+        // DOM Elements
+        this.asciiOutput = document.getElementById('asciiOutput');
+        this.asciiResolution = document.getElementById('asciiResolution');
+        this.status = document.getElementById('status');
+        this.viewerCount = document.getElementById('viewerCount');
+        this.relayAddress = document.getElementById('relayAddress');
+        
+        // Variables
+        this.state = AsciiStream.createStreamState();
+        this.socket = null;
+        this.retryDelay = 1000; // ms, doubled after each failed attempt
+        this.maxRetryDelay = 10000;
+        this.relayUrl = this.getRelayUrl();
+        
+        this.relayAddress.textContent = new URL(this.relayUrl).host;
+        this.connect();
+    }
+    
+    getRelayUrl() {
+        const relay = new URLSearchParams(location.search).get('relay');
+        const served = location.host ? `${location.protocol === 'https:' ? 'wss:' : 'ws:'}//${location.host}` : null;
+        return new URL('/view', relay || served || 'ws://localhost:8080').href;
+    }
+    
+    connect() {
+        const socket = new WebSocket(this.relayUrl);
+        this.socket = socket;
+        
+        socket.addEventListener('open', () => {
+            this.retryDelay = 1000;
+        });
+        socket.addEventListener('message', (e) => this.receive(e.data));
+        socket.addEventListener('close', () => {
+            this.setStatus(`Disconnected, retrying in ${this.retryDelay / 1000}s`, false);
+            this.viewerCount.textContent = '-';
+            setTimeout(() => this.connect(), this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+        });
+    }
+    
+    receive(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        
+        if (message.type === 'status') {
+            this.setStatus(message.live ? 'Live' : 'Waiting for a broadcast', message.live);
+            this.viewerCount.textContent = message.viewers;
+            return;
+        }
+        
+        if (!AsciiStream.applyMessage(this.state, message)) {
+            // Out of step with the relay; reconnecting brings a full frame
+            this.socket.close();
+            return;
+        }
+        this.render();
+    }
+    
+    render() {
+        const frame = AsciiStream.toFrame(this.state);
+        if (frame.colors) {
+            this.asciiOutput.innerHTML = AsciiCore.toColorHtml(frame);
+        } else {
+            this.asciiOutput.textContent = frame.text;
+        }
+        this.asciiResolution.textContent = `${frame.width}×${frame.height}`;
+    }
+    
+    setStatus(text, live) {
+        this.status.textContent = text;
+        this.status.classList.toggle('active', live);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const viewer = new StreamViewer();
+});